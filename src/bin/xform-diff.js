@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+
+/**
+ * Command line XForm version comparison.
+ *
+ * Usage: xform-diff [--json] [--migrate <instance.xml>] <old.xml> <new.xml>
+ *
+ *   --json                    Print the changes, and any migration decisions, as JSON.
+ *   --migrate <instance.xml>  Carry an instance submitted with the old version over to the new one, printing
+ *                             every decision made and the migrated instance.
+ *
+ * External instance files are taken from each form's '<name>-media' directory, as ODK does.
+ *
+ * Exits with 0 when the versions don't differ, 1 when they do, and 2 on invalid usage or unreadable files.
+ */
+
+var fs = require('fs');
+var odk = require('../js/index.js');
+
+var usage = function() {
+
+    console.error('Usage: xform-diff [--json] [--migrate <instance.xml>] <old.xml> <new.xml>');
+    process.exit(2);
+}
+
+var read = function(file) {
+
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        console.error('Unable to read ' + file + ': ' + e.message);
+        process.exit(2);
+    }
+}
+
+var load = function(file) {
+
+    var resolver = new odk.InstanceResolver();
+    resolver.addLoader(odk.InstanceResolver.FileLoader(file.replace(/\.xml$/i, '') + '-media'));
+
+    var parser = new odk.ODKParser();
+    parser.setResolver(resolver);
+    if (!parser.loads(read(file))) {
+        var errors = parser.getErrors();
+        for (var i = 0; i < errors.length; i++)
+            console.error(file + ': ' + errors[i]);
+        process.exit(2);
+    }
+
+    return parser;
+}
+
+var options = {'json':false, 'migrate':null};
+var files = [];
+var args = process.argv.slice(2);
+for (var i = 0; i < args.length; i++) {
+
+    if (args[i] == '--json')
+        options.json = true;
+    else if (args[i] == '--migrate' && i + 1 < args.length)
+        options.migrate = args[++i];
+    else if (args[i][0] == '-')
+        usage();
+    else
+        files.push(args[i]);
+}
+
+if (files.length != 2)
+    usage();
+
+var parser = load(files[1]);
+var diff = new odk.FormDiff(load(files[0]), parser);
+var result = null;
+if (options.migrate != null) {
+    try {
+        result = diff.migrate(read(options.migrate));
+    } catch (e) {
+        console.error('Unable to migrate ' + options.migrate + ': ' + e);
+        process.exit(2);
+    }
+}
+
+if (options.json) {
+    console.log(JSON.stringify({'changes':diff.getChanges(), 'decisions':result != null ? result.decisions : null,
+        'instance':result != null ? parser.getInstanceXML() : null}, null, 2));
+} else {
+    var changes = diff.getChanges();
+    for (var i = 0; i < changes.length; i++)
+        console.log(changes[i].type + ': ' + changes[i].message);
+
+    if (result != null) {
+        for (var i = 0; i < result.decisions.length; i++)
+            console.log(result.decisions[i].action + ': ' + result.decisions[i].message);
+        console.log(parser.getInstanceXML());
+    }
+}
+
+process.exit(diff.hasChanges() ? 1 : 0);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+/**
+ * Command line XForm linter.
+ *
+ * Usage: xform-lint [--json] [--strict] [--media <dir>] <form.xml>...
+ *
+ *   --json         Print the diagnostics of all forms as JSON.
+ *   --strict       Treat warnings as errors.
+ *   --media <dir>  Directory holding the forms' external instance files. By default each form's
+ *                  '<name>-media' directory is used, as ODK does.
+ *
+ * Exits with 0 when no errors were found, 1 when some were, and 2 on invalid usage or unreadable files.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var odk = require('../js/index.js');
+
+var usage = function() {
+
+    console.error('Usage: xform-lint [--json] [--strict] [--media <dir>] <form.xml>...');
+    process.exit(2);
+}
+
+var options = {'json':false, 'strict':false, 'media':null};
+var files = [];
+var args = process.argv.slice(2);
+for (var i = 0; i < args.length; i++) {
+
+    if (args[i] == '--json')
+        options.json = true;
+    else if (args[i] == '--strict')
+        options.strict = true;
+    else if (args[i] == '--media' && i + 1 < args.length)
+        options.media = args[++i];
+    else if (args[i][0] == '-')
+        usage();
+    else
+        files.push(args[i]);
+}
+
+if (files.length == 0)
+    usage();
+
+var results = [];
+var failed = false;
+for (var i = 0; i < files.length; i++) {
+
+    var xml;
+    try {
+        xml = fs.readFileSync(files[i], 'utf8');
+    } catch (e) {
+        console.error('Unable to read ' + files[i] + ': ' + e.message);
+        process.exit(2);
+    }
+
+    var resolver = new odk.InstanceResolver();
+    resolver.addLoader(odk.InstanceResolver.FileLoader(options.media || files[i].replace(/\.xml$/i, '') + '-media'));
+
+    var diagnostics = odk.XFormLinter.lint(xml, {'resolver':resolver});
+    for (var j = 0; j < diagnostics.length; j++)
+        if (diagnostics[j].isError() || options.strict)
+            failed = true;
+
+    results.push({'file':files[i], 'diagnostics':diagnostics});
+}
+
+if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+} else {
+    for (var i = 0; i < results.length; i++) {
+        var diagnostics = results[i].diagnostics;
+        for (var j = 0; j < diagnostics.length; j++) {
+            var d = diagnostics[j];
+            var location = path.normalize(results[i].file) + (d.line != null ? ':' + d.line + (d.column != null ? ':' + d.column : '') : '');
+            console.log(location + ': ' + d.severity + ': ' + d.message + ' [' + d.code + ']');
+        }
+    }
+}
+
+process.exit(failed ? 1 : 0);
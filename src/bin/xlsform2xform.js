@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+
+/**
+ * Command line XLSForm to XForm converter.
+ *
+ * Usage: xlsform2xform [-o <form.xml>] <form.xlsx|form.json|dir>
+ *
+ *   -o <form.xml>  File to write the XForm to, instead of printing it.
+ *
+ * The form is read from an .xlsx file, a JSON file holding a workbook Object, or a directory holding one
+ * CSV file per sheet, e.g. 'survey.csv' and 'choices.csv'. Problems are printed with their sheet and row.
+ *
+ * Exits with 0 when the form was converted, 1 when it has errors, and 2 on invalid usage or unreadable files.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var odk = require('../js/index.js');
+
+var usage = function() {
+
+    console.error('Usage: xlsform2xform [-o <form.xml>] <form.xlsx|form.json|dir>');
+    process.exit(2);
+}
+
+var output = null;
+var files = [];
+var args = process.argv.slice(2);
+for (var i = 0; i < args.length; i++) {
+
+    if (args[i] == '-o' && i + 1 < args.length)
+        output = args[++i];
+    else if (args[i][0] == '-')
+        usage();
+    else
+        files.push(args[i]);
+}
+
+if (files.length != 1)
+    usage();
+
+var convert = function(error, workbook) {
+
+    if (error != null) {
+        console.error(files[0] + ': ' + error);
+        process.exit(2);
+    }
+
+    var converter = new odk.XLSFormConverter();
+    var xml = converter.convert(workbook);
+    var diagnostics = converter.getDiagnostics();
+    for (var i = 0; i < diagnostics.length; i++) {
+        var d = diagnostics[i];
+        var location = path.normalize(files[0]) + (d.element != null ? ':' + d.element + (d.line != null ? ':' + d.line : '') : '');
+        console.error(location + ': ' + d.severity + ': ' + d.message + ' [' + d.code + ']');
+    }
+
+    if (xml == null)
+        process.exit(1);
+
+    if (output != null)
+        fs.writeFileSync(output, xml);
+    else
+        process.stdout.write(xml);
+    process.exit(0);
+}
+
+try {
+    if (fs.statSync(files[0]).isDirectory()) {
+        var sheets = {};
+        fs.readdirSync(files[0]).forEach(function(name) {
+            if (/\.csv$/i.test(name))
+                sheets[name.replace(/\.csv$/i, '')] = fs.readFileSync(path.join(files[0], name), 'utf8');
+        });
+        convert(null, odk.XLSFormConverter.readCSV(sheets));
+    } else if (/\.json$/i.test(files[0])) {
+        convert(null, JSON.parse(fs.readFileSync(files[0], 'utf8')));
+    } else {
+        odk.XLSFormConverter.readXLSX(fs.readFileSync(files[0]), convert);
+    }
+} catch (e) {
+    console.error('Unable to read ' + files[0] + ': ' + e.message);
+    process.exit(2);
+}
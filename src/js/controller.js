@@ -0,0 +1,441 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+
+/****************************** FormController ******************************/
+
+
+/**
+ * Constructor. Initialize a new FormController, which pages through a loaded form one screen at a time,
+ * the way ODK Collect does.
+ *
+ * Every relevant question is a screen of it's own, except for questions within field-list groups,
+ * which share the group's screen. Repeats which the user may add to end with a 'repeat' screen,
+ * offering to add another instance, and the form ends with an 'end' screen.
+ * Screens are worked out from the current answers whenever they're needed, so questions which
+ * become non-relevant are skipped, and new repeat instances are visited.
+ *
+ * The controller triggers a 'screen' event on the form state whenever the current screen changes,
+ * and moves on by itself when a quick select is answered.
+ *
+ * @object parser ODKParser instance with a loaded form.
+ */
+function FormController(parser) {
+
+    var self = this;
+    this.parser = parser;
+    this.state = parser.getState();
+    this.errors = [];
+    this.key = null;
+    this.index = 0;
+
+    // Quick selects ask to move on as soon as they're answered
+    this.advanceListener = function(node) {
+        var screen = self.getCurrentScreen();
+        if (screen.type == 'question' && screen.ref == self.state.getIndexedPath(node))
+            self.next();
+    }
+    this.state.on('advance', this.advanceListener);
+
+    var screens = this.getScreens();
+    this.key = screens[0].key;
+}
+
+/**
+ * Return all screens of the form, according to the current answers.
+ *
+ * Each screen is an Object with:
+ *   type     - 'question', 'group' (a field-list group), 'repeat' (offer to add an instance) or 'end'.
+ *   key      - String identifying the screen, which doesn't change as other screens come and go.
+ *   ref      - Indexed path of the question, group or repeat, e.g. '/data/kids[2]/name'. Null for the end screen.
+ *   control  - The question, group or repeat control. Null for the end screen.
+ *   controls - Controls shown on the screen, which are rendered with mapRef.
+ *   mapRef   - Function mapping the controls' paths to the repeat instances they belong to.
+ *   refs     - Indexed paths of all questions on the screen.
+ *
+ * @return Array of screen Objects.
+ */
+FormController.prototype.getScreens = function() {
+
+    var self = this;
+    var state = this.state;
+    var screens = [];
+
+    var recursiveHelper = function(list, mapRef, prefix) {
+
+        for (var i = 0; i < list.length; i++) {
+
+            var control = list[i];
+            var key = prefix + '/' + i;
+            var ref = control.ref != null ? mapRef(control.ref) : null;
+            if (ref != null && !control.repeat && !state.isRelevant(ref))
+                continue;
+
+            if (control.getControlType() != 'group') {
+                screens.push(self._createScreen('question', key, ref, control, [control], mapRef));
+                continue;
+            }
+
+            if (!control.repeat) {
+                if (control.hasAppearance('field-list'))
+                    screens.push(self._createScreen('group', key, ref, control, [control], mapRef));
+                else
+                    recursiveHelper(control.list, mapRef, key);
+                continue;
+            }
+
+            var nodeset = mapRef(control.nodeset);
+            var nodes = state.getRepeatInstances(nodeset);
+            for (var j = 0; j < nodes.length; j++) {
+
+                if (!nodes[j].relevant)
+                    continue;
+
+                var indexed = state.getIndexedPath(nodes[j]);
+                var childMapRef = self._getChildMapper(control.nodeset, indexed, mapRef);
+                if (control.hasAppearance('field-list'))
+                    screens.push(self._createScreen('group', key + '[' + j + ']', indexed, control, control.list, childMapRef));
+                else
+                    recursiveHelper(control.list, childMapRef, key + '[' + j + ']');
+            }
+
+            if (state.canAddRemove(control.nodeset) && state.isRelevant(nodeset.substr(0, nodeset.lastIndexOf('/'))))
+                screens.push(self._createScreen('repeat', key, nodeset, control, [], mapRef));
+        }
+    }
+    recursiveHelper(this.parser.controls, function(ref) { return ref; }, '');
+
+    screens.push(this._createScreen('end', 'end', null, null, [], null));
+    return screens;
+}
+
+/**
+ * Return the current screen.
+ *
+ * @return Screen Object, see getScreens().
+ */
+FormController.prototype.getCurrentScreen = function() {
+
+    var screens = this.getScreens();
+    var index = this._findScreen(screens);
+    this.key = screens[index].key;
+    this.index = index;
+
+    return screens[index];
+}
+
+/**
+ * Move on to the next screen. The current screen's answers are checked first, and the
+ * controller stays where it is if a required question wasn't answered or a constraint isn't satisfied.
+ *
+ * @return Boolean value indicating whether the controller moved on. Problems are available from getErrors().
+ */
+FormController.prototype.next = function() {
+
+    var screens = this.getScreens();
+    var index = this._findScreen(screens);
+    if (!this.validate(screens[index]) || index == screens.length - 1)
+        return false;
+
+    this._moveTo(screens, index + 1);
+    return true;
+}
+
+/**
+ * Move back to the previous screen. Answers aren't checked when moving back.
+ *
+ * @return Boolean value indicating whether the controller moved, i.e. false on the first screen.
+ */
+FormController.prototype.previous = function() {
+
+    var screens = this.getScreens();
+    var index = this._findScreen(screens);
+    if (index == 0)
+        return false;
+
+    this.errors = [];
+    this._moveTo(screens, index - 1);
+    return true;
+}
+
+/**
+ * Move to the screen showing a question, group or repeat, e.g. from the hierarchy view.
+ * Answers aren't checked when jumping.
+ *
+ * @string path Indexed path, e.g. '/data/kids[2]/name'.
+ * @return Boolean value indicating whether a screen showing the path was found.
+ */
+FormController.prototype.jumpTo = function(path) {
+
+    var screens = this.getScreens();
+    for (var i = 0; i < screens.length; i++) {
+
+        var screen = screens[i];
+        var found = screen.ref == path || screen.refs.indexOf(path) != -1;
+        for (var j = 0; j < screen.refs.length && !found; j++)
+            found = screen.refs[j].indexOf(path + '/') == 0 || screen.refs[j].indexOf(path + '[') == 0;
+
+        if (found) {
+            this.errors = [];
+            this._moveTo(screens, i);
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Return the key of the current screen, e.g. for coming back to it with a saved draft.
+ *
+ * @return Screen key string, see getScreens().
+ */
+FormController.prototype.getScreenKey = function() {
+
+    return this.getCurrentScreen().key;
+}
+
+/**
+ * Move to the screen with a given key. Answers aren't checked when jumping.
+ *
+ * @string key Screen key, as returned by getScreenKey().
+ * @return Boolean value indicating whether the screen was found.
+ */
+FormController.prototype.jumpToScreen = function(key) {
+
+    var screens = this.getScreens();
+    for (var i = 0; i < screens.length; i++) {
+        if (screens[i].key == key) {
+            this.errors = [];
+            this._moveTo(screens, i);
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Add an instance to the repeat offered by the current 'repeat' screen, and move to it's first screen.
+ *
+ * @return Boolean value indicating whether an instance was added.
+ */
+FormController.prototype.addRepeat = function() {
+
+    var screens = this.getScreens();
+    var index = this._findScreen(screens);
+    if (screens[index].type != 'repeat')
+        return false;
+
+    this.state.addRepeat(screens[index].ref);
+    this._moveTo(this.getScreens(), index);
+    return true;
+}
+
+/**
+ * Check the answers on a screen with the form's validator. Non-relevant and readonly questions are not checked.
+ *
+ * @object screen Screen Object. Leave undefined to check the current screen.
+ * @return Boolean value indicating whether all answers are acceptable. Problems are available from getErrors().
+ */
+FormController.prototype.validate = function(screen) {
+
+    screen = screen || this.getCurrentScreen();
+    this.errors = [];
+
+    var validator = this.parser.getValidator();
+    for (var i = 0; i < screen.refs.length; i++) {
+
+        var error = validator.validateField(screen.refs[i]);
+        if (error != null)
+            this.errors.push(error);
+    }
+
+    return this.errors.length == 0;
+}
+
+/**
+ * Return the problems found by the last navigation or call to validate().
+ *
+ * @return Array of error objects, see FormValidator.validateField().
+ */
+FormController.prototype.getErrors = function() {
+
+    return this.errors.slice();
+}
+
+/**
+ * Return the form elements of the current screen, built by the parser's factory.
+ *
+ * @return Array of elements, e.g. HTML form elements.
+ */
+FormController.prototype.getScreenElements = function() {
+
+    var screen = this.getCurrentScreen();
+    var elems = [];
+    if (this.parser.factory == null)
+        return elems;
+
+    for (var i = 0; i < screen.controls.length; i++) {
+        var elem = this.parser.factory.GetElementFromControl(screen.controls[i], screen.mapRef);
+        if (elem != null)
+            elems.push(elem);
+    }
+
+    return elems;
+}
+
+/**
+ * Return an index of the form's relevant questions, groups and repeats, for a hierarchy view.
+ *
+ * Each item is an Object with:
+ *   type     - 'question', 'group', 'repeat' or 'instance' (a single repeat instance).
+ *   ref      - Indexed path, which may be passed to jumpTo(). Null for groups without a reference.
+ *   label    - Label text, with output values filled in.
+ *   value    - Current answer, for questions.
+ *   children - Array of child items, for groups, repeats and instances.
+ *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @return Array of items.
+ */
+FormController.prototype.getHierarchy = function(lang) {
+
+    var self = this;
+    var state = this.state;
+
+    var getLabel = function(control, ref) {
+        var node = ref != null ? state.getNode(ref) : null;
+        return control.getLabel(lang, undefined, state.evaluator, node || state.root.children[0]);
+    }
+
+    var recursiveHelper = function(list, mapRef) {
+
+        var items = [];
+        for (var i = 0; i < list.length; i++) {
+
+            var control = list[i];
+            var ref = control.ref != null ? mapRef(control.ref) : null;
+            if (control.getControlType() != 'group') {
+                if (state.isRelevant(ref))
+                    items.push({'type':'question', 'ref':ref, 'label':getLabel(control, ref), 'value':state.getValue(ref)});
+            }
+            else if (!control.repeat) {
+                if (ref == null || state.isRelevant(ref))
+                    items.push({'type':'group', 'ref':ref, 'label':getLabel(control, ref), 'children':recursiveHelper(control.list, mapRef)});
+            }
+            else {
+                var nodeset = mapRef(control.nodeset);
+                var item = {'type':'repeat', 'ref':nodeset, 'label':getLabel(control, null), 'children':[]};
+                var nodes = state.getRepeatInstances(nodeset);
+                for (var j = 0; j < nodes.length; j++) {
+
+                    if (!nodes[j].relevant)
+                        continue;
+
+                    var indexed = state.getIndexedPath(nodes[j]);
+                    item.children.push({'type':'instance', 'ref':indexed, 'label':getLabel(control, indexed) + ' ' + (j + 1),
+                        'children':recursiveHelper(control.list, self._getChildMapper(control.nodeset, indexed, mapRef))});
+                }
+                items.push(item);
+            }
+        }
+
+        return items;
+    }
+
+    return recursiveHelper(this.parser.controls, function(ref) { return ref; });
+}
+
+/**
+ * Stop listening to the form state.
+ *
+ * @return Nothing.
+ */
+FormController.prototype.detach = function() {
+
+    this.state.off('advance', this.advanceListener);
+}
+
+/**
+ * Private method. Create a screen Object, collecting the paths of all questions shown on it.
+ */
+FormController.prototype._createScreen = function(type, key, ref, control, controls, mapRef) {
+
+    var self = this;
+    var refs = [];
+    var recursiveHelper = function(list, mapRef) {
+
+        for (var i = 0; i < list.length; i++) {
+
+            var control = list[i];
+            if (control.getControlType() != 'group')
+                refs.push(mapRef(control.ref));
+            else if (!control.repeat)
+                recursiveHelper(control.list, mapRef);
+            else {
+                var nodes = self.state.getRepeatInstances(mapRef(control.nodeset));
+                for (var j = 0; j < nodes.length; j++) {
+                    var indexed = self.state.getIndexedPath(nodes[j]);
+                    recursiveHelper(control.list, self._getChildMapper(control.nodeset, indexed, mapRef));
+                }
+            }
+        }
+    }
+    if (type != 'repeat')
+        recursiveHelper(controls, mapRef);
+
+    return {'type':type, 'key':key, 'ref':ref, 'control':control, 'controls':controls, 'mapRef':mapRef, 'refs':refs};
+}
+
+/**
+ * Private method. Return a function mapping paths below a repeat's generic path to the same paths below one of it's instances.
+ */
+FormController.prototype._getChildMapper = function(generic, indexed, mapRef) {
+
+    return function(ref) {
+        if (ref == generic || ref.indexOf(generic + '/') == 0)
+            return indexed + ref.substr(generic.length);
+        return mapRef(ref);
+    }
+}
+
+/**
+ * Private method. Return the index of the current screen. When it no longer exists, e.g. because it became
+ * non-relevant, the screen now at the same position is used instead.
+ */
+FormController.prototype._findScreen = function(screens) {
+
+    for (var i = 0; i < screens.length; i++)
+        if (screens[i].key == this.key)
+            return i;
+
+    return Math.min(this.index, screens.length - 1);
+}
+
+/**
+ * Private method. Make a screen the current one, and let listeners know about it.
+ */
+FormController.prototype._moveTo = function(screens, index) {
+
+    this.key = screens[index].key;
+    this.index = index;
+    this.state.trigger('screen', screens[index]);
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.FormController = FormController;
@@ -0,0 +1,204 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+/****************************** Diagnostic ******************************/
+
+
+/**
+ * Constructor. Initialize a new Diagnostic, describing a single problem found while loading a form.
+ * Diagnostics are thrown for errors which abort loading, and collected by the parser for both errors and warnings.
+ *
+ * @string code Problem code, one of Diagnostic.Codes.
+ * @string severity Either Diagnostic.ERROR or Diagnostic.WARNING.
+ * @string message Description of the problem.
+ * @object location Optional map with any of:
+ *                  'path'    - instance path the problem relates to, e.g. '/data/age'.
+ *                  'element' - XPath of the form element the problem was found in, e.g. '/h:html/h:head/model/bind[2]',
+ *                              or the sheet name for problems found in XLSForms, e.g. 'survey'.
+ *                  'line'    - line number in the form's XML, or row number in an XLSForm sheet, starting at 1.
+ *                  'column'  - column number in the form's XML, starting at 1.
+ */
+function Diagnostic(code, severity, message, location) {
+
+    location = location || {};
+    this.code = code;
+    this.severity = severity;
+    this.message = message;
+    this.path = location.path || null;
+    this.element = location.element || null;
+    this.line = location.line || null;
+    this.column = location.column || null;
+}
+
+Diagnostic.ERROR = 'error';
+Diagnostic.WARNING = 'warning';
+
+/**
+ * Problem codes, mapped to their default severity.
+ */
+Diagnostic.Codes = {
+    'XML_SYNTAX': Diagnostic.ERROR,
+    'XML_ENCODING': Diagnostic.ERROR,
+    'XML_VERSION': Diagnostic.ERROR,
+    'XML_BACKEND': Diagnostic.ERROR,
+    'INVALID_ROOT': Diagnostic.ERROR,
+    'INVALID_NAMESPACE': Diagnostic.ERROR,
+    'MISSING_HEAD': Diagnostic.ERROR,
+    'MISSING_BODY': Diagnostic.ERROR,
+    'MISSING_INSTANCE': Diagnostic.ERROR,
+    'MISSING_INSTANCE_ID': Diagnostic.ERROR,
+    'UNRESOLVED_INSTANCE': Diagnostic.ERROR,
+    'INVALID_EXPRESSION': Diagnostic.ERROR,
+    'INVALID_ITEMSET': Diagnostic.ERROR,
+    'CIRCULAR_DEPENDENCY': Diagnostic.ERROR,
+    'INVALID_INSTANCE_DATA': Diagnostic.ERROR,
+    'LOAD_ERROR': Diagnostic.ERROR,
+    'UNSUPPORTED_SCHEMA': Diagnostic.ERROR,
+    'BODY_REF_MISSING': Diagnostic.ERROR,
+    'REPEAT_TEMPLATE_MISSING': Diagnostic.ERROR,
+    'UNKNOWN_PATH': Diagnostic.ERROR,
+    'MISSING_TRANSLATION': Diagnostic.ERROR,
+    'EMPTY_SELECT': Diagnostic.ERROR,
+    'DUPLICATE_REF': Diagnostic.WARNING,
+    'DUPLICATE_BIND': Diagnostic.WARNING,
+    'UNKNOWN_BIND_ATTRIBUTE': Diagnostic.WARNING,
+    'BIND_TARGET_MISSING': Diagnostic.WARNING,
+    'UNREACHABLE_ITEXT': Diagnostic.WARNING,
+    'MISSING_ITEXT': Diagnostic.WARNING,
+    'XLSFORM_MISSING_SHEET': Diagnostic.ERROR,
+    'XLSFORM_INVALID_TYPE': Diagnostic.ERROR,
+    'XLSFORM_INVALID_NAME': Diagnostic.ERROR,
+    'XLSFORM_DUPLICATE_NAME': Diagnostic.ERROR,
+    'XLSFORM_UNMATCHED_GROUP': Diagnostic.ERROR,
+    'XLSFORM_UNKNOWN_REFERENCE': Diagnostic.ERROR,
+    'XLSFORM_UNKNOWN_LIST': Diagnostic.ERROR,
+    'XLSFORM_INVALID_CHOICE': Diagnostic.ERROR,
+    'XLSFORM_MISSING_LABEL': Diagnostic.WARNING
+};
+
+/**
+ * Create a Diagnostic with the code's default severity, located at a form element.
+ *
+ * @string code Problem code, one of Diagnostic.Codes.
+ * @string message Description of the problem.
+ * @object node DOM node the problem was found in, or null if unknown.
+ * @string path Optional instance path the problem relates to.
+ * @return Diagnostic instance.
+ */
+Diagnostic.create = function(code, message, node, path) {
+
+    var location = {'path':path};
+    if (node != undefined && node != null) {
+        location.element = Diagnostic.getElementPath(node);
+        location.line = node.lineNumber;
+        location.column = node.columnNumber;
+    }
+
+    return new Diagnostic(code, Diagnostic.Codes[code] || Diagnostic.ERROR, message, location);
+}
+
+/**
+ * Convert any thrown value to a Diagnostic. Strings and Errors become a generic error.
+ *
+ * @object e Thrown value.
+ * @string code Code to use for values which aren't Diagnostics already.
+ * @return Diagnostic instance.
+ */
+Diagnostic.from = function(e, code) {
+
+    if (e instanceof Diagnostic)
+        return e;
+
+    return new Diagnostic(code || 'LOAD_ERROR', Diagnostic.ERROR, String(e != null && e.message != undefined ? e.message : e));
+}
+
+/**
+ * Return the XPath locating an element within it's document, e.g. '/h:html/h:body/group[2]/input'.
+ *
+ * @object node DOM node.
+ * @return XPath string.
+ */
+Diagnostic.getElementPath = function(node) {
+
+    var path = '';
+    for (; node != null && node.nodeType == 1; node = node.parentNode) {
+
+        // Position predicates are only needed among elements of the same name
+        var index = 1, count = 1;
+        for (var sibling = node.previousSibling; sibling != null; sibling = sibling.previousSibling)
+            if (sibling.nodeType == 1 && sibling.nodeName == node.nodeName)
+                index++;
+        for (var sibling = node.nextSibling; sibling != null; sibling = sibling.nextSibling)
+            if (sibling.nodeType == 1 && sibling.nodeName == node.nodeName)
+                count++;
+
+        path = '/' + node.nodeName + (index + count > 2 ? '[' + index + ']' : '') + path;
+    }
+
+    return path;
+}
+
+/**
+ * Return a value indicating whether this Diagnostic aborts loading.
+ *
+ * @return Boolean value.
+ */
+Diagnostic.prototype.isError = function() {
+
+    return this.severity == Diagnostic.ERROR;
+}
+
+/**
+ * Return a readable description, including the location if known.
+ *
+ * @return Description string.
+ */
+Diagnostic.prototype.toString = function() {
+
+    // XLSForm problems are located by sheet and row
+    var location = [];
+    if (this.element != null && this.element.charAt(0) != '/')
+        location.push('sheet ' + this.element + (this.line != null ? ', row ' + this.line : ''));
+    else if (this.line != null)
+        location.push('line ' + this.line + (this.column != null ? ', column ' + this.column : ''));
+    if (this.path != null)
+        location.push(this.path);
+
+    return this.message + (location.length > 0 ? ' (' + location.join(', ') + ')' : '');
+}
+
+/**
+ * Return a plain object, suitable for JSON serialization.
+ *
+ * @return Object with code, severity, message, path, element, line and column.
+ */
+Diagnostic.prototype.toJSON = function() {
+
+    return {
+        'code': this.code,
+        'severity': this.severity,
+        'message': this.message,
+        'path': this.path,
+        'element': this.element,
+        'line': this.line,
+        'column': this.column
+    };
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.Diagnostic = Diagnostic;
@@ -0,0 +1,608 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+
+/****************************** DraftStorage ******************************/
+
+
+/**
+ * Constructor. Define the interface of storage backends for drafts, which are the answers of forms still being filled in.
+ * Drafts are plain Objects identified by their key property. All methods are asynchronous, and call back with an
+ * error message, or null on success, followed by their result.
+ */
+function DraftStorage() {
+}
+
+/**
+ * Load a draft.
+ *
+ * @string key Draft key.
+ * @function callback Function called with an error and the draft, which is null if there is no such draft.
+ * @return Nothing.
+ */
+DraftStorage.prototype.get = function(key, callback) {
+
+    callback('Draft storage not implemented');
+}
+
+/**
+ * Save a draft, replacing any draft with the same key.
+ *
+ * @object draft Draft Object.
+ * @function callback Function called with an error.
+ * @return Nothing.
+ */
+DraftStorage.prototype.put = function(draft, callback) {
+
+    callback('Draft storage not implemented');
+}
+
+/**
+ * Delete a draft.
+ *
+ * @string key Draft key.
+ * @function callback Function called with an error.
+ * @return Nothing.
+ */
+DraftStorage.prototype.remove = function(key, callback) {
+
+    callback('Draft storage not implemented');
+}
+
+/**
+ * Load all drafts, of any form.
+ *
+ * @function callback Function called with an error and an Array of drafts.
+ * @return Nothing.
+ */
+DraftStorage.prototype.list = function(callback) {
+
+    callback('Draft storage not implemented');
+}
+
+
+/****************************** MemoryDraftStorage ******************************/
+
+
+/**
+ * Constructor. Define a storage backend keeping drafts in memory until the page is closed, e.g. for testing.
+ * Callbacks are called before the methods return.
+ */
+function MemoryDraftStorage() {
+
+    DraftStorage.call(this);
+    this.drafts = {};
+}
+MemoryDraftStorage.prototype = new DraftStorage();
+MemoryDraftStorage.prototype.constructor = MemoryDraftStorage;
+
+
+MemoryDraftStorage.prototype.get = function(key, callback) {
+
+    callback(null, this.drafts[key] || null);
+}
+
+MemoryDraftStorage.prototype.put = function(draft, callback) {
+
+    this.drafts[draft.key] = draft;
+    callback(null);
+}
+
+MemoryDraftStorage.prototype.remove = function(key, callback) {
+
+    delete this.drafts[key];
+    callback(null);
+}
+
+MemoryDraftStorage.prototype.list = function(callback) {
+
+    var list = [];
+    for (var key in this.drafts)
+        list.push(this.drafts[key]);
+
+    callback(null, list);
+}
+
+
+/****************************** LocalDraftStorage ******************************/
+
+
+/**
+ * Constructor. Define a storage backend keeping drafts as JSON in the Browser's localStorage.
+ * Files are stored base64 encoded, and are loaded as Blobs. Since localStorage only holds a few megabytes,
+ * IndexedDBDraftStorage is the better choice for forms with photos or recordings.
+ *
+ * @object storage Storage object. Leave undefined to use window.localStorage.
+ * @string prefix Prefix of the storage keys. Defaults to 'odk-draft:'.
+ */
+function LocalDraftStorage(storage, prefix) {
+
+    DraftStorage.call(this);
+    this.prefix = prefix || 'odk-draft:';
+
+    // Browsers deny access to localStorage e.g. for sandboxed pages, which makes every method fail
+    try {
+        this.storage = storage || localStorage;
+    } catch (e) {
+        this.storage = null;
+    }
+}
+LocalDraftStorage.prototype = new DraftStorage();
+LocalDraftStorage.prototype.constructor = LocalDraftStorage;
+
+
+LocalDraftStorage.prototype.get = function(key, callback) {
+
+    try {
+        var json = this.storage.getItem(this.prefix + key);
+        callback(null, json != null ? this._decode(JSON.parse(json)) : null);
+    } catch (e) {
+        callback('Could not load draft "' + key + '": ' + (e.message || e));
+    }
+}
+
+LocalDraftStorage.prototype.put = function(draft, callback) {
+
+    var self = this;
+    this._encode(draft, function(error, encoded) {
+
+        if (error != null) {
+            callback(error);
+            return;
+        }
+
+        // Storing fails once the quota is used up
+        try {
+            self.storage.setItem(self.prefix + draft.key, JSON.stringify(encoded));
+            callback(null);
+        } catch (e) {
+            callback('Could not save draft "' + draft.key + '": ' + (e.message || e));
+        }
+    });
+}
+
+LocalDraftStorage.prototype.remove = function(key, callback) {
+
+    try {
+        this.storage.removeItem(this.prefix + key);
+        callback(null);
+    } catch (e) {
+        callback('Could not delete draft "' + key + '": ' + (e.message || e));
+    }
+}
+
+LocalDraftStorage.prototype.list = function(callback) {
+
+    var list = [];
+    try {
+        for (var i = 0; i < this.storage.length; i++) {
+            var key = this.storage.key(i);
+            if (key.indexOf(this.prefix) == 0)
+                list.push(this._decode(JSON.parse(this.storage.getItem(key))));
+        }
+    } catch (e) {
+        callback('Could not load drafts: ' + (e.message || e));
+        return;
+    }
+
+    callback(null, list);
+}
+
+/**
+ * Private method. Copy a draft, with it's files converted to text or base64 strings.
+ */
+LocalDraftStorage.prototype._encode = function(draft, callback) {
+
+    var copy = {};
+    for (var k in draft)
+        copy[k] = draft[k];
+    copy.attachments = [];
+
+    var toBase64 = function(bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i += 0x8000)
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return btoa(binary);
+    }
+
+    var attachments = draft.attachments || [];
+    var next = function(i) {
+
+        if (i == attachments.length) {
+            callback(null, copy);
+            return;
+        }
+
+        var file = attachments[i];
+        var add = function(encoding, data) {
+            copy.attachments.push({'name':file.name, 'type':file.type, 'encoding':encoding, 'data':data});
+            next(i + 1);
+        }
+
+        if (typeof file.data == 'string') {
+            add('text', file.data);
+        } else if (file.data instanceof ArrayBuffer) {
+            add('base64', toBase64(new Uint8Array(file.data)));
+        } else if (ArrayBuffer.isView(file.data)) {
+            add('base64', toBase64(new Uint8Array(file.data.buffer, file.data.byteOffset, file.data.byteLength)));
+        } else {
+            var reader = new FileReader();
+            reader.onload = function() {
+                add('base64', toBase64(new Uint8Array(reader.result)));
+            }
+            reader.onerror = function() {
+                callback('Could not read file "' + file.name + '"');
+            }
+            reader.readAsArrayBuffer(file.data);
+        }
+    }
+    next(0);
+}
+
+/**
+ * Private method. Convert the files of a stored draft back to strings and Blobs.
+ */
+LocalDraftStorage.prototype._decode = function(draft) {
+
+    var attachments = draft.attachments || [];
+    draft.attachments = [];
+    for (var i = 0; i < attachments.length; i++) {
+
+        var file = attachments[i];
+        var data = file.data;
+        if (file.encoding == 'base64') {
+            var binary = atob(data);
+            var bytes = new Uint8Array(binary.length);
+            for (var j = 0; j < binary.length; j++)
+                bytes[j] = binary.charCodeAt(j);
+            data = new Blob([bytes], {'type':file.type});
+        }
+
+        draft.attachments.push({'name':file.name, 'type':file.type, 'data':data});
+    }
+
+    return draft;
+}
+
+
+/****************************** IndexedDBDraftStorage ******************************/
+
+
+/**
+ * Constructor. Define a storage backend keeping drafts in an IndexedDB database, which stores files as they are.
+ *
+ * @string name Database name. Defaults to 'odk-drafts'.
+ * @object factory IDBFactory to use. Leave undefined to use window.indexedDB.
+ */
+function IndexedDBDraftStorage(name, factory) {
+
+    DraftStorage.call(this);
+    this.name = name || 'odk-drafts';
+    this.factory = factory || (typeof indexedDB != 'undefined' ? indexedDB : null);
+    this.db = null;
+}
+IndexedDBDraftStorage.prototype = new DraftStorage();
+IndexedDBDraftStorage.prototype.constructor = IndexedDBDraftStorage;
+
+/**
+ * Name of the object store holding the drafts.
+ */
+IndexedDBDraftStorage.StoreName = 'drafts';
+
+
+IndexedDBDraftStorage.prototype.get = function(key, callback) {
+
+    this._request('readonly', function(store) {
+        return store.get(key);
+    }, function(error, result) {
+        callback(error, result || null);
+    });
+}
+
+IndexedDBDraftStorage.prototype.put = function(draft, callback) {
+
+    this._request('readwrite', function(store) {
+        return store.put(draft);
+    }, function(error) {
+        callback(error);
+    });
+}
+
+IndexedDBDraftStorage.prototype.remove = function(key, callback) {
+
+    this._request('readwrite', function(store) {
+        return store['delete'](key);
+    }, function(error) {
+        callback(error);
+    });
+}
+
+IndexedDBDraftStorage.prototype.list = function(callback) {
+
+    this._request('readonly', function(store) {
+        return store.getAll();
+    }, callback);
+}
+
+/**
+ * Private method. Open the database, creating it's object store on first use.
+ */
+IndexedDBDraftStorage.prototype._open = function(callback) {
+
+    var self = this;
+    if (this.db != null) {
+        callback(null, this.db);
+        return;
+    }
+
+    if (this.factory == null) {
+        callback('IndexedDB is not available');
+        return;
+    }
+
+    var request = this.factory.open(this.name, 1);
+    request.onupgradeneeded = function() {
+        request.result.createObjectStore(IndexedDBDraftStorage.StoreName, {'keyPath':'key'});
+    }
+    request.onsuccess = function() {
+        self.db = request.result;
+        callback(null, self.db);
+    }
+    request.onerror = function() {
+        callback('Could not open database "' + self.name + '": ' + request.error);
+    }
+}
+
+/**
+ * Private method. Run a request in a transaction on the drafts store, calling back once the transaction completed.
+ */
+IndexedDBDraftStorage.prototype._request = function(mode, fn, callback) {
+
+    this._open(function(error, db) {
+
+        if (error != null) {
+            callback(error);
+            return;
+        }
+
+        var transaction = db.transaction(IndexedDBDraftStorage.StoreName, mode);
+        var request = fn(transaction.objectStore(IndexedDBDraftStorage.StoreName));
+        transaction.oncomplete = function() {
+            callback(null, request.result);
+        }
+        transaction.onerror = transaction.onabort = function() {
+            callback('Draft storage failed: ' + (transaction.error || request.error));
+        }
+    });
+}
+
+
+/****************************** DraftManager ******************************/
+
+
+/**
+ * Constructor. Initialize a new DraftManager, which saves the answers of a loaded form to a storage backend,
+ * so filling it in can be resumed later, e.g. after the page was reloaded.
+ *
+ * Drafts hold the form's ID and version, the answers, the number of repeat instances, the current screen and
+ * any stored files. They are identified by the instanceID of the answers, so each submission has a single draft.
+ * Drafts saved with another version of the form are stale, and aren't resumed unless asked to.
+ *
+ * @object parser ODKParser instance with a loaded form.
+ * @object storage Storage backend, e.g. an IndexedDBDraftStorage.
+ * @object controller FormController whose current screen is saved. May be left undefined.
+ */
+function DraftManager(parser, storage, controller) {
+
+    this.parser = parser;
+    this.storage = storage;
+    this.controller = controller || null;
+    this.timer = null;
+    this.listener = null;
+}
+
+/**
+ * Return the key the current answers are saved under.
+ *
+ * @return Key string.
+ */
+DraftManager.prototype.getKey = function() {
+
+    return this.parser.getState().getInstanceID();
+}
+
+/**
+ * Build a draft out of the current answers.
+ *
+ * @return Draft Object.
+ */
+DraftManager.prototype.createDraft = function() {
+
+    var draft = this.parser.getState().getSnapshot();
+    draft.key = this.getKey();
+    draft.formID = this.parser.getFormID();
+    draft.version = this.parser.getFormVersion();
+    draft.title = this.parser.getTitle();
+    draft.saved = new Date().toISOString();
+    draft.screen = this.controller != null ? this.controller.getScreenKey() : null;
+
+    return draft;
+}
+
+/**
+ * Save the current answers.
+ *
+ * @function callback Function called with an error and the saved draft. May be left undefined.
+ * @return Nothing.
+ */
+DraftManager.prototype.save = function(callback) {
+
+    var draft = this.createDraft();
+    this.storage.put(draft, function(error) {
+        if (callback != undefined)
+            callback(error, error == null ? draft : null);
+    });
+}
+
+/**
+ * List the drafts of the loaded form, including stale ones, the most recently saved first.
+ *
+ * @function callback Function called with an error and an Array of drafts.
+ * @return Nothing.
+ */
+DraftManager.prototype.list = function(callback) {
+
+    var formID = this.parser.getFormID();
+    this.storage.list(function(error, drafts) {
+
+        if (error != null) {
+            callback(error, []);
+            return;
+        }
+
+        drafts = drafts.filter(function(draft) {
+            return draft.formID == formID;
+        });
+        drafts.sort(function(a, b) {
+            return a.saved < b.saved ? 1 : a.saved > b.saved ? -1 : 0;
+        });
+        callback(null, drafts);
+    });
+}
+
+/**
+ * Return a value indicating whether a draft was saved with another version of the form.
+ *
+ * @object draft Draft Object.
+ * @return Boolean value.
+ */
+DraftManager.prototype.isStale = function(draft) {
+
+    return draft.version != this.parser.getFormVersion();
+}
+
+/**
+ * Replace the current answers with a saved draft, and move the controller to the screen it was saved on.
+ *
+ * @string key Draft key.
+ * @function callback Function called with an error and the resumed draft. May be left undefined.
+ * @object force Boolean value indicating whether a stale draft should be resumed anyway.
+ *               Answers to questions which no longer exist are left out.
+ * @return Nothing.
+ */
+DraftManager.prototype.resume = function(key, callback, force) {
+
+    var self = this;
+    callback = callback || function() {};
+    this.storage.get(key, function(error, draft) {
+
+        if (error == null && draft == null)
+            error = 'Unknown draft "' + key + '"';
+        else if (error == null && draft.formID != self.parser.getFormID())
+            error = 'Draft "' + key + '" belongs to form "' + draft.formID + '", not "' + self.parser.getFormID() + '"';
+        else if (error == null && self.isStale(draft) && !force)
+            error = 'Draft "' + key + '" was saved with version "' + draft.version + '" of the form, not "' + self.parser.getFormVersion() + '"';
+
+        if (error != null) {
+            callback(error, null);
+            return;
+        }
+
+        try {
+            self.parser.getState().restore(draft);
+            if (self.controller != null && draft.screen != null)
+                self.controller.jumpToScreen(draft.screen);
+        } catch (e) {
+            callback('Could not resume draft "' + key + '": ' + e, null);
+            return;
+        }
+
+        callback(null, draft);
+    });
+}
+
+/**
+ * Delete a draft, e.g. once it's answers were submitted.
+ *
+ * @string key Draft key. Leave undefined to delete the draft of the current answers.
+ * @function callback Function called with an error. May be left undefined.
+ * @return Nothing.
+ */
+DraftManager.prototype.discard = function(key, callback) {
+
+    this.storage.remove(key != undefined ? key : this.getKey(), callback || function() {});
+}
+
+/**
+ * Save the answers whenever they change, or the current screen changes.
+ * Changes following each other quickly are saved together.
+ *
+ * @number delay Milliseconds to wait for further changes before saving. Defaults to 1000.
+ * @function callback Function called with an error and the saved draft after every save. May be left undefined.
+ * @return Nothing.
+ */
+DraftManager.prototype.autosave = function(delay, callback) {
+
+    var self = this;
+    var state = this.parser.getState();
+    this.stopAutosave();
+
+    this.listener = function(node, property) {
+
+        // Screen events pass the screen instead of a node
+        if (property != undefined && property != 'value' && property != 'repeat')
+            return;
+
+        if (self.timer != null)
+            clearTimeout(self.timer);
+        self.timer = setTimeout(function() {
+            self.timer = null;
+            self.save(callback);
+        }, delay != undefined ? delay : 1000);
+    }
+    state.on('change', this.listener);
+    state.on('screen', this.listener);
+}
+
+/**
+ * Stop saving the answers when they change. Changes waiting to be saved are dropped.
+ *
+ * @return Nothing.
+ */
+DraftManager.prototype.stopAutosave = function() {
+
+    var state = this.parser.getState();
+    if (this.listener != null) {
+        state.off('change', this.listener);
+        state.off('screen', this.listener);
+    }
+
+    if (this.timer != null)
+        clearTimeout(this.timer);
+
+    this.listener = null;
+    this.timer = null;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+    module.exports.DraftStorage = DraftStorage;
+    module.exports.MemoryDraftStorage = MemoryDraftStorage;
+    module.exports.LocalDraftStorage = LocalDraftStorage;
+    module.exports.IndexedDBDraftStorage = IndexedDBDraftStorage;
+    module.exports.DraftManager = DraftManager;
+}
@@ -0,0 +1,1199 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+if (typeof module != 'undefined' && module.exports) {
+    var XPathExpression = require('./xpath').XPathExpression;
+    var InstanceNode = require('./instances').InstanceNode;
+    var GeoUtils = require('./geo').GeoUtils;
+}
+
+
+/****************************** XPathEvaluator ******************************/
+
+
+/**
+ * Constructor. Initialize a new evaluator for XPath expressions over InstanceNode trees,
+ * implementing the XPath 1.0 core library and the ODK/JavaRosa function set.
+ *
+ * Results are one of: String, Number, Boolean, Date or an Array of InstanceNodes (a node-set).
+ *
+ * @object options Optional map of value sources, used to keep evaluation deterministic:
+ *                 'uuid'   - function returning a new UUID string.
+ *                 'now'    - function returning the current Date.
+ *                 'random' - function returning a Number in [0, 1).
+ */
+function XPathEvaluator(options) {
+
+    options = options || {};
+    this.parser = null;
+    this.random = options.random || Math.random;
+    this.now = options.now || function() { return new Date(); };
+    this.uuid = options.uuid || XPathEvaluator.prototype._generateUUID;
+    this.functions = {};
+}
+
+/**
+ * Set the ODKParser reference used for resolving choices and secondary instances.
+ *
+ * @object parser ODKParser object reference.
+ * @return Nothing.
+ */
+XPathEvaluator.prototype.setParser = function(parser) {
+
+    this.parser = parser;
+}
+
+/**
+ * Register an additional function, or override a built-in one.
+ * The function is called with the evaluation context followed by the evaluated arguments.
+ *
+ * @string name Function name, including any namespace prefix.
+ * @function fn Function implementation.
+ * @return Nothing.
+ */
+XPathEvaluator.prototype.addFunction = function(name, fn) {
+
+    this.functions[name] = fn;
+}
+
+/**
+ * Evaluate an expression.
+ *
+ * @object expr XPathExpression instance or expression string.
+ * @object node Context InstanceNode.
+ * @return Expression result.
+ */
+XPathEvaluator.prototype.evaluate = function(expr, node) {
+
+    if (typeof expr == 'string')
+        expr = new XPathExpression(expr);
+
+    var root = node;
+    while (root.parent != null)
+        root = root.parent;
+
+    return this._evaluate(expr.ast, {'node':node, 'position':1, 'size':1, 'current':node, 'root':root});
+}
+
+/**
+ * Evaluate an expression and convert the result to a String.
+ */
+XPathEvaluator.prototype.evaluateString = function(expr, node) {
+
+    return this.toString(this.evaluate(expr, node));
+}
+
+/**
+ * Evaluate an expression and convert the result to a Number.
+ */
+XPathEvaluator.prototype.evaluateNumber = function(expr, node) {
+
+    return this.toNumber(this.evaluate(expr, node));
+}
+
+/**
+ * Evaluate an expression and convert the result to a Boolean.
+ */
+XPathEvaluator.prototype.evaluateBoolean = function(expr, node) {
+
+    return this.toBoolean(this.evaluate(expr, node));
+}
+
+/**
+ * Evaluate an expression which must result in a node-set.
+ */
+XPathEvaluator.prototype.evaluateNodes = function(expr, node) {
+
+    var result = this.evaluate(expr, node);
+    if (!(result instanceof Array))
+        throw 'Expression "' + expr + '" does not evaluate to a node-set';
+
+    return result;
+}
+
+/**
+ * Convert a value to a String, following XPath 1.0 rules.
+ *
+ * @object value Value to convert.
+ * @return String value.
+ */
+XPathEvaluator.prototype.toString = function(value) {
+
+    if (value instanceof Array)
+        return value.length > 0 ? value[0].getStringValue() : '';
+
+    if (value instanceof Date)
+        return this._formatDate(value);
+
+    if (typeof value == 'number') {
+        if (isNaN(value))
+            return 'NaN';
+        if (!isFinite(value))
+            return value > 0 ? 'Infinity' : '-Infinity';
+        if (Math.abs(value) < 1e21 && Math.abs(value) >= 1e-6)
+            return String(value);
+        return value.toFixed(20).replace(/\.?0+$/, '');
+    }
+
+    if (typeof value == 'boolean')
+        return value ? 'true' : 'false';
+
+    return String(value);
+}
+
+/**
+ * Convert a value to a Number, following XPath 1.0 rules.
+ * Date strings are converted to the number of days since the epoch, as JavaRosa does.
+ *
+ * @object value Value to convert.
+ * @return Number value.
+ */
+XPathEvaluator.prototype.toNumber = function(value) {
+
+    if (value instanceof Array)
+        value = this.toString(value);
+
+    if (value instanceof Date)
+        return this._dateToDays(value);
+
+    if (typeof value == 'boolean')
+        return value ? 1 : 0;
+
+    if (typeof value == 'string') {
+        value = value.trim();
+        if (/^-?(\d+(\.\d*)?|\.\d+)$/.test(value))
+            return parseFloat(value);
+
+        var date = this._parseDate(value);
+        return date != null ? this._dateToDays(date) : NaN;
+    }
+
+    return value;
+}
+
+/**
+ * Convert a value to a Boolean, following XPath 1.0 rules.
+ *
+ * @object value Value to convert.
+ * @return Boolean value.
+ */
+XPathEvaluator.prototype.toBoolean = function(value) {
+
+    if (value instanceof Array)
+        return value.length > 0;
+
+    if (value instanceof Date)
+        return !isNaN(value.getTime());
+
+    if (typeof value == 'number')
+        return value != 0 && !isNaN(value);
+
+    if (typeof value == 'string')
+        return value.length > 0;
+
+    return value;
+}
+
+/**
+ * Convert a value to a Date.
+ *
+ * @object value Value to convert. Numbers are taken as days since the epoch.
+ * @return Date or null if the value isn't a valid date.
+ */
+XPathEvaluator.prototype.toDate = function(value) {
+
+    if (value instanceof Date)
+        return value;
+
+    if (value instanceof Array)
+        value = this.toString(value);
+
+    if (typeof value == 'number') {
+        if (isNaN(value))
+            return null;
+        var epoch = new Date(1970, 0, 1);
+        var date = new Date(epoch.getTime() + value * 86400000);
+        // Compensate for DST changes between the epoch and the given date
+        date.setTime(date.getTime() + (date.getTimezoneOffset() - epoch.getTimezoneOffset()) * 60000);
+        return date;
+    }
+
+    return this._parseDate(String(value).trim());
+}
+
+/**
+ * Private method. Evaluate an AST node within a context.
+ */
+XPathEvaluator.prototype._evaluate = function(ast, ctx) {
+
+    switch (ast.type) {
+
+        case 'literal':
+        case 'number':
+            return ast.value;
+
+        case 'variable':
+            throw 'Unknown variable "$' + ast.name + '"';
+
+        case 'negate':
+            return -this.toNumber(this._evaluate(ast.expr, ctx));
+
+        case 'function':
+            return this._evaluateFunction(ast, ctx);
+
+        case 'binary':
+            return this._evaluateBinary(ast, ctx);
+
+        case 'filter':
+            var nodes = this._evaluate(ast.expr, ctx);
+            if (!(nodes instanceof Array))
+                throw 'Predicates can only be applied to node-sets';
+            return this._applyPredicates(nodes, ast.predicates, ctx, false);
+
+        case 'path':
+            return this._evaluatePath(ast, ctx);
+    }
+
+    throw 'Unknown expression type "' + ast.type + '"';
+}
+
+/**
+ * Private method. Evaluate a binary operator.
+ */
+XPathEvaluator.prototype._evaluateBinary = function(ast, ctx) {
+
+    switch (ast.op) {
+
+        case 'or':
+            return this.toBoolean(this._evaluate(ast.left, ctx)) || this.toBoolean(this._evaluate(ast.right, ctx));
+
+        case 'and':
+            return this.toBoolean(this._evaluate(ast.left, ctx)) && this.toBoolean(this._evaluate(ast.right, ctx));
+    }
+
+    var left = this._evaluate(ast.left, ctx);
+    var right = this._evaluate(ast.right, ctx);
+
+    switch (ast.op) {
+
+        case '=':
+        case '!=':
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            return this._compare(ast.op, left, right);
+
+        case '+':
+            return this.toNumber(left) + this.toNumber(right);
+
+        case '-':
+            return this.toNumber(left) - this.toNumber(right);
+
+        case '*':
+            return this.toNumber(left) * this.toNumber(right);
+
+        case 'div':
+            return this.toNumber(left) / this.toNumber(right);
+
+        case 'mod':
+            return this.toNumber(left) % this.toNumber(right);
+
+        case '|':
+            if (!(left instanceof Array) || !(right instanceof Array))
+                throw 'Union operands must be node-sets';
+            return this._sortNodes(left.concat(right));
+    }
+
+    throw 'Unknown operator "' + ast.op + '"';
+}
+
+/**
+ * Private method. Compare two values, following XPath 1.0 rules for node-sets.
+ */
+XPathEvaluator.prototype._compare = function(op, left, right) {
+
+    // Node-sets compare true if any of their nodes compare true
+    if (left instanceof Array) {
+        for (var i = 0; i < left.length; i++)
+            if (this._compare(op, this._nodeValue(left[i], right), right))
+                return true;
+        return false;
+    }
+
+    if (right instanceof Array) {
+        for (var i = 0; i < right.length; i++)
+            if (this._compare(op, left, this._nodeValue(right[i], left)))
+                return true;
+        return false;
+    }
+
+    if (op == '=' || op == '!=') {
+
+        var equal;
+        if (typeof left == 'boolean' || typeof right == 'boolean')
+            equal = this.toBoolean(left) == this.toBoolean(right);
+        else if (typeof left == 'number' || typeof right == 'number' || left instanceof Date || right instanceof Date)
+            equal = this.toNumber(left) == this.toNumber(right);
+        else
+            equal = this.toString(left) == this.toString(right);
+
+        return op == '=' ? equal : !equal;
+    }
+
+    var a = this.toNumber(left);
+    var b = this.toNumber(right);
+    switch (op) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+    }
+}
+
+/**
+ * Private method. Return a node's value converted to the type of the value it is compared against.
+ */
+XPathEvaluator.prototype._nodeValue = function(node, other) {
+
+    var value = node.getStringValue();
+    if (typeof other == 'number' || other instanceof Date)
+        return this.toNumber(value);
+    if (typeof other == 'boolean')
+        return this.toBoolean([node]);
+
+    return value;
+}
+
+/**
+ * Private method. Evaluate a location path.
+ */
+XPathEvaluator.prototype._evaluatePath = function(ast, ctx) {
+
+    var nodes;
+    if (ast.filter != null) {
+        nodes = this._evaluate(ast.filter, ctx);
+        if (!(nodes instanceof Array))
+            throw 'Path steps can only follow a node-set';
+    } else if (ast.absolute) {
+        nodes = [ctx.root];
+    } else {
+        nodes = [ctx.node];
+    }
+
+    for (var i = 0; i < ast.steps.length; i++) {
+
+        var step = ast.steps[i];
+        var result = [];
+        for (var j = 0; j < nodes.length; j++) {
+
+            var matches = this._applyPredicates(this._selectAxis(nodes[j], step), step.predicates, ctx, this._isReverseAxis(step.axis));
+            for (var k = 0; k < matches.length; k++)
+                if (result.indexOf(matches[k]) == -1)
+                    result.push(matches[k]);
+        }
+
+        nodes = nodes.length > 1 ? this._sortNodes(result) : result;
+    }
+
+    return nodes;
+}
+
+/**
+ * Private method. Return a value indicating whether an axis selects nodes in reverse document order.
+ */
+XPathEvaluator.prototype._isReverseAxis = function(axis) {
+
+    return ['ancestor', 'ancestor-or-self', 'preceding', 'preceding-sibling'].indexOf(axis) != -1;
+}
+
+/**
+ * Private method. Select the nodes on a step's axis which match it's node test.
+ */
+XPathEvaluator.prototype._selectAxis = function(node, step) {
+
+    var candidates = [];
+    var descendants = function(n) {
+        for (var i = 0; i < n.children.length; i++) {
+            candidates.push(n.children[i]);
+            descendants(n.children[i]);
+        }
+    }
+
+    switch (step.axis) {
+
+        case 'self':
+            candidates.push(node);
+            break;
+
+        case 'child':
+            candidates = node.children.slice();
+            break;
+
+        case 'attribute':
+            candidates = node.attributes.slice();
+            break;
+
+        case 'parent':
+            if (node.parent != null)
+                candidates.push(node.parent);
+            break;
+
+        case 'descendant-or-self':
+            candidates.push(node);
+        case 'descendant':
+            descendants(node);
+            break;
+
+        case 'ancestor-or-self':
+            candidates.push(node);
+        case 'ancestor':
+            for (var n = node.parent; n != null; n = n.parent)
+                candidates.push(n);
+            break;
+
+        case 'following-sibling':
+        case 'preceding-sibling':
+            if (node.parent != null && !node.isAttribute) {
+                var siblings = node.parent.children;
+                var index = siblings.indexOf(node);
+                if (step.axis == 'following-sibling')
+                    candidates = siblings.slice(index + 1);
+                else
+                    candidates = siblings.slice(0, index).reverse();
+            }
+            break;
+
+        case 'following':
+        case 'preceding':
+            for (var n = node; n.parent != null; n = n.parent) {
+                if (n.isAttribute)
+                    continue;
+                var siblings = n.parent.children;
+                var index = siblings.indexOf(n);
+                var list = step.axis == 'following' ? siblings.slice(index + 1) : siblings.slice(0, index);
+                for (var i = 0; i < list.length; i++) {
+                    candidates.push(list[i]);
+                    descendants(list[i]);
+                }
+            }
+            candidates = this._sortNodes(candidates);
+            if (step.axis == 'preceding')
+                candidates.reverse();
+            break;
+
+        default:
+            throw 'Unsupported axis "' + step.axis + '"';
+    }
+
+    var result = [];
+    for (var i = 0; i < candidates.length; i++) {
+
+        var n = candidates[i];
+        if (step.nodeType == 'node') {
+            result.push(n);
+        } else if (step.nodeType == 'text') {
+            if (n.children.length == 0 && !n.isAttribute && n.value != '') {
+                var text = new InstanceNode('#text');
+                text.parent = n;
+                text.value = n.value;
+                result.push(text);
+            }
+        } else if (step.nodeType == null && n.name != '#document' && (step.axis == 'attribute') == n.isAttribute) {
+            if (step.name == '*' || step.name == n.name || step.name == n.name.replace(/^.*:/, ''))
+                result.push(n);
+            else if (/:\*$/.test(step.name) && n.name.indexOf(step.name.slice(0, -1)) == 0)
+                result.push(n);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Private method. Filter a node list through a list of predicates.
+ */
+XPathEvaluator.prototype._applyPredicates = function(nodes, predicates, ctx, reverse) {
+
+    for (var i = 0; i < predicates.length; i++) {
+
+        var result = [];
+        for (var j = 0; j < nodes.length; j++) {
+
+            var position = reverse ? nodes.length - j : j + 1;
+            var value = this._evaluate(predicates[i], {'node':nodes[j], 'position':position, 'size':nodes.length, 'current':ctx.current, 'root':ctx.root});
+            if (typeof value == 'number' ? value == position : this.toBoolean(value))
+                result.push(nodes[j]);
+        }
+        nodes = result;
+    }
+
+    return nodes;
+}
+
+/**
+ * Private method. Sort a list of nodes in document order and remove duplicates.
+ */
+XPathEvaluator.prototype._sortNodes = function(nodes) {
+
+    var keyOf = function(node) {
+        var key = [];
+        for (var n = node; n.parent != null; n = n.parent) {
+            if (n.isAttribute)
+                key.unshift(0, n.parent.attributes.indexOf(n));
+            else
+                key.unshift(1, n.parent.children.indexOf(n));
+        }
+        return key;
+    }
+
+    var keyed = [];
+    for (var i = 0; i < nodes.length; i++)
+        if (nodes.indexOf(nodes[i]) == i)
+            keyed.push({'node':nodes[i], 'key':keyOf(nodes[i])});
+
+    keyed.sort(function(a, b) {
+        for (var i = 0; i < Math.min(a.key.length, b.key.length); i++)
+            if (a.key[i] != b.key[i])
+                return a.key[i] - b.key[i];
+        return a.key.length - b.key.length;
+    });
+
+    var result = [];
+    for (var i = 0; i < keyed.length; i++)
+        result.push(keyed[i].node);
+
+    return result;
+}
+
+/**
+ * Private method. Evaluate a function call.
+ */
+XPathEvaluator.prototype._evaluateFunction = function(ast, ctx) {
+
+    // Only evaluate the branch that was selected
+    if (ast.name == 'if') {
+        if (ast.args.length != 3)
+            throw 'Function if() expects 3 arguments';
+        return this._evaluate(ast.args[this.toBoolean(this._evaluate(ast.args[0], ctx)) ? 1 : 2], ctx);
+    }
+
+    var fn = this.functions[ast.name] || XPathEvaluator.Functions[ast.name];
+    if (fn == undefined)
+        throw 'Unknown function "' + ast.name + '()"';
+
+    var args = [ctx];
+    for (var i = 0; i < ast.args.length; i++)
+        args.push(this._evaluate(ast.args[i], ctx));
+
+    return fn.apply(this, args);
+}
+
+/**
+ * Private method. Convert a Date to the number of days since the epoch, in local time.
+ */
+XPathEvaluator.prototype._dateToDays = function(date) {
+
+    var utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+    return utc / 86400000;
+}
+
+/**
+ * Private method. Parse an XML Schema date, dateTime or time string.
+ *
+ * @return Date or null if the string isn't a valid date.
+ */
+XPathEvaluator.prototype._parseDate = function(str) {
+
+    var temp = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+    if (temp != null)
+        return new Date(parseInt(temp[1], 10), parseInt(temp[2], 10) - 1, parseInt(temp[3], 10));
+
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/.test(str)) {
+        var date = new Date(str.replace(/([+-]\d{2})(\d{2})$/, '$1:$2').replace(/([+-]\d{2})$/, '$1:00'));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // Times are taken as being on the epoch day
+    temp = /^(\d{2}):(\d{2})(:(\d{2})(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/.exec(str);
+    if (temp != null)
+        return this._parseDate('1970-01-01T' + str);
+
+    return null;
+}
+
+/**
+ * Private method. Format a Date as an XML Schema date, or dateTime if it holds a time of day.
+ */
+XPathEvaluator.prototype._formatDate = function(date) {
+
+    if (isNaN(date.getTime()))
+        return '';
+
+    var pad = function(n, len) {
+        n = String(Math.abs(n));
+        while (n.length < (len || 2))
+            n = '0' + n;
+        return n;
+    }
+
+    var str = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+    if (date.getHours() == 0 && date.getMinutes() == 0 && date.getSeconds() == 0 && date.getMilliseconds() == 0)
+        return str;
+
+    var offset = -date.getTimezoneOffset();
+    return str + 'T' + pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds()) + '.' + pad(date.getMilliseconds(), 3) +
+        (offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60)) + ':' + pad(Math.abs(offset) % 60);
+}
+
+/**
+ * Private method. Generate a random version 4 UUID string.
+ */
+XPathEvaluator.prototype._generateUUID = function() {
+
+    var self = this;
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        var r = Math.floor(self.random() * 16);
+        return (c == 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Private method. Split a space separated multiple choice value into a list of choices.
+ */
+XPathEvaluator.prototype._splitChoices = function(value) {
+
+    value = this.toString(value).trim();
+    return value == '' ? [] : value.split(/\s+/);
+}
+
+/**
+ * Private method. Return the list of numbers for aggregate functions, which accept either
+ * a single node-set or any number of values.
+ */
+XPathEvaluator.prototype._aggregateValues = function(args) {
+
+    var values = [];
+    for (var i = 0; i < args.length; i++) {
+        if (args[i] instanceof Array) {
+            for (var j = 0; j < args[i].length; j++)
+                values.push(this.toNumber(args[i][j].getStringValue()));
+        } else {
+            values.push(this.toNumber(args[i]));
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Private method. Return the points of geo functions' arguments, which are geopoint, geotrace or geoshape
+ * strings, or node-sets of them, e.g. the geopoints of every repeat instance.
+ */
+XPathEvaluator.prototype._geoPoints = function(args) {
+
+    var points = [];
+    for (var i = 0; i < args.length; i++) {
+        if (args[i] instanceof Array) {
+            for (var j = 0; j < args[i].length; j++)
+                points = points.concat(GeoUtils.parse(args[i][j].getStringValue()));
+        } else {
+            points = points.concat(GeoUtils.parse(this.toString(args[i])));
+        }
+    }
+
+    return points;
+}
+
+
+
+/****************************** XPathEvaluator.Functions ******************************/
+
+
+/**
+ * Built-in function library. Each function is called with the evaluator as 'this', the evaluation
+ * context as it's first argument and the evaluated expression arguments following it.
+ */
+XPathEvaluator.Functions = {
+
+    /* XPath 1.0 node-set functions */
+
+    'last': function(ctx) {
+        return ctx.size;
+    },
+
+    'position': function(ctx, node) {
+        // ODK extension: position(node) returns the node's index among it's same named siblings
+        if (node == undefined)
+            return ctx.position;
+        if (!(node instanceof Array) || node.length == 0)
+            throw 'Function position() expects a single node';
+        node = node[0];
+        if (node.parent == null)
+            return 1;
+        var index = 0;
+        for (var i = 0; i < node.parent.children.length; i++) {
+            if (node.parent.children[i].name == node.name)
+                index++;
+            if (node.parent.children[i] == node)
+                return index;
+        }
+        return index;
+    },
+
+    'count': function(ctx, nodes) {
+        if (!(nodes instanceof Array))
+            throw 'Function count() expects a node-set';
+        return nodes.length;
+    },
+
+    'count-non-empty': function(ctx, nodes) {
+        var count = 0;
+        for (var i = 0; i < nodes.length; i++)
+            if (nodes[i].getStringValue() != '')
+                count++;
+        return count;
+    },
+
+    'local-name': function(ctx, nodes) {
+        nodes = nodes || [ctx.node];
+        return nodes.length > 0 ? nodes[0].name.replace(/^.*:/, '') : '';
+    },
+
+    'name': function(ctx, nodes) {
+        nodes = nodes || [ctx.node];
+        return nodes.length > 0 ? nodes[0].name : '';
+    },
+
+    'current': function(ctx) {
+        return [ctx.current];
+    },
+
+    'instance': function(ctx, id) {
+        var instance = this.parser != null ? this.parser.getInstance(this.toString(id)) : null;
+        if (instance == null)
+            throw 'Unknown instance "' + this.toString(id) + '"';
+        return [instance];
+    },
+
+    /* XPath 1.0 string functions */
+
+    'string': function(ctx, value) {
+        return this.toString(value == undefined ? [ctx.node] : value);
+    },
+
+    'concat': function(ctx) {
+        var result = '';
+        for (var i = 1; i < arguments.length; i++) {
+            // ODK allows node-sets, which are concatenated as a whole
+            if (arguments[i] instanceof Array)
+                for (var j = 0; j < arguments[i].length; j++)
+                    result += arguments[i][j].getStringValue();
+            else
+                result += this.toString(arguments[i]);
+        }
+        return result;
+    },
+
+    'join': function(ctx, separator, nodes) {
+        var values = [];
+        for (var i = 2; i < arguments.length; i++) {
+            if (arguments[i] instanceof Array)
+                for (var j = 0; j < arguments[i].length; j++)
+                    values.push(arguments[i][j].getStringValue());
+            else
+                values.push(this.toString(arguments[i]));
+        }
+        return values.join(this.toString(separator));
+    },
+
+    'starts-with': function(ctx, str, prefix) {
+        return this.toString(str).indexOf(this.toString(prefix)) == 0;
+    },
+
+    'ends-with': function(ctx, str, suffix) {
+        str = this.toString(str);
+        suffix = this.toString(suffix);
+        return str.length >= suffix.length && str.substr(str.length - suffix.length) == suffix;
+    },
+
+    'contains': function(ctx, str, part) {
+        return this.toString(str).indexOf(this.toString(part)) != -1;
+    },
+
+    'substring-before': function(ctx, str, part) {
+        str = this.toString(str);
+        var index = str.indexOf(this.toString(part));
+        return index == -1 ? '' : str.substr(0, index);
+    },
+
+    'substring-after': function(ctx, str, part) {
+        str = this.toString(str);
+        part = this.toString(part);
+        var index = str.indexOf(part);
+        return index == -1 ? '' : str.substr(index + part.length);
+    },
+
+    'substring': function(ctx, str, start, length) {
+        str = this.toString(str);
+        start = Math.round(this.toNumber(start));
+        var end = length == undefined ? Infinity : start + Math.round(this.toNumber(length));
+        var result = '';
+        for (var i = 0; i < str.length; i++)
+            if (i + 1 >= start && i + 1 < end)
+                result += str[i];
+        return result;
+    },
+
+    'substr': function(ctx, str, start, end) {
+        // ODK variant with zero based start and end indexes
+        str = this.toString(str);
+        start = this.toNumber(start);
+        end = end == undefined ? str.length : this.toNumber(end);
+        if (start < 0)
+            start = Math.max(0, str.length + start);
+        if (end < 0)
+            end = Math.max(0, str.length + end);
+        return str.substring(start, Math.max(start, end));
+    },
+
+    'string-length': function(ctx, str) {
+        return this.toString(str == undefined ? [ctx.node] : str).length;
+    },
+
+    'normalize-space': function(ctx, str) {
+        return this.toString(str == undefined ? [ctx.node] : str).trim().replace(/\s+/g, ' ');
+    },
+
+    'translate': function(ctx, str, from, to) {
+        str = this.toString(str);
+        from = this.toString(from);
+        to = this.toString(to);
+        var result = '';
+        for (var i = 0; i < str.length; i++) {
+            var index = from.indexOf(str[i]);
+            if (index == -1)
+                result += str[i];
+            else if (index < to.length)
+                result += to[index];
+        }
+        return result;
+    },
+
+    'regex': function(ctx, str, pattern) {
+        return new RegExp(this.toString(pattern)).test(this.toString(str));
+    },
+
+    'coalesce': function(ctx, a, b) {
+        a = this.toString(a);
+        return a != '' ? a : this.toString(b);
+    },
+
+    'uuid': function(ctx, length) {
+        if (length == undefined)
+            return this.uuid();
+        var chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+        var result = '';
+        length = this.toNumber(length);
+        for (var i = 0; i < length; i++)
+            result += chars[Math.floor(this.random() * chars.length)];
+        return result;
+    },
+
+    /* Boolean functions */
+
+    'boolean': function(ctx, value) {
+        return this.toBoolean(value);
+    },
+
+    'boolean-from-string': function(ctx, value) {
+        value = this.toString(value);
+        return value == 'true' || value == '1';
+    },
+
+    'not': function(ctx, value) {
+        return !this.toBoolean(value);
+    },
+
+    'true': function(ctx) {
+        return true;
+    },
+
+    'false': function(ctx) {
+        return false;
+    },
+
+    /* Number functions */
+
+    'number': function(ctx, value) {
+        return this.toNumber(value == undefined ? [ctx.node] : value);
+    },
+
+    'int': function(ctx, value) {
+        value = this.toNumber(value);
+        return value < 0 ? Math.ceil(value) : Math.floor(value);
+    },
+
+    'sum': function(ctx, nodes) {
+        if (!(nodes instanceof Array))
+            throw 'Function sum() expects a node-set';
+        var values = this._aggregateValues([nodes]);
+        var total = 0;
+        for (var i = 0; i < values.length; i++)
+            total += values[i];
+        return total;
+    },
+
+    'max': function(ctx) {
+        var values = this._aggregateValues(Array.prototype.slice.call(arguments, 1));
+        return values.length == 0 ? NaN : Math.max.apply(Math, values);
+    },
+
+    'min': function(ctx) {
+        var values = this._aggregateValues(Array.prototype.slice.call(arguments, 1));
+        return values.length == 0 ? NaN : Math.min.apply(Math, values);
+    },
+
+    'floor': function(ctx, value) {
+        return Math.floor(this.toNumber(value));
+    },
+
+    'ceiling': function(ctx, value) {
+        return Math.ceil(this.toNumber(value));
+    },
+
+    'round': function(ctx, value, digits) {
+        value = this.toNumber(value);
+        var factor = Math.pow(10, digits == undefined ? 0 : this.toNumber(digits));
+        return Math.round(value * factor) / factor;
+    },
+
+    'abs': function(ctx, value) {
+        return Math.abs(this.toNumber(value));
+    },
+
+    'pow': function(ctx, value, power) {
+        return Math.pow(this.toNumber(value), this.toNumber(power));
+    },
+
+    'sqrt': function(ctx, value) {
+        return Math.sqrt(this.toNumber(value));
+    },
+
+    'exp': function(ctx, value) {
+        return Math.exp(this.toNumber(value));
+    },
+
+    'exp10': function(ctx, value) {
+        return Math.pow(10, this.toNumber(value));
+    },
+
+    'log': function(ctx, value) {
+        return Math.log(this.toNumber(value));
+    },
+
+    'log10': function(ctx, value) {
+        return Math.log(this.toNumber(value)) / Math.LN10;
+    },
+
+    'sin': function(ctx, value) {
+        return Math.sin(this.toNumber(value));
+    },
+
+    'cos': function(ctx, value) {
+        return Math.cos(this.toNumber(value));
+    },
+
+    'tan': function(ctx, value) {
+        return Math.tan(this.toNumber(value));
+    },
+
+    'asin': function(ctx, value) {
+        return Math.asin(this.toNumber(value));
+    },
+
+    'acos': function(ctx, value) {
+        return Math.acos(this.toNumber(value));
+    },
+
+    'atan': function(ctx, value) {
+        return Math.atan(this.toNumber(value));
+    },
+
+    'atan2': function(ctx, y, x) {
+        return Math.atan2(this.toNumber(y), this.toNumber(x));
+    },
+
+    'pi': function(ctx) {
+        return Math.PI;
+    },
+
+    'random': function(ctx) {
+        return this.random();
+    },
+
+    /* Multiple choice functions */
+
+    'selected': function(ctx, list, value) {
+        return this._splitChoices(list).indexOf(this.toString(value).trim()) != -1;
+    },
+
+    'count-selected': function(ctx, list) {
+        return this._splitChoices(list).length;
+    },
+
+    'selected-at': function(ctx, list, index) {
+        var value = this._splitChoices(list)[this.toNumber(index)];
+        return value != undefined ? value : '';
+    },
+
+    'jr:choice-name': function(ctx, value, path) {
+        if (this.parser == null)
+            return '';
+        var nodes = this.evaluate(this.toString(path), ctx.node);
+        var control = nodes instanceof Array && nodes.length > 0 ? this.parser.findControl(nodes[0].getPath()) : null;
+        if (control == null || control.getChoices == undefined)
+            return '';
+        value = this.toString(value);
+        var choices = control.getChoices(this, nodes[0]);
+        for (var i = 0; i < choices.length; i++)
+            if (choices[i].value == value)
+                return control.getText(choices[i].label, undefined, undefined, this, nodes[0]);
+        return '';
+    },
+
+    /* Date functions */
+
+    'date': function(ctx, value) {
+        var date = this.toDate(value);
+        if (date == null)
+            throw 'Invalid date "' + this.toString(value) + '"';
+        return date;
+    },
+
+    'date-time': function(ctx, value) {
+        return XPathEvaluator.Functions['date'].call(this, ctx, value);
+    },
+
+    'today': function(ctx) {
+        var now = this.now();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    },
+
+    'now': function(ctx) {
+        return this.now();
+    },
+
+    'decimal-date-time': function(ctx, value) {
+        var date = this.toDate(value);
+        return date != null ? this._dateToDays(date) : NaN;
+    },
+
+    'decimal-time': function(ctx, value) {
+        var date = this.toDate(value);
+        if (date == null)
+            return NaN;
+        return (date.getHours() * 3600000 + date.getMinutes() * 60000 + date.getSeconds() * 1000 + date.getMilliseconds()) / 86400000;
+    },
+
+    'format-date': function(ctx, value, format) {
+        var date = this.toDate(value);
+        if (date == null)
+            return '';
+        var months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        var days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        var pad = function(n, len) {
+            n = String(n);
+            while (n.length < (len || 2))
+                n = '0' + n;
+            return n;
+        }
+        return this.toString(format).replace(/%([YymnbdeHhMS3a])/g, function(match, c) {
+            switch (c) {
+                case 'Y': return String(date.getFullYear());
+                case 'y': return pad(date.getFullYear() % 100);
+                case 'm': return pad(date.getMonth() + 1);
+                case 'n': return String(date.getMonth() + 1);
+                case 'b': return months[date.getMonth()];
+                case 'd': return pad(date.getDate());
+                case 'e': return String(date.getDate());
+                case 'H': return pad(date.getHours());
+                case 'h': return String(date.getHours());
+                case 'M': return pad(date.getMinutes());
+                case 'S': return pad(date.getSeconds());
+                case '3': return pad(date.getMilliseconds(), 3);
+                case 'a': return days[date.getDay()];
+            }
+        });
+    },
+
+    'format-date-time': function(ctx, value, format) {
+        return XPathEvaluator.Functions['format-date'].call(this, ctx, value, format);
+    },
+
+    /* Geo functions */
+
+    'area': function(ctx) {
+        return GeoUtils.area(this._geoPoints(Array.prototype.slice.call(arguments, 1)));
+    },
+
+    'distance': function(ctx) {
+        return GeoUtils.distance(this._geoPoints(Array.prototype.slice.call(arguments, 1)));
+    },
+
+    'geofence': function(ctx, point, shape) {
+        // Whether a geopoint lies within a geoshape, e.g. geofence(., /data/plot)
+        point = this._geoPoints([point]);
+        shape = this._geoPoints([shape]);
+        return point.length == 1 && shape.length >= 3 && GeoUtils.contains(shape, point[0]);
+    },
+
+    /* Other ODK functions */
+
+    'once': function(ctx, value) {
+        var current = ctx.node.getStringValue();
+        return current != '' ? current : value;
+    },
+
+    'pulldata': function(ctx, id, column, queryColumn, queryValue) {
+        var instance = this.parser != null ? this.parser.getInstance(this.toString(id)) : null;
+        if (instance == null || instance.children.length == 0)
+            return '';
+        column = this.toString(column);
+        queryColumn = this.toString(queryColumn);
+        queryValue = this.toString(queryValue);
+        var rows = instance.children[0].children;
+        for (var i = 0; i < rows.length; i++) {
+            var match = null;
+            var result = null;
+            for (var j = 0; j < rows[i].children.length; j++) {
+                var cell = rows[i].children[j];
+                if (cell.name == queryColumn)
+                    match = cell.getStringValue() == queryValue;
+                if (cell.name == column)
+                    result = cell.getStringValue();
+            }
+            if (match && result != null)
+                return result;
+        }
+        return '';
+    }
+};
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.XPathEvaluator = XPathEvaluator;
@@ -0,0 +1,633 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+
+if (typeof module != 'undefined' && module.exports) {
+    var XMLUtils = require('./xmlutils').XMLUtils;
+    var XPathExpression = require('./xpath').XPathExpression;
+    var XFormTypes = require('./types').XFormTypes;
+    var FormState = require('./formstate').FormState;
+}
+
+
+/****************************** FormDiff ******************************/
+
+
+/**
+ * Constructor. Initialize a new comparison between two versions of a form, which finds the questions that
+ * were added, removed, renamed, retyped or moved, and the choice lists and constraints which changed.
+ * Answers given to the old version are carried over to the new one with migrate().
+ *
+ * Questions are matched by name first: under their parent, which may have been renamed or moved itself, and
+ * then anywhere in the form when their name is unique. The remaining ones are taken as renamed when a single
+ * question under the same parent has the same type and label. Questions are matched after their parent, so
+ * those of a renamed group follow it rather than being taken as moved.
+ *
+ * @object oldParser ODKParser instance with the old version loaded.
+ * @object newParser ODKParser instance with the new version loaded.
+ */
+function FormDiff(oldParser, newParser) {
+
+    this.oldParser = oldParser;
+    this.newParser = newParser;
+    this.map = {};
+    this.reasons = {};
+    this.changes = [];
+
+    if (oldParser != undefined && newParser != undefined) {
+        this._match();
+        this._compare();
+    }
+}
+
+/**
+ * Return the differences between the two versions. Every change is an Object with:
+ *   'type'    - one of 'added', 'removed', 'renamed', 'moved', 'retyped', 'choices', 'constraint' or 'required'.
+ *   'path'    - path in the new version, or null for removed questions.
+ *   'oldPath' - path in the old version, or null for added questions.
+ *   'message' - description of the change.
+ * Retyped, constraint and required changes also have 'before' and 'after', while choice changes have the
+ * 'added' and 'removed' choice values. The questions of added, removed, renamed or moved groups aren't
+ * listed themselves.
+ *
+ * @return Array of change Objects.
+ */
+FormDiff.prototype.getChanges = function() {
+
+    return this.changes.slice();
+}
+
+/**
+ * Return a value indicating whether the versions differ at all.
+ *
+ * @return Boolean value.
+ */
+FormDiff.prototype.hasChanges = function() {
+
+    return this.changes.length > 0;
+}
+
+/**
+ * Return the path a node of the old version has in the new one.
+ *
+ * @string path Path in the old version. Position predicates are kept for nodes which still repeat,
+ *              e.g. '/data/kids[2]/age' may become '/data/children[2]/age'.
+ * @return Path in the new version, or null if the node was removed.
+ */
+FormDiff.prototype.mapPath = function(path) {
+
+    var target = this.map[path.replace(/\[\d+\]/g, '')];
+    if (target == undefined)
+        return null;
+
+    // Remember the position of every repeat, by it's new path
+    var positions = {};
+    var parts = path.split('/');
+    var prefix = '';
+    for (var i = 1; i < parts.length; i++) {
+        var results = /^(.*)\[(\d+)\]$/.exec(parts[i]);
+        prefix += '/' + (results != null ? results[1] : parts[i]);
+        if (results != null && this.map[prefix] != undefined)
+            positions[this.map[prefix]] = results[2];
+    }
+
+    // Nodes which became repeats are the first instance
+    var result = '';
+    parts = target.split('/');
+    prefix = '';
+    for (var i = 1; i < parts.length; i++) {
+        prefix += '/' + parts[i];
+        result += '/' + parts[i];
+        if (this.newParser.isRepeat(prefix) && (i < parts.length - 1 || /\]$/.test(path)))
+            result += '[' + (positions[prefix] || 1) + ']';
+    }
+
+    return result;
+}
+
+/**
+ * Carry the answers given to the old version over to the new one, replacing the new form's answers.
+ *
+ * Answers follow their questions when they're renamed or moved, and are converted when their type changed.
+ * Answers of removed questions, and those which can't be converted, are dropped. Answers which no longer
+ * satisfy their constraint, or which aren't among the choices offered any more, are kept but flagged.
+ *
+ * Every decision is explained by an Object with:
+ *   'action'  - one of 'kept', 'moved', 'converted', 'dropped', 'recalculated', 'flagged' or 'replaced', for the
+ *               instanceID of a submitted instance, which gets a new one with the old one as deprecatedID.
+ *   'path'    - indexed path in the new version, or null for dropped answers.
+ *   'oldPath' - indexed path in the old version.
+ *   'value'   - the answer.
+ *   'message' - description of the decision.
+ *
+ * @object instance Either a snapshot of the old version's answers, see FormState.getSnapshot(), such as
+ *                  a draft, or a submitted instance XML string.
+ * @return Object with the decisions, the indexed paths of flagged answers and the new version's snapshot.
+ */
+FormDiff.prototype.migrate = function(instance) {
+
+    var snapshot = instance;
+    if (typeof instance == 'string') {
+        var state = new FormState(this.oldParser);
+        state.load(XMLUtils.parse(instance).documentElement);
+        snapshot = state.getSnapshot();
+    }
+
+    var decisions = [];
+    var decide = function(action, path, oldPath, value, message) {
+        var decision = {'action':action, 'path':path, 'oldPath':oldPath, 'value':value, 'message':message};
+        decisions.push(decision);
+        return decision;
+    }
+
+    var repeats = {};
+    for (var path in snapshot.repeats) {
+
+        var count = snapshot.repeats[path];
+        var target = this.mapPath(path);
+        if (target == null) {
+            if (count > 0)
+                decide('dropped', null, path, count, 'Dropped ' + count + ' instance(s) of "' + path + '", which was removed');
+        } else if (!this.newParser.isRepeat(target.replace(/\[\d+\]/g, ''))) {
+            if (count > 1)
+                decide('dropped', null, path, count, 'Dropped ' + (count - 1) + ' instance(s) of "' + path + '", as "' + target + '" no longer repeats');
+        } else {
+            repeats[target] = count;
+        }
+    }
+
+    var answers = {};
+    var kept = [];
+    for (var path in snapshot.answers) {
+
+        var value = snapshot.answers[path];
+        var target = this.mapPath(path);
+
+        // Unanswered questions only clear the new answers
+        if (value == '') {
+            if (target != null && answers[target] == undefined)
+                answers[target] = '';
+            continue;
+        }
+
+        if (target == null) {
+            decide('dropped', null, path, value, 'Dropped "' + value + '" of "' + path + '", which was removed');
+            continue;
+        }
+
+        if (answers[target] != undefined && answers[target] != '') {
+            decide('dropped', null, path, value, 'Dropped "' + value + '" of "' + path + '", as "' + target + '" already holds "' + answers[target] + '"');
+            continue;
+        }
+
+        var generic = target.replace(/\[\d+\]/g, '');
+        if (this.newParser.fields[generic].container) {
+            decide('dropped', null, path, value, 'Dropped "' + value + '" of "' + path + '", as "' + target + '" became a group');
+            continue;
+        }
+
+        var type = XFormTypes.getType(this.newParser.fields[generic].type);
+        var converted;
+        try {
+            converted = XFormTypes.normalize(type, value);
+        } catch (e) {
+            decide('dropped', null, path, value, 'Dropped "' + value + '" of "' + path + '", which isn\'t a valid ' + type + ' value: ' + e);
+            continue;
+        }
+
+        answers[target] = converted;
+
+        // Migrated submissions are edited copies, see FormState.serialize()
+        if (target == this.newParser.basePath + '/meta/instanceID' && value == snapshot.deprecatedID) {
+            decide('replaced', target, path, value, 'Replaced the instanceID "' + value + '" of the submitted instance with a new one once serialized, keeping the old one as the deprecatedID');
+            continue;
+        }
+
+        if (converted != value)
+            kept.push(decide('converted', target, path, converted, 'Converted "' + value + '" of "' + path + '" to the ' + type + ' value "' + converted + '"' +
+                (target != path ? ' for "' + target + '"' : '')));
+        else if (target != path)
+            kept.push(decide('moved', target, path, value, 'Moved "' + value + '" from "' + path + '" to "' + target + '", ' + this._explain(path, target)));
+        else
+            kept.push(decide('kept', target, path, value, 'Kept "' + value + '" of "' + path + '"'));
+    }
+
+    // Files are kept with the answers naming them
+    var attachments = (snapshot.attachments || []).filter(function(file) {
+        for (var path in answers)
+            if (answers[path] == file.name)
+                return true;
+        return false;
+    });
+
+    var state = this.newParser.getState();
+    state.restore({'answers':answers, 'repeats':repeats, 'deprecatedID':snapshot.deprecatedID, 'attachments':attachments});
+
+    // Answers are checked against the new version once they're all in place, as they may depend on each other
+    var flagged = [];
+    var validator = this.newParser.getValidator();
+    for (var i = 0; i < kept.length; i++) {
+
+        var decision = kept[i];
+        var node = state.getNode(decision.path);
+        if (node == null)
+            continue;
+
+        if (node.value != decision.value) {
+            decide('recalculated', decision.path, decision.oldPath, node.value, 'The new version calculates "' + decision.path + '" as "' + node.value + '" instead of "' + decision.value + '"');
+            continue;
+        }
+
+        var message = null;
+        var error = validator.validateField(decision.path);
+        if (error != null && error.type == 'constraint')
+            message = 'doesn\'t satisfy the new constraint: ' + error.message;
+
+        var control = this.newParser.findControl(node.getPath());
+        if (message == null && control != null && control.getControlType() == 'select') {
+
+            var choices = control.getChoices(state.evaluator, node).map(function(choice) {
+                return choice.value;
+            });
+            var missing = (control.multiple ? node.value.split(' ') : [node.value]).filter(function(value) {
+                return choices.indexOf(value) == -1;
+            });
+            if (missing.length > 0)
+                message = 'is no longer among the choices: "' + missing.join('", "') + '"';
+        }
+
+        if (message != null) {
+            decide('flagged', decision.path, decision.oldPath, node.value, 'The answer "' + node.value + '" of "' + decision.path + '" ' + message);
+            flagged.push(decision.path);
+        }
+    }
+
+    return {'decisions':decisions, 'flagged':flagged, 'snapshot':state.getSnapshot()};
+}
+
+/**
+ * Private method. Match the old version's paths to the new version's. Questions whose parent is still
+ * unmatched are only looked up by name once nothing else matches.
+ */
+FormDiff.prototype._match = function() {
+
+    var self = this;
+    var oldPaths = Object.keys(this.oldParser.fields);
+    var newPaths = Object.keys(this.newParser.fields);
+    var claimed = {};
+    var match = function(path, target, reason) {
+        self.map[path] = target;
+        self.reasons[path] = reason;
+        claimed[target] = true;
+    }
+
+    var getName = function(path) {
+        return path.substr(path.lastIndexOf('/') + 1);
+    }
+    var getParent = function(path) {
+        return path.substr(0, path.lastIndexOf('/'));
+    }
+
+    // The root may be renamed along with the form
+    match(this.oldParser.basePath, this.newParser.basePath, 'same');
+
+    // The same name under the same parent, or under the one it became
+    var sameParent = function(path, unclaimed) {
+
+        var parent = self.map[getParent(path)];
+        var target = parent + '/' + getName(path);
+        if (parent == undefined || self.newParser.fields[target] == undefined || claimed[target])
+            return false;
+
+        match(path, target, target == path ? 'same' : 'parent');
+        return true;
+    }
+
+    // The same name elsewhere, as long as only one question of the old and the new version has it
+    var sameName = function(path, unclaimed, unmatched) {
+
+        var name = getName(path);
+        var sources = unmatched.filter(function(p) {
+            return getName(p) == name;
+        });
+        var targets = unclaimed.filter(function(p) {
+            return getName(p) == name;
+        });
+
+        if (sources.length != 1 || targets.length != 1)
+            return false;
+
+        match(path, targets[0], 'moved');
+        return true;
+    }
+
+    // Another name under the same parent, for the only question of the same type and label
+    var sameSignature = function(path, unclaimed) {
+
+        var parent = self.map[getParent(path)];
+        var signature = self._getSignature(self.oldParser, path);
+        if (parent == undefined || signature == null)
+            return false;
+
+        var targets = unclaimed.filter(function(p) {
+            return getParent(p) == parent && self._getSignature(self.newParser, p) == signature;
+        });
+
+        if (targets.length != 1)
+            return false;
+
+        match(path, targets[0], 'renamed');
+        return true;
+    }
+
+    // Every match may allow further ones, so the stages start over after each
+    var stages = [
+        {'fn':sameParent, 'parentMatched':false},
+        {'fn':sameName, 'parentMatched':true},
+        {'fn':sameSignature, 'parentMatched':true},
+        {'fn':sameName, 'parentMatched':false}
+    ];
+
+    for (var i = 0; i < stages.length; i++) {
+
+        var unmatched = oldPaths.filter(function(path) {
+            return self.map[path] == undefined;
+        });
+        var unclaimed = newPaths.filter(function(path) {
+            return !claimed[path];
+        });
+
+        for (var j = 0; j < unmatched.length; j++) {
+            if (stages[i].parentMatched && this.map[getParent(unmatched[j])] == undefined)
+                continue;
+            if (stages[i].fn(unmatched[j], unclaimed, unmatched)) {
+                i = -1;
+                break;
+            }
+        }
+    }
+
+    this.added = newPaths.filter(function(path) {
+        return !claimed[path];
+    });
+}
+
+/**
+ * Private method. List the changes between the matched paths.
+ */
+FormDiff.prototype._compare = function() {
+
+    var self = this;
+    for (var path in this.oldParser.fields) {
+
+        var target = this.map[path];
+        if (target == undefined) {
+
+            // Only the outermost removed node is listed
+            if (this.map[path.substr(0, path.lastIndexOf('/'))] != undefined)
+                this._addChange('removed', null, path, '"' + path + '" was removed');
+            continue;
+        }
+
+        if (this.reasons[path] == 'renamed')
+            this._addChange('renamed', target, path, '"' + path + '" was renamed to "' + target + '"');
+        else if (this.reasons[path] == 'moved')
+            this._addChange('moved', target, path, '"' + path + '" was moved to "' + target + '"');
+
+        var before = this._describe(this.oldParser, path);
+        var after = this._describe(this.newParser, target);
+        if (before != after) {
+            var change = this._addChange('retyped', target, path, '"' + target + '" changed from ' + before + ' to ' + after);
+            change.before = before;
+            change.after = after;
+        }
+
+        var attributes = ['constraint', 'required'];
+        for (var i = 0; i < attributes.length; i++) {
+
+            before = this._getExpression(this.oldParser, path, attributes[i], true);
+            after = this._getExpression(this.newParser, target, attributes[i], false);
+            if (before == after)
+                continue;
+
+            var message = 'The ' + (attributes[i] == 'required' ? 'required condition' : attributes[i]) + ' of "' + target + '" ';
+            if (before == null)
+                message += 'was added: "' + after + '"';
+            else if (after == null)
+                message += 'was removed, it was "' + before + '"';
+            else
+                message += 'changed from "' + before + '" to "' + after + '"';
+
+            var change = this._addChange(attributes[i], target, path, message);
+            change.before = before;
+            change.after = after;
+        }
+
+        var oldChoices = this._getChoiceValues(this.oldParser, path);
+        var newChoices = this._getChoiceValues(this.newParser, target);
+        if (oldChoices != null && newChoices != null) {
+
+            var added = newChoices.filter(function(value) {
+                return oldChoices.indexOf(value) == -1;
+            });
+            var removed = oldChoices.filter(function(value) {
+                return newChoices.indexOf(value) == -1;
+            });
+
+            if (added.length > 0 || removed.length > 0) {
+                var list = [];
+                if (added.length > 0)
+                    list.push('added "' + added.join('", "') + '"');
+                if (removed.length > 0)
+                    list.push('removed "' + removed.join('", "') + '"');
+
+                var change = this._addChange('choices', target, path, 'The choices of "' + target + '" changed: ' + list.join(', '));
+                change.added = added;
+                change.removed = removed;
+            }
+        }
+    }
+
+    var claimed = {};
+    for (var path in this.map)
+        claimed[this.map[path]] = true;
+
+    for (var i = 0; i < this.added.length; i++) {
+        var path = this.added[i];
+        if (claimed[path.substr(0, path.lastIndexOf('/'))])
+            this._addChange('added', path, null, '"' + path + '" was added');
+    }
+}
+
+/**
+ * Private method. Record a change.
+ *
+ * @return The change Object.
+ */
+FormDiff.prototype._addChange = function(type, path, oldPath, message) {
+
+    var change = {'type':type, 'path':path, 'oldPath':oldPath, 'message':message};
+    this.changes.push(change);
+    return change;
+}
+
+/**
+ * Private method. Explain why an indexed path of the old version maps to another one in the new version.
+ */
+FormDiff.prototype._explain = function(path, target) {
+
+    var generic = path.replace(/\[\d+\]/g, '');
+    for (var p = generic; p != ''; p = p.substr(0, p.lastIndexOf('/'))) {
+
+        var reason = this.reasons[p];
+        if (reason == 'renamed' || reason == 'moved')
+            return p == generic ? 'which was ' + reason : 'as "' + p + '" was ' + reason;
+    }
+
+    if (this.oldParser.basePath != this.newParser.basePath)
+        return 'as the form\'s root was renamed';
+
+    // Otherwise only the repeats changed
+    var parts = target.replace(/\[\d+\]/g, '').split('/');
+    for (var i = 2; i <= parts.length; i++) {
+        var prefix = parts.slice(0, i).join('/');
+        if (this.oldParser.isRepeat(prefix) != this.newParser.isRepeat(prefix))
+            return 'as "' + prefix + '" ' + (this.newParser.isRepeat(prefix) ? 'became a repeat' : 'no longer repeats');
+    }
+
+    return 'as it\'s position changed';
+}
+
+/**
+ * Private method. Return the kind of node a path refers to, e.g. 'int', 'string (select multiple)' or 'repeat'.
+ */
+FormDiff.prototype._describe = function(parser, path) {
+
+    if (parser.fields[path].container)
+        return parser.isRepeat(path) ? 'repeat' : 'group';
+
+    var type = XFormTypes.getType(parser.fields[path].type);
+    var control = parser.findControl(path);
+    if (control == null || control.getControlType() == 'group')
+        return type;
+
+    return type + ' (' + control.getControlType() + (control.multiple ? ' multiple' : '') + ')';
+}
+
+/**
+ * Private method. Return what identifies a question besides it's name: it's kind and label, or calculation.
+ *
+ * @return Signature string, or null for questions without a label or calculation, which aren't matched this way.
+ */
+FormDiff.prototype._getSignature = function(parser, path) {
+
+    var field = parser.fields[path];
+    var control = parser.findControl(path);
+    var label = control != null ? control.getLabel(parser.translations.getDefaultLanguage() || undefined) : '';
+    if (label == '' && field.calculate == undefined)
+        return null;
+
+    return this._describe(parser, path) + '|' + label + '|' + (field.calculate != undefined ? field.calculate.toString() : '');
+}
+
+/**
+ * Private method. Return the source of a bind expression. The paths of old expressions are replaced by their
+ * new ones, so expressions only differ when they really changed.
+ *
+ * @return Expression string, or null if the node has no such expression.
+ */
+FormDiff.prototype._getExpression = function(parser, path, attr, isOld) {
+
+    var value = parser.fields[path][attr];
+    if (value == undefined)
+        return null;
+
+    var source = (value.cond != undefined ? value.cond : value).toString();
+    if (!isOld)
+        return source;
+
+    // Longer paths first, so '/data/ab' isn't taken for '/data/a'
+    var paths = Object.keys(this.map).sort(function(a, b) {
+        return b.length - a.length;
+    });
+    var parts = [source];
+    for (var i = 0; i < paths.length; i++) {
+
+        var pattern = new RegExp(paths[i].replace(/[.\-]/g, '\\$&') + '(?![\\w.\\-])');
+        for (var j = 0; j < parts.length; j += 2) {
+            var results = pattern.exec(parts[j]);
+            if (results != null) {
+                parts.splice(j, 1, parts[j].substr(0, results.index), this.map[paths[i]], parts[j].substr(results.index + paths[i].length));
+                j -= 2;
+            }
+        }
+    }
+
+    return parts.join('');
+}
+
+/**
+ * Private method. Return every choice value a question may offer. Itemsets are evaluated without their filters,
+ * which usually depend on other answers.
+ *
+ * @return Array of values, or null if the node isn't a select question or it's choices can't be listed.
+ */
+FormDiff.prototype._getChoiceValues = function(parser, path) {
+
+    var control = parser.findControl(path);
+    if (control == null || control.getChoices == undefined || (control.itemset == null && control.children == undefined))
+        return null;
+
+    if (control.itemset == null) {
+        return control.children.map(function(item) {
+            return control.getText(item.value);
+        });
+    }
+
+    var stripPredicates = function(ast) {
+
+        if (ast instanceof Array)
+            return ast.map(stripPredicates);
+        if (ast == null || typeof ast != 'object')
+            return ast;
+
+        var copy = {};
+        for (var k in ast)
+            copy[k] = k == 'predicates' ? [] : stripPredicates(ast[k]);
+        return copy;
+    }
+
+    var state = parser.getState();
+    var node = state.getNode(path) || state.root.children[0];
+    try {
+        var nodeset = new XPathExpression(control.itemset.nodeset.source, stripPredicates(control.itemset.nodeset.ast));
+        var values = [];
+        var nodes = state.evaluator.evaluateNodes(nodeset, node);
+        for (var i = 0; i < nodes.length; i++) {
+            var value = state.evaluator.evaluateString(control.itemset.value, nodes[i]);
+            if (values.indexOf(value) == -1)
+                values.push(value);
+        }
+        return values;
+    } catch (e) {
+        return null;
+    }
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.FormDiff = FormDiff;
@@ -0,0 +1,1097 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+if (typeof module != 'undefined' && module.exports) {
+    var XPathExpression = require('./xpath').XPathExpression;
+    var XFormTypes = require('./types').XFormTypes;
+    var InstanceNode = require('./instances').InstanceNode;
+    var Diagnostic = require('./diagnostics').Diagnostic;
+}
+
+
+/****************************** FormState ******************************/
+
+
+/**
+ * Constructor. Initialize a new live form state out of a loaded parser.
+ * The state holds a copy of the primary instance with the current answers, and keeps each node's
+ * relevance, readonly, required and validity up to date as values change.
+ *
+ * Listeners registered with on('change', fn) are called as fn(node, property), where property is
+ * one of 'value', 'relevant', 'readonly', 'required' or 'valid'. Listeners registered with on('error', fn)
+ * are called as fn(node, attr, error) when a bind expression, or an output value within a text, fails to
+ * evaluate. attr is the bind attribute, or 'output'.
+ *
+ * @object parser ODKParser instance with a loaded form.
+ */
+function FormState(parser) {
+
+    this.parser = parser;
+    this.evaluator = parser.evaluator;
+    this.root = parser.instance.clone();
+    this.listeners = {};
+    this.binds = [];
+    this.deprecatedID = null;
+    this.attachments = {};
+
+    // Repeat templates are only used for creating new repeat instances
+    this._removeTemplates(this.root);
+
+    this._buildGraph();
+    if (this._evaluateBinds(this.binds).length > 0)
+        this._evaluateBinds(this.binds);
+    this._updateTree(this.root, true, false, false);
+}
+
+/**
+ * Bind attributes which hold expressions, in the order they are evaluated for a single node.
+ */
+FormState.BindAttributes = ['calculate', 'relevant', 'readonly', 'required', 'constraint'];
+
+/**
+ * Register an event listener.
+ *
+ * @string event Event name.
+ * @function fn Listener function.
+ * @return Nothing.
+ */
+FormState.prototype.on = function(event, fn) {
+
+    if (this.listeners[event] == undefined)
+        this.listeners[event] = [];
+
+    this.listeners[event].push(fn);
+}
+
+/**
+ * Remove a previously registered event listener.
+ *
+ * @string event Event name.
+ * @function fn Listener function.
+ * @return Nothing.
+ */
+FormState.prototype.off = function(event, fn) {
+
+    var list = this.listeners[event] || [];
+    var index = list.indexOf(fn);
+    if (index != -1)
+        list.splice(index, 1);
+}
+
+/**
+ * Call all listeners registered for an event. Any additional arguments are passed on to the listeners.
+ *
+ * @string event Event name.
+ * @return Nothing.
+ */
+FormState.prototype.trigger = function(event) {
+
+    var args = Array.prototype.slice.call(arguments, 1);
+    var list = (this.listeners[event] || []).slice();
+    for (var i = 0; i < list.length; i++)
+        list[i].apply(this, args);
+}
+
+/**
+ * Find the instance node for a path.
+ *
+ * @string path Absolute path, which may include position predicates.
+ * @return InstanceNode or null if not found.
+ */
+FormState.prototype.getNode = function(path) {
+
+    var nodes = this.evaluator.evaluate(path, this.root);
+    return nodes instanceof Array && nodes.length > 0 ? nodes[0] : null;
+}
+
+/**
+ * Return the current value of a node.
+ *
+ * @string path Node path.
+ * @return Value string or null if the node doesn't exist.
+ */
+FormState.prototype.getValue = function(path) {
+
+    var node = this.getNode(path);
+    return node != null ? node.value : null;
+}
+
+/**
+ * Set the value of a node and update everything which depends on it.
+ * The value is converted to the lexical form of the node's bind type.
+ *
+ * @string path Node path.
+ * @object value New value, either as a string or as a value XFormTypes.normalize() accepts.
+ * @return Nothing.
+ */
+FormState.prototype.setValue = function(path, value) {
+
+    var node = this.getNode(path);
+    if (node == null)
+        throw 'Unknown path "' + path + '"';
+
+    value = XFormTypes.normalize(this.getType(node.getPath()), value);
+    if (node.value == value)
+        return;
+
+    // The change is announced once the binds are up to date, so listeners see e.g. the new value's validity
+    node.value = value;
+    this._recompute([node.getPath()]);
+    this.trigger('change', node, 'value');
+}
+
+/**
+ * Return the bind type of a node.
+ *
+ * @string path Node path, without any position predicates.
+ * @return Type name without any namespace prefix, e.g. 'int'.
+ */
+FormState.prototype.getType = function(path) {
+
+    var field = this.parser.fields[path];
+    return XFormTypes.getType(field != undefined ? field.type : null);
+}
+
+/**
+ * Return a value indicating whether a node is relevant, taking it's ancestors into account.
+ *
+ * @string path Node path.
+ * @return Boolean value.
+ */
+FormState.prototype.isRelevant = function(path) {
+
+    var node = this.getNode(path);
+    return node == null || node.relevant;
+}
+
+/**
+ * Return a value indicating whether a node is readonly, taking it's ancestors into account.
+ *
+ * @string path Node path.
+ * @return Boolean value.
+ */
+FormState.prototype.isReadonly = function(path) {
+
+    var node = this.getNode(path);
+    return node != null && node.readonly;
+}
+
+/**
+ * Return a value indicating whether a node currently requires an answer.
+ *
+ * @string path Node path.
+ * @return Boolean value.
+ */
+FormState.prototype.isRequired = function(path) {
+
+    var node = this.getNode(path);
+    return node != null && node.required;
+}
+
+/**
+ * Return a value indicating whether a node's value satisfies it's constraint.
+ *
+ * @string path Node path.
+ * @return Boolean value.
+ */
+FormState.prototype.isValid = function(path) {
+
+    var node = this.getNode(path);
+    return node == null || node.valid;
+}
+
+/**
+ * Evaluate an expression against the current answers.
+ *
+ * @object expr XPathExpression instance or expression string.
+ * @string path Path of the context node. Leave undefined to use the instance root.
+ * @return Expression result.
+ */
+FormState.prototype.evaluate = function(expr, path) {
+
+    var node = path != undefined ? this.getNode(path) : this.root.children[0];
+    if (node == null)
+        throw 'Unknown path "' + path + '"';
+
+    return this.evaluator.evaluate(expr, node);
+}
+
+/**
+ * Private method. Collect all bind expressions and sort them so every calculation is evaluated
+ * before the expressions that depend on it.
+ */
+FormState.prototype._buildGraph = function() {
+
+    var binds = [];
+    for (var path in this.parser.fields) {
+
+        var field = this.parser.fields[path];
+        for (var i = 0; i < FormState.BindAttributes.length; i++) {
+
+            var attr = FormState.BindAttributes[i];
+            var expr = field[attr];
+            if (expr == undefined)
+                continue;
+
+            // Constraints with a message are kept as {cond, msg}
+            if (!(expr instanceof XPathExpression))
+                expr = expr.cond;
+
+            binds.push({'path':path, 'attr':attr, 'expr':expr, 'refs':expr.getReferences(path), 'target':attr == 'calculate' ? path : null});
+        }
+    }
+
+    // Repeat counts are evaluated against the repeat's parent and change the repeated nodes
+    for (var path in this.parser.repeats) {
+
+        var repeat = this.parser.repeats[path];
+        if (repeat.count != null) {
+            var parentPath = path.substr(0, path.lastIndexOf('/'));
+            binds.push({'path':parentPath, 'attr':'count', 'expr':repeat.count, 'refs':repeat.count.getReferences(parentPath), 'target':path});
+        }
+    }
+
+    // Find the calculations and repeat counts each bind depends on
+    for (var i = 0; i < binds.length; i++) {
+
+        binds[i].deps = [];
+        for (var j = 0; j < binds.length; j++)
+            if (i != j && binds[j].target != null && XPathExpression.refersTo(binds[i].refs, binds[j].target))
+                binds[i].deps.push(binds[j]);
+    }
+
+    // Topological sort
+    var sorted = [];
+    var visiting = [];
+    var visit = function(bind) {
+
+        if (sorted.indexOf(bind) != -1)
+            return;
+        if (visiting.indexOf(bind) != -1) {
+            var paths = [];
+            for (var i = visiting.indexOf(bind); i < visiting.length; i++)
+                paths.push(visiting[i].path);
+            throw Diagnostic.create('CIRCULAR_DEPENDENCY', 'Circular dependency between calculations: ' + paths.join(' -> '), null, bind.path);
+        }
+
+        visiting.push(bind);
+        for (var i = 0; i < bind.deps.length; i++)
+            visit(bind.deps[i]);
+        visiting.pop();
+        sorted.push(bind);
+    }
+
+    for (var i = 0; i < binds.length; i++)
+        visit(binds[i]);
+
+    this.binds = sorted;
+}
+
+/**
+ * Private method. Return a value indicating whether a bind is affected by a change to any of the given paths.
+ * A reference to a node also covers it's ancestors and descendants, whose values change along with it.
+ */
+FormState.prototype._dependsOn = function(bind, paths) {
+
+    for (var i = 0; i < bind.refs.length; i++) {
+
+        var ref = bind.refs[i];
+        for (var j = 0; j < paths.length; j++) {
+            var path = paths[j];
+            if (ref == path || ref.indexOf(path + '/') == 0 || path.indexOf(ref + '/') == 0)
+                return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Private method. Re-evaluate every bind affected by a change to the given paths.
+ *
+ * @object paths Array of the changed paths, without position predicates.
+ * @object instances Array of new repeat instances under the changed paths. Leave undefined when the values
+ *                   of the paths changed, rather than the instances of a repeat.
+ */
+FormState.prototype._recompute = function(paths, instances) {
+
+    // Repeat counts may add instances, which may hold repeats with a count of their own
+    var changes = this._propagate(paths, instances);
+    for (var depth = 0; changes.length > 0 && depth < Object.keys(this.parser.repeats).length; depth++) {
+
+        var next = [];
+        for (var i = 0; i < changes.length; i++)
+            next = next.concat(this._propagate([changes[i].path], changes[i].instances));
+        changes = next;
+    }
+
+    this._updateTree(this.root, true, false, true);
+}
+
+/**
+ * Private method. Evaluate the binds depending on the given paths, and the binds of the paths themselves.
+ *
+ * @return Array of the repeats whose instances changed, see _evaluateBinds().
+ */
+FormState.prototype._propagate = function(paths, instances) {
+
+    var changed = paths.slice();
+    var affected = [];
+    var own = [];
+
+    // Binds are kept in evaluation order, so calculations propagate to whatever follows them.
+    // Binds of the changed nodes themselves don't depend on the change, so they're only evaluated for new
+    // repeat instances, which have never been evaluated. Evaluating them for every instance would recalculate
+    // uuid(), now() and random() as well.
+    for (var i = 0; i < this.binds.length; i++) {
+
+        var bind = this.binds[i];
+        if (this._dependsOn(bind, changed))
+            affected.push(bind);
+        else if (this._dependsOn({'refs':[bind.path]}, paths))
+            own.push(bind);
+        else
+            continue;
+
+        if (bind.target != null && changed.indexOf(bind.target) == -1)
+            changed.push(bind.target);
+    }
+
+    return this._evaluateBinds(own, instances).concat(this._evaluateBinds(affected));
+}
+
+/**
+ * Private method. Evaluate a list of binds for every node they apply to.
+ *
+ * @object binds Array of binds, in evaluation order.
+ * @object within Array of InstanceNodes. When given, binds are only evaluated for these nodes and their descendants.
+ * @return Array of {path, instances} for every repeat whose instances were added or removed, with the added instances.
+ */
+FormState.prototype._evaluateBinds = function(binds, within) {
+
+    var changes = [];
+    for (var i = 0; i < binds.length; i++) {
+
+        var bind = binds[i];
+        var nodes = this.evaluator.evaluate(bind.path, this.root);
+        if (within != undefined)
+            nodes = nodes.filter(function(node) {
+                for (var parent = node; parent != null; parent = parent.parent)
+                    if (within.indexOf(parent) != -1)
+                        return true;
+                return false;
+            });
+
+        for (var j = 0; j < nodes.length; j++) {
+
+            var node = nodes[j];
+            var value;
+            try {
+                value = this.evaluator.evaluate(bind.expr, node);
+                if (bind.attr == 'calculate') {
+                    var type = this.getType(bind.path);
+
+                    // Calculated integers are truncated, as JavaRosa does, while entered ones must be whole
+                    var n = XFormTypes.isInteger(type) ? this.evaluator.toNumber(value) : NaN;
+                    if (isFinite(n))
+                        value = n < 0 ? Math.ceil(n) : Math.floor(n);
+                    value = XFormTypes.normalize(type, value instanceof Date && type != 'string' ? value : this.evaluator.toString(value));
+                }
+            } catch (e) {
+                this.trigger('error', node, bind.attr, e);
+                continue;
+            }
+
+            switch (bind.attr) {
+
+                case 'calculate':
+                    if (node.value != value) {
+                        node.value = value;
+                        this.trigger('change', node, 'value');
+                    }
+                    break;
+
+                case 'relevant':
+                    node.relevantSelf = this.evaluator.toBoolean(value);
+                    break;
+
+                case 'readonly':
+                    node.readonlySelf = this.evaluator.toBoolean(value);
+                    break;
+
+                case 'required':
+                    this._setProperty(node, 'required', this.evaluator.toBoolean(value));
+                    break;
+
+                case 'constraint':
+                    // Empty values are never checked against constraints
+                    this._setProperty(node, 'valid', node.value == '' || this.evaluator.toBoolean(value));
+                    break;
+
+                case 'count':
+                    value = this.evaluator.toNumber(value);
+                    var added = this._setRepeatCount(node, bind.target, isNaN(value) ? 0 : Math.max(0, Math.floor(value)));
+                    if (added != null)
+                        changes.push({'path':bind.target, 'instances':added});
+                    break;
+            }
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Private method. Propagate relevance and readonly state from parents to their children.
+ */
+FormState.prototype._updateTree = function(node, relevant, readonly, notify) {
+
+    relevant = relevant && node.relevantSelf;
+    readonly = readonly || node.readonlySelf;
+
+    if (notify) {
+        this._setProperty(node, 'relevant', relevant);
+        this._setProperty(node, 'readonly', readonly);
+    } else {
+        node.relevant = relevant;
+        node.readonly = readonly;
+    }
+
+    for (var i = 0; i < node.children.length; i++)
+        this._updateTree(node.children[i], relevant, readonly, notify);
+}
+
+/**
+ * Private method. Set a node's computed property, triggering a change event if it's value changed.
+ */
+FormState.prototype._setProperty = function(node, property, value) {
+
+    if (node[property] != value) {
+        node[property] = value;
+        this.trigger('change', node, property);
+    }
+}
+
+/**
+ * Return the path of a node, with a position predicate on every repeated node,
+ * e.g. '/data/household[2]/name'.
+ *
+ * @object node InstanceNode.
+ * @return Path string.
+ */
+FormState.prototype.getIndexedPath = function(node) {
+
+    if (node.parent == null)
+        return '';
+
+    var path = this.getIndexedPath(node.parent) + '/' + (node.isAttribute ? '@' : '') + node.name;
+    if (!node.isAttribute && this.parser.isRepeat(node.getPath()))
+        path += '[' + this.evaluator.evaluate('position(.)', node) + ']';
+
+    return path;
+}
+
+/**
+ * Return the instances of a repeat.
+ *
+ * @string path Repeat path. Enclosing repeats may be selected with position predicates, e.g. '/data/household[2]/member'.
+ * @return Array of InstanceNodes.
+ */
+FormState.prototype.getRepeatInstances = function(path) {
+
+    return this.evaluator.evaluate(path, this.root);
+}
+
+/**
+ * Add a new repeat instance after the existing ones.
+ *
+ * @string path Repeat path. Enclosing repeats may be selected with position predicates.
+ * @return The new InstanceNode.
+ */
+FormState.prototype.addRepeat = function(path) {
+
+    var parent = this.getNode(path.substr(0, path.lastIndexOf('/')));
+    if (parent == null)
+        throw 'Unknown path "' + path + '"';
+
+    var repeat = this._getUserRepeat(parent.getPath() + '/' + path.substr(path.lastIndexOf('/') + 1));
+    var node = this._insertRepeat(parent, repeat.nodeset);
+    this.trigger('change', parent, 'repeat');
+    this._recompute([repeat.nodeset], [node]);
+
+    return node;
+}
+
+/**
+ * Remove a repeat instance.
+ *
+ * @string path Indexed path of the repeat instance, e.g. '/data/household[2]'.
+ * @return Nothing.
+ */
+FormState.prototype.removeRepeat = function(path) {
+
+    var node = this.getNode(path);
+    if (node == null)
+        throw 'Unknown path "' + path + '"';
+
+    var repeat = this._getUserRepeat(node.getPath());
+    var parent = node.parent;
+    node.remove();
+    this.trigger('change', parent, 'repeat');
+    this._recompute([repeat.nodeset], []);
+}
+
+/**
+ * Move a repeat instance to another position among it's siblings.
+ *
+ * @string path Indexed path of the repeat instance, e.g. '/data/household[2]'.
+ * @number position New 1-based position of the instance.
+ * @return Nothing.
+ */
+FormState.prototype.moveRepeat = function(path, position) {
+
+    var node = this.getNode(path);
+    if (node == null || !this.parser.isRepeat(node.getPath()))
+        throw 'Unknown repeat instance "' + path + '"';
+
+    var parent = node.parent;
+    var siblings = this.evaluator.evaluate('../' + node.name, node);
+    if (position < 1 || position > siblings.length)
+        throw 'Invalid repeat position ' + position;
+
+    if (siblings[position - 1] == node)
+        return;
+
+    siblings.splice(siblings.indexOf(node), 1);
+    node.remove();
+    if (position <= siblings.length)
+        parent.insertChild(node, parent.children.indexOf(siblings[position - 1]));
+    else
+        parent.insertChild(node, parent.children.indexOf(siblings[siblings.length - 1]) + 1);
+    this.trigger('change', parent, 'repeat');
+    this._recompute([node.getPath()], []);
+}
+
+/**
+ * Return a value indicating whether the user may add or remove instances of a repeat.
+ *
+ * @string path Repeat path, without any position predicates.
+ * @return Boolean value.
+ */
+FormState.prototype.canAddRemove = function(path) {
+
+    var repeat = this.parser.getRepeat(path);
+    return repeat != null && repeat.count == null && !repeat.noAddRemove;
+}
+
+/**
+ * Store a file as the answer of a binary question, e.g. a photo or a signature. The node's value is set
+ * to the file name, while the file itself is kept aside until the answers are submitted.
+ *
+ * @string path Node path.
+ * @string name File name, e.g. 'photo.jpg'. It's made unique among the form's attachments.
+ * @object data File contents, as a Blob, ArrayBuffer, typed array or string.
+ * @string type MIME type, e.g. 'image/jpeg'. Defaults to the type of a Blob.
+ * @return The name the file was stored under.
+ */
+FormState.prototype.setAttachment = function(path, name, data, type) {
+
+    var node = this.getNode(path);
+    if (node == null)
+        throw 'Unknown path "' + path + '"';
+
+    // File names become multipart headers, and must not replace another question's file
+    var previous = node.value;
+    var unique = String(name).replace(/[\/\\"\r\n]/g, '_');
+    var parts = /^(.*?)(\.[^.]*)?$/.exec(unique);
+    for (var n = 1; this.attachments[unique] != undefined && unique != previous; n++)
+        unique = parts[1] + '-' + n + (parts[2] || '');
+
+    if (previous != '' && previous != unique)
+        delete this.attachments[previous];
+
+    this.attachments[unique] = {'name':unique, 'type':type || data.type || 'application/octet-stream', 'data':data};
+    if (previous == unique)
+        this.trigger('change', node, 'value');
+    else
+        this.setValue(path, unique);
+
+    return unique;
+}
+
+/**
+ * Remove the file stored as the answer of a binary question.
+ *
+ * @string path Node path.
+ * @return Nothing.
+ */
+FormState.prototype.removeAttachment = function(path) {
+
+    var node = this.getNode(path);
+    if (node == null)
+        throw 'Unknown path "' + path + '"';
+
+    delete this.attachments[node.value];
+    this.setValue(path, '');
+}
+
+/**
+ * Return a stored file by name.
+ *
+ * @string name File name, as stored in the answer.
+ * @return Object with name, type and data, or null if there is no such file.
+ */
+FormState.prototype.getAttachment = function(name) {
+
+    return this.attachments[name] || null;
+}
+
+/**
+ * Return the files which are submitted with the answers, which are those of relevant binary questions.
+ *
+ * @return Array of objects with name, type and data.
+ */
+FormState.prototype.getAttachments = function() {
+
+    var self = this;
+    var list = [];
+    var recursiveHelper = function(node) {
+
+        if (!node.relevant || node.getAttribute('jr:template') != null)
+            return;
+
+        if (node.children.length == 0 && self.attachments[node.value] != undefined && self.getType(node.getPath()) == 'binary')
+            list.push(self.attachments[node.value]);
+
+        for (var i = 0; i < node.children.length; i++)
+            recursiveHelper(node.children[i]);
+    }
+
+    recursiveHelper(this.root);
+    return list;
+}
+
+/**
+ * Return the instance ID of this submission, generating one if the form didn't calculate it.
+ * The meta/instanceID node is created when the form doesn't define one.
+ *
+ * @return Instance ID string.
+ */
+FormState.prototype.getInstanceID = function() {
+
+    var data = this.root.children[0];
+    var meta = this._findChild(data, 'meta') || new InstanceNode('meta', data);
+    var node = this._findChild(meta, 'instanceID') || new InstanceNode('instanceID', meta);
+
+    if (node.value == '') {
+        node.value = 'uuid:' + this.evaluator.uuid();
+        this.trigger('change', node, 'value');
+    }
+
+    return node.value;
+}
+
+/**
+ * Load a previously saved instance, replacing the current answers.
+ * Repeated nodes are added or removed to match the saved instance, and the saved instanceID
+ * is kept until the edited copy is serialized.
+ *
+ * @object element Root DOM element of the saved instance.
+ * @return Nothing.
+ */
+FormState.prototype.load = function(element) {
+
+    var data = this.root.children[0];
+    element = InstanceNode.fromDOM(element);
+    if (element.name != data.name)
+        throw 'Instance root "' + element.name + '" does not match the form root "' + data.name + '"';
+
+    var id = element.getAttribute('id');
+    if (id != null && data.getAttribute('id') != null && id != data.getAttribute('id'))
+        throw 'Instance belongs to form "' + id + '", not "' + data.getAttribute('id') + '"';
+
+    this._mergeNode(data, element);
+
+    // Calculations may generate a fresh instanceID, so keep the loaded one aside
+    var meta = this._findChild(data, 'meta');
+    var node = meta != null ? this._findChild(meta, 'instanceID') : null;
+    var instanceID = node != null ? node.value : '';
+
+    this._evaluateBinds(this.binds);
+    this._updateTree(this.root, true, false, true);
+
+    if (instanceID != '') {
+        this.deprecatedID = instanceID;
+        if (node.value != instanceID) {
+            node.value = instanceID;
+            this.trigger('change', node, 'value');
+        }
+    }
+}
+
+/**
+ * Return a copy of the current answers, which restore() puts back, e.g. for saving a draft.
+ * Unlike serialize(), non-relevant answers are kept, so they come back when their questions become relevant again.
+ *
+ * @return Object with the answers by indexed path, the number of instances of every repeat by indexed path,
+ *         the deprecatedID and a list of the stored files.
+ */
+FormState.prototype.getSnapshot = function() {
+
+    var self = this;
+    var answers = {};
+    var recursiveHelper = function(node) {
+
+        if (node.children.length == 0)
+            answers[self.getIndexedPath(node)] = node.value;
+
+        for (var i = 0; i < node.children.length; i++)
+            recursiveHelper(node.children[i]);
+    }
+    recursiveHelper(this.root.children[0]);
+
+    // Repeats without any instances are recorded too, so restoring doesn't add their default ones
+    var repeats = {};
+    for (var path in this.parser.repeats) {
+
+        var name = path.substr(path.lastIndexOf('/') + 1);
+        var parents = this.evaluator.evaluate(path.substr(0, path.lastIndexOf('/')), this.root);
+        for (var i = 0; i < parents.length; i++)
+            repeats[this.getIndexedPath(parents[i]) + '/' + name] = this.evaluator.evaluate(name, parents[i]).length;
+    }
+
+    var attachments = [];
+    for (var name in this.attachments)
+        attachments.push(this.attachments[name]);
+
+    return {'answers':answers, 'repeats':repeats, 'deprecatedID':this.deprecatedID, 'attachments':attachments};
+}
+
+/**
+ * Replace the current answers with a copy returned by getSnapshot(). Answers of paths which no longer
+ * exist in the form are left out.
+ *
+ * @object snapshot Snapshot Object.
+ * @return Nothing.
+ */
+FormState.prototype.restore = function(snapshot) {
+
+    // Enclosing repeats come first, so the parents of nested ones exist
+    var repeats = Object.keys(snapshot.repeats).sort(function(a, b) {
+        return a.split('/').length - b.split('/').length;
+    });
+
+    for (var i = 0; i < repeats.length; i++) {
+
+        var path = repeats[i];
+        var parent = this.getNode(path.substr(0, path.lastIndexOf('/')));
+        var generic = parent != null ? parent.getPath() + '/' + path.substr(path.lastIndexOf('/') + 1) : null;
+        if (generic != null && this.parser.isRepeat(generic))
+            this._setRepeatCount(parent, generic, snapshot.repeats[path]);
+    }
+
+    for (var path in snapshot.answers) {
+
+        var node = this.getNode(path);
+        if (node != null && node.children.length == 0 && node.value != snapshot.answers[path]) {
+            node.value = snapshot.answers[path];
+            this.trigger('change', node, 'value');
+        }
+    }
+
+    this.attachments = {};
+    for (var i = 0; i < snapshot.attachments.length; i++)
+        this.attachments[snapshot.attachments[i].name] = snapshot.attachments[i];
+    this.deprecatedID = snapshot.deprecatedID;
+
+    // Calculations may generate a fresh instanceID, so keep the saved one aside
+    var instanceID = this.getInstanceID();
+    if (this._evaluateBinds(this.binds).length > 0)
+        this._evaluateBinds(this.binds);
+    this._updateTree(this.root, true, false, true);
+
+    var node = this._findChild(this._findChild(this.root.children[0], 'meta'), 'instanceID');
+    if (node.value != instanceID) {
+        node.value = instanceID;
+        this.trigger('change', node, 'value');
+    }
+}
+
+/**
+ * Serialize the current answers into an instance XML document, in the same form ODK Collect submits it.
+ * Non-relevant nodes and repeat templates are left out.
+ *
+ * @return XML string.
+ */
+FormState.prototype.serialize = function() {
+
+    // Edited submissions get a new instanceID, pointing back to the one they replace
+    if (this.deprecatedID != null && this.getInstanceID() == this.deprecatedID) {
+
+        var meta = this._findChild(this.root.children[0], 'meta');
+        var node = this._findChild(meta, 'deprecatedID') || new InstanceNode('deprecatedID', meta);
+        node.value = this.deprecatedID;
+        this.trigger('change', node, 'value');
+
+        node = this._findChild(meta, 'instanceID');
+        node.value = 'uuid:' + this.evaluator.uuid();
+        this.trigger('change', node, 'value');
+    }
+
+    this.getInstanceID();
+
+    var escape = function(str, attr) {
+        str = str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return attr ? str.replace(/"/g, '&quot;') : str;
+    }
+
+    var recursiveHelper = function(node, isRoot) {
+
+        if (!node.relevant || node.getAttribute('jr:template') != null)
+            return '';
+
+        var xml = '<' + node.name;
+        for (var i = 0; i < node.attributes.length; i++) {
+            var attr = node.attributes[i];
+            // The default namespace is inherited from the form and not part of the submission
+            if (attr.name != 'xmlns' && (isRoot || attr.name.indexOf('xmlns') != 0))
+                xml += ' ' + attr.name + '="' + escape(attr.value, true) + '"';
+        }
+
+        if (node.children.length == 0)
+            return xml + (node.value == '' ? ' />' : '>' + escape(node.value, false) + '</' + node.name + '>');
+
+        xml += '>';
+        for (var i = 0; i < node.children.length; i++)
+            xml += recursiveHelper(node.children[i], false);
+
+        return xml + '</' + node.name + '>';
+    }
+
+    return "<?xml version='1.0' ?>" + recursiveHelper(this.root.children[0], true);
+}
+
+/**
+ * Serialize the current answers together with their files into a multipart/form-data body, the way
+ * OpenRosa servers expect a submission: the instance XML as the 'xml_submission_file' part, followed by
+ * one part for every attachment, named after the file.
+ *
+ * @string boundary Multipart boundary. Leave undefined to generate a random one.
+ * @return Object with the contentType header string and the body as a Blob.
+ */
+FormState.prototype.serializeMultipart = function(boundary) {
+
+    boundary = boundary || '----odk' + this.evaluator.uuid().replace(/-/g, '');
+
+    var parts = [{'name':'xml_submission_file', 'filename':'submission.xml', 'type':'text/xml', 'data':this.serialize()}];
+    var attachments = this.getAttachments();
+    for (var i = 0; i < attachments.length; i++)
+        parts.push({'name':attachments[i].name, 'filename':attachments[i].name, 'type':attachments[i].type, 'data':attachments[i].data});
+
+    return FormState.buildMultipart(parts, boundary);
+}
+
+/**
+ * Build a multipart/form-data body.
+ *
+ * @object parts Array of Objects with the name, filename, type and data of each part. Parts without a filename
+ *               are form fields rather than files.
+ * @string boundary Multipart boundary.
+ * @return Object with the contentType header string and the body as a Blob.
+ */
+FormState.buildMultipart = function(parts, boundary) {
+
+    var chunks = [];
+    for (var i = 0; i < parts.length; i++) {
+        chunks.push('--' + boundary + '\r\n');
+        chunks.push('Content-Disposition: form-data; name="' + parts[i].name + '"' + (parts[i].filename != undefined ? '; filename="' + parts[i].filename + '"' : '') + '\r\n');
+        chunks.push('Content-Type: ' + (parts[i].type || 'text/plain') + '\r\n\r\n');
+        chunks.push(parts[i].data);
+        chunks.push('\r\n');
+    }
+    chunks.push('--' + boundary + '--\r\n');
+
+    var contentType = 'multipart/form-data; boundary=' + boundary;
+    return {'contentType':contentType, 'body':new Blob(chunks, {'type':contentType})};
+}
+
+/**
+ * Private method. Find a child node by name, ignoring any namespace prefix.
+ */
+FormState.prototype._findChild = function(node, name) {
+
+    for (var i = 0; i < node.children.length; i++)
+        if (node.children[i].name.replace(/^.*:/, '') == name)
+            return node.children[i];
+
+    return null;
+}
+
+/**
+ * Private method. Copy the values of a saved instance node into an instance node, matching children by name.
+ */
+FormState.prototype._mergeNode = function(node, element) {
+
+    if (element.children.length == 0) {
+        var value = element.value;
+        if (node.children.length == 0 && node.value != value) {
+            node.value = value;
+            this.trigger('change', node, 'value');
+        }
+        return;
+    }
+
+    var names = this._getChildNames(node);
+
+    for (var i = 0; i < names.length; i++) {
+
+        var name = names[i];
+        var targets = [];
+        for (var j = 0; j < node.children.length; j++)
+            if (node.children[j].name == name && node.children[j].getAttribute('jr:template') == null)
+                targets.push(node.children[j]);
+
+        var sources = [];
+        for (var j = 0; j < element.children.length; j++)
+            if (element.children[j].name == name)
+                sources.push(element.children[j]);
+
+        var path = node.getPath() + '/' + name;
+        if (this.parser.isRepeat(path)) {
+
+            // Match the number of repeat instances to the saved ones
+            if (targets.length != sources.length)
+                this.trigger('change', node, 'repeat');
+            while (targets.length < sources.length)
+                targets.push(this._insertRepeat(node, path));
+            while (targets.length > sources.length)
+                targets.pop().remove();
+        }
+
+        for (var j = 0; j < Math.min(targets.length, sources.length); j++)
+            this._mergeNode(targets[j], sources[j]);
+    }
+}
+
+/**
+ * Private method. Remove all repeat template nodes from a tree.
+ */
+FormState.prototype._removeTemplates = function(node) {
+
+    for (var i = node.children.length - 1; i >= 0; i--) {
+        if (node.children[i].getAttribute('jr:template') != null)
+            node.children[i].remove();
+        else
+            this._removeTemplates(node.children[i]);
+    }
+}
+
+/**
+ * Private method. Append a new repeat instance after the existing ones, keeping the child order
+ * of the form definition.
+ *
+ * @return The new InstanceNode.
+ */
+FormState.prototype._insertRepeat = function(parent, path) {
+
+    var copy = this._getTemplate(path);
+    var order = this._getChildNames(parent);
+    var rank = order.indexOf(copy.name);
+    var index = 0;
+    for (var i = 0; i < parent.children.length; i++)
+        if (order.indexOf(parent.children[i].name) <= rank)
+            index = i + 1;
+
+    parent.insertChild(copy, index);
+    this._removeTemplates(copy);
+    return copy;
+}
+
+/**
+ * Private method. Return the distinct child names the form definition declares for a node, in order.
+ */
+FormState.prototype._getChildNames = function(node) {
+
+    var definition = this.evaluator.evaluate(node.getPath(), this.parser.instance)[0];
+    var names = [];
+    for (var i = 0; i < definition.children.length; i++)
+        if (names.indexOf(definition.children[i].name) == -1)
+            names.push(definition.children[i].name);
+
+    return names;
+}
+
+/**
+ * Private method. Return a fresh copy of a repeated node, holding the form's default values.
+ */
+FormState.prototype._getTemplate = function(path) {
+
+    var nodes = this.evaluator.evaluate(path, this.parser.instance);
+    if (nodes.length == 0)
+        throw 'Unknown repeat "' + path + '"';
+
+    var template = nodes[0];
+    for (var i = 0; i < nodes.length; i++)
+        if (nodes[i].getAttribute('jr:template') != null)
+            template = nodes[i];
+
+    var copy = template.clone();
+    copy.removeAttribute('jr:template');
+    return copy;
+}
+
+/**
+ * Private method. Return the repeat group of a path the user may add instances to or remove instances from.
+ */
+FormState.prototype._getUserRepeat = function(path) {
+
+    var repeat = this.parser.getRepeat(path);
+    if (repeat == null)
+        throw 'Path "' + path + '" is not a repeat';
+    if (!this.canAddRemove(path))
+        throw 'Instances of "' + path + '" can not be added or removed';
+
+    return repeat;
+}
+
+/**
+ * Private method. Add or remove repeat instances under a parent node, to match a count.
+ *
+ * @return Array of the added instances, or null when the count didn't change.
+ */
+FormState.prototype._setRepeatCount = function(parent, path, count) {
+
+    var name = path.substr(path.lastIndexOf('/') + 1);
+    var instances = this.evaluator.evaluate(name, parent);
+    if (instances.length == count)
+        return null;
+
+    var added = [];
+    while (instances.length < count) {
+        instances.push(this._insertRepeat(parent, path));
+        added.push(instances[instances.length - 1]);
+    }
+    while (instances.length > count)
+        instances.pop().remove();
+
+    this.trigger('change', parent, 'repeat');
+    return added;
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.FormState = FormState;
@@ -0,0 +1,204 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+/****************************** GeoUtils ******************************/
+
+/**
+ * Singleton implementing the geometry behind geopoint, geotrace and geoshape answers.
+ * Points are Arrays of [lat, lon, alt, acc] numbers, and lengths and areas are computed on a sphere
+ * the size of the earth, which is accurate enough for plots and routes.
+ */
+var GeoUtils = new function() {
+
+    // Equatorial radius of the WGS84 ellipsoid, in meters
+    this.EarthRadius = 6378137;
+
+    var toRadians = function(degrees) {
+
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Parse a single point.
+     *
+     * @object value Point string, e.g. '-33.9 18.4 0 5', or an Array of 2 to 4 numbers.
+     * @return Array of lat, lon, alt and acc numbers. Missing alt and acc are 0, while points without lat or lon
+     *         are invalid. Invalid points are thrown as an error string.
+     */
+    this.parsePoint = function(value) {
+
+        var parts = value instanceof Array ? value : String(value).trim().split(/[\s,;]+/);
+        if (parts.length < 2 || parts.length > 4)
+            throw 'Invalid geopoint value "' + value + '"';
+
+        var point = [];
+        for (var i = 0; i < 4; i++) {
+            var empty = i >= parts.length || parts[i] == null || String(parts[i]).trim() == '';
+            if (empty && i < 2)
+                throw 'Invalid geopoint value "' + value + '"';
+
+            var n = empty ? 0 : Number(parts[i]);
+            if (isNaN(n))
+                throw 'Invalid geopoint value "' + value + '"';
+            point.push(n);
+        }
+
+        if (Math.abs(point[0]) > 90 || Math.abs(point[1]) > 180 || point[3] < 0)
+            throw 'Geopoint out of range "' + value + '"';
+
+        return point;
+    }
+
+    /**
+     * Parse a list of points, as used by geotrace and geoshape answers.
+     *
+     * @object value Points separated by semicolons, e.g. '1 2 0 0;1 3 0 0', or an Array of points.
+     * @return Array of points. Empty values give an empty Array.
+     */
+    this.parse = function(value) {
+
+        var list = value instanceof Array ? value : String(value).split(';');
+        var points = [];
+        for (var i = 0; i < list.length; i++)
+            if (list[i] instanceof Array || String(list[i]).trim() != '')
+                points.push(this.parsePoint(list[i]));
+
+        return points;
+    }
+
+    /**
+     * Format a list of points in the lexical form of a geotrace or geoshape.
+     *
+     * @object points Array of points.
+     * @return Points string.
+     */
+    this.format = function(points) {
+
+        return points.map(function(point) {
+            return point.join(' ');
+        }).join(';');
+    }
+
+    /**
+     * Return a value indicating whether the last point of a list is the same as the first.
+     *
+     * @object points Array of points.
+     * @return Boolean value.
+     */
+    this.isClosed = function(points) {
+
+        var first = points[0];
+        var last = points[points.length - 1];
+        return points.length > 1 && first[0] == last[0] && first[1] == last[1];
+    }
+
+    /**
+     * Return the length of a line through a list of points.
+     *
+     * @object points Array of points.
+     * @return Length in meters.
+     */
+    this.distance = function(points) {
+
+        var total = 0;
+        for (var i = 1; i < points.length; i++) {
+
+            // Haversine formula
+            var lat1 = toRadians(points[i - 1][0]);
+            var lat2 = toRadians(points[i][0]);
+            var a = Math.pow(Math.sin((lat2 - lat1) / 2), 2) + Math.cos(lat1) * Math.cos(lat2) * Math.pow(Math.sin(toRadians(points[i][1] - points[i - 1][1]) / 2), 2);
+            total += 2 * this.EarthRadius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        }
+
+        return total;
+    }
+
+    /**
+     * Return the area of the polygon formed by a list of points, which needn't be closed.
+     *
+     * @object points Array of points.
+     * @return Area in square meters.
+     */
+    this.area = function(points) {
+
+        if (points.length < 3)
+            return 0;
+
+        // Spherical polygon area, see "Some Algorithms for Polygons on a Sphere" (Chamberlain & Duquette)
+        var total = 0;
+        for (var i = 0; i < points.length; i++) {
+            var p1 = points[i];
+            var p2 = points[(i + 1) % points.length];
+            total += toRadians(p2[1] - p1[1]) * (2 + Math.sin(toRadians(p1[0])) + Math.sin(toRadians(p2[0])));
+        }
+
+        return Math.abs(total * this.EarthRadius * this.EarthRadius / 2);
+    }
+
+    /**
+     * Return a value indicating whether a point lies within the polygon formed by a list of points.
+     *
+     * @object polygon Array of points, which needn't be closed.
+     * @object point Point to check.
+     * @return Boolean value.
+     */
+    this.contains = function(polygon, point) {
+
+        // Count the polygon edges crossed by a ray going east from the point
+        var inside = false;
+        for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            var a = polygon[i];
+            var b = polygon[j];
+            if ((a[0] > point[0]) != (b[0] > point[0]) && point[1] < (b[1] - a[1]) * (point[0] - a[0]) / (b[0] - a[0]) + a[1])
+                inside = !inside;
+        }
+
+        return inside;
+    }
+
+    /**
+     * Convert a point to meters east and north of an origin, for drawing points on a flat surface.
+     *
+     * @object point Point to convert.
+     * @object origin Point at the center of the surface.
+     * @return Array of x and y distances in meters.
+     */
+    this.project = function(point, origin) {
+
+        var x = toRadians(point[1] - origin[1]) * Math.cos(toRadians(origin[0])) * this.EarthRadius;
+        var y = toRadians(point[0] - origin[0]) * this.EarthRadius;
+        return [x, y];
+    }
+
+    /**
+     * Convert meters east and north of an origin back to a point, see project().
+     *
+     * @object xy Array of x and y distances in meters.
+     * @object origin Point at the center of the surface.
+     * @return Point without altitude and accuracy.
+     */
+    this.unproject = function(xy, origin) {
+
+        var lat = origin[0] + xy[1] / this.EarthRadius * 180 / Math.PI;
+        var lon = origin[1] + xy[0] / (this.EarthRadius * Math.cos(toRadians(origin[0]))) * 180 / Math.PI;
+        return [lat, lon, 0, 0];
+    }
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.GeoUtils = GeoUtils;
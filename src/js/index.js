@@ -0,0 +1,37 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+/**
+ * Node.js entry point, exposing all of the library's classes as a CommonJS module.
+ * When no DOMParser was set, @xmldom/xmldom is used as the XML backend if it's installed.
+ */
+
+var XMLUtils = require('./xmlutils').XMLUtils;
+if (XMLUtils.DOMParser == null) {
+    try {
+        XMLUtils.setDOMParser(require('@xmldom/xmldom').DOMParser);
+    } catch (e) {
+        // Leave it to the application to call XMLUtils.setDOMParser()
+    }
+}
+
+var modules = ['./diagnostics', './xmlutils', './xpath', './geo', './evaluator', './types', './instances', './formstate', './validator', './parser', './linter', './renderer', './controller', './drafts', './openrosa', './xlsform', './formdiff'];
+for (var i = 0; i < modules.length; i++) {
+    var members = require(modules[i]);
+    for (var name in members)
+        module.exports[name] = members[name];
+}
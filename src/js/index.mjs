@@ -0,0 +1,55 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+/**
+ * ES module entry point, re-exporting the CommonJS build.
+ */
+
+import lib from './index.js';
+
+export default lib;
+
+export var Diagnostic = lib.Diagnostic;
+export var XMLUtils = lib.XMLUtils;
+export var XPathTokenizer = lib.XPathTokenizer;
+export var XPathParser = lib.XPathParser;
+export var XPathExpression = lib.XPathExpression;
+export var XPathEvaluator = lib.XPathEvaluator;
+export var GeoUtils = lib.GeoUtils;
+export var XFormTypes = lib.XFormTypes;
+export var InstanceNode = lib.InstanceNode;
+export var InstanceResolver = lib.InstanceResolver;
+export var FormState = lib.FormState;
+export var FormValidator = lib.FormValidator;
+export var ODKParser = lib.ODKParser;
+export var Translations = lib.Translations;
+export var BaseControl = lib.BaseControl;
+export var ControlGroup = lib.ControlGroup;
+export var Control = lib.Control;
+export var XFormLinter = lib.XFormLinter;
+export var HTMLRenderer = lib.HTMLRenderer;
+export var VirtualNode = lib.VirtualNode;
+export var HTMLFormElementFactory = lib.HTMLFormElementFactory;
+export var FormController = lib.FormController;
+export var DraftStorage = lib.DraftStorage;
+export var MemoryDraftStorage = lib.MemoryDraftStorage;
+export var LocalDraftStorage = lib.LocalDraftStorage;
+export var IndexedDBDraftStorage = lib.IndexedDBDraftStorage;
+export var DraftManager = lib.DraftManager;
+export var OpenRosaClient = lib.OpenRosaClient;
+export var XLSFormConverter = lib.XLSFormConverter;
+export var FormDiff = lib.FormDiff;
@@ -0,0 +1,445 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+if (typeof module != 'undefined' && module.exports)
+    var XMLUtils = require('./xmlutils').XMLUtils;
+
+
+/****************************** InstanceNode ******************************/
+
+
+/**
+ * Constructor. Initialize a new InstanceNode, which holds a single element of an XForm instance tree.
+ * Element values are always kept as strings, as they would appear in the instance XML.
+ *
+ * @string name Element name.
+ * @object parent Parent InstanceNode or undefined for a document node.
+ */
+function InstanceNode(name, parent) {
+
+    this.name = name;
+    this.parent = parent || null;
+    this.children = [];
+    this.attributes = [];
+    this.value = '';
+    this.isAttribute = false;
+
+    // Computed bind state, maintained by FormState
+    this.relevantSelf = true;
+    this.readonlySelf = false;
+    this.relevant = true;
+    this.readonly = false;
+    this.required = false;
+    this.valid = true;
+
+    if (this.parent != null)
+        this.parent.children.push(this);
+}
+
+/**
+ * Build an InstanceNode tree out of a DOM element.
+ *
+ * @object element DOM element to copy.
+ * @object parent Parent InstanceNode of the copied tree.
+ * @return The InstanceNode built for the given element.
+ */
+InstanceNode.fromDOM = function(element, parent) {
+
+    var node = new InstanceNode(element.nodeName, parent);
+    for (var i = 0; i < element.attributes.length; i++)
+        node.setAttribute(element.attributes[i].nodeName, element.attributes[i].nodeValue);
+
+    var children = XMLUtils.getChildElements(element);
+    if (children.length > 0) {
+        for (var i = 0; i < children.length; i++)
+            InstanceNode.fromDOM(children[i], node);
+    } else if (element.firstChild != null) {
+        node.value = XMLUtils.getText(element);
+    }
+
+    return node;
+}
+
+/**
+ * Build an InstanceNode tree out of a plain object returned by toJSON().
+ *
+ * @object json Object with name, value, attributes and children.
+ * @object parent Parent InstanceNode of the built tree.
+ * @return The InstanceNode built for the given object.
+ */
+InstanceNode.fromJSON = function(json, parent) {
+
+    var node = new InstanceNode(json.name, parent);
+    node.value = json.value;
+    for (var name in json.attributes)
+        node.setAttribute(name, json.attributes[name]);
+    for (var i = 0; i < json.children.length; i++)
+        InstanceNode.fromJSON(json.children[i], node);
+
+    return node;
+}
+
+/**
+ * Return a plain object, suitable for JSON serialization. Computed bind state isn't included.
+ *
+ * @return Object with name, value, attributes (mapping names to values) and children.
+ */
+InstanceNode.prototype.toJSON = function() {
+
+    var attributes = {};
+    for (var i = 0; i < this.attributes.length; i++)
+        attributes[this.attributes[i].name] = this.attributes[i].value;
+
+    return {
+        'name': this.name,
+        'value': this.value,
+        'attributes': attributes,
+        'children': this.children.map(function(child) {
+            return child.toJSON();
+        })
+    };
+}
+
+/**
+ * Return a deep copy of this node.
+ *
+ * @object parent Parent InstanceNode of the copy or undefined for a detached copy.
+ * @return InstanceNode copy.
+ */
+InstanceNode.prototype.clone = function(parent) {
+
+    var node = new InstanceNode(this.name, parent);
+    node.value = this.value;
+    for (var i = 0; i < this.attributes.length; i++)
+        node.setAttribute(this.attributes[i].name, this.attributes[i].value);
+    for (var i = 0; i < this.children.length; i++)
+        this.children[i].clone(node);
+
+    return node;
+}
+
+/**
+ * Insert a child node at the given index, detaching it from any previous parent.
+ *
+ * @object node InstanceNode to insert.
+ * @number index Index among the children. Leave undefined to append.
+ * @return Nothing.
+ */
+InstanceNode.prototype.insertChild = function(node, index) {
+
+    if (node.parent != null)
+        node.remove();
+
+    node.parent = this;
+    this.children.splice(index == undefined ? this.children.length : index, 0, node);
+}
+
+/**
+ * Detach this node from it's parent.
+ *
+ * @return Nothing.
+ */
+InstanceNode.prototype.remove = function() {
+
+    if (this.parent != null) {
+        var index = this.parent.children.indexOf(this);
+        if (index != -1)
+            this.parent.children.splice(index, 1);
+        this.parent = null;
+    }
+}
+
+/**
+ * Return the node's path, without any position predicates.
+ *
+ * @return Path string.
+ */
+InstanceNode.prototype.getPath = function() {
+
+    if (this.parent == null)
+        return '';
+
+    return this.parent.getPath() + '/' + (this.isAttribute ? '@' : '') + this.name;
+}
+
+/**
+ * Return the value of an attribute.
+ *
+ * @string name Attribute name.
+ * @return Attribute value or null if it isn't defined.
+ */
+InstanceNode.prototype.getAttribute = function(name) {
+
+    for (var i = 0; i < this.attributes.length; i++)
+        if (this.attributes[i].name == name)
+            return this.attributes[i].value;
+
+    return null;
+}
+
+/**
+ * Set the value of an attribute, creating it when needed.
+ *
+ * @string name Attribute name.
+ * @string value Attribute value.
+ * @return Nothing.
+ */
+InstanceNode.prototype.setAttribute = function(name, value) {
+
+    for (var i = 0; i < this.attributes.length; i++) {
+        if (this.attributes[i].name == name) {
+            this.attributes[i].value = value;
+            return;
+        }
+    }
+
+    var attr = new InstanceNode(name);
+    attr.parent = this;
+    attr.isAttribute = true;
+    attr.value = value;
+    this.attributes.push(attr);
+}
+
+/**
+ * Remove an attribute.
+ *
+ * @string name Attribute name.
+ * @return Nothing.
+ */
+InstanceNode.prototype.removeAttribute = function(name) {
+
+    for (var i = 0; i < this.attributes.length; i++)
+        if (this.attributes[i].name == name)
+            this.attributes.splice(i--, 1);
+}
+
+/**
+ * Return the node's string value, which is the concatenation of all descendant values.
+ *
+ * @return String value.
+ */
+InstanceNode.prototype.getStringValue = function() {
+
+    if (this.children.length == 0)
+        return this.value;
+
+    var value = '';
+    for (var i = 0; i < this.children.length; i++)
+        value += this.children[i].getStringValue();
+
+    return value;
+}
+
+
+/****************************** InstanceResolver ******************************/
+
+
+/**
+ * Constructor. Initialize a new resolver for the content of external secondary instances,
+ * which are referenced by their src URI, e.g. 'jr://file-csv/cities.csv'.
+ * Content is never fetched over the network: it's either registered in memory or read by loader functions.
+ */
+function InstanceResolver() {
+
+    this.sources = {};
+    this.loaders = [];
+}
+
+/**
+ * Register the content of an external instance.
+ *
+ * @string src Instance src URI.
+ * @string content XML or CSV content.
+ * @return Nothing.
+ */
+InstanceResolver.prototype.register = function(src, content) {
+
+    this.sources[src] = content;
+}
+
+/**
+ * Add a loader function, used for URIs which weren't registered.
+ * Loaders are tried in the order they were added.
+ *
+ * @function loader Function receiving a src URI and returning it's content, or null if it can't be loaded.
+ * @return Nothing.
+ */
+InstanceResolver.prototype.addLoader = function(loader) {
+
+    this.loaders.push(loader);
+}
+
+/**
+ * Return the content of an external instance.
+ *
+ * @string src Instance src URI.
+ * @return Content string.
+ */
+InstanceResolver.prototype.resolve = function(src) {
+
+    if (this.sources[src] != undefined)
+        return this.sources[src];
+
+    for (var i = 0; i < this.loaders.length; i++) {
+        var content = this.loaders[i](src);
+        if (content != null)
+            return content;
+    }
+
+    throw 'Unable to resolve external instance "' + src + '"';
+}
+
+/**
+ * Return a value indicating whether a src URI refers to CSV content.
+ *
+ * @string src Instance src URI.
+ * @return Boolean value.
+ */
+InstanceResolver.prototype.isCSV = function(src) {
+
+    return src.indexOf('jr://file-csv/') == 0 || /\.csv$/i.test(src);
+}
+
+/**
+ * Return the file name part of a jr:// URI.
+ *
+ * @string src Instance src URI, e.g. 'jr://file/lists.xml'.
+ * @return File name, e.g. 'lists.xml', or null if the URI isn't a jr:// file URI.
+ */
+InstanceResolver.getFileName = function(src) {
+
+    var temp = /^jr:\/\/file(-csv)?\/(.+)$/.exec(src);
+    return temp != null ? temp[2] : null;
+}
+
+/**
+ * Create a loader reading jr://file and jr://file-csv URIs from a local directory.
+ * This requires Node's file system module. Files outside of the directory, e.g. 'jr://file/../secret.xml',
+ * aren't read, as forms may come from anywhere.
+ *
+ * @string dir Directory holding the form's media files.
+ * @return Loader function for addLoader().
+ */
+InstanceResolver.FileLoader = function(dir) {
+
+    var fs = require('fs');
+    var path = require('path');
+    var root = path.resolve(dir) + path.sep;
+
+    return function(src) {
+
+        var name = InstanceResolver.getFileName(src);
+        if (name == null)
+            return null;
+
+        var file = path.resolve(root, name);
+        if (file.indexOf(root) != 0)
+            return null;
+
+        return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    }
+}
+
+/**
+ * Parse CSV content into rows, following RFC 4180 quoting rules.
+ *
+ * @string text CSV content.
+ * @object keepEmpty Boolean value indicating whether empty lines are kept as empty rows, e.g. to count rows.
+ * @return Array of rows, each an Array of cell strings. Empty lines are skipped unless keepEmpty is true.
+ */
+InstanceResolver.parseCSV = function(text, keepEmpty) {
+
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var quoted = false;
+
+    text = text.replace(/^\ufeff/, '');
+    for (var i = 0; i < text.length; i++) {
+
+        var c = text[i];
+        if (quoted) {
+            if (c == '"' && text[i + 1] == '"') {
+                cell += '"';
+                i++;
+            } else if (c == '"')
+                quoted = false;
+            else
+                cell += c;
+        } else if (c == '"')
+            quoted = true;
+        else if (c == ',') {
+            row.push(cell);
+            cell = '';
+        } else if (c == '\n' || c == '\r') {
+            if (c == '\r' && text[i + 1] == '\n')
+                i++;
+            row.push(cell);
+            if (row.length > 1 || row[0] != '')
+                rows.push(row);
+            else if (keepEmpty)
+                rows.push([]);
+            row = [];
+            cell = '';
+        } else
+            cell += c;
+    }
+
+    row.push(cell);
+    if (row.length > 1 || row[0] != '')
+        rows.push(row);
+
+    return rows;
+}
+
+/**
+ * Build an instance tree out of CSV content. The first row holds the column names, and every other row
+ * becomes an item element, i.e. <root><item><name>...</name>...</item></root>, as ODK Collect does.
+ *
+ * @string text CSV content.
+ * @object parent Parent InstanceNode for the root element.
+ * @return Root InstanceNode.
+ */
+InstanceResolver.fromCSV = function(text, parent) {
+
+    var rows = InstanceResolver.parseCSV(text);
+    if (rows.length == 0)
+        throw 'CSV instance has no header row';
+
+    var header = rows[0].map(function(name) {
+        return name.trim();
+    });
+
+    var root = new InstanceNode('root', parent);
+
+    for (var i = 1; i < rows.length; i++) {
+
+        var item = new InstanceNode('item', root);
+        for (var j = 0; j < header.length; j++) {
+            var cell = new InstanceNode(header[j], item);
+            cell.value = j < rows[i].length ? rows[i][j] : '';
+        }
+    }
+
+    return root;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+    module.exports.InstanceNode = InstanceNode;
+    module.exports.InstanceResolver = InstanceResolver;
+}
@@ -0,0 +1,496 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+if (typeof module != 'undefined' && module.exports) {
+    var XMLUtils = require('./xmlutils').XMLUtils;
+    var Diagnostic = require('./diagnostics').Diagnostic;
+    var XPathExpression = require('./xpath').XPathExpression;
+    var ODKParser = require('./parser').ODKParser;
+}
+
+
+/****************************** XFormLinter ******************************/
+
+
+/**
+ * Constructor. Initialize a new linter, which statically checks a XForm for problems beyond those
+ * that prevent it from loading: references to missing nodes, broken expressions, circular calculations,
+ * incomplete translations and the like.
+ *
+ * @object options Optional map of:
+ *                 'resolver' - InstanceResolver for the form's external secondary instances.
+ */
+function XFormLinter(options) {
+
+    options = options || {};
+    this.resolver = options.resolver || null;
+    this.diagnostics = [];
+    this.parser = null;
+}
+
+/**
+ * Diagnostic codes the linter checks itself, for every occurrence rather than the first one only.
+ */
+XFormLinter.Rechecked = ['INVALID_EXPRESSION', 'CIRCULAR_DEPENDENCY', 'BIND_TARGET_MISSING', 'BODY_REF_MISSING', 'MISSING_ITEXT', 'UNREACHABLE_ITEXT'];
+
+/**
+ * Body elements which bind to an instance node through their ref attribute.
+ */
+XFormLinter.Controls = ['input', 'select', 'select1', 'upload', 'trigger', 'range', 'odk:rank', 'rank'];
+
+/**
+ * Bind attributes holding expressions.
+ */
+XFormLinter.Expressions = ['relevant', 'required', 'readonly', 'calculate', 'constraint'];
+
+/**
+ * Lint a XForm.
+ *
+ * @string xml XML string of the XForm.
+ * @object options Linter options, see the constructor.
+ * @return Array of Diagnostic instances, ordered by their location in the form.
+ */
+XFormLinter.lint = function(xml, options) {
+
+    return new XFormLinter(options).lint(xml);
+}
+
+/**
+ * Lint a XForm.
+ *
+ * @string xml XML string of the XForm.
+ * @return Array of Diagnostic instances, ordered by their location in the form.
+ */
+XFormLinter.prototype.lint = function(xml) {
+
+    this.diagnostics = [];
+
+    var dom;
+    try {
+        dom = XMLUtils.parse(xml);
+    } catch (e) {
+        return [Diagnostic.from(e)];
+    }
+
+    // Start with whatever the parser reports, and carry on as long as the definitions were loaded
+    this.parser = new ODKParser();
+    if (this.resolver != null)
+        this.parser.setResolver(this.resolver);
+    this.parser.loads(xml);
+
+    var diagnostics = this.parser.getDiagnostics();
+    for (var i = 0; i < diagnostics.length; i++)
+        if (XFormLinter.Rechecked.indexOf(diagnostics[i].code) == -1)
+            this.diagnostics.push(diagnostics[i]);
+
+    if (this.parser.instance == null || this.parser.body == undefined || this.parser.body == null) {
+        if (this.diagnostics.length == 0)
+            this.diagnostics = diagnostics;
+        return this.diagnostics;
+    }
+
+    var head = dom.getElementsByTagNameNS(this.parser.ns, 'head')[0];
+    var body = dom.getElementsByTagNameNS(this.parser.ns, 'body')[0];
+
+    this._checkBinds(head);
+    this._checkBody(body);
+    this._checkTranslations(head, dom);
+
+    this.diagnostics.sort(function(a, b) {
+        return (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0);
+    });
+
+    return this.diagnostics;
+}
+
+/**
+ * Private method. Record a problem found by the linter.
+ */
+XFormLinter.prototype._report = function(code, message, node, path) {
+
+    this.diagnostics.push(Diagnostic.create(code, message, node, path));
+}
+
+/**
+ * Private method. Return a value indicating whether an absolute path exists in the primary instance.
+ *
+ * @string path Path without position predicates, e.g. '/data/kids/@id'.
+ * @return Boolean value.
+ */
+XFormLinter.prototype._exists = function(path) {
+
+    var parts = path.split('/');
+    var node = this.parser.instance;
+    for (var i = 1; i < parts.length && node != null; i++) {
+
+        var list = parts[i][0] == '@' ? node.attributes : node.children;
+        var name = parts[i].replace(/^@/, '');
+        var next = null;
+        for (var j = 0; j < list.length && next == null; j++)
+            if (list[j].name == name)
+                next = list[j];
+        node = next;
+    }
+
+    return node != null;
+}
+
+/**
+ * Private method. Return the path of the node a bind with the given id refers to, or null if there is none.
+ */
+XFormLinter.prototype._findBind = function(id) {
+
+    for (var path in this.parser.fields)
+        if (this.parser.fields[path].id == id)
+            return path;
+
+    return null;
+}
+
+/**
+ * Private method. Resolve a ref attribute against the path of the enclosing group.
+ */
+XFormLinter.prototype._resolve = function(ref, path) {
+
+    if (ref[0] == '/')
+        return ref;
+
+    var parts = (path + '/' + ref).split('/');
+    var result = [];
+    for (var i = 0; i < parts.length; i++) {
+        if (parts[i] == '..')
+            result.pop();
+        else if (parts[i] != '.' && parts[i] != '')
+            result.push(parts[i]);
+    }
+
+    return '/' + result.join('/');
+}
+
+/**
+ * Private method. Check an expression parses and only refers to existing paths.
+ *
+ * @string source Expression string.
+ * @string path Path of the context node.
+ * @string attr Name of the attribute holding the expression, for reporting.
+ * @object node XML node holding the expression.
+ * @return XPathExpression instance, or null if it doesn't parse.
+ */
+XFormLinter.prototype._checkExpression = function(source, path, attr, node) {
+
+    var expr;
+    try {
+        expr = new XPathExpression(source);
+    } catch (e) {
+        this._report('INVALID_EXPRESSION', 'Invalid ' + attr + ' expression for "' + path + '": ' + e, node, path);
+        return null;
+    }
+
+    var refs = expr.getReferences(path);
+    for (var i = 0; i < refs.length; i++)
+        if (!this._exists(refs[i]))
+            this._report('UNKNOWN_PATH', 'The ' + attr + ' expression for "' + path + '" refers to "' + refs[i] + '", which is not defined in the instance', node, path);
+
+    return expr;
+}
+
+/**
+ * Private method. Check bind targets and expressions, duplicate binds and circular calculations.
+ */
+XFormLinter.prototype._checkBinds = function(head) {
+
+    var basePath = this.parser.basePath;
+    var bound = {};
+    var calculations = [];
+
+    var bindings = head.getElementsByTagName('bind');
+    for (var i = 0; i < bindings.length; i++) {
+
+        var bind = bindings[i];
+        var path = bind.getAttribute('nodeset');
+        if (path == null)
+            continue;
+        path = this._resolve(path, basePath);
+
+        if (!this._exists(path)) {
+            this._report('BIND_TARGET_MISSING', 'Bind refers to "' + path + '", which is not defined in the instance', bind, path);
+            continue;
+        }
+
+        if (bound[path] != undefined)
+            this._report('DUPLICATE_BIND', 'More than one bind for "' + path + '"', bind, path);
+        bound[path] = bind;
+
+        for (var j = 0; j < XFormLinter.Expressions.length; j++) {
+
+            var attr = XFormLinter.Expressions[j];
+            var source = bind.getAttribute(attr);
+            if (source == null)
+                continue;
+
+            var expr = this._checkExpression(source, path, attr, bind);
+            if (expr != null && attr == 'calculate')
+                calculations.push({'path':path, 'refs':expr.getReferences(path), 'node':bind});
+        }
+    }
+
+    this._checkCalculations(calculations);
+}
+
+/**
+ * Private method. Report calculations which depend on themselves, directly or through other calculations.
+ */
+XFormLinter.prototype._checkCalculations = function(calculations) {
+
+    var reported = [];
+    var visiting = [];
+    var done = [];
+    var self = this;
+
+    var visit = function(calc) {
+
+        if (done.indexOf(calc) != -1)
+            return;
+
+        var index = visiting.indexOf(calc);
+        if (index != -1) {
+            var cycle = visiting.slice(index);
+            var paths = cycle.map(function(c) {
+                return c.path;
+            });
+
+            // Report every cycle once, whichever calculation it was found from
+            var key = paths.slice().sort().join(' ');
+            if (reported.indexOf(key) == -1) {
+                reported.push(key);
+                self._report('CIRCULAR_DEPENDENCY', 'Circular dependency between calculations: ' + paths.concat([calc.path]).join(' -> '), calc.node, calc.path);
+            }
+            return;
+        }
+
+        visiting.push(calc);
+        for (var i = 0; i < calculations.length; i++)
+            if (calculations[i] != calc && XPathExpression.refersTo(calc.refs, calculations[i].path))
+                visit(calculations[i]);
+        visiting.pop();
+        done.push(calc);
+    }
+
+    for (var i = 0; i < calculations.length; i++) {
+
+        // Calculations referring to their own node are cycles as well
+        if (calculations[i].refs.indexOf(calculations[i].path) != -1)
+            this._report('CIRCULAR_DEPENDENCY', 'Calculation for "' + calculations[i].path + '" refers to itself', calculations[i].node, calculations[i].path);
+        visit(calculations[i]);
+    }
+}
+
+/**
+ * Private method. Check the body's references, selects and repeats.
+ */
+XFormLinter.prototype._checkBody = function(body) {
+
+    var self = this;
+    var refs = {};
+
+    var recursiveHelper = function(node, path, wrapper) {
+
+        var name = node.nodeName;
+        var current = path;
+
+        if (name == 'group' || name == 'repeat' || XFormLinter.Controls.indexOf(name) != -1) {
+
+            // Controls may refer to their node through the id of it's bind instead
+            var attr = name == 'repeat' ? 'nodeset' : 'ref';
+            var ref = node.getAttribute(attr);
+            var bind = node.getAttribute('bind');
+            if (ref == null && bind != null) {
+                ref = self._findBind(bind);
+                if (ref == null)
+                    self._report('BODY_REF_MISSING', 'The ' + name + ' refers to bind "' + bind + '", which is not defined', node, null);
+            }
+
+            if (ref != null) {
+
+                current = self._resolve(ref, path);
+                if (!self._exists(current) && !(name == 'group' && self._wrapsRepeat(node, current))) {
+                    if (name == 'repeat')
+                        self._report('REPEAT_TEMPLATE_MISSING', 'Repeat "' + current + '" has no template or instance node', node, current);
+                    else
+                        self._report('BODY_REF_MISSING', 'The ' + name + ' refers to "' + current + '", which is not defined in the instance', node, current);
+                }
+
+                // A group wrapping a repeat usually shares it's reference
+                if (refs[current] != undefined && !(name == 'repeat' && refs[current] == wrapper))
+                    self._report('DUPLICATE_REF', 'More than one ' + name + ' refers to "' + current + '"', node, current);
+                else if (refs[current] == undefined)
+                    refs[current] = node;
+            }
+            else if (name != 'group' && bind == null)
+                self._report('BODY_REF_MISSING', 'The ' + name + ' has no ' + attr + ' attribute', node, null);
+
+            if (name == 'repeat') {
+                var count = node.getAttribute('jr:count');
+                if (count != null)
+                    self._checkExpression(count, current, 'jr:count', node);
+            }
+
+            if (name == 'select' || name == 'select1' || name == 'odk:rank' || name == 'rank')
+                self._checkChoices(node, current);
+        }
+        else if (name == 'output') {
+            var value = node.getAttribute('value');
+            if (value != null)
+                self._checkExpression(value, path, 'output', node);
+        }
+
+        var children = XMLUtils.getChildElements(node);
+        for (var i = 0; i < children.length; i++)
+            recursiveHelper(children[i], current, name == 'group' ? node : null);
+    }
+
+    var children = XMLUtils.getChildElements(body);
+    for (var i = 0; i < children.length; i++)
+        recursiveHelper(children[i], this.parser.basePath, null);
+}
+
+/**
+ * Private method. Return a value indicating whether a group only serves as the wrapper of a repeat with the same reference.
+ */
+XFormLinter.prototype._wrapsRepeat = function(node, path) {
+
+    var children = XMLUtils.getChildElements(node);
+    for (var i = 0; i < children.length; i++)
+        if (children[i].nodeName == 'repeat' && children[i].getAttribute('nodeset') != null && this._resolve(children[i].getAttribute('nodeset'), path) == path)
+            return true;
+
+    return false;
+}
+
+/**
+ * Private method. Check a select has choices, and that it's itemset expression is valid.
+ */
+XFormLinter.prototype._checkChoices = function(node, path) {
+
+    var items = 0;
+    var children = XMLUtils.getChildElements(node);
+    for (var i = 0; i < children.length; i++) {
+
+        if (children[i].nodeName == 'item')
+            items++;
+        else if (children[i].nodeName == 'itemset') {
+            items++;
+            var nodeset = children[i].getAttribute('nodeset');
+            if (nodeset != null)
+                this._checkExpression(nodeset, path, 'itemset', children[i]);
+            else
+                this._report('INVALID_ITEMSET', 'Itemset for "' + path + '" has no nodeset', children[i], path);
+        }
+    }
+
+    if (items == 0)
+        this._report('EMPTY_SELECT', 'The ' + node.nodeName + ' for "' + path + '" has no choices', node, path);
+}
+
+/**
+ * Private method. Report texts which aren't defined in every language, references to undefined texts, texts
+ * which are never used and invalid output values within texts. Translations are read from the form itself,
+ * so they're checked even if the parser stopped before loading them.
+ */
+XFormLinter.prototype._checkTranslations = function(head, dom) {
+
+    var languages = [];
+    var texts = {};
+    var nodes = {};
+
+    var translations = head.getElementsByTagName('translation');
+    for (var i = 0; i < translations.length; i++) {
+
+        var lang = translations[i].getAttribute('lang');
+        languages.push(lang);
+        texts[lang] = {};
+
+        var list = translations[i].getElementsByTagName('text');
+        for (var j = 0; j < list.length; j++) {
+            var id = list[j].getAttribute('id');
+            texts[lang][id] = true;
+            if (nodes[id] == undefined)
+                nodes[id] = list[j];
+
+            var outputs = list[j].getElementsByTagName('output');
+            for (var k = 0; k < outputs.length; k++) {
+                var value = outputs[k].getAttribute('value');
+                if (value != null)
+                    this._checkExpression(value, this.parser.basePath, 'output', outputs[k]);
+            }
+        }
+    }
+
+    for (var id in nodes) {
+
+        var missing = languages.filter(function(lang) {
+            return texts[lang][id] == undefined;
+        });
+
+        if (missing.length > 0)
+            this._report('MISSING_TRANSLATION', 'Text "' + id + '" is missing from ' + (missing.length > 1 ? 'languages' : 'language') + ' "' + missing.join('", "') + '"', nodes[id]);
+    }
+
+    var referenced = this.parser._getTextReferences(dom);
+    for (var id in referenced)
+        if (nodes[id] == undefined)
+            this.diagnostics.push(referenced[id]);
+
+    // Itemset labels take their text ids from secondary instance values
+    var values = null;
+    var itemsets = dom.getElementsByTagName('itemset');
+    for (var i = 0; i < itemsets.length && values == null; i++) {
+        var labels = XMLUtils.getChildElements(itemsets[i]).filter(function(n) {
+            return n.nodeName == 'label' && /^\s*jr:itext\(/.test(n.getAttribute('ref') || '');
+        });
+        if (labels.length > 0)
+            values = this._getInstanceValues(head);
+    }
+
+    for (var id in nodes)
+        if (referenced[id] == undefined && (values == null || values[id] == undefined))
+            this._report('UNREACHABLE_ITEXT', 'Text "' + id + '" is never used', nodes[id]);
+}
+
+/**
+ * Private method. Return the values of the leaf nodes of every instance, as a map.
+ */
+XFormLinter.prototype._getInstanceValues = function(head) {
+
+    var values = {};
+    var recursiveHelper = function(node) {
+        var children = XMLUtils.getChildElements(node);
+        if (children.length == 0)
+            values[XMLUtils.getText(node).trim()] = true;
+        for (var i = 0; i < children.length; i++)
+            recursiveHelper(children[i]);
+    }
+
+    var instances = head.getElementsByTagName('instance');
+    for (var i = 0; i < instances.length; i++)
+        recursiveHelper(instances[i]);
+
+    return values;
+}
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.XFormLinter = XFormLinter;
@@ -0,0 +1,654 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+
+if (typeof module != 'undefined' && module.exports) {
+    var XMLUtils = require('./xmlutils').XMLUtils;
+    var InstanceResolver = require('./instances').InstanceResolver;
+    var FormState = require('./formstate').FormState;
+    var MemoryDraftStorage = require('./drafts').MemoryDraftStorage;
+}
+
+
+/****************************** OpenRosaClient ******************************/
+
+
+/**
+ * Constructor. Initialize a new client for an OpenRosa server, such as ODK Central or ODK Aggregate,
+ * which lists and downloads forms and takes submissions.
+ *
+ * Requests are made by a transport function, called as transport(request, callback) with a request Object
+ * holding the method, url, headers, body and responseType ('text' or 'blob'). The transport calls back with
+ * an error message for network failures, or with null and a response Object holding the status, headers
+ * (by lower case name) and body. XMLHttpRequest is used in Browsers and fetch() elsewhere, and any other
+ * transport may be set, e.g. for testing.
+ *
+ * Submissions which can't reach the server are kept in a queue and sent again by retry(). The queue is
+ * kept by a draft storage backend, which should be separate from the one holding the drafts.
+ *
+ * @string url Server URL, below which the formList and submission URLs are found,
+ *             e.g. 'https://central.example.org/v1/key/TOKEN/projects/1'.
+ * @object options Object with any of transport, username and password (for Basic authentication),
+ *                 and queue (a storage backend, defaulting to a MemoryDraftStorage).
+ */
+function OpenRosaClient(url, options) {
+
+    options = options || {};
+    this.url = String(url || '').replace(/\/+$/, '');
+    this.transport = options.transport || (typeof XMLHttpRequest != 'undefined' ? OpenRosaClient.XHRTransport : OpenRosaClient.FetchTransport);
+    this.username = options.username || null;
+    this.password = options.password || null;
+    this.queue = options.queue || new MemoryDraftStorage();
+    this.acceptLength = null;
+    this.timer = null;
+    this.retrying = null;
+}
+
+/**
+ * Version of the OpenRosa API spoken by the client, sent with every request.
+ */
+OpenRosaClient.Version = '1.0';
+
+/**
+ * Largest request accepted by servers which don't say otherwise in their HEAD response, in bytes.
+ */
+OpenRosaClient.DefaultAcceptLength = 10485760;
+
+/**
+ * Namespaces of the OpenRosa documents.
+ */
+OpenRosaClient.Namespaces = {
+    'formList': 'http://openrosa.org/xforms/xformsList',
+    'manifest': 'http://openrosa.org/xforms/xformsManifest',
+    'response': 'http://openrosa.org/http/response'
+};
+
+/**
+ * Transport using XMLHttpRequest.
+ *
+ * @object request Request Object.
+ * @function callback Function called with an error and the response.
+ * @return Nothing.
+ */
+OpenRosaClient.XHRTransport = function(request, callback) {
+
+    var xhr = new XMLHttpRequest();
+    xhr.open(request.method, request.url, true);
+    xhr.responseType = request.responseType || 'text';
+    for (var name in request.headers)
+        xhr.setRequestHeader(name, request.headers[name]);
+
+    xhr.onload = function() {
+        var headers = {};
+        var lines = xhr.getAllResponseHeaders().trim().split(/[\r\n]+/);
+        for (var i = 0; i < lines.length; i++) {
+            var index = lines[i].indexOf(':');
+            if (index > 0)
+                headers[lines[i].substr(0, index).trim().toLowerCase()] = lines[i].substr(index + 1).trim();
+        }
+        callback(null, {'status':xhr.status, 'headers':headers, 'body':xhr.response});
+    }
+    xhr.onerror = xhr.ontimeout = function() {
+        callback('Could not reach "' + request.url + '"');
+    }
+
+    xhr.send(request.body != undefined ? request.body : null);
+}
+
+/**
+ * Transport using fetch(), e.g. under Node.js.
+ *
+ * @object request Request Object.
+ * @function callback Function called with an error and the response.
+ * @return Nothing.
+ */
+OpenRosaClient.FetchTransport = function(request, callback) {
+
+    var status;
+    var headers = {};
+    fetch(request.url, {'method':request.method, 'headers':request.headers, 'body':request.body}).then(function(response) {
+        status = response.status;
+        response.headers.forEach(function(value, name) {
+            headers[name.toLowerCase()] = value;
+        });
+        return request.responseType == 'blob' ? response.blob() : response.text();
+    }).then(function(body) {
+        callback(null, {'status':status, 'headers':headers, 'body':body});
+    }, function(e) {
+        callback('Could not reach "' + request.url + '": ' + (e.message || e));
+    });
+}
+
+/**
+ * Parse a formList document.
+ *
+ * @string xml XML string of the form list.
+ * @return Array of Objects with the formID, name, version, hash, description, downloadUrl and manifestUrl of each form.
+ *         Missing values are null.
+ */
+OpenRosaClient.parseFormList = function(xml) {
+
+    var forms = [];
+    var elements = XMLUtils.parse(xml).getElementsByTagNameNS(OpenRosaClient.Namespaces.formList, 'xform');
+    for (var i = 0; i < elements.length; i++) {
+
+        var values = OpenRosaClient._getChildValues(elements[i]);
+        forms.push({
+            'formID': values.formID || null,
+            'name': values.name || null,
+            'version': values.version || null,
+            'hash': values.hash || null,
+            'description': values.descriptionText || null,
+            'downloadUrl': values.downloadUrl || null,
+            'manifestUrl': values.manifestUrl || null
+        });
+    }
+
+    return forms;
+}
+
+/**
+ * Parse a form's media manifest.
+ *
+ * @string xml XML string of the manifest.
+ * @return Array of Objects with the filename, hash and downloadUrl of each media file.
+ */
+OpenRosaClient.parseManifest = function(xml) {
+
+    var files = [];
+    var elements = XMLUtils.parse(xml).getElementsByTagNameNS(OpenRosaClient.Namespaces.manifest, 'mediaFile');
+    for (var i = 0; i < elements.length; i++) {
+        var values = OpenRosaClient._getChildValues(elements[i]);
+        files.push({'filename':values.filename || null, 'hash':values.hash || null, 'downloadUrl':values.downloadUrl || null});
+    }
+
+    return files;
+}
+
+/**
+ * Read the message of an OpenRosaResponse document, which servers return with submission results and errors.
+ *
+ * @string xml XML string of the response.
+ * @return Object with the message text and it's nature, e.g. 'submit_success', or null if the XML isn't an OpenRosaResponse.
+ */
+OpenRosaClient.parseResponse = function(xml) {
+
+    try {
+        var messages = XMLUtils.parse(xml).getElementsByTagNameNS(OpenRosaClient.Namespaces.response, 'message');
+    } catch (e) {
+        return null;
+    }
+
+    if (messages.length == 0)
+        return null;
+
+    return {'message':XMLUtils.getText(messages[0]).trim(), 'nature':messages[0].getAttribute('nature') || null};
+}
+
+/**
+ * Private method. Return the text of an element's children, by their local name.
+ */
+OpenRosaClient._getChildValues = function(element) {
+
+    var values = {};
+    var children = XMLUtils.getChildElements(element);
+    for (var i = 0; i < children.length; i++)
+        values[children[i].localName] = XMLUtils.getText(children[i]).trim();
+
+    return values;
+}
+
+/**
+ * Return the forms available on the server.
+ *
+ * @function callback Function called with an error and an Array of forms, see parseFormList().
+ * @return Nothing.
+ */
+OpenRosaClient.prototype.getFormList = function(callback) {
+
+    this._request(this.url + '/formList', 'text', function(error, response) {
+
+        if (error == null && response.status != 200)
+            error = OpenRosaClient._getError('List forms', response);
+
+        if (error != null) {
+            callback(error, []);
+            return;
+        }
+
+        var forms;
+        try {
+            forms = OpenRosaClient.parseFormList(response.body);
+        } catch (e) {
+            callback('Invalid form list: ' + e, []);
+            return;
+        }
+
+        callback(null, forms);
+    });
+}
+
+/**
+ * Download a form together with it's media files.
+ *
+ * @object form Form Object, as returned by getFormList().
+ * @function callback Function called with an error and an Object with the form's xml, it's media files as
+ *                    Blobs by file name, and an InstanceResolver supplying the XML and CSV files to ODKParser.setResolver().
+ * @return Nothing.
+ */
+OpenRosaClient.prototype.downloadForm = function(form, callback) {
+
+    var self = this;
+    this._request(form.downloadUrl, 'text', function(error, response) {
+
+        if (error == null && response.status != 200)
+            error = OpenRosaClient._getError('Download form "' + form.formID + '"', response);
+
+        if (error != null) {
+            callback(error, null);
+            return;
+        }
+
+        var result = {'xml':response.body, 'media':{}, 'resolver':new InstanceResolver()};
+        if (form.manifestUrl == null) {
+            callback(null, result);
+            return;
+        }
+
+        self._downloadMedia(form, result, callback);
+    });
+}
+
+/**
+ * Private method. Download the media files listed by a form's manifest, one after the other.
+ */
+OpenRosaClient.prototype._downloadMedia = function(form, result, callback) {
+
+    var self = this;
+    this._request(form.manifestUrl, 'text', function(error, response) {
+
+        if (error == null && response.status != 200)
+            error = OpenRosaClient._getError('Download manifest of "' + form.formID + '"', response);
+
+        var files = [];
+        try {
+            if (error == null)
+                files = OpenRosaClient.parseManifest(response.body);
+        } catch (e) {
+            error = 'Invalid manifest: ' + e;
+        }
+
+        if (error != null) {
+            callback(error, null);
+            return;
+        }
+
+        var next = function(i) {
+
+            if (i == files.length) {
+                callback(null, result);
+                return;
+            }
+
+            // External instances are needed as text by the parser, while pictures and sounds are kept as Blobs
+            var file = files[i];
+            var text = /\.(xml|csv)$/i.test(file.filename);
+            self._request(file.downloadUrl, text ? 'text' : 'blob', function(error, response) {
+
+                if (error == null && response.status != 200)
+                    error = OpenRosaClient._getError('Download "' + file.filename + '"', response);
+
+                if (error != null) {
+                    callback(error, null);
+                    return;
+                }
+
+                result.media[file.filename] = response.body;
+                if (text) {
+                    var prefix = /\.csv$/i.test(file.filename) ? 'jr://file-csv/' : 'jr://file/';
+                    result.resolver.register(prefix + file.filename, response.body);
+                }
+                next(i + 1);
+            });
+        }
+        next(0);
+    });
+}
+
+/**
+ * Submit the answers of a form, together with their files. Forms with errors aren't submitted.
+ * Submissions which can't reach the server, or which the server fails to process, are queued.
+ *
+ * @object parser ODKParser instance, holding the answers.
+ * @function callback Function called with an error and the result: an Object with the HTTP status (0 when queued),
+ *                    the server's message, and a queued Boolean value.
+ * @return Nothing.
+ */
+OpenRosaClient.prototype.submit = function(parser, callback) {
+
+    var xml = parser.submit();
+    if (xml == null) {
+        callback('The form has errors', null);
+        return;
+    }
+
+    var state = parser.getState();
+    var submission = {
+        'key': state.getInstanceID(),
+        'formID': parser.getFormID(),
+        'xml': xml,
+        'attachments': state.getAttachments(),
+        'queued': null,
+        'error': null
+    };
+
+    this.send(submission, callback);
+}
+
+/**
+ * Send a submission, queueing it if it can't be delivered now.
+ *
+ * @object submission Object with a key, the instance xml and an Array of attachments with their name, type and data.
+ * @function callback Function called with an error and the result, see submit().
+ * @return Nothing.
+ */
+OpenRosaClient.prototype.send = function(submission, callback) {
+
+    var self = this;
+    this._post(submission, function(error, result, retry) {
+
+        if (error == null || !retry) {
+            callback(error, result);
+            return;
+        }
+
+        // Network failures and server errors may go away, so the submission is tried again later
+        submission.queued = submission.queued || new Date().toISOString();
+        submission.error = error;
+        self.queue.put(submission, function(queueError) {
+            if (queueError != null)
+                callback(error + ' (' + queueError + ')', null);
+            else
+                callback(null, {'status':0, 'message':error, 'queued':true});
+        });
+    });
+}
+
+/**
+ * Return the queued submissions.
+ *
+ * @function callback Function called with an error and an Array of submissions, the oldest first.
+ * @return Nothing.
+ */
+OpenRosaClient.prototype.getQueue = function(callback) {
+
+    this.queue.list(function(error, list) {
+
+        list = list || [];
+        list.sort(function(a, b) {
+            return a.queued < b.queued ? -1 : a.queued > b.queued ? 1 : 0;
+        });
+        callback(error, list);
+    });
+}
+
+/**
+ * Send the queued submissions again, the oldest first. Submissions are removed from the queue once the server
+ * accepts them, or rejects them for good. Sending stops as soon as the server can't be reached.
+ * Calls made while a retry is still running don't start another one, but are called back with it's result.
+ *
+ * @function callback Function called with an error and an Object with the number of submissions sent,
+ *                    the rejected submissions, and the number still queued. May be left undefined.
+ * @return Nothing.
+ */
+OpenRosaClient.prototype.retry = function(callback) {
+
+    var self = this;
+    callback = callback || function() {};
+
+    // Overlapping retries would send the same submissions twice
+    if (this.retrying != null) {
+        this.retrying.push(callback);
+        return;
+    }
+
+    this.retrying = [callback];
+    var done = function(error, summary) {
+        var callbacks = self.retrying;
+        self.retrying = null;
+        for (var i = 0; i < callbacks.length; i++)
+            callbacks[i](error, summary);
+    }
+
+    this.getQueue(function(error, list) {
+
+        if (error != null) {
+            done(error, null);
+            return;
+        }
+
+        var summary = {'sent':0, 'rejected':[], 'queued':list.length};
+        var next = function(i) {
+
+            if (i == list.length) {
+                done(null, summary);
+                return;
+            }
+
+            var submission = list[i];
+            self._post(submission, function(error, result, retry) {
+
+                // Still offline
+                if (error != null && retry) {
+                    submission.error = error;
+                    self.queue.put(submission, function() {
+                        done(null, summary);
+                    });
+                    return;
+                }
+
+                if (error == null)
+                    summary.sent++;
+                else
+                    summary.rejected.push({'key':submission.key, 'error':error});
+
+                self.queue.remove(submission.key, function() {
+                    summary.queued--;
+                    next(i + 1);
+                });
+            });
+        }
+        next(0);
+    });
+}
+
+/**
+ * Retry the queued submissions regularly, and whenever the Browser goes online.
+ *
+ * @number interval Milliseconds between retries. Defaults to 60000.
+ * @function callback Function called after every retry, see retry(). May be left undefined.
+ * @return Nothing.
+ */
+OpenRosaClient.prototype.startRetrying = function(interval, callback) {
+
+    var self = this;
+    this.stopRetrying();
+
+    this.onlineListener = function() {
+        self.retry(callback);
+    }
+    this.timer = setInterval(this.onlineListener, interval || 60000);
+    if (typeof window != 'undefined' && window.addEventListener != undefined)
+        window.addEventListener('online', this.onlineListener);
+}
+
+/**
+ * Stop retrying the queued submissions.
+ *
+ * @return Nothing.
+ */
+OpenRosaClient.prototype.stopRetrying = function() {
+
+    if (this.timer != null)
+        clearInterval(this.timer);
+    if (this.onlineListener != undefined && typeof window != 'undefined' && window.removeEventListener != undefined)
+        window.removeEventListener('online', this.onlineListener);
+
+    this.timer = null;
+    this.onlineListener = undefined;
+}
+
+/**
+ * Private method. Post a submission, split into several requests if it's files exceed the size the server accepts.
+ * Calls back with an error, the result, and a Boolean value indicating whether trying again later may help.
+ */
+OpenRosaClient.prototype._post = function(submission, callback) {
+
+    var self = this;
+    this._preflight(function(error) {
+
+        if (error != null) {
+            callback(error.message, null, error.retry);
+            return;
+        }
+
+        var batches = self._getBatches(submission);
+        var next = function(i, result) {
+
+            if (i == batches.length) {
+                callback(null, result);
+                return;
+            }
+
+            // All but the last request are marked as incomplete, so the server waits for the remaining files
+            var parts = [{'name':'xml_submission_file', 'filename':'submission.xml', 'type':'text/xml', 'data':submission.xml}];
+            for (var j = 0; j < batches[i].length; j++)
+                parts.push({'name':batches[i][j].name, 'filename':batches[i][j].name, 'type':batches[i][j].type, 'data':batches[i][j].data});
+            if (i < batches.length - 1)
+                parts.push({'name':'*isIncomplete*', 'data':'yes'});
+
+            var boundary = '----odk' + Math.random().toString(16).substr(2) + new Date().getTime().toString(16);
+            var multipart = FormState.buildMultipart(parts, boundary);
+            self._request(self.url + '/submission', 'text', function(error, response) {
+
+                if (error != null) {
+                    callback(error, null, true);
+                    return;
+                }
+
+                var message = OpenRosaClient.parseResponse(response.body || '');
+                if (response.status != 201 && response.status != 202) {
+                    callback(OpenRosaClient._getError('Submit "' + submission.key + '"', response), null, response.status >= 500);
+                    return;
+                }
+
+                next(i + 1, {'status':response.status, 'message':message != null ? message.message : null, 'queued':false});
+            }, 'POST', multipart);
+        }
+        next(0, null);
+    });
+}
+
+/**
+ * Private method. Ask the server for the largest submission it accepts, with a HEAD request.
+ * Calls back with an error Object holding the message, and whether trying again later may help.
+ */
+OpenRosaClient.prototype._preflight = function(callback) {
+
+    var self = this;
+    if (this.acceptLength != null) {
+        callback(null);
+        return;
+    }
+
+    this._request(this.url + '/submission', 'text', function(error, response) {
+
+        if (error != null) {
+            callback({'message':error, 'retry':true});
+            return;
+        }
+
+        if (response.status != 204 && response.status != 200) {
+            callback({'message':OpenRosaClient._getError('Submission check', response), 'retry':response.status >= 500});
+            return;
+        }
+
+        var length = parseInt(response.headers['x-openrosa-accept-content-length'], 10);
+        self.acceptLength = isNaN(length) || length <= 0 ? OpenRosaClient.DefaultAcceptLength : length;
+        callback(null);
+    }, 'HEAD');
+}
+
+/**
+ * Private method. Split a submission's files into groups, each of which fits a request together with the instance XML.
+ * Every group holds at least one file, and there's always at least one group.
+ */
+OpenRosaClient.prototype._getBatches = function(submission) {
+
+    var sizeOf = function(data) {
+        if (typeof data == 'string')
+            return data.length;
+        return data.size != undefined ? data.size : data.byteLength;
+    }
+
+    var limit = this.acceptLength - sizeOf(submission.xml);
+    var batches = [[]];
+    var size = 0;
+    var attachments = submission.attachments || [];
+    for (var i = 0; i < attachments.length; i++) {
+
+        var current = batches[batches.length - 1];
+        var length = sizeOf(attachments[i].data);
+        if (current.length > 0 && size + length > limit) {
+            current = [];
+            batches.push(current);
+            size = 0;
+        }
+
+        current.push(attachments[i]);
+        size += length;
+    }
+
+    return batches;
+}
+
+/**
+ * Private method. Make a GET request with the OpenRosa headers, or any other request with a method and a body.
+ */
+OpenRosaClient.prototype._request = function(url, responseType, callback, method, body) {
+
+    var headers = {'X-OpenRosa-Version':OpenRosaClient.Version};
+    if (this.username != null)
+        headers['Authorization'] = 'Basic ' + btoa(unescape(encodeURIComponent(this.username + ':' + (this.password || ''))));
+    if (body != undefined)
+        headers['Content-Type'] = body.contentType;
+
+    this.transport({'method':method || 'GET', 'url':url, 'headers':headers, 'body':body != undefined ? body.body : null, 'responseType':responseType}, callback);
+}
+
+/**
+ * Private method. Build an error message out of a failed response, preferring the server's own message.
+ */
+OpenRosaClient._getError = function(action, response) {
+
+    var message = typeof response.body == 'string' ? OpenRosaClient.parseResponse(response.body) : null;
+    return action + ' failed with HTTP status ' + response.status + (message != null && message.message != '' ? ': ' + message.message : '');
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.OpenRosaClient = OpenRosaClient;
@@ -15,6 +15,19 @@ limitations under the License.
 */
 
 
+if (typeof module != 'undefined' && module.exports) {
+    var XMLUtils = require('./xmlutils').XMLUtils;
+    var Diagnostic = require('./diagnostics').Diagnostic;
+    var XPathExpression = require('./xpath').XPathExpression;
+    var XPathEvaluator = require('./evaluator').XPathEvaluator;
+    var XFormTypes = require('./types').XFormTypes;
+    var InstanceNode = require('./instances').InstanceNode;
+    var InstanceResolver = require('./instances').InstanceResolver;
+    var FormState = require('./formstate').FormState;
+    var FormValidator = require('./validator').FormValidator;
+}
+
+
 /****************************** ODKParser ******************************/
 
 
@@ -22,60 +35,144 @@ limitations under the License.
  * Constructor. Initialize a new parser instance capable of parsing, validating and returning a list of form elements.
  *
  * @object formElementsFactory Factory instance for generating HTML form elements from Control objects.
+ *                            May be left undefined when no form elements are needed, e.g. under Node.js.
  * @return Nothing.
  */
 function ODKParser(formElementsFactory) {
 
     this.ns = '';
-    this.translations = {'_default_': null};
-    this.factory = formElementsFactory;
-    this.factory.setParser(this);
+    this.translations = new Translations();
+    this.factory = formElementsFactory || null;
+    if (this.factory != null)
+        this.factory.setParser(this);
     this.fields = {};
     this.controls = [];
+    this.instance = null;
+    this.instances = {};
+    this.resolver = null;
+    this.repeats = {};
+    this.state = null;
+    this.validator = null;
+    this.diagnostics = [];
+    this.setEvaluator(new XPathEvaluator());
 }
 
+/**
+ * Bind attributes understood by the parser. Attributes in other namespaces than jr are extensions and are kept as is.
+ */
+ODKParser.BindAttributes = ['nodeset', 'id', 'type', 'required', 'readonly', 'relevant', 'calculate', 'constraint',
+    'jr:constraintMsg', 'jr:requiredMsg', 'jr:preload', 'jr:preloadParams', 'jr:saveIncomplete'];
+
+/**
+ * Name and version of the JSON schema written by toJSON(). The version is increased whenever the schema
+ * changes, and fromJSON() refuses newer versions than it knows.
+ */
+ODKParser.Schema = 'odk-form';
+ODKParser.SchemaVersion = 1;
+
+/**
+ * Bind attributes holding expressions, which are kept parsed.
+ */
+ODKParser.ExpressionAttributes = ['required', 'readonly', 'relevant', 'calculate', 'constraint'];
+
 /**
  * Load XForm file from string.
  *
+ * Problems found while loading are available from getDiagnostics(). Loading stops at the first error,
+ * while warnings are collected and don't prevent the form from being used.
+ *
  * @string xml XML string of XForm to load.
  *
  * @return Boolean value indicating whether the XML was successfully loaded.
  */
 ODKParser.prototype.loads = function(xml) {
 
+    this.diagnostics = [];
     try {
-        // Use Browser's DOM parser to load XML
-        var dom = new DOMParser().parseFromString(xml.trim(), 'text/xml');
-
-        // Check for syntax errors
-        var temp = dom.getElementsByTagName("parsererror");
-        if (temp.length > 0) {
-            temp = temp[0].getElementsByTagName('div');
-            var err = [];
-
-            for (var i = 0; i < temp.length; i++)
-                err.push(temp[i].innerText.trim());
-
-            throw err.join(', ');
-        }
+        var dom = this._parseXML(xml);
 
         // Check for XML version and encoding
-        if (dom.xmlEncoding != 'UTF-8')
-            throw 'XML Encoding must be UTF-8';
-        if (dom.xmlVersion != '1.0')
-            throw 'XML Version must be 1.0';
+        var declaration = XMLUtils.getDeclaration(xml);
+        if (declaration.encoding == null || declaration.encoding.toUpperCase() != 'UTF-8')
+            throw Diagnostic.create('XML_ENCODING', 'XML Encoding must be UTF-8');
+        if (declaration.version != '1.0')
+            throw Diagnostic.create('XML_VERSION', 'XML Version must be 1.0');
 
         // Validate ODK XML schema
         this._validateSchema(dom);
 
+        // Parsing controls consumes their labels, so collect text references beforehand
+        var references = this._getTextReferences(dom);
         this._parseControls();
+        this._checkTranslations(references);
+
+        // Build the live form state out of the loaded definitions
+        this.state = new FormState(this);
+        this.validator = new FormValidator(this);
+        return true;
+    } catch (e) {
+        this.diagnostics.push(Diagnostic.from(e));
+        return false;
+    }
+}
+
+/**
+ * Load a previously saved instance XML into the form state, so it can be edited.
+ * When the edited instance is serialized, it gets a new instanceID and the loaded one
+ * is recorded as it's deprecatedID.
+ *
+ * @string xml XML string of the saved instance.
+ *
+ * @return Boolean value indicating whether the instance was successfully loaded. Errors are added to getDiagnostics().
+ */
+ODKParser.prototype.loadInstance = function(xml) {
+
+    try {
+        if (this.state == null)
+            throw Diagnostic.create('LOAD_ERROR', 'No form loaded');
+
+        this.state.load(this._parseXML(xml).documentElement);
         return true;
     } catch (e) {
-        console.log('Error parsing XML: ' + e);
+        this.diagnostics.push(Diagnostic.from(e, 'INVALID_INSTANCE_DATA'));
         return false;
     }
 }
 
+/**
+ * Return all errors and warnings found by the last call to loads(), and any errors from loadInstance().
+ *
+ * @return Array of Diagnostic instances.
+ */
+ODKParser.prototype.getDiagnostics = function() {
+
+    return this.diagnostics.slice();
+}
+
+/**
+ * Return the errors found while loading.
+ *
+ * @return Array of Diagnostic instances.
+ */
+ODKParser.prototype.getErrors = function() {
+
+    return this.diagnostics.filter(function(d) {
+        return d.isError();
+    });
+}
+
+/**
+ * Return the warnings found while loading.
+ *
+ * @return Array of Diagnostic instances.
+ */
+ODKParser.prototype.getWarnings = function() {
+
+    return this.diagnostics.filter(function(d) {
+        return !d.isError();
+    });
+}
+
 /**
  * Get the XForm's Title.
  *
@@ -83,13 +180,37 @@ ODKParser.prototype.loads = function(xml) {
  */
 ODKParser.prototype.getTitle = function() {
 
+    // Forms restored by fromJSON() have no XML
+    if (this.head == null)
+        return this.title || '';
+
     var temp = this.head.getElementsByTagNameNS(this.ns, 'title');
     if (temp.length == 1)
-        return temp[0].innerText;
+        return XMLUtils.getText(temp[0]);
 
     return '';
 }
 
+/**
+ * Return the form's ID, from the id attribute of the primary instance's root.
+ *
+ * @return ID string or an empty string, if none was specified.
+ */
+ODKParser.prototype.getFormID = function() {
+
+    return this.instance.children[0].getAttribute('id') || '';
+}
+
+/**
+ * Return the form's version, from the version attribute of the primary instance's root.
+ *
+ * @return Version string or an empty string, if none was specified.
+ */
+ODKParser.prototype.getFormVersion = function() {
+
+    return this.instance.children[0].getAttribute('version') || '';
+}
+
 /**
  * Get a list of elements built using a factory instance.
  *
@@ -98,8 +219,11 @@ ODKParser.prototype.getTitle = function() {
 ODKParser.prototype.getFormElements = function() {
 
     var elems = [];
-    for (var i = 0; i < p.controls.length; i++) {
-        var elem = this.factory.GetElementFromControl(p.controls[i]);
+    if (this.factory == null)
+        return elems;
+
+    for (var i = 0; i < this.controls.length; i++) {
+        var elem = this.factory.GetElementFromControl(this.controls[i]);
         if (elem != null)
             elems.push(elem);
     }
@@ -107,6 +231,33 @@ ODKParser.prototype.getFormElements = function() {
     return elems;
 }
 
+/**
+ * Return the position of a control among all of the form's controls, in document order.
+ *
+ * @object control Control instance.
+ * @return Index number, or -1 if the control isn't part of the form.
+ */
+ODKParser.prototype.getControlIndex = function(control) {
+
+    var index = 0;
+    var recursiveHelper = function(list) {
+
+        for (var i = 0; i < list.length; i++) {
+
+            if (list[i] == control)
+                return true;
+
+            index++;
+            if (list[i].list != undefined && recursiveHelper(list[i].list))
+                return true;
+        }
+
+        return false;
+    }
+
+    return recursiveHelper(this.controls) ? index : -1;
+}
+
 /**
  * Find a control identified by it's full path.
  *
@@ -115,11 +266,391 @@ ODKParser.prototype.getFormElements = function() {
  */
 ODKParser.prototype.findControl = function(path) {
 
-    for (var i = 0; i < this.controls.length; i++)
-        if (this.controls[i].req == path)
-            return this.controls[i];
+    var recursiveHelper = function(list) {
 
-    return null;
+        for (var i = 0; i < list.length; i++) {
+
+            if (list[i].ref == path)
+                return list[i];
+
+            if (list[i].list != undefined) {
+                var control = recursiveHelper(list[i].list);
+                if (control != null)
+                    return control;
+            }
+        }
+
+        return null;
+    }
+
+    return recursiveHelper(this.controls);
+}
+
+/**
+ * Get the live form state, holding the current answers.
+ *
+ * @return FormState instance or null if no form was loaded.
+ */
+ODKParser.prototype.getState = function() {
+
+    return this.state;
+}
+
+/**
+ * Serialize the current answers into an instance XML submission.
+ *
+ * @return XML string or null if no form was loaded.
+ */
+ODKParser.prototype.getInstanceXML = function() {
+
+    return this.state != null ? this.state.serialize() : null;
+}
+
+/**
+ * Get the validator checking the answers against their required and constraint binds.
+ *
+ * @return FormValidator instance or null if no form was loaded.
+ */
+ODKParser.prototype.getValidator = function() {
+
+    return this.validator;
+}
+
+/**
+ * Check every answer and serialize them into an instance XML submission.
+ * Unlike getInstanceXML(), nothing is returned while required questions are unanswered or constraints fail.
+ *
+ * @return XML string, or null if the form has errors, which are available from getValidator().getErrors().
+ */
+ODKParser.prototype.submit = function() {
+
+    if (this.validator == null || !this.validator.validate())
+        return null;
+
+    return this.state.serialize();
+}
+
+/**
+ * Check every answer and serialize them, together with any photos, recordings or drawings, into
+ * a multipart/form-data submission.
+ *
+ * @string boundary Multipart boundary. Leave undefined to generate a random one.
+ * @return Object with the contentType header string and the body as a Blob, see FormState.serializeMultipart(),
+ *         or null if the form has errors.
+ */
+ODKParser.prototype.submitMultipart = function(boundary) {
+
+    if (this.validator == null || !this.validator.validate())
+        return null;
+
+    return this.state.serializeMultipart(boundary);
+}
+
+/**
+ * Return a value indicating whether a path refers to a repeated node.
+ *
+ * @string path Node path, without any position predicates.
+ * @return Boolean value.
+ */
+ODKParser.prototype.isRepeat = function(path) {
+
+    return this.repeats[path] != undefined;
+}
+
+/**
+ * Return the repeat group for a repeated node.
+ *
+ * @string path Node path, without any position predicates.
+ * @return ControlGroup instance or null if the path isn't repeated.
+ */
+ODKParser.prototype.getRepeat = function(path) {
+
+    return this.repeats[path] || null;
+}
+
+/**
+ * Return the languages the form is translated into, in the order they are defined.
+ *
+ * @return Array of language names, empty if the form has no translations.
+ */
+ODKParser.prototype.getLanguages = function() {
+
+    return this.translations.getLanguages();
+}
+
+/**
+ * Return the language currently used for the form's texts.
+ *
+ * @return Language name or null if the form has no translations.
+ */
+ODKParser.prototype.getLanguage = function() {
+
+    return this.translations.getLanguage();
+}
+
+/**
+ * Change the language used for the form's texts.
+ * Rendered elements listen for the form state's 'language' event and re-label themselves in place.
+ *
+ * @string lang Language name, one of getLanguages().
+ * @return Nothing.
+ */
+ODKParser.prototype.setLanguage = function(lang) {
+
+    this.translations.setLanguage(lang);
+    if (this.state != null)
+        this.state.trigger('language', lang);
+}
+
+/**
+ * Return a translated text, falling back to other languages when it isn't defined for the requested one.
+ * Output values within the text are filled in from the current answers.
+ *
+ * @string id Text id.
+ * @string form Text form, e.g. 'long', 'short', 'guidance' or 'image'. Leave undefined for 'long'.
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @string path Path of the node output values are evaluated against. Leave undefined to use the instance root.
+ * @return Text string or null if it isn't defined in any language.
+ */
+ODKParser.prototype.getText = function(id, form, lang, path) {
+
+    var template = this.translations.get(id, form, lang);
+    if (template == null || this.state == null)
+        return Translations.fillTemplate(template, null, null);
+
+    var node = path != undefined ? this.state.getNode(path) : this.state.root.children[0];
+    return Translations.fillTemplate(template, this.evaluator, node);
+}
+
+/**
+ * Set the expression evaluator used for this form.
+ *
+ * @object evaluator XPathEvaluator instance.
+ * @return Nothing.
+ */
+ODKParser.prototype.setEvaluator = function(evaluator) {
+
+    this.evaluator = evaluator;
+    this.evaluator.setParser(this);
+}
+
+/**
+ * Set the resolver supplying the content of external secondary instances.
+ * Must be called before loading a form which references external instances.
+ *
+ * @object resolver InstanceResolver instance.
+ * @return Nothing.
+ */
+ODKParser.prototype.setResolver = function(resolver) {
+
+    this.resolver = resolver;
+}
+
+/**
+ * Register a secondary instance, replacing any instance with the same id.
+ * This allows the host application to supply instances which aren't declared by the form.
+ *
+ * @string id Instance id.
+ * @object doc Document InstanceNode holding the instance's root element.
+ * @return Nothing.
+ */
+ODKParser.prototype.addInstance = function(id, doc) {
+
+    this.instances[id] = doc;
+}
+
+/**
+ * Return the ids of all secondary instances.
+ *
+ * @return Array of instance id strings.
+ */
+ODKParser.prototype.getInstanceIds = function() {
+
+    return Object.keys(this.instances);
+}
+
+/**
+ * Get a secondary instance identified by it's id.
+ *
+ * @string id Instance id.
+ * @return Document InstanceNode or null if not found.
+ */
+ODKParser.prototype.getInstance = function(id) {
+
+    return this.instances[id] || null;
+}
+
+/**
+ * Evaluate an expression against the form's primary instance.
+ *
+ * @object expr XPathExpression instance or expression string.
+ * @string path Path of the context node. Leave undefined to use the instance root.
+ * @return Expression result, which may be a String, Number, Boolean, Date or an Array of nodes.
+ */
+ODKParser.prototype.evaluate = function(expr, path) {
+
+    var node = this.instance.children[0];
+    if (path != undefined) {
+        var nodes = this.evaluator.evaluate(path, node);
+        node = nodes.length > 0 ? nodes[0] : null;
+        if (node == null)
+            throw 'Unknown path "' + path + '"';
+    }
+
+    return this.evaluator.evaluate(expr, node);
+}
+
+/**
+ * Return the parsed form as a plain object, suitable for JSON serialization. Forms are restored by
+ * ODKParser.fromJSON() without parsing any XML, e.g. to cache them or send them to clients.
+ *
+ * The object holds:
+ *   'schema'       - ODKParser.Schema.
+ *   'version'      - ODKParser.SchemaVersion.
+ *   'title'        - form title.
+ *   'basePath'     - path of the primary instance's root, e.g. '/data'.
+ *   'instance'     - primary instance tree, see InstanceNode.toJSON().
+ *   'instances'    - map of secondary instance ids to their trees, or null for empty ones. External instances
+ *                    hold the content they were loaded with.
+ *   'fields'       - map of instance paths to fields, each with:
+ *                    'container'  - Boolean value indicating whether the node has children.
+ *                    'default'    - default value, or null. Always null for containers.
+ *                    'type'       - bind type, e.g. 'int', or null for unbound containers.
+ *                    'binds'      - map of expression attributes (ODKParser.ExpressionAttributes) to expressions,
+ *                                   see XPathExpression.toJSON().
+ *                    'attributes' - map of the other bind attributes to their values, e.g. 'jr:constraintMsg'.
+ *   'controls'     - body controls, see Control.toJSON() and ControlGroup.toJSON().
+ *   'translations' - languages and texts, see Translations.toJSON().
+ *
+ * @return Object or null if no form was loaded.
+ */
+ODKParser.prototype.toJSON = function() {
+
+    if (this.state == null)
+        return null;
+
+    var instances = {};
+    for (var id in this.instances)
+        instances[id] = this.instances[id].children.length > 0 ? this.instances[id].children[0].toJSON() : null;
+
+    var fields = {};
+    for (var path in this.fields) {
+
+        var field = this.fields[path];
+        var json = {'container':field.container == true, 'default':field['default'] != undefined ? field['default'] : null,
+            'type':field.type != undefined ? field.type : null, 'binds':{}, 'attributes':{}};
+
+        for (var k in field) {
+            if (ODKParser.ExpressionAttributes.indexOf(k) != -1)
+                json.binds[k] = (k == 'constraint' && field[k].cond != undefined ? field[k].cond : field[k]).toJSON();
+            else if (['path', 'container', 'default', 'type'].indexOf(k) == -1)
+                json.attributes[k] = field[k];
+        }
+
+        // Constraint messages are kept with the constraint while loaded
+        if (field.constraint != undefined && field.constraint.msg != undefined)
+            json.attributes['jr:constraintMsg'] = field.constraint.msg;
+
+        fields[path] = json;
+    }
+
+    return {
+        'schema': ODKParser.Schema,
+        'version': ODKParser.SchemaVersion,
+        'title': this.getTitle(),
+        'basePath': this.basePath,
+        'instance': this.instance.children[0].toJSON(),
+        'instances': instances,
+        'fields': fields,
+        'controls': this.controls.map(function(control) {
+            return control.toJSON();
+        }),
+        'translations': this.translations.toJSON()
+    };
+}
+
+/**
+ * Restore a form from an object returned by toJSON(), or it's JSON string.
+ * The restored form is ready to use, as if it was loaded with loads().
+ *
+ * @object json Object or JSON string.
+ * @object formElementsFactory Factory instance for generating HTML form elements, see the constructor.
+ * @return ODKParser instance. An UNSUPPORTED_SCHEMA Diagnostic is thrown for objects of another schema or
+ *         a newer version.
+ */
+ODKParser.fromJSON = function(json, formElementsFactory) {
+
+    if (typeof json == 'string')
+        json = JSON.parse(json);
+
+    if (json == null || json.schema != ODKParser.Schema || !(json.version <= ODKParser.SchemaVersion))
+        throw Diagnostic.create('UNSUPPORTED_SCHEMA', 'Unsupported form schema ' + (json != null ? '"' + json.schema + '" version ' + json.version : 'null'));
+
+    var parser = new ODKParser(formElementsFactory);
+    parser.title = json.title;
+    parser.basePath = json.basePath;
+    parser.instance = new InstanceNode('#document');
+    InstanceNode.fromJSON(json.instance, parser.instance);
+
+    for (var id in json.instances) {
+        parser.instances[id] = new InstanceNode('#document');
+        if (json.instances[id] != null)
+            InstanceNode.fromJSON(json.instances[id], parser.instances[id]);
+    }
+
+    for (var path in json.fields) {
+
+        var field = {'path':path};
+        var temp = json.fields[path];
+        if (temp.container)
+            field.container = true;
+        else
+            field['default'] = temp['default'];
+        if (temp.type != null)
+            field.type = temp.type;
+
+        for (var k in temp.binds)
+            field[k] = XPathExpression.fromJSON(temp.binds[k]);
+        for (var k in temp.attributes)
+            if (k != 'jr:constraintMsg')
+                field[k] = temp.attributes[k];
+        if (field.constraint != undefined && temp.attributes['jr:constraintMsg'] != undefined)
+            field.constraint = {'cond':field.constraint, 'msg':temp.attributes['jr:constraintMsg']};
+
+        parser.fields[path] = field;
+    }
+
+    parser.translations = Translations.fromJSON(json.translations);
+    var recursiveHelper = function(list) {
+
+        return list.map(function(item) {
+
+            if (item.nodeType != 'group')
+                return Control.fromJSON(item, parser.translations, parser.fields);
+
+            var group = ControlGroup.fromJSON(item, parser.translations);
+            group.list = recursiveHelper(item.list);
+            if (group.repeat)
+                parser.repeats[group.nodeset] = group;
+            return group;
+        });
+    }
+    parser.controls = recursiveHelper(json.controls);
+
+    parser.state = new FormState(parser);
+    parser.validator = new FormValidator(parser);
+    return parser;
+}
+
+/**
+ * Private method. Parse an XML string into a DOM document.
+ *
+ * @string xml XML string.
+ * @return DOM document.
+ */
+ODKParser.prototype._parseXML = function(xml) {
+
+    return XMLUtils.parse(xml);
 }
 
 /**
@@ -130,25 +661,48 @@ ODKParser.prototype._parseControls = function() {
     var self = this;
     var recursiveHelper = function(node, path, list, parentGroup) {
 
-        if (node.children.length > 0) {
+        var children = XMLUtils.getChildElements(node);
+        if (children.length > 0) {
 
             if (path != '') {
 
                 if (node.nodeName == 'group') {
-                    var q = new ControlGroup(self.translations, node);
+                    var q = new ControlGroup(self.translations, node, path);
                     list.push(q);
                     list = q.list
                     parentGroup = q;
+                    if (q.ref != null)
+                        path = q.ref;
                 } else if (node.nodeName == 'repeat') {
-                    var q = parentGroup;
-                    q.repeat = true;
                     var ref = node.getAttribute('nodeset');
                     if (ref[0] != '/')
                         ref = path + '/' + ref;
+
+                    // A repeat is usually wrapped by a group holding it's label
+                    var q = parentGroup;
+                    if (q == undefined || q.repeat || q.list.length > 0 || node.parentNode.nodeName != 'group') {
+                        q = new ControlGroup(self.translations, node, path);
+                        list.push(q);
+                    }
+
+                    q.repeat = true;
+                    q.nodeset = ref;
+                    if (q.ref == null)
+                        q.ref = ref;
+                    q.noAddRemove = node.getAttribute('jr:noAddRemove') == 'true()';
+                    var count = node.getAttribute('jr:count');
+                    q.count = count != null ? self._parseExpression(count, ref, 'jr:count', node) : null;
+                    self.repeats[ref] = q;
+
                     list = q.list;
+                    parentGroup = q;
                     path = ref
                 } else {
-                    var q = new Control(self.translations, node, path, self.fields);
+                    try {
+                        var q = new Control(self.translations, node, path, self.fields);
+                    } catch (e) {
+                        throw e instanceof Diagnostic ? e : Diagnostic.create('INVALID_EXPRESSION', String(e), node);
+                    }
                     path = q.ref;
                     list.push(q);
                     return;
@@ -157,8 +711,10 @@ ODKParser.prototype._parseControls = function() {
                 path = self.basePath;
             }
 
-            for (var i = 0; i < node.children.length; i++)
-                recursiveHelper(node.children[i], path, list, parentGroup);
+            // Group labels may hold output elements, which aren't controls
+            for (var i = 0; i < children.length; i++)
+                if (children[i].nodeName != 'label' && children[i].nodeName != 'hint')
+                    recursiveHelper(children[i], path, list, parentGroup);
         }
     }
 
@@ -166,127 +722,45 @@ ODKParser.prototype._parseControls = function() {
 }
 
 /**
- * Private method. Parse the XForm fields and translations.
+ * Private method. Load a secondary instance, either defined inline or by an external src URI.
+ *
+ * @object node XML instance node.
  */
-ODKParser.prototype._loadDefinitions = function() {
-
-    var self = this;
-
-    var resolvePath = function(path, basePath) {
-
-        // Do not temper with absolute xpaths
-        if (path[0] == '/')
-            return path;
-
-        // Is it one level up?
-        if (path.substr(0, 3) == '../')
-            return basePath.substr(0, basePath.lastIndexOf('/')) + path.substr(2);
-        
-        // Is it the same level?
-        if (path.substr(0, 2) == './')
-            path = path.substr(2);
-
-        // Is it a dot reference to self?
-        if (path == '.')
-            return basePath;
-
-        // Same level!
-        return basePath + '/' + path;
-    }
-
-    var unescape = function(html) {
-
-        var div = document.createElement('div');
-        div.innerHTML = html;
-        return div.innerText;
-    }
-
-    var parseOneCondition = function(str, currentPath) {
-
-        // Replace HTML entities for lower and greater
-        var cond = unescape(str);
-
-        // Try to match simple functions
-        var temp = /^(concat|uuid)\((.*)\)$/.exec(cond);
-        if (temp != null) {
-            var parts = temp[2];
-            var args = [];
-            while (parts.indexOf(',') != -1) {
-                args.push(parseOneCondition(parts.substr(0, parts.indexOf(',')).replace(/^['"]|['"]$/g, ''), currentPath));
-                parts = parts.substr(parts.indexOf(',')+1).trim();
-            }
-            if (parts != '')
-                args.push(parseOneCondition(parts.replace(/^['"]|['"]$/g, ''), currentPath));
-            return {'cond':true, 'expr':temp[1], 'args':args};
-        } else {
-            // Try to match an IF expression
-            temp = /^if\((.+?),\s*(.+?),\s*(.+?)\)$/.exec(cond);
-            if (temp != null) {
-                conds = parseConditions(parseAndOr(temp[1]), currentPath);
-                var t = parseConditions(temp[2].replace(/^['"]|['"]$/g, ''), currentPath);
-                var f = parseConditions(temp[3].replace(/^['"]|['"]$/g, ''), currentPath);
-                return {'cond':'if', 'expr':conds, 'true':t[0], 'false':f[0]};
-            } else {
-                // Try to match the "select equal expression"
-                temp = /^(selected|regex)\((.+?),\s*(.+?)\)$/.exec(cond);
-                if (temp != null) {
-                    return {'cond':temp[1] == 'regex' ? '~' : '=', 'path':resolvePath(temp[2], currentPath), 'value':temp[3].replace(/^['"]|['"]$/g, '')};
-                } else {
-                    // Try to match a generic expression
-                    temp = /^(.+?)\s*([<>=]+)\s*(.+?)$/.exec(cond);
-                    if (temp != null) {
-                        // Try to match either a simple or a function expression
-                        var expr = /^(.+?)\((.+?)\)$/.exec(temp[1]);
-                        if (expr == null) {
-                            return {'cond':temp[2], 'path':resolvePath(temp[1], currentPath), 'value':temp[3].replace(/^['"]|['"]$/g, '')};
-                        } else {
-                            var path = resolvePath(expr[2], currentPath);
-                            return {'cond':temp[2], 'path':path, 'value':temp[3].replace(/^['"]|['"]$/g, ''), 'expr':expr[1]};
-                        }
-                    }
-                }
-            }
+ODKParser.prototype._loadSecondaryInstance = function(node) {
+
+    var id = node.getAttribute('id');
+    if (id == null)
+        throw Diagnostic.create('MISSING_INSTANCE_ID', 'Secondary instances must have an id', node);
+
+    var doc = new InstanceNode('#document');
+    var src = node.getAttribute('src');
+    if (src != null) {
+
+        if (this.resolver == null)
+            throw Diagnostic.create('UNRESOLVED_INSTANCE', 'No resolver set for external instance "' + id + '" (' + src + ')', node);
+
+        try {
+            var content = this.resolver.resolve(src);
+            if (this.resolver.isCSV(src))
+                InstanceResolver.fromCSV(content, doc);
+            else
+                InstanceNode.fromDOM(this._parseXML(content).documentElement, doc);
+        } catch (e) {
+            throw Diagnostic.create('UNRESOLVED_INSTANCE', 'External instance "' + id + '" could not be loaded: ' + Diagnostic.from(e).message, node);
         }
-
-        return cond;
     }
+    else if (XMLUtils.getChildElements(node).length > 0)
+        InstanceNode.fromDOM(XMLUtils.getChildElements(node)[0], doc);
 
-    var parseAndOr = function(str) {
-
-        var result = [];
-        var ORs = str.split('or');
-        for (var i = 0; i < ORs.length; i++) {
-
-            var ANDs = ORs[i].trim().split('and');
-            for (var j = 0; j < ANDs.length; j++)
-                ANDs[j] = ANDs[j].trim();
-            result.push(ANDs.length == 1 ? ANDs[0] : ANDs);
-        }
-
-        return result;
-    }
-
-    var parseConditions = function(and_or_arr, currentPath) {
-
-        if (typeof and_or_arr == 'string')
-            and_or_arr = [and_or_arr];
-
-        var result = [];
-        for (var i = 0; i < and_or_arr.length; i++) {
+    this.instances[id] = doc;
+}
 
-            var cond = and_or_arr[i];
-            if (typeof cond == 'string') {
-                result.push(parseOneCondition(cond.replace(/^['"]|['"]$/g, ''), currentPath));
-            } else {
-                var temp = [];
-                for (var j = 0; j < ANDs.length; j++)
-                    temp.push(parseOneCondition(ANDs[j].replace(/^['"]|['"]$/g, ''), currentPath));
-                result.push(temp);
-            }
-        }
+/**
+ * Private method. Parse the XForm fields and translations.
+ */
+ODKParser.prototype._loadDefinitions = function() {
 
-        return result;
-    }
+    var self = this;
 
     var recursiveHelper = function(node, path, fields) {
 
@@ -295,12 +769,13 @@ ODKParser.prototype._loadDefinitions = function() {
 
         var elem = {'path':path+'/'+node.nodeName};
         fields[elem['path']] = elem;
-        if (node.children.length > 0) {
+        var children = XMLUtils.getChildElements(node);
+        if (children.length > 0) {
             elem['container'] = true;
-            for (var i = 0; i < node.children.length; i++)
-                recursiveHelper(node.children[i], elem['path'], fields);
+            for (var i = 0; i < children.length; i++)
+                recursiveHelper(children[i], elem['path'], fields);
         } else if (node.firstChild != null) {
-            elem['default'] = node.firstChild.nodeValue;
+            elem['default'] = XMLUtils.getText(node);
             elem['type'] = 'string';
         } else {
             elem['default'] = null;
@@ -311,15 +786,25 @@ ODKParser.prototype._loadDefinitions = function() {
     // Find instance node
     var instance = this.head.getElementsByTagName('instance');
     if (instance.length == 0)
-        throw 'Invalid XForm - no instance defined'
-    instance = instance[0];
+        throw Diagnostic.create('MISSING_INSTANCE', 'Invalid XForm - no instance defined', this.head);
+    var children = XMLUtils.getChildElements(instance[0]);
 
     // Find first instance child
-    if (instance.children.length == 0)
-        throw 'No instance data defined';
+    if (children.length == 0)
+        throw Diagnostic.create('MISSING_INSTANCE', 'No instance data defined', instance[0]);
+    instance = children[0];
 
     // Load list of defined fields
-    recursiveHelper(instance.children[0], '', this.fields);
+    recursiveHelper(instance, '', this.fields);
+
+    // Keep the primary instance tree for expression evaluation
+    this.instance = new InstanceNode('#document');
+    InstanceNode.fromDOM(instance, this.instance);
+
+    // Keep secondary instances, which are referenced by instance('id')
+    var instances = this.head.getElementsByTagName('instance');
+    for (var i = 1; i < instances.length; i++)
+        this._loadSecondaryInstance(instances[i]);
 
     // Find input bindings
     var bindings = this.head.getElementsByTagName('bind');
@@ -329,50 +814,53 @@ ODKParser.prototype._loadDefinitions = function() {
         if (path != null) {
      
             if (path[0] != '/')
-                path = '/' + instance.children[0].nodeName + '/' + path;
-
-            if (this.fields[path] != undefined) {
-                var value;
-                for (var j = 0; j < bindings[i].attributes.length; j++) {
-                    var attr = bindings[i].attributes[j];
-                    switch (attr.nodeName) {
-
-                        case 'nodeset':
-                        case 'jr:constraintMsg':
-                            continue;
-
-                        case 'required':
-                        case 'readonly':
-                            value = attr.nodeValue == 'true()';
-                            break;
-
-                            value = attr
-                            break;
-
-                        case 'calculate':
-                            value = parseConditions([attr.nodeValue], path);
-                            break;
-
-                        case 'constraint':
-                        case 'relevant':
-                            value = parseConditions(parseAndOr(attr.nodeValue), path);
-                            var temp = bindings[i].getAttribute('jr:constraintMsg');
-                            if (temp != null)
-                                value = {'cond':value, 'msg':temp};
-                            break;
-
-                        default:
-                            value = attr.nodeValue;
-                            break;
-                    }
+                path = '/' + instance.nodeName + '/' + path;
+
+            if (this.fields[path] == undefined) {
+                this._warn('BIND_TARGET_MISSING', 'Bind refers to "' + path + '", which is not defined in the instance', bindings[i], path);
+                continue;
+            }
 
-                    this.fields[path][attr.nodeName] = value;
+            var value;
+            for (var j = 0; j < bindings[i].attributes.length; j++) {
+                var attr = bindings[i].attributes[j];
+                var prefix = attr.nodeName.indexOf(':') != -1 ? attr.nodeName.split(':')[0] : '';
+                if (ODKParser.BindAttributes.indexOf(attr.nodeName) == -1 && (prefix == '' || prefix == 'jr'))
+                    this._warn('UNKNOWN_BIND_ATTRIBUTE', 'Unknown bind attribute "' + attr.nodeName + '"', bindings[i], path);
+
+                switch (attr.nodeName) {
+
+                    case 'nodeset':
+                    case 'jr:constraintMsg':
+                        continue;
+
+                    case 'required':
+                    case 'readonly':
+                    case 'calculate':
+                    case 'relevant':
+                        value = this._parseExpression(attr.nodeValue, path, attr.nodeName, bindings[i]);
+                        break;
+
+                    case 'constraint':
+                        value = this._parseExpression(attr.nodeValue, path, attr.nodeName, bindings[i]);
+                        var temp = bindings[i].getAttribute('jr:constraintMsg');
+                        if (temp != null)
+                            value = {'cond':value, 'msg':temp};
+                        break;
+
+                    default:
+                        value = attr.nodeValue;
+                        break;
                 }
+
+                this.fields[path][attr.nodeName] = value;
             }
         }
     }
 
-    // Find and load Translations
+    // Find and load Translations, remembering where each text is defined
+    this.translations = new Translations();
+    this.textNodes = {};
     var itext = this.head.getElementsByTagName('itext');
     if (itext.length > 0) {
 
@@ -382,76 +870,511 @@ ODKParser.prototype._loadDefinitions = function() {
 
             var translation = list[i];
             var lang = translation.getAttribute('lang');
-            if (this.translations._default_ == null)
-                this.translations._default_ = lang;
-            this.translations[lang] = {}
             var def = translation.getAttribute('default');
-            if (def != null)
-                this.translations._default = lang;
+            this.translations.addLanguage(lang, def != null && def != 'false()' && def != 'false');
+
             var texts = translation.getElementsByTagName('text');
             for (var j = 0; j < texts.length; j++) {
+
                 var text = texts[j];
                 var id = text.getAttribute('id');
-                try {
-                    for (var k = 0; k < text.children.length; k++) {
+                if (this.textNodes[id] == undefined)
+                    this.textNodes[id] = text;
 
-                        var value = text.children[k].firstChild.nodeValue;
-                        var form = text.children[k].getAttribute('form') || 'long';
-                        this.translations[lang][id + ':' + form] = value;
-                    }
-                } catch (e) {}
+                var values = XMLUtils.getChildElements(text);
+                for (var k = 0; k < values.length; k++)
+                    this.translations.set(lang, id, values[k].getAttribute('form') || 'long', Translations.parseTemplate(values[k]));
             }
         }
     }
 }
 
+/**
+ * Private method. Parse a bind expression into an XPathExpression.
+ *
+ * @string expr Expression string.
+ * @string path Path of the bound node, used for error reporting.
+ * @string attr Name of the bind attribute holding the expression.
+ * @object node XML node holding the expression, used for error reporting.
+ * @return XPathExpression instance.
+ */
+ODKParser.prototype._parseExpression = function(expr, path, attr, node) {
+
+    try {
+        return new XPathExpression(expr);
+    } catch (e) {
+        throw Diagnostic.create('INVALID_EXPRESSION', 'Invalid ' + attr + ' expression for "' + path + '": ' + e, node, path);
+    }
+}
+
+/**
+ * Private method. Record a warning, which doesn't stop the form from loading.
+ *
+ * @string code Problem code, one of Diagnostic.Codes.
+ * @string message Description of the problem.
+ * @object node XML node the problem was found in.
+ * @string path Instance path the problem relates to.
+ */
+ODKParser.prototype._warn = function(code, message, node, path) {
+
+    this.diagnostics.push(Diagnostic.create(code, message, node, path));
+}
+
+/**
+ * Private method. Collect the jr:itext() references from every attribute of the form.
+ *
+ * @object dom Form DOM document.
+ * @return Map of text ids to a MISSING_ITEXT Diagnostic, located at the first element referring to them.
+ */
+ODKParser.prototype._getTextReferences = function(dom) {
+
+    var referenced = {};
+    var elements = dom.getElementsByTagName('*');
+    for (var i = 0; i < elements.length; i++) {
+        for (var j = 0; j < elements[i].attributes.length; j++) {
+
+            var pattern = /itext\(\s*['"]([^'"]+)['"]\s*\)/g;
+            var temp;
+            while ((temp = pattern.exec(elements[i].attributes[j].nodeValue)) != null)
+                if (referenced[temp[1]] == undefined)
+                    referenced[temp[1]] = Diagnostic.create('MISSING_ITEXT', 'Text "' + temp[1] + '" is not defined in any translation', elements[i]);
+        }
+    }
+
+    return referenced;
+}
+
+/**
+ * Private method. Warn about translations which are never used, and about references to undefined ones.
+ *
+ * @object referenced Map of text ids to the Diagnostic reported if they're not defined.
+ */
+ODKParser.prototype._checkTranslations = function(referenced) {
+
+    // Itemset labels take their text ids from secondary instance values
+    var dynamic = false;
+    var recursiveHelper = function(list) {
+        for (var i = 0; i < list.length; i++) {
+            if (list[i].itemset != undefined && list[i].itemset != null && list[i].itemset.itext)
+                dynamic = true;
+            if (list[i].list != undefined)
+                recursiveHelper(list[i].list);
+        }
+    }
+    recursiveHelper(this.controls);
+
+    var values = {};
+    var collect = function(node) {
+        if (node.children.length == 0)
+            values[node.value] = true;
+        for (var i = 0; i < node.children.length; i++)
+            collect(node.children[i]);
+    }
+    if (dynamic)
+        for (var id in this.instances)
+            collect(this.instances[id]);
+
+    for (var id in this.textNodes)
+        if (referenced[id] == undefined && values[id] == undefined)
+            this._warn('UNREACHABLE_ITEXT', 'Text "' + id + '" is never used', this.textNodes[id]);
+
+    for (var id in referenced)
+        if (this.textNodes[id] == undefined)
+            this.diagnostics.push(referenced[id]);
+}
+
 /**
  * Private method. Perform basic XForm schema validation before parsing it.
  */
-ODKParser.prototype._validateSchema = function(dom) {
+ODKParser.prototype._validateSchema = function(dom) {
+
+    var Namespaces = {
+        'xmlns':'http://www.w3.org/2002/xforms',
+        'xmlns:h':'http://www.w3.org/1999/xhtml',
+        'xmlns:ev':'http://www.w3.org/2001/xml-events',
+        'xmlns:xsd':'http://www.w3.org/2001/XMLSchema',
+        'xmlns:jr':'http://openrosa.org/javarosa'
+    }
+
+    var root = dom.documentElement;
+
+    // Validate root element
+    if (root.localName != 'html' || root.prefix == '')
+        throw Diagnostic.create('INVALID_ROOT', 'Invalid root element - ' + root.localName, root);
+
+    // Validate Namespace declarations
+    if (root.namespaceURI != 'http://www.w3.org/1999/xhtml')
+        throw Diagnostic.create('INVALID_NAMESPACE', 'Document is not valid XHTML', root);
+
+    if (root.getAttribute('xmlns') != Namespaces['xmlns'])
+        throw Diagnostic.create('INVALID_NAMESPACE', 'Invalid XForm document', root);
+
+    for (var ns in Namespaces)
+        if (Namespaces[ns] != root.getAttribute(ns))
+            throw Diagnostic.create('INVALID_NAMESPACE', 'Invalid or Missing Namespace declaration: "' + ns + '"', root);
+
+    this.ns = Namespaces['xmlns:h'];
+
+    // Find HEAD and BODY tags
+    this.head = dom.getElementsByTagNameNS(this.ns, 'head');
+    if (this.head.length == 0)
+        throw Diagnostic.create('MISSING_HEAD', 'Invalid XForm - no head defined', root);
+
+    this.body = dom.getElementsByTagNameNS(this.ns, 'body');
+    if (this.body.length == 0)
+        throw Diagnostic.create('MISSING_BODY', 'Invalid XForm - no body defined', root);
+
+    // Save inner references for later
+    this.head = this.head[0];
+    this.body = this.body[0];
+
+    // Load XForm definitions
+    this._loadDefinitions();
+}
+
+
+/****************************** Translations ******************************/
+
+
+/**
+ * Constructor. Initialize a new, empty set of XForm translations (itext).
+ * Texts are kept per language and keyed by their id and form, e.g. '/data/name:label' and 'long'.
+ * Each text is a template, see Translations.parseTemplate().
+ */
+function Translations() {
+
+    this.languages = [];
+    this.texts = {};
+    this.defaultLanguage = null;
+    this.current = null;
+}
+
+/**
+ * Text forms defined by the ODK XForms specification. Values without a form attribute are 'long'.
+ */
+Translations.Forms = ['long', 'short', 'guidance', 'image', 'big-image', 'audio', 'video'];
+
+/**
+ * Add a language. The first language added is the default, unless another one is marked as such.
+ *
+ * @string lang Language name.
+ * @object isDefault Boolean value indicating whether the form marks this language as the default one.
+ * @return Nothing.
+ */
+Translations.prototype.addLanguage = function(lang, isDefault) {
+
+    if (this.texts[lang] == undefined) {
+        this.languages.push(lang);
+        this.texts[lang] = {};
+    }
+
+    if (this.defaultLanguage == null || isDefault)
+        this.defaultLanguage = this.current = lang;
+}
+
+/**
+ * Define a text in a language.
+ *
+ * @string lang Language name.
+ * @string id Text id.
+ * @string form Text form, one of Translations.Forms.
+ * @object value Text template.
+ * @return Nothing.
+ */
+Translations.prototype.set = function(lang, id, form, value) {
+
+    this.addLanguage(lang);
+    this.texts[lang][id + ':' + form] = value;
+}
+
+/**
+ * Return the defined languages, in the order they were added.
+ *
+ * @return Array of language names.
+ */
+Translations.prototype.getLanguages = function() {
+
+    return this.languages.slice();
+}
+
+/**
+ * Return the default language.
+ *
+ * @return Language name or null if there are no languages.
+ */
+Translations.prototype.getDefaultLanguage = function() {
+
+    return this.defaultLanguage;
+}
+
+/**
+ * Return the current language.
+ *
+ * @return Language name or null if there are no languages.
+ */
+Translations.prototype.getLanguage = function() {
+
+    return this.current;
+}
+
+/**
+ * Change the current language.
+ *
+ * @string lang Language name.
+ * @return Nothing.
+ */
+Translations.prototype.setLanguage = function(lang) {
+
+    if (this.texts[lang] == undefined)
+        throw 'Unknown language "' + lang + '"';
+
+    this.current = lang;
+}
+
+/**
+ * Return a translated text.
+ * Missing texts are looked up in the default language, and then in every other language.
+ * A missing 'short' form falls back to the 'long' one of the same language.
+ *
+ * @string id Text id.
+ * @string form Text form. Leave undefined for 'long'.
+ * @string lang Language name. Leave undefined to use the current language.
+ * @return Text template or null if it isn't defined in any language.
+ */
+Translations.prototype.get = function(id, form, lang) {
+
+    form = form || 'long';
+    var forms = form == 'short' ? ['short', 'long'] : [form];
+    var languages = [lang || this.current, this.defaultLanguage].concat(this.languages);
+
+    for (var i = 0; i < languages.length; i++) {
+
+        var texts = this.texts[languages[i]];
+        if (texts == undefined)
+            continue;
+
+        for (var j = 0; j < forms.length; j++) {
+            var value = texts[id + ':' + forms[j]];
+            if (value != undefined)
+                return value;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Return every template defined for a text, in all languages and forms.
+ *
+ * @string id Text id.
+ * @return Array of text templates.
+ */
+Translations.prototype.getAll = function(id) {
+
+    var list = [];
+    for (var i = 0; i < this.languages.length; i++)
+        for (var j = 0; j < Translations.Forms.length; j++) {
+            var value = this.texts[this.languages[i]][id + ':' + Translations.Forms[j]];
+            if (value != undefined)
+                list.push(value);
+        }
+
+    return list;
+}
+
+/**
+ * Return a value indicating whether a text is defined in any language and form.
+ *
+ * @string id Text id.
+ * @return Boolean value.
+ */
+Translations.prototype.has = function(id) {
+
+    for (var i = 0; i < this.languages.length; i++)
+        for (var j = 0; j < Translations.Forms.length; j++)
+            if (this.texts[this.languages[i]][id + ':' + Translations.Forms[j]] != undefined)
+                return true;
+
+    return false;
+}
+
+/**
+ * Return the languages and texts as a plain object, suitable for JSON serialization.
+ *
+ * @return Object with 'languages', 'default' (the default language, or null) and 'texts', mapping each language
+ *         to text ids, and those to forms and their templates, see Translations.templateToJSON().
+ */
+Translations.prototype.toJSON = function() {
+
+    var texts = {};
+    for (var i = 0; i < this.languages.length; i++) {
+
+        var lang = this.languages[i];
+        texts[lang] = {};
+        for (var key in this.texts[lang]) {
+
+            // Ids may hold colons themselves, e.g. '/data/age:label'
+            var index = key.lastIndexOf(':');
+            var id = key.substr(0, index);
+            if (texts[lang][id] == undefined)
+                texts[lang][id] = {};
+            texts[lang][id][key.substr(index + 1)] = Translations.templateToJSON(this.texts[lang][key]);
+        }
+    }
+
+    return {'languages':this.languages.slice(), 'default':this.defaultLanguage, 'texts':texts};
+}
+
+/**
+ * Build translations out of an object returned by toJSON().
+ *
+ * @object json Object with languages, default and texts.
+ * @return Translations instance, set to the default language.
+ */
+Translations.fromJSON = function(json) {
+
+    var translations = new Translations();
+    for (var i = 0; i < json.languages.length; i++) {
+
+        var lang = json.languages[i];
+        translations.addLanguage(lang, lang == json['default']);
+        for (var id in json.texts[lang])
+            for (var form in json.texts[lang][id])
+                translations.set(lang, id, form, Translations.templateFromJSON(json.texts[lang][id][form]));
+    }
+
+    return translations;
+}
+
+/**
+ * Convert a text template to a plain object. Output values become expression objects, see XPathExpression.toJSON().
+ *
+ * @object template String or Array template.
+ * @return String or Array.
+ */
+Translations.templateToJSON = function(template) {
+
+    if (!(template instanceof Array))
+        return template;
+
+    return template.map(function(part) {
+        return typeof part == 'string' ? part : part.toJSON();
+    });
+}
+
+/**
+ * Convert a plain object returned by templateToJSON() back to a text template.
+ *
+ * @object json String or Array.
+ * @return String or Array template.
+ */
+Translations.templateFromJSON = function(json) {
+
+    if (!(json instanceof Array))
+        return json;
+
+    return json.map(function(part) {
+        return typeof part == 'string' ? part : XPathExpression.fromJSON(part);
+    });
+}
+
+/**
+ * Parse the content of a label, hint or itext value into a text template.
+ * Text mixed with <output value="..."/> elements becomes an Array of Strings and XPathExpressions,
+ * while plain text is kept as a String.
+ *
+ * @object node XML node holding the text.
+ * @return String or Array template.
+ */
+Translations.parseTemplate = function(node) {
 
-    var Namespaces = {
-        'xmlns':'http://www.w3.org/2002/xforms',
-        'xmlns:h':'http://www.w3.org/1999/xhtml',
-        'xmlns:ev':'http://www.w3.org/2001/xml-events',
-        'xmlns:xsd':'http://www.w3.org/2001/XMLSchema',
-        'xmlns:jr':'http://openrosa.org/javarosa'
-    }
+    var parts = [];
+    var recursiveHelper = function(node) {
 
-    var root = dom.documentElement;
+        for (var child = node.firstChild; child != null; child = child.nextSibling) {
 
-    // Validate root element
-    if (root.localName != 'html' || root.prefix == '')
-        throw 'Invalid root element - ' + root.localName;
+            if (child.nodeType == 3 || child.nodeType == 4) {
+                if (parts.length > 0 && typeof parts[parts.length - 1] == 'string')
+                    parts[parts.length - 1] += child.nodeValue;
+                else
+                    parts.push(child.nodeValue);
+            }
+            else if (child.nodeType == 1 && child.nodeName == 'output') {
 
-    // Validate Namespace declarations
-    if (root.namespaceURI != 'http://www.w3.org/1999/xhtml')
-        throw 'Document is not valid XHTML';
+                var expr = child.getAttribute('value') || child.getAttribute('ref');
+                try {
+                    parts.push(new XPathExpression(expr));
+                } catch (e) {
+                    throw Diagnostic.create('INVALID_EXPRESSION', 'Invalid output expression "' + expr + '": ' + e, child);
+                }
+            }
+            else if (child.nodeType == 1)
+                recursiveHelper(child);
+        }
+    }
+    recursiveHelper(node);
 
-    if (root.getAttribute('xmlns') != Namespaces['xmlns'])
-        throw 'Invalid XForm document';
+    if (parts.length > 0 && typeof parts[0] == 'string')
+        parts[0] = parts[0].replace(/^\s+/, '');
+    if (parts.length > 0 && typeof parts[parts.length - 1] == 'string')
+        parts[parts.length - 1] = parts[parts.length - 1].replace(/\s+$/, '');
 
-    for (var ns in Namespaces)
-        if (Namespaces[ns] != root.getAttribute(ns))
-            throw 'Invalid or Missing Namespace declaration: "' + ns + '"';
+    if (parts.length <= 1 && (parts.length == 0 || typeof parts[0] == 'string'))
+        return parts.length > 0 ? parts[0] : '';
 
-    this.ns = Namespaces['xmlns:h'];
+    return parts;
+}
 
-    // Find HEAD and BODY tags
-    this.head = dom.getElementsByTagNameNS(this.ns, 'head');
-    if (this.head.length == 0)
-        throw 'Invalid XForm - no head defined';
+/**
+ * Fill in the output values of a text template.
+ *
+ * @object template String or Array template.
+ * @object evaluator XPathEvaluator used for output values. Outputs are left empty without one.
+ * @object node InstanceNode output values are evaluated against.
+ * @return Text string, or null if there's no template. Outputs which fail to evaluate are left empty,
+ *         and reported with an 'error' event on the form state.
+ */
+Translations.fillTemplate = function(template, evaluator, node) {
+
+    if (!(template instanceof Array))
+        return template;
+
+    var text = '';
+    for (var i = 0; i < template.length; i++) {
+
+        if (typeof template[i] == 'string')
+            text += template[i];
+        else if (evaluator != null && node != null) {
+            try {
+                text += evaluator.evaluateString(template[i], node);
+            } catch (e) {
+                var state = evaluator.parser != null ? evaluator.parser.getState() : null;
+                if (state != null)
+                    state.trigger('error', node, 'output', e);
+            }
+        }
+    }
 
-    this.body = dom.getElementsByTagNameNS(this.ns, 'body');
-    if (this.body.length == 0)
-        throw 'Invalid XForm - no body defined';
+    return text;
+}
 
-    // Save inner references for later
-    this.head = this.head[0];
-    this.body = this.body[0];
+/**
+ * Return the instance paths the output values of a text template refer to.
+ *
+ * @object template String or Array template.
+ * @string contextPath Path of the node output values are evaluated against.
+ * @return Array of paths.
+ */
+Translations.getReferences = function(template, contextPath) {
 
-    // Load XForm definitions
-    this._loadDefinitions();
+    var refs = [];
+    if (template instanceof Array) {
+        for (var i = 0; i < template.length; i++)
+            if (typeof template[i] != 'string')
+                refs = refs.concat(template[i].getReferences(contextPath));
+    }
+
+    return refs;
 }
 
 
@@ -470,11 +1393,39 @@ function BaseControl(translations) {
     this.label = null;
 }
 
+/**
+ * Convert a text object, as held by labels and hints, to a plain object.
+ *
+ * @object text Text template, {'text', 'itext'} Object or null.
+ * @return String, Array, Object with 'text' and 'itext', or null.
+ */
+BaseControl.textToJSON = function(text) {
+
+    if (text == null || typeof text == 'string' || text instanceof Array)
+        return text != null ? Translations.templateToJSON(text) : null;
+
+    return {'text':text['text'] != null ? Translations.templateToJSON(text['text']) : null, 'itext':text['itext']};
+}
+
+/**
+ * Convert a plain object returned by textToJSON() back to a text object.
+ *
+ * @object json String, Array, Object or null.
+ * @return Text object.
+ */
+BaseControl.textFromJSON = function(json) {
+
+    if (json == null || typeof json == 'string' || json instanceof Array)
+        return json != null ? Translations.templateFromJSON(json) : null;
+
+    return {'text':json['text'] != null ? Translations.templateFromJSON(json['text']) : null, 'itext':json['itext']};
+}
+
 /**
  * Return a parsed text element for the given node.
  *
  * @object node XML node containing the text information to be extracted.
- * @return Either a String or an Object for the node's text, or null if it wasn't possible to extract anything.
+ * @return Either a template or an Object for the node's text, or null if it wasn't possible to extract anything.
  */
 BaseControl.prototype.getParsedTextFromNode = function(node) {
 
@@ -483,18 +1434,18 @@ BaseControl.prototype.getParsedTextFromNode = function(node) {
 
         node = node[0];
         if (node.firstChild != null)
-            result = node.firstChild.nodeValue;
+            result = Translations.parseTemplate(node);
 
         var ref = node.getAttribute('ref');
         if (ref != null) {
 
             var results = /itext\(['"](.*?)['"]/.exec(ref);
             if (results != null)
-                result = {'text':result, 'itext':results[1], 'itext_form':'long'};
+                result = {'text':result, 'itext':results[1]};
         }
 
         // Remove node
-        node.remove();
+        XMLUtils.removeNode(node);
     }
 
     return result;
@@ -504,68 +1455,161 @@ BaseControl.prototype.getParsedTextFromNode = function(node) {
  * Return a translated text value.
  *
  * @object text Text object to be translated.
- * @string lang Translation language to use. Leave undefined to use the default.
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @string form Text form, e.g. 'short' or 'image'. Leave undefined for 'long'.
+ * @object evaluator XPathEvaluator used for filling in output values. Outputs are left empty without one.
+ * @object node InstanceNode output values are evaluated against.
  *
  * @return Translated text or an empty string if it wasn't possible to find any.
  */
-BaseControl.prototype.getText = function(text, lang) {
+BaseControl.prototype.getText = function(text, lang, form, evaluator, node) {
+
+    var template = this.getTemplate(text, lang, form);
+    return template != null ? Translations.fillTemplate(template, evaluator, node) : '';
+}
+
+/**
+ * Return the template of a translated text value, before output values are filled in.
+ *
+ * @object text Text object to be translated.
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @string form Text form. Leave undefined for 'long'.
+ *
+ * @return String or Array template, or null if it wasn't possible to find any.
+ */
+BaseControl.prototype.getTemplate = function(text, lang, form) {
 
-    if (text != undefined && text != null) {
+    if (text == undefined || text == null)
+        return null;
 
-        if (typeof text == 'string')
-            return text;
+    if (typeof text == 'string' || text instanceof Array)
+        return text;
 
-        lang = lang || this.translations._default_;
-        
-        if (this.translations != null && this.translations[lang] != undefined) {
+    var value = this.translations != null ? this.translations.get(text['itext'], form, lang) : null;
+    if (value != null)
+        return value;
 
-            var key = text['itext'] + ':' + text['itext_form'];
-            var value = this.translations[lang][key];
-            if (value != undefined)
-                return value;
+    // Fall back to the inline text, which forms may give alongside the translation reference
+    if (text['text'] != null && (form == undefined || form == 'long'))
+        return text['text'];
+
+    return null;
+}
+
+/**
+ * Return the instance paths the control's texts refer to through output values, in any language.
+ *
+ * @return Array of paths.
+ */
+BaseControl.prototype.getTextReferences = function() {
+
+    var refs = [];
+    var texts = this.getTexts();
+    for (var i = 0; i < texts.length; i++) {
+
+        var text = texts[i];
+        var templates = text != null && typeof text == 'object' && !(text instanceof Array) ? this.translations.getAll(text['itext']) : [text];
+        if (text != null && text['text'] != undefined)
+            templates.push(text['text']);
+
+        for (var j = 0; j < templates.length; j++) {
+            var list = Translations.getReferences(templates[j], this.ref || '');
+            for (var k = 0; k < list.length; k++)
+                if (refs.indexOf(list[k]) == -1)
+                    refs.push(list[k]);
         }
     }
 
-    return '';
+    return refs;
+}
+
+/**
+ * Return all text objects shown for the control.
+ *
+ * @return Array of text objects, which may include nulls.
+ */
+BaseControl.prototype.getTexts = function() {
+
+    return [this.label, this.hint];
 }
 
 /**
- * Return a value indicating whether this control is mandatory.
+ * Return a value indicating whether this control is always mandatory.
+ * Conditionally required controls are tracked by FormState.
  *
  * @return Boolean value.
  */
 BaseControl.prototype.isRequired = function() {
 
-    return this.required;
+    return this.required != undefined && this.required.toString() == 'true()';
 }
 
 /**
  * Return a translated string for the control's Label.
  *
- * @string lang Translation language to use. Leave undefined to use the default.
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @string form Text form, e.g. 'short'. Leave undefined for 'long'.
+ * @object evaluator XPathEvaluator used for filling in output values.
+ * @object node InstanceNode output values are evaluated against.
  *
  * @return Translated label.
  */
-BaseControl.prototype.getLabel = function(lang) {
+BaseControl.prototype.getLabel = function(lang, form, evaluator, node) {
 
-    return this.getText(this.label, lang);
+    return this.getText(this.label, lang, form, evaluator, node);
 }
 
 /**
  * Return a translated string for the control's Hint text.
  *
- * @string lang Translation language to use. Leave undefined to use the default.
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @object evaluator XPathEvaluator used for filling in output values.
+ * @object node InstanceNode output values are evaluated against.
  *
  * @return Translated hint.
  */
-BaseControl.prototype.getHint = function(lang) {
+BaseControl.prototype.getHint = function(lang, evaluator, node) {
+
+    return this.getText(this.hint, lang, undefined, evaluator, node);
+}
+
+/**
+ * Return the control's guidance hint, which is additional help meant to be shown on demand.
+ *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @object evaluator XPathEvaluator used for filling in output values.
+ * @object node InstanceNode output values are evaluated against.
+ *
+ * @return Translated guidance or an empty string if there is none.
+ */
+BaseControl.prototype.getGuidance = function(lang, evaluator, node) {
+
+    return this.getText(this.hint, lang, 'guidance', evaluator, node);
+}
+
+/**
+ * Return the media files accompanying the control's Label.
+ *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ *
+ * @return Object mapping the defined media forms ('image', 'big-image', 'audio', 'video') to their URIs.
+ */
+BaseControl.prototype.getLabelMedia = function(lang) {
+
+    var media = {};
+    var forms = ['image', 'big-image', 'audio', 'video'];
+    for (var i = 0; i < forms.length; i++) {
+        var value = this.getText(this.label, lang, forms[i]);
+        if (value != '')
+            media[forms[i]] = value;
+    }
 
-    return this.getText(this.hint, lang);
+    return media;
 }
 
 /**
- * Return the control's type. Possible basic values are: input, group, select.
- * Other values may exist.
+ * Return the control's type. Possible basic values are: input, group, select, range, rank, trigger, upload
+ * and note, for read-only text inputs. Other values may exist.
  *
  * @return Type string.
  */
@@ -574,6 +1618,18 @@ BaseControl.prototype.getControlType = function() {
     return this.nodeType;
 }
 
+/**
+ * Return a value indicating whether the control's appearance includes the given one.
+ * Appearances are a space separated list.
+ *
+ * @string appearance Appearance name.
+ * @return Boolean value.
+ */
+BaseControl.prototype.hasAppearance = function(appearance) {
+
+    return this.appearance != null && (' ' + this.appearance + ' ').indexOf(' ' + appearance + ' ') != -1;
+}
+
 
 /****************************** ControlGroup ******************************/
 
@@ -583,18 +1639,79 @@ BaseControl.prototype.getControlType = function() {
  *
  * @object translations Reference to the loaded XForm translations.
  * @object node XML node describing the current group.
+ * @string path Path to this group's parent node.
  */
-function ControlGroup(translations, node) {
+function ControlGroup(translations, node, path) {
 
     BaseControl.call(this, translations);
     this.nodeType = 'group';
+    this.path = path;
+    this.repeat = false;
+    this.list = [];
+
+    // Groups restored by fromJSON() have no XML node
+    if (node == undefined)
+        return;
+
+    this.ref = node.getAttribute('ref');
+    if (this.ref != null && this.ref[0] != '/')
+        this.ref = path + '/' + this.ref;
     this.appearance = node.getAttribute('appearance');
-    this.label = this.getParsedTextFromNode(node.getElementsByTagName('label'));
-    this.list = []
+
+    // Only a direct label child belongs to the group itself
+    var labels = XMLUtils.getChildElements(node).filter(function(child) {
+        return child.nodeName == 'label';
+    });
+
+    this.label = this.getParsedTextFromNode(labels);
 }
 ControlGroup.prototype = new BaseControl();
 ControlGroup.prototype.constructor = ControlGroup;
 
+/**
+ * Build a group out of an object returned by toJSON(), without it's controls.
+ *
+ * @object json Group object.
+ * @object translations Reference to the loaded XForm translations.
+ * @return ControlGroup instance with an empty list.
+ */
+ControlGroup.fromJSON = function(json, translations) {
+
+    var group = new ControlGroup(translations, undefined, json.path);
+    group.ref = json.ref;
+    group.appearance = json.appearance;
+    group.label = BaseControl.textFromJSON(json.label);
+    if (json.repeat) {
+        group.repeat = true;
+        group.nodeset = json.nodeset;
+        group.noAddRemove = json.noAddRemove;
+        group.count = json.count != null ? XPathExpression.fromJSON(json.count) : null;
+    }
+
+    return group;
+}
+
+/**
+ * Return the group as a plain object, suitable for JSON serialization.
+ *
+ * @return Object with nodeType ('group'), path, ref, appearance, label, repeat and list, holding the group's controls.
+ *         Repeats also have nodeset, noAddRemove and count, their jr:count expression or null.
+ */
+ControlGroup.prototype.toJSON = function() {
+
+    var json = {'nodeType':'group', 'path':this.path, 'ref':this.ref, 'appearance':this.appearance, 'label':BaseControl.textToJSON(this.label), 'repeat':this.repeat};
+    if (this.repeat) {
+        json.nodeset = this.nodeset;
+        json.noAddRemove = this.noAddRemove;
+        json.count = this.count != null ? this.count.toJSON() : null;
+    }
+
+    json.list = this.list.map(function(control) {
+        return control.toJSON();
+    });
+    return json;
+}
+
 
 /****************************** Control ******************************/
 
@@ -612,39 +1729,339 @@ function Control(translations, node, path, attributes) {
     BaseControl.call(this, translations);
     this.hint = null;
     this.default = null;
-    this.ref = path + '/' + node.getAttribute('ref');
-    this.nodeType = node.tagName == 'select1' ? 'select' : node.tagName;
+    this.itemset = null;
+
+    // Controls restored by fromJSON() have no XML node
+    if (node == undefined)
+        return;
+
+    // Controls may refer to their node through the id of it's bind instead
+    this.ref = node.getAttribute('ref');
+    var bind = node.getAttribute('bind');
+    if (this.ref == null && bind != null) {
+        for (var p in attributes)
+            if (attributes[p].id == bind)
+                this.ref = p;
+        if (this.ref == null)
+            throw Diagnostic.create('BODY_REF_MISSING', 'The ' + node.tagName + ' refers to bind "' + bind + '", which is not defined', node);
+    }
+    if (this.ref == null)
+        throw Diagnostic.create('BODY_REF_MISSING', 'The ' + node.tagName + ' has no ref attribute', node);
+
+    if (this.ref[0] != '/')
+        this.ref = path + '/' + this.ref;
+    this.nodeType = Control.Types[node.tagName] || node.tagName;
+    this.multiple = node.tagName == 'select';
     this.label = this.getParsedTextFromNode(node.getElementsByTagName('label'));
     this.hint = this.getParsedTextFromNode(node.getElementsByTagName('hint'));
     this.appearance = node.getAttribute('appearance');
 
-    // Look for corresponding attributes
-    var attr = attributes[this.ref];
-    if (attr != null) {
-        for (var k in attr)
-            if (k != 'path')
-                this[k] = attr[k];
+    // Upload controls accept files of a media type, e.g. 'image/*'
+    this.mediatype = node.getAttribute('mediatype');
+
+    // Range controls define their bounds on the control itself
+    if (node.tagName == 'range') {
+        this.start = parseFloat(node.getAttribute('start'));
+        this.end = parseFloat(node.getAttribute('end'));
+        this.step = parseFloat(node.getAttribute('step'));
     }
 
+    this._loadAttributes(attributes);
+
+    // Read-only text inputs only show their label, and possibly a calculated value
+    if (this.nodeType == 'input' && this.readonly != undefined && this.readonly.toString() == 'true()' && this.getDataType() == 'string')
+        this.nodeType = 'note';
+
     // Look for children
-    if (node.children.length > 0) {
+    var children = XMLUtils.getChildElements(node);
+    if (children.length > 0) {
 
         this.children = [];
-        for (var i = 0; i < node.children.length; i++) {
+        for (var i = 0; i < children.length; i++) {
 
-            var n = node.children[i];
+            var n = children[i];
             if (n.nodeName == 'item') {
 
                 var label = this.getParsedTextFromNode(n.getElementsByTagName('label'));
                 var value = this.getParsedTextFromNode(n.getElementsByTagName('value'));
                 this.children.push({'label':label, 'value':value});
             }
+            else if (n.nodeName == 'itemset')
+                this.itemset = this.parseItemset(n);
         }
     }
 }
 Control.prototype = new BaseControl();
 Control.prototype.constructor = Control;
 
+/**
+ * Control types of body elements whose type differs from their tag name.
+ */
+Control.Types = {'select1':'select', 'odk:rank':'rank'};
+
+/**
+ * Build a control out of an object returned by toJSON().
+ *
+ * @object json Control object.
+ * @object translations Reference to the loaded XForm translations.
+ * @object attributes Reference to the attribute map describing this control.
+ * @return Control instance.
+ */
+Control.fromJSON = function(json, translations, attributes) {
+
+    var control = new Control(translations);
+    control.ref = json.ref;
+    control.nodeType = json.nodeType;
+    control.multiple = json.multiple;
+    control.appearance = json.appearance;
+    control.mediatype = json.mediatype;
+    control.label = BaseControl.textFromJSON(json.label);
+    control.hint = BaseControl.textFromJSON(json.hint);
+    if (json.range != null) {
+        control.start = json.range.start;
+        control.end = json.range.end;
+        control.step = json.range.step;
+    }
+
+    if (json.items != null) {
+        control.children = json.items.map(function(item) {
+            return {'label':BaseControl.textFromJSON(item.label), 'value':BaseControl.textFromJSON(item.value)};
+        });
+    }
+
+    if (json.itemset != null) {
+        control.itemset = {'nodeset':XPathExpression.fromJSON(json.itemset.nodeset), 'value':XPathExpression.fromJSON(json.itemset.value),
+            'label':XPathExpression.fromJSON(json.itemset.label), 'itext':json.itemset.itext};
+    }
+
+    control._loadAttributes(attributes);
+    return control;
+}
+
+/**
+ * Return the control as a plain object, suitable for JSON serialization. Bind attributes aren't included,
+ * as they're restored from the form's fields.
+ *
+ * @return Object with nodeType, ref, multiple, appearance, mediatype, label, hint, range (start, end and step
+ *         of range controls, or null), items (static choices with label and value, or null) and itemset
+ *         (nodeset, value and label expressions and the itext flag, or null).
+ */
+Control.prototype.toJSON = function() {
+
+    var itemset = null;
+    if (this.itemset != null)
+        itemset = {'nodeset':this.itemset.nodeset.toJSON(), 'value':this.itemset.value.toJSON(), 'label':this.itemset.label.toJSON(), 'itext':this.itemset.itext};
+
+    return {
+        'nodeType': this.nodeType,
+        'ref': this.ref,
+        'multiple': this.multiple,
+        'appearance': this.appearance,
+        'mediatype': this.mediatype,
+        'label': BaseControl.textToJSON(this.label),
+        'hint': BaseControl.textToJSON(this.hint),
+        'range': this.start != undefined ? {'start':this.start, 'end':this.end, 'step':this.step} : null,
+        'items': this.children != undefined ? this.children.map(function(item) {
+            return {'label':BaseControl.textToJSON(item.label), 'value':BaseControl.textToJSON(item.value)};
+        }) : null,
+        'itemset': itemset
+    };
+}
+
+/**
+ * Private method. Copy the attributes of the control's bind, and parse it's validation messages.
+ *
+ * @object attributes Reference to the attribute map describing this control.
+ */
+Control.prototype._loadAttributes = function(attributes) {
+
+    // Look for corresponding attributes
+    var attr = attributes[this.ref];
+    if (attr != null) {
+        for (var k in attr)
+            if (k != 'path')
+                this[k] = attr[k];
+    }
+
+    // Validation messages are either literal or refer to a translation, e.g. jr:itext('/data/age:constraintMsg')
+    this.constraintMsg = this.constraint != undefined && this.constraint.msg != undefined ? this.parseMessage(this.constraint.msg) : null;
+    this.requiredMsg = this['jr:requiredMsg'] != undefined ? this.parseMessage(this['jr:requiredMsg']) : null;
+}
+
+/**
+ * Parse an itemset element into the expressions used to build a dynamic choice list.
+ * The label reference may be a jr:itext() call, in which case its argument is evaluated into a translation id.
+ *
+ * @object node XML itemset node.
+ * @return Object with nodeset, value and label expressions, and a Boolean itext flag.
+ */
+Control.prototype.parseItemset = function(node) {
+
+    var itemset = {'nodeset':new XPathExpression(node.getAttribute('nodeset')), 'value':null, 'label':null, 'itext':false};
+    var children = XMLUtils.getChildElements(node);
+    for (var i = 0; i < children.length; i++) {
+
+        var n = children[i];
+        var ref = n.getAttribute('ref');
+        if (ref == null)
+            continue;
+
+        if (n.nodeName == 'value')
+            itemset.value = new XPathExpression(ref);
+        else if (n.nodeName == 'label') {
+
+            var results = /^\s*jr:itext\((.*)\)\s*$/.exec(ref);
+            itemset.itext = results != null;
+            itemset.label = new XPathExpression(results != null ? results[1] : ref);
+        }
+    }
+
+    if (itemset.value == null || itemset.label == null)
+        throw Diagnostic.create('INVALID_ITEMSET', 'Itemset for "' + this.ref + '" must define both a value and a label reference', node, this.ref);
+
+    return itemset;
+}
+
+/**
+ * Return the list of choices currently available for this control.
+ * Static items are returned as defined, while itemsets are evaluated against the form's instance, so that
+ * filters referring to other answers (e.g. cascading selects) are taken into account.
+ *
+ * @object evaluator XPathEvaluator used for itemsets.
+ * @object node The control's InstanceNode, used as the context of itemset expressions. Itemsets have no choices without one.
+ * @return Array of {'label', 'value'} objects, where label is a text object suitable for getText().
+ */
+Control.prototype.getChoices = function(evaluator, node) {
+
+    var choices = [];
+    if (this.itemset == null) {
+
+        var items = this.children || [];
+        for (var i = 0; i < items.length; i++)
+            choices.push({'label':items[i].label, 'value':this.getText(items[i].value)});
+        return choices;
+    }
+
+    if (evaluator == null || node == null)
+        return choices;
+
+    var nodes = evaluator.evaluateNodes(this.itemset.nodeset, node);
+    for (var i = 0; i < nodes.length; i++) {
+
+        var value = evaluator.evaluateString(this.itemset.value, nodes[i]);
+        var label = evaluator.evaluateString(this.itemset.label, nodes[i]);
+        if (this.itemset.itext)
+            label = {'text':null, 'itext':label};
+        choices.push({'label':label, 'value':value});
+    }
+
+    return choices;
+}
+
+/**
+ * Check an answer against the rules of the control's type, besides any constraint bind: a range answer
+ * must be within it's bounds and on a step, a rank must order every choice exactly once, and a trigger
+ * may only be acknowledged with 'OK'.
+ *
+ * @string value Lexical value. Empty values are always accepted.
+ * @object choices Array of {'label', 'value'} objects available to a rank, see getChoices().
+ * @return Boolean value.
+ */
+Control.prototype.checkValue = function(value, choices) {
+
+    if (value == '')
+        return true;
+
+    switch (this.nodeType) {
+
+        case 'range':
+            var n = Number(value);
+            var low = Math.min(this.start, this.end);
+            var high = Math.max(this.start, this.end);
+            if (isNaN(n) || n < low || n > high)
+                return false;
+
+            // Allow for rounding errors with decimal steps
+            var steps = (n - this.start) / this.step;
+            return isNaN(steps) || Math.abs(steps - Math.round(steps)) < 1e-9;
+
+        case 'rank':
+            var values = value.split(' ');
+            if (values.length != choices.length)
+                return false;
+
+            for (var i = 0; i < choices.length; i++)
+                if (values.indexOf(choices[i].value) == -1)
+                    return false;
+            return true;
+
+        case 'trigger':
+            return value == 'OK';
+    }
+
+    return true;
+}
+
+/**
+ * Return the absolute paths this control's choice list depends on.
+ *
+ * @return Array of generic paths. Empty for static choice lists.
+ */
+Control.prototype.getChoiceReferences = function() {
+
+    return this.itemset != null ? this.itemset.nodeset.getReferences(this.ref) : [];
+}
+
+/**
+ * Parse a validation message attribute into a text object.
+ *
+ * @string value Attribute value, either a literal message or a jr:itext() reference.
+ * @return Text object suitable for getText().
+ */
+Control.prototype.parseMessage = function(value) {
+
+    var results = /^\s*jr:itext\(\s*['"](.*?)['"]\s*\)\s*$/.exec(value);
+    return results != null ? {'text':null, 'itext':results[1]} : value;
+}
+
+/**
+ * Return a translated string for the control's required message.
+ *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @object evaluator XPathEvaluator used for filling in output values.
+ * @object node InstanceNode output values are evaluated against.
+ *
+ * @return Translated message or an empty string if the control has none.
+ */
+Control.prototype.getRequiredMessage = function(lang, evaluator, node) {
+
+    return this.getText(this.requiredMsg, lang, undefined, evaluator, node);
+}
+
+/**
+ * Return a translated string for the control's constraint message.
+ *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @object evaluator XPathEvaluator used for filling in output values.
+ * @object node InstanceNode output values are evaluated against.
+ *
+ * @return Translated message or an empty string if the control has none.
+ */
+Control.prototype.getConstraintMessage = function(lang, evaluator, node) {
+
+    return this.getText(this.constraintMsg, lang, undefined, evaluator, node);
+}
+
+Control.prototype.getTexts = function() {
+
+    var texts = BaseControl.prototype.getTexts.call(this).concat([this.constraintMsg, this.requiredMsg]);
+    var items = this.children || [];
+    for (var i = 0; i < items.length; i++)
+        texts.push(items[i].label);
+
+    return texts;
+}
+
 /**
  * Return the control's default value or an empty string if no such value was defined.
  *
@@ -664,3 +2081,22 @@ Control.prototype.getElementName = function() {
 
     return this.ref.replace(/\//g, '_');
 }
+
+/**
+ * Return the control's data type, as defined by it's bind.
+ *
+ * @return Type name without any namespace prefix, e.g. 'int'.
+ */
+Control.prototype.getDataType = function() {
+
+    return XFormTypes.getType(this.type);
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+    module.exports.ODKParser = ODKParser;
+    module.exports.Translations = Translations;
+    module.exports.BaseControl = BaseControl;
+    module.exports.ControlGroup = ControlGroup;
+    module.exports.Control = Control;
+}
@@ -15,21 +15,53 @@ limitations under the License.
 */
 
 
+if (typeof module != 'undefined' && module.exports) {
+    var XFormTypes = require('./types').XFormTypes;
+    var GeoUtils = require('./geo').GeoUtils;
+}
+
+
 /****************************** HTMLRenderer ******************************/
 
 /**
- * Singleton renderer instance for rendering a XForm as HTML.
+ * Singleton renderer instance for rendering a XForm as HTML, DOM nodes or any other registered target.
  */
 var HTMLRenderer = new function() {
 
-    // Instantiate HTML elements factory
-    this.factory = new HTMLFormElementFactory();
+    // The elements factory is instantiated on first use, once all default widgets are defined
+    this.factory = null;
+
+    // Functions converting the virtual tree rendered by an element into a target's output, by name
+    this.targets = {
+        'html': function(node) { return node.toHTML(); },
+        'dom': function(node, doc) { return node.toDOM(doc); },
+        'json': function(node) { return node.toJSON(); }
+    };
+
+    // Provides the device's location to geo widgets, using the Browser's geolocation API by default
+    this.locationProvider = function(success, failure) {
+
+        if (typeof navigator == 'undefined' || navigator.geolocation == undefined) {
+            failure('Location is not available on this device');
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(function(position) {
+            var coords = position.coords;
+            success([coords.latitude, coords.longitude, coords.altitude || 0, coords.accuracy]);
+        }, function(error) {
+            failure(error.message || 'Location is not available');
+        }, {'enableHighAccuracy':true});
+    }
 
     /**
      * Return the HTML factory instance.
      */
     this.getFactory = function() {
 
+        if (this.factory == null)
+            this.factory = new HTMLFormElementFactory();
+
         return this.factory;
     }
 
@@ -43,6 +75,233 @@ var HTMLRenderer = new function() {
 
         this.factory = factory;
     }
+
+    /**
+     * Return the function providing the device's location.
+     */
+    this.getLocationProvider = function() {
+
+        return this.locationProvider;
+    }
+
+    /**
+     * Set the function providing the device's location to geo widgets, e.g. for a native GPS or for testing.
+     *
+     * @function provider Function called with a success callback, which takes an Array of lat, lon, alt and acc
+     *                    numbers, and a failure callback, which takes an error message.
+     * @return Nothing.
+     */
+    this.setLocationProvider = function(provider) {
+
+        this.locationProvider = provider;
+    }
+
+    /**
+     * Register a render target, e.g. to build components for a UI framework out of the virtual tree.
+     *
+     * @string name Target name, used with render().
+     * @function convert Function called with the root VirtualNode and the document passed to render().
+     * @return Nothing.
+     */
+    this.registerTarget = function(name, convert) {
+
+        this.targets[name] = convert;
+    }
+
+    /**
+     * Render an element to one of the registered targets: 'html' returns a string, 'dom' a DOM node
+     * and 'json' a plain object tree. Bind the element with attach() once the output is in the document.
+     *
+     * @object element Form element, as returned by the factory.
+     * @string target Target name.
+     * @string lang Translation language to use. Leave undefined to use the current language.
+     * @object doc Document used for creating DOM nodes.
+     * @return The target's output.
+     */
+    this.render = function(element, target, lang, doc) {
+
+        if (this.targets[target] == undefined)
+            throw 'Unknown render target "' + target + '"';
+
+        return this.targets[target](element.render(lang), doc);
+    }
+}
+
+
+
+/****************************** VirtualNode ******************************/
+
+
+/**
+ * Constructor. Define a node of the virtual tree form elements render to, which the render targets
+ * turn into HTML, DOM nodes or plain JSON.
+ *
+ * @string tag Element tag name.
+ * @object attributes Map of attribute values. Attributes which are null, undefined or false are left out,
+ *                    while true marks a Boolean attribute such as disabled.
+ * @object children Array of child nodes and text strings. Empty entries are left out.
+ */
+function VirtualNode(tag, attributes, children) {
+
+    this.tag = tag;
+    this.attributes = attributes || {};
+    this.children = (children || []).filter(function(child) {
+        return child != null && child !== '';
+    });
+}
+
+/**
+ * Elements which never have any content.
+ */
+VirtualNode.VoidTags = ['input', 'img', 'br', 'hr'];
+
+/**
+ * Elements which are created in the SVG namespace.
+ */
+VirtualNode.SVGTags = ['svg', 'g', 'rect', 'circle', 'line', 'polyline', 'polygon', 'path'];
+
+/**
+ * Escape a text for use in HTML content or in a quoted attribute value.
+ *
+ * @string text Text to escape.
+ * @return Escaped string.
+ */
+VirtualNode.escape = function(text) {
+
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Copy attributes from one map into another.
+ *
+ * @object attributes Map of attributes to add to.
+ * @object extra Map of attributes to copy.
+ * @return The first map.
+ */
+VirtualNode.extend = function(attributes, extra) {
+
+    for (var k in extra)
+        attributes[k] = extra[k];
+
+    return attributes;
+}
+
+/**
+ * Append DOM nodes built from virtual nodes to a DOM element. Texts are added as text nodes,
+ * so they're never parsed as markup.
+ *
+ * @object element DOM element.
+ * @object nodes Array of virtual nodes and text strings.
+ * @return Nothing.
+ */
+VirtualNode.appendChildren = function(element, nodes) {
+
+    var doc = element.ownerDocument;
+    for (var i = 0; i < nodes.length; i++) {
+
+        var child = nodes[i];
+        if (child instanceof VirtualNode)
+            element.appendChild(child.toDOM(doc));
+        else if (child != null && child !== '')
+            element.appendChild(doc.createTextNode(String(child)));
+    }
+}
+
+/**
+ * Replace the children of a DOM element with new ones built from virtual nodes.
+ *
+ * @object element DOM element.
+ * @object nodes Array of virtual nodes and text strings.
+ * @return Nothing.
+ */
+VirtualNode.replaceChildren = function(element, nodes) {
+
+    while (element.firstChild != null)
+        element.removeChild(element.firstChild);
+
+    VirtualNode.appendChildren(element, nodes);
+}
+
+/**
+ * Return the attributes which are rendered, with their values as strings.
+ *
+ * @return Map of attribute strings.
+ */
+VirtualNode.prototype.getAttributes = function() {
+
+    var attributes = {};
+    for (var k in this.attributes) {
+
+        var value = this.attributes[k];
+        if (value != null && value !== false)
+            attributes[k] = value === true ? k : String(value);
+    }
+
+    return attributes;
+}
+
+/**
+ * Return the node as HTML, with all texts and attribute values escaped.
+ *
+ * @return HTML string.
+ */
+VirtualNode.prototype.toHTML = function() {
+
+    var html = '<' + this.tag;
+    var attributes = this.getAttributes();
+    for (var k in attributes)
+        html += ' ' + k + '="' + VirtualNode.escape(attributes[k]) + '"';
+
+    if (VirtualNode.VoidTags.indexOf(this.tag) != -1)
+        return html + ' />';
+
+    html += '>';
+    for (var i = 0; i < this.children.length; i++) {
+        var child = this.children[i];
+        html += child instanceof VirtualNode ? child.toHTML() : VirtualNode.escape(child);
+    }
+
+    return html + '</' + this.tag + '>';
+}
+
+/**
+ * Build DOM nodes out of the node.
+ *
+ * @object doc Document used for creating the nodes.
+ * @return DOM element.
+ */
+VirtualNode.prototype.toDOM = function(doc) {
+
+    var svg = VirtualNode.SVGTags.indexOf(this.tag) != -1;
+    var element = svg ? doc.createElementNS('http://www.w3.org/2000/svg', this.tag) : doc.createElement(this.tag);
+    var attributes = this.getAttributes();
+    for (var k in attributes)
+        element.setAttribute(k, attributes[k]);
+
+    VirtualNode.appendChildren(element, this.children);
+    return element;
+}
+
+/**
+ * Return the node as a plain object tree, e.g. for a UI framework to build it's own components from.
+ * Boolean attributes keep their true value, and texts are unescaped strings.
+ *
+ * @return Object with tag, attributes and children.
+ */
+VirtualNode.prototype.toJSON = function() {
+
+    var attributes = {};
+    for (var k in this.attributes)
+        if (this.attributes[k] != null && this.attributes[k] !== false)
+            attributes[k] = this.attributes[k];
+
+    var children = [];
+    for (var i = 0; i < this.children.length; i++) {
+        var child = this.children[i];
+        children.push(child instanceof VirtualNode ? child.toJSON() : String(child));
+    }
+
+    return {'tag':this.tag, 'attributes':attributes, 'children':children};
 }
 
 
@@ -52,10 +311,29 @@ var HTMLRenderer = new function() {
 
 /**
  * Constructor. Instantiate a new HTMLFormElementFactory for constructing HTML elements out of controls.
+ * The default widgets are registered, and more may be added with register().
  */
 function HTMLFormElementFactory() {
 
     this.parser = null;
+    this.widgets = [];
+
+    this.register('group', GroupFormElement);
+    this.register('input', InputFormElement);
+    this.register('input', TextAreaFormElement, {'appearance':'multiline'});
+    this.register('input', NumberFormElement, {'dataTypes':['int', 'integer', 'long', 'short', 'decimal', 'double', 'float']});
+    this.register('input', DateTimeFormElement, {'dataTypes':['date', 'time', 'dateTime']});
+    this.register('input', GeopointFormElement, {'dataTypes':['geopoint']});
+    this.register('input', GeoShapeFormElement, {'dataTypes':['geotrace', 'geoshape']});
+    this.register('range', RangeFormElement);
+    this.register('select', SelectFormElement);
+    this.register('rank', RankFormElement);
+    this.register('trigger', TriggerFormElement);
+    this.register('note', NoteFormElement);
+    this.register('upload', UploadFormElement);
+    this.register('upload', DrawFormElement, {'appearance':'signature'});
+    this.register('upload', DrawFormElement, {'appearance':'draw'});
+    this.register('upload', DrawFormElement, {'appearance':'annotate'});
 }
 
 /**
@@ -70,36 +348,61 @@ HTMLFormElementFactory.prototype.setParser = function(parser) {
 }
 
 /**
- * Construct a HTML element out of the given control.
+ * Register a widget for a control type. Widgets registered later take precedence, so a default widget
+ * may be replaced, or overridden for controls with a specific appearance or data type only.
+ *
+ * @string type Control type, e.g. 'input', 'select' or 'group'.
+ * @function widget Element constructor, called with the parser, control and mapRef.
+ *                  Widgets usually inherit from GenericFormElement and override render().
+ * @object options Optional object limiting the widget to controls with an 'appearance' string,
+ *                 or with one of the bind types in a 'dataTypes' array.
+ * @return Nothing.
+ */
+HTMLFormElementFactory.prototype.register = function(type, widget, options) {
+
+    options = options || {};
+    this.widgets.push({'type':type, 'widget':widget, 'appearance':options.appearance, 'dataTypes':options.dataTypes});
+}
+
+/**
+ * Find the widget registered for a control.
  *
  * @object control Parsed control instance.
- * @return HTML element or null if no element could be instantiated.
+ * @return Element constructor or null if no widget matches the control.
  */
-HTMLFormElementFactory.prototype.GetElementFromControl = function(control) {
+HTMLFormElementFactory.prototype.getWidget = function(control) {
 
-    var elem = null;
-    switch (control.getControlType()) {
+    for (var i = this.widgets.length - 1; i >= 0; i--) {
 
-        case 'group':
-            elem = new GroupFormElement(this.parser, control);
-            break;
+        var w = this.widgets[i];
+        if (w.type != control.getControlType())
+            continue;
+        if (w.appearance != undefined && !control.hasAppearance(w.appearance))
+            continue;
+        if (w.dataTypes != undefined && w.dataTypes.indexOf(control.getDataType()) == -1)
+            continue;
 
-        case 'input':
-            elem = new InputFormElement(this.parser, control);
-            break;
+        return w.widget;
+    }
 
-        case 'select':
-            elem = new SelectFormElement(this.parser, control);
-            break;
+    return null;
+}
 
-        case 'upload':
+/**
+ * Construct a HTML element out of the given control.
+ *
+ * @object control Parsed control instance.
+ * @function mapRef Optional function mapping the control's path to the instance it is rendered for,
+ *                  e.g. '/data/kids/name' to '/data/kids[2]/name' inside a repeat.
+ * @return HTML element or null if no element could be instantiated.
+ */
+HTMLFormElementFactory.prototype.GetElementFromControl = function(control, mapRef) {
 
-        default:
-            elem = new GenericFormElement(this.parser);
-            break;
-    }
+    var widget = this.getWidget(control);
+    if (widget == null)
+        return new GenericFormElement(this.parser);
 
-    return elem;
+    return new widget(this.parser, control, mapRef);
 }
 
 
@@ -107,143 +410,2145 @@ HTMLFormElementFactory.prototype.GetElementFromControl = function(control) {
 
 /**
  * Constructor. Define a generic HTML element. This is used a base class for all other elements.
+ *
+ * @object parser ODKParser object reference.
+ * @object control Parsed control instance rendered by this element.
+ * @function mapRef Optional function mapping the control's path to the instance it is rendered for.
  */
-function GenericFormElement(parser) {
+function GenericFormElement(parser, control, mapRef) {
 
     this.parser = parser;
+    this.control = control;
+    this.mapRef = mapRef;
+    this.ref = null;
+    if (control != undefined && control.ref != null)
+        this.ref = mapRef != undefined ? mapRef(control.ref) : control.ref;
+}
+
+/**
+ * Return the virtual tree of the element, which the render targets turn into HTML, DOM nodes or JSON.
+ * Widgets override this to render their own markup, and must call it before attach().
+ *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @return VirtualNode instance.
+ */
+GenericFormElement.prototype.render = function(lang) {
+
+    return new VirtualNode('div', {'class':'generic'});
+}
+
+/**
+ * Return the element as HTML.
+ *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @return HTML string.
+ */
+GenericFormElement.prototype.getAsHTML = function(lang) {
+
+    return this.render(lang).toHTML();
 }
 
 /**
- * Define a global ID sequence.
+ * Return the element as DOM nodes.
+ *
+ * @object doc Document used for creating the nodes.
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @return DOM element.
  */
-GenericFormElement.Sequence = 0;
+GenericFormElement.prototype.getAsDOM = function(doc, lang) {
+
+    return this.render(lang).toDOM(doc);
+}
 
 /**
+ * Return the element as a plain object tree, see VirtualNode.toJSON().
  *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @return Object tree.
+ */
+GenericFormElement.prototype.getAsJSON = function(lang) {
+
+    return this.render(lang).toJSON();
+}
+
+/**
+ * Return the ID of the element's input, which the IDs of it's other parts are derived from.
+ * It only depends on the path the element is rendered for, so rendering a form again gives the same IDs.
  *
+ * @return ID string.
  */
-GenericFormElement.prototype.getAsHTML = function() {
+GenericFormElement.prototype.getElementId = function() {
+
+    if (this.ref != null)
+        return 'odk' + this.getElementName();
 
-    return "<div><!-- generic --></div>";
+    // Groups without a ref are told apart by their position in the form, within the instance they're rendered for
+    var path = this.mapRef != undefined ? this.mapRef(this.control.path) : this.control.path;
+    return 'odk' + this.getElementName(path) + '-group' + this.parser.getControlIndex(this.control);
 }
 
-GenericFormElement.prototype.getUniqueId = function() {
+/**
+ * Return the live form state this element is bound to.
+ *
+ * @return FormState instance or null if there is none.
+ */
+GenericFormElement.prototype.getState = function() {
+
+    if (this.parser == null || this.ref == null)
+        return null;
 
-    GenericFormElement.Sequence++;
-    return "_id_" + GenericFormElement.Sequence.toString();
+    return this.parser.getState();
 }
 
+/**
+ * Return a value indicating whether the element should be displayed, according to it's relevance.
+ *
+ * @return Boolean value.
+ */
 GenericFormElement.prototype.isVisible = function() {
 
-    if (this.control == undefined || this.control.revelant == undefined || this.parser == null)
-        return true;
+    var state = this.getState();
+    return state == null || state.isRelevant(this.ref);
+}
 
-    var dep_control = this.parser.findControl(this.control.relevant.path);
-    if (dep_control == null)
-        return true;
+/**
+ * Return a value indicating whether the element's value may be changed.
+ *
+ * @return Boolean value.
+ */
+GenericFormElement.prototype.isReadonly = function() {
 
-    // TODO: verify condition on dependency control
+    var state = this.getState();
+    return state != null && state.isReadonly(this.ref);
 }
 
+/**
+ * Return a value indicating whether the element requires an answer.
+ *
+ * @return Boolean value.
+ */
+GenericFormElement.prototype.isRequired = function() {
 
-/****************************** InputFormElement ******************************/
+    var state = this.getState();
+    return state != null ? state.isRequired(this.ref) : this.control.isRequired();
+}
 
+/**
+ * Return a value indicating whether the element's value satisfies it's constraint.
+ *
+ * @return Boolean value.
+ */
+GenericFormElement.prototype.isValid = function() {
 
-function InputFormElement(parser, control) {
+    var state = this.getState();
+    return state == null || state.isValid(this.ref);
+}
 
-    GenericFormElement.call(this, parser);
-    this.control = control;
+/**
+ * Return the element's current value.
+ *
+ * @return Value string.
+ */
+GenericFormElement.prototype.getValue = function() {
+
+    var state = this.getState();
+    var value = state != null ? state.getValue(this.ref) : null;
+    return value != null ? value : this.control.getDefaultValue();
 }
-InputFormElement.prototype = new GenericFormElement();
-InputFormElement.prototype.constructor = InputFormElement;
 
+/**
+ * Bind the element's rendered HTML to the form state, so user input updates the state and state
+ * changes update the HTML. Must be called after the output of getAsHTML() or getAsDOM() was added to the document.
+ *
+ * @object doc Document containing the rendered HTML.
+ * @return Nothing.
+ */
+GenericFormElement.prototype.attach = function(doc) {
+
+    var self = this;
+    var state = this.getState();
+
+    // Labels are rendered again in place whenever the form's language, or an answer they show, changes
+    this.doc = doc;
+    var form = this.parser != null ? this.parser.getState() : null;
+    if (form != null && this.id != undefined && this.languageListener == undefined) {
+
+        this.languageListener = function(lang) {
+            self.relabel(lang);
+        }
+        form.on('language', this.languageListener);
+
+        var refs = this.control.getTextReferences();
+        if (refs.length > 0) {
+            this.textListener = function(node, property) {
+                if (property == 'value' && refs.indexOf(node.getPath()) != -1)
+                    self.relabel(self.lang);
+            }
+            form.on('change', this.textListener);
+        }
+    }
+
+    if (state == null || this.id == undefined)
+        return;
+
+    this.node = state.getNode(this.ref);
+    this.container = doc.getElementById(this.id + '-container');
+    this.input = doc.getElementById(this.id);
+    if (this.input != null) {
+        this.input.onchange = function() {
+            self.commit();
+        }
+    }
+
+    this.listener = function(node, property) {
+        if (node == self.node)
+            self.update();
+    }
+    state.on('change', this.listener);
+
+    this.validateListener = function(path, error) {
+        if (path == self.ref)
+            self.showError(error);
+    }
+    state.on('validate', this.validateListener);
+
+    this.update();
+}
 
-InputFormElement.prototype.getAsHTML = function(lang) {
+/**
+ * Store the value entered by the user in the form state.
+ * Values which can't be converted to the element's type mark the element as invalid.
+ *
+ * @return Nothing.
+ */
+GenericFormElement.prototype.commit = function() {
 
-    var id = this.getUniqueId();
-    var required = this.control.isRequired() ? ' *' : '';
+    try {
+        this.getState().setValue(this.ref, this.getInputValue());
+    } catch (e) {
+        if (this.container != null)
+            this.markInvalid(true);
+    }
+}
 
-    html = "<div>";
-    html += "<label for=\"" + id + "\">" + this.control.getLabel(lang) + required + "</label>";
-    html += "<input id=\"" + id + "\" type=\"text\" name=\"" + this.control.getElementName() + "\" value=\"" + this.control.getDefaultValue() + "\" />";
-    var hint = this.control.getHint(lang);
-    if (hint != '')
-        html += "<span class=\"hint\">" + hint + "</span>";
-    html += "</div>";
+/**
+ * Return the value entered by the user.
+ *
+ * @return Value string, or any other value XFormTypes.normalize() accepts.
+ */
+GenericFormElement.prototype.getInputValue = function() {
 
-    return html;
+    return this.input.value;
 }
 
+/**
+ * Display a value from the form state in the element's input.
+ *
+ * @string value Lexical value.
+ * @return Nothing.
+ */
+GenericFormElement.prototype.setInputValue = function(value) {
 
-/****************************** SelectFormElement ******************************/
+    value = this.formatValue(value);
+    if (this.input.value != value)
+        this.input.value = value;
+}
 
+/**
+ * Convert a lexical value from the form state to the form displayed by the element's input.
+ *
+ * @string value Lexical value.
+ * @return Displayed value string.
+ */
+GenericFormElement.prototype.formatValue = function(value) {
 
-function SelectFormElement(parser, control) {
+    return value;
+}
 
-    GenericFormElement.call(this, parser);
-    this.control = control;
+/**
+ * Stop updating the element's HTML from the form state, before the HTML is removed.
+ *
+ * @return Nothing.
+ */
+GenericFormElement.prototype.detach = function() {
+
+    var state = this.getState();
+    if (state != null && this.listener != undefined)
+        state.off('change', this.listener);
+    if (state != null && this.validateListener != undefined)
+        state.off('validate', this.validateListener);
+
+    var form = this.parser != null ? this.parser.getState() : null;
+    if (form != null && this.languageListener != undefined)
+        form.off('language', this.languageListener);
+    if (form != null && this.textListener != undefined)
+        form.off('change', this.textListener);
+
+    this.listener = undefined;
+    this.validateListener = undefined;
+    this.languageListener = undefined;
+    this.textListener = undefined;
+    this.container = null;
+    this.input = null;
 }
-SelectFormElement.prototype = new GenericFormElement();
-SelectFormElement.prototype.constructor = SelectFormElement;
 
+/**
+ * Return the element's HTML name, which is unique for every repeat instance.
+ *
+ * @string ref Path to use instead of the element's own.
+ * @return HTML name string.
+ */
+GenericFormElement.prototype.getElementName = function(ref) {
+
+    return (ref || this.ref).replace(/\//g, '_').replace(/\[(\d+)\]/g, '_$1');
+}
 
-SelectFormElement.prototype.getAsHTML = function(lang) {
+/**
+ * Update the attached HTML to reflect the current form state.
+ *
+ * @return Nothing.
+ */
+GenericFormElement.prototype.update = function() {
 
-    var id = this.getUniqueId();
-    var def = this.control.getDefaultValue();
-    var required = this.control.isRequired() ? ' *' : '';
+    if (this.container == null)
+        return;
 
-    html = "<div>";
-    html += "<label for=\"" + id + "\">" + this.control.getLabel(lang) + required + "</label>";
-    html += "<select" + (this.control.type == 'select1' ? ' size="1"' : '') + " id=\"" + id + "\" name=\"" + this.control.getElementName() + "\">";
-    for (var i = 0; i < this.control.children.length; i++) {
+    this.container.style.display = this.isVisible() ? '' : 'none';
+    this.markInvalid(!this.isValid() || this.getError() != null);
 
-        var item = this.control.children[i];
-        html += "<option value=\"" + item.value + "\"";
-        if (def == item['value'])
-            html += ' selected="selected"';
-        html += ">" + this.control.getText(item.label, lang) + "</option>";
+    if (this.input != null) {
+        this.input.disabled = this.isReadonly();
+        this.input.setAttribute('aria-required', this.isRequired() ? 'true' : 'false');
+        this.setInputValue(this.getValue());
     }
-    html += "</select>";
-    var hint = this.control.getHint(lang);
-    if (hint != '')
-        html += "<span class=\"hint\">" + hint + "</span>";
-    html += "</div>";
 
-    return html;
+    var marker = this.container.ownerDocument.getElementById(this.id + '-required');
+    if (marker != null)
+        marker.style.display = this.isRequired() ? '' : 'none';
 }
 
+/**
+ * Private method. Mark the attached container and input as valid or invalid.
+ */
+GenericFormElement.prototype.markInvalid = function(invalid) {
 
-/****************************** GroupFormElement ******************************/
+    this.container.className = invalid ? 'invalid' : '';
+    if (this.input != null)
+        this.input.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+}
 
+/**
+ * Return a text of the element's control, with output values filled in from the current answers.
+ *
+ * @object text Text object, e.g. the control's label.
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @string ref Path of the node output values are evaluated against. Leave undefined to use the element's own node.
+ * @return Text string.
+ */
+GenericFormElement.prototype.getText = function(text, lang, ref) {
 
-function GroupFormElement(parser, control) {
+    var state = this.parser != null ? this.parser.getState() : null;
+    if (state == null)
+        return this.control.getText(text, lang);
 
-    GenericFormElement.call(this, parser);
-    this.control = control;
-    this.questions = [];
-    for (var i = 0; i < control.list.length; i++) {
+    ref = ref || this.ref;
+    var node = ref != null ? state.getNode(ref) : null;
+    return this.control.getText(text, lang, undefined, state.evaluator, node || state.root.children[0]);
+}
 
-        var elem = this.parser.factory.GetElementFromControl(control.list[i]);
-        if (elem != null)
-            this.questions.push(elem);
-    }
+/**
+ * Return the element's label text, which is replaced when the language or an answer it shows changes.
+ *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @return VirtualNode instance.
+ */
+GenericFormElement.prototype.renderLabel = function(lang) {
+
+    return new VirtualNode('span', {'id':this.id + '-label'}, [this.getText(this.control.label, lang)]);
 }
-GroupFormElement.prototype = new GenericFormElement();
-GroupFormElement.prototype.constructor = GroupFormElement;
 
+/**
+ * Return the element's hint. It's always rendered, so a hint can appear after the language changes.
+ *
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @return VirtualNode instance.
+ */
+GenericFormElement.prototype.renderHint = function(lang) {
 
-GroupFormElement.prototype.getAsHTML = function(lang) {
+    var hint = this.getText(this.control.hint, lang);
+    return new VirtualNode('span', {'id':this.id + '-hint', 'class':'hint', 'style':hint != '' ? null : 'display:none'}, [hint]);
+}
 
-    var id = this.getUniqueId();
+/**
+ * Return the marker shown next to the label of questions requiring an answer.
+ *
+ * @return VirtualNode instance.
+ */
+GenericFormElement.prototype.renderRequired = function() {
+
+    return new VirtualNode('span', {'id':this.id + '-required', 'class':'required', 'aria-hidden':'true', 'style':this.isRequired() ? null : 'display:none'}, [' *']);
+}
+
+/**
+ * Replace the rendered label and hint with their texts in another language.
+ *
+ * @string lang Translation language to use.
+ * @return Nothing.
+ */
+GenericFormElement.prototype.relabel = function(lang) {
+
+    this.lang = lang;
+    if (this.doc == null)
+        return;
+
+    var label = this.doc.getElementById(this.id + '-label');
+    if (label != null)
+        label.textContent = this.getText(this.control.label, lang);
+
+    var hint = this.doc.getElementById(this.id + '-hint');
+    if (hint != null) {
+        hint.textContent = this.getText(this.control.hint, lang);
+        hint.style.display = hint.textContent != '' ? '' : 'none';
+    }
+}
+
+/**
+ * Return the validation error of the element's answer.
+ *
+ * @return Error object, see FormValidator.validateField(), or null if there is none.
+ */
+GenericFormElement.prototype.getError = function() {
+
+    var validator = this.parser != null ? this.parser.getValidator() : null;
+    return validator != null && this.ref != null ? validator.getError(this.ref) : null;
+}
+
+/**
+ * Return the element's validation message, which is shown next to the input.
+ *
+ * @return VirtualNode instance.
+ */
+GenericFormElement.prototype.renderError = function() {
+
+    var error = this.getError();
+    return new VirtualNode('span', {'id':this.id + '-error', 'class':'error', 'role':'alert', 'style':error != null ? null : 'display:none'}, [error != null ? error.message : '']);
+}
+
+/**
+ * Show or hide the element's validation message.
+ *
+ * @object error Error object, or null to hide the message.
+ * @return Nothing.
+ */
+GenericFormElement.prototype.showError = function(error) {
+
+    if (this.container == null)
+        return;
+
+    var message = this.container.ownerDocument.getElementById(this.id + '-error');
+    if (message != null) {
+        message.textContent = error != null ? error.message : '';
+        message.style.display = error != null ? '' : 'none';
+    }
+
+    this.markInvalid(!this.isValid() || error != null);
+}
+
+/**
+ * Return the attributes shared by all element containers. The container of a question also holds
+ * the path it's rendered for, so other targets can bind their components to the form state.
+ *
+ * @return Map of attributes.
+ */
+GenericFormElement.prototype.getContainerAttributes = function() {
+
+    return {'id':this.id + '-container', 'data-ref':this.ref, 'style':this.isVisible() ? null : 'display:none'};
+}
+
+/**
+ * Return the ARIA attributes of the element's input, pointing assistive technologies at it's hint
+ * and validation message, and telling whether an answer is required and whether it's valid.
+ *
+ * @return Map of attributes.
+ */
+GenericFormElement.prototype.getAriaAttributes = function() {
+
+    var invalid = !this.isValid() || this.getError() != null;
+    var describedBy = this.id + '-hint ' + this.id + '-error';
+    return {'aria-describedby':describedBy, 'aria-required':this.isRequired() ? 'true' : 'false', 'aria-invalid':invalid ? 'true' : 'false'};
+}
+
+/****************************** InputFormElement ******************************/
+
+
+function InputFormElement(parser, control, mapRef) {
+
+    GenericFormElement.call(this, parser, control, mapRef);
+}
+InputFormElement.prototype = new GenericFormElement();
+InputFormElement.prototype.constructor = InputFormElement;
+
+
+InputFormElement.prototype.render = function(lang) {
+
+    var id = this.id = this.getElementId();
+    this.lang = lang;
+
+    return new VirtualNode('div', this.getContainerAttributes(), [
+        new VirtualNode('label', {'for':id}, [this.renderLabel(lang), this.renderRequired()]),
+        this.renderInput(id),
+        this.renderHint(lang),
+        this.renderError()
+    ]);
+}
+
+/**
+ * Return the element's input.
+ *
+ * @string id Input element ID.
+ * @return VirtualNode instance.
+ */
+InputFormElement.prototype.renderInput = function(id) {
+
+    var attributes = {'id':id, 'type':this.getInputType(), 'name':this.getElementName(), 'value':this.formatValue(this.getValue()), 'disabled':this.isReadonly()};
+    VirtualNode.extend(attributes, this.getInputAttributes());
+    return new VirtualNode('input', VirtualNode.extend(attributes, this.getAriaAttributes()));
+}
+
+/**
+ * Return the HTML input type.
+ *
+ * @return Input type string.
+ */
+InputFormElement.prototype.getInputType = function() {
+
+    return 'text';
+}
+
+/**
+ * Return any additional HTML input attributes.
+ *
+ * @return Map of attributes.
+ */
+InputFormElement.prototype.getInputAttributes = function() {
+
+    return {};
+}
+
+
+/****************************** NumberFormElement ******************************/
+
+
+function NumberFormElement(parser, control, mapRef) {
+
+    InputFormElement.call(this, parser, control, mapRef);
+}
+NumberFormElement.prototype = new InputFormElement();
+NumberFormElement.prototype.constructor = NumberFormElement;
+
+
+NumberFormElement.prototype.getInputType = function() {
+
+    return 'number';
+}
+
+NumberFormElement.prototype.getInputAttributes = function() {
+
+    return {'step':XFormTypes.isInteger(this.control.getDataType()) ? '1' : 'any'};
+}
+
+
+/****************************** RangeFormElement ******************************/
+
+
+function RangeFormElement(parser, control, mapRef) {
+
+    InputFormElement.call(this, parser, control, mapRef);
+}
+RangeFormElement.prototype = new InputFormElement();
+RangeFormElement.prototype.constructor = RangeFormElement;
+
+
+RangeFormElement.prototype.getInputType = function() {
+
+    return 'range';
+}
+
+RangeFormElement.prototype.getInputAttributes = function() {
+
+    var attrs = {};
+    if (!isNaN(this.control.start))
+        attrs.min = this.control.start;
+    if (!isNaN(this.control.end))
+        attrs.max = this.control.end;
+    if (!isNaN(this.control.step))
+        attrs.step = this.control.step;
+
+    return attrs;
+}
+
+/**
+ * Show the selected number next to the slider.
+ */
+RangeFormElement.prototype.renderInput = function(id) {
+
+    var input = InputFormElement.prototype.renderInput.call(this, id);
+    return new VirtualNode('span', {'class':'range'}, [input, new VirtualNode('output', {'id':id + '-value', 'for':id}, [this.getValue()])]);
+}
+
+RangeFormElement.prototype.setInputValue = function(value) {
+
+    InputFormElement.prototype.setInputValue.call(this, value);
+
+    var output = this.doc.getElementById(this.id + '-value');
+    if (output != null)
+        output.textContent = value;
+}
+
+
+/****************************** DateTimeFormElement ******************************/
+
+
+function DateTimeFormElement(parser, control, mapRef) {
+
+    InputFormElement.call(this, parser, control, mapRef);
+}
+DateTimeFormElement.prototype = new InputFormElement();
+DateTimeFormElement.prototype.constructor = DateTimeFormElement;
+
+
+DateTimeFormElement.prototype.getInputType = function() {
+
+    switch (this.control.getDataType()) {
+        case 'time': return 'time';
+        case 'dateTime': return 'datetime-local';
+    }
+
+    return 'date';
+}
+
+/**
+ * Convert a lexical date, time or dateTime to the local form used by HTML date and time inputs.
+ */
+DateTimeFormElement.prototype.formatValue = function(value) {
+
+    var date = value != '' ? XFormTypes.parseDate(value) : null;
+    if (date == null)
+        return '';
+
+    var time = XFormTypes.formatTime(date).substr(0, 5);
+    switch (this.control.getDataType()) {
+        case 'time': return time;
+        case 'dateTime': return XFormTypes.formatDate(date) + 'T' + time;
+    }
+
+    return XFormTypes.formatDate(date);
+}
+
+
+/****************************** TextAreaFormElement ******************************/
+
+
+function TextAreaFormElement(parser, control, mapRef) {
+
+    InputFormElement.call(this, parser, control, mapRef);
+}
+TextAreaFormElement.prototype = new InputFormElement();
+TextAreaFormElement.prototype.constructor = TextAreaFormElement;
+
+
+TextAreaFormElement.prototype.renderInput = function(id) {
+
+    var attributes = {'id':id, 'name':this.getElementName(), 'rows':4, 'disabled':this.isReadonly()};
+    return new VirtualNode('textarea', VirtualNode.extend(attributes, this.getAriaAttributes()), [this.getValue()]);
+}
+
+
+/****************************** GeopointFormElement ******************************/
+
+
+/**
+ * Constructor. Define a geopoint widget, with separate latitude, longitude and accuracy inputs.
+ */
+function GeopointFormElement(parser, control, mapRef) {
+
+    InputFormElement.call(this, parser, control, mapRef);
+}
+GeopointFormElement.prototype = new InputFormElement();
+GeopointFormElement.prototype.constructor = GeopointFormElement;
+
+/**
+ * Names of the geopoint parts, in the order they appear in the lexical value.
+ */
+GeopointFormElement.Parts = ['lat', 'lon', 'alt', 'acc'];
+
+
+GeopointFormElement.prototype.renderInput = function(id) {
+
+    var labels = {'lat':'Latitude', 'lon':'Longitude', 'acc':'Accuracy (m)'};
+    var parts = this.splitValue(this.getValue());
+
+    // The parts are labelled on their own, while the question's label names the whole group
+    var inputs = [];
+    for (var i = 0; i < GeopointFormElement.Parts.length; i++) {
+
+        var part = GeopointFormElement.Parts[i];
+        if (labels[part] == undefined)
+            continue;
+
+        var attributes = {'id':part == 'lat' ? id : id + '-' + part, 'type':'number', 'step':'any', 'name':this.getElementName() + '_' + part, 'placeholder':labels[part], 'aria-label':labels[part], 'value':parts[i], 'disabled':this.isReadonly()};
+        inputs.push(new VirtualNode('input', VirtualNode.extend(attributes, this.getAriaAttributes())));
+    }
+
+    inputs.push(new VirtualNode('button', {'type':'button', 'id':id + '-locate', 'disabled':this.isReadonly()}, ['Use current location']));
+    inputs.push(new VirtualNode('span', {'id':id + '-status', 'class':'status', 'role':'status'}));
+    return new VirtualNode('span', {'class':'geopoint', 'role':'group', 'aria-labelledby':id + '-label'}, inputs);
+}
+
+/**
+ * Split a lexical geopoint into it's parts.
+ *
+ * @string value Lexical value, e.g. '-33.9 18.4 0 5'.
+ * @return Array of part strings, which are empty if there is no value.
+ */
+GeopointFormElement.prototype.splitValue = function(value) {
+
+    var parts = value != '' ? value.split(/\s+/) : [];
+    while (parts.length < GeopointFormElement.Parts.length)
+        parts.push('');
+
+    return parts;
+}
+
+GeopointFormElement.prototype.attach = function(doc) {
+
+    var self = this;
+    InputFormElement.prototype.attach.call(this, doc);
+
+    this.lon = doc.getElementById(this.id + '-lon');
+    this.acc = doc.getElementById(this.id + '-acc');
+    if (this.lon != null && this.acc != null) {
+        this.lon.onchange = this.acc.onchange = function() {
+            self.commit();
+        }
+        this.update();
+    }
+
+    var locate = doc.getElementById(this.id + '-locate');
+    if (locate != null && this.listener != undefined) {
+        locate.onclick = function() {
+            self.locate(function(point) {
+                self.getState().setValue(self.ref, point);
+            });
+        }
+    }
+}
+
+/**
+ * Ask the location provider for the device's location, showing the progress in the element's status.
+ *
+ * @function success Function called with the location, unless the element was detached meanwhile.
+ * @return Nothing.
+ */
+GeopointFormElement.prototype.locate = function(success) {
+
+    var self = this;
+    var attached = function() {
+        return self.listener != undefined;
+    }
+
+    this.showStatus('Locating...');
+    HTMLRenderer.getLocationProvider()(function(point) {
+        if (attached()) {
+            self.showStatus('');
+            success(point);
+        }
+    }, function(message) {
+        if (attached())
+            self.showStatus(message);
+    });
+}
+
+/**
+ * Private method. Show a message in the element's status.
+ */
+GeopointFormElement.prototype.showStatus = function(message) {
+
+    var status = this.doc != null ? this.doc.getElementById(this.id + '-status') : null;
+    if (status != null)
+        status.textContent = message;
+}
+
+GeopointFormElement.prototype.getInputValue = function() {
+
+    if (this.input.value == '' && this.lon.value == '')
+        return '';
+
+    // Altitude isn't entered manually, so keep whatever was captured
+    var alt = this.splitValue(this.getValue())[2];
+    return [this.input.value, this.lon.value, alt != '' ? alt : 0, this.acc.value];
+}
+
+GeopointFormElement.prototype.setInputValue = function(value) {
+
+    if (this.lon == undefined || this.lon == null)
+        return;
+
+    var parts = this.splitValue(value);
+    this.input.value = parts[0];
+    this.lon.value = parts[1];
+    this.acc.value = parts[3];
+}
+
+GeopointFormElement.prototype.update = function() {
+
+    InputFormElement.prototype.update.call(this);
+    var locate = this.doc != null && this.container != null ? this.doc.getElementById(this.id + '-locate') : null;
+    if (locate != null)
+        locate.disabled = this.isReadonly();
+
+    if (this.lon != null && this.acc != null) {
+        this.lon.disabled = this.acc.disabled = this.isReadonly();
+        this.lon.setAttribute('aria-required', this.input.getAttribute('aria-required'));
+        this.acc.setAttribute('aria-required', this.input.getAttribute('aria-required'));
+    }
+}
+
+GeopointFormElement.prototype.markInvalid = function(invalid) {
+
+    InputFormElement.prototype.markInvalid.call(this, invalid);
+    if (this.lon != null && this.acc != null) {
+        this.lon.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+        this.acc.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+    }
+}
+
+
+/****************************** GeoShapeFormElement ******************************/
+
+
+/**
+ * Constructor. Define a widget for geotrace and geoshape inputs. Points are typed in, added from the
+ * device's location, or picked on a map which is drawn without any tiles, so it also works offline.
+ */
+function GeoShapeFormElement(parser, control, mapRef) {
+
+    InputFormElement.call(this, parser, control, mapRef);
+    this.points = [];
+    this.stored = null;
+    this.view = null;
+}
+GeoShapeFormElement.prototype = new InputFormElement();
+GeoShapeFormElement.prototype.constructor = GeoShapeFormElement;
+
+/**
+ * Width and height of the map, in pixels.
+ */
+GeoShapeFormElement.Size = 300;
+
+/**
+ * Buttons shown below the map, by ID suffix.
+ */
+GeoShapeFormElement.Buttons = {'locate':'Add current location', 'undo':'Remove last point', 'zoomin':'Zoom in', 'zoomout':'Zoom out'};
+
+
+GeoShapeFormElement.prototype.renderInput = function(id) {
+
+    var size = GeoShapeFormElement.Size;
+    this.points = this.getPoints(this.getValue());
+    this.stored = this.getValue();
+    this.view = null;
+
+    var map = {'id':id + '-map', 'class':'map', 'width':size, 'height':size, 'viewBox':'0 0 ' + size + ' ' + size, 'role':'img', 'aria-label':'Map of the points'};
+    var attributes = {'id':id, 'name':this.getElementName(), 'rows':4, 'placeholder':'lat lon alt acc;lat lon alt acc;...', 'disabled':this.isReadonly()};
+    var children = [
+        new VirtualNode('svg', map, this.renderMap()),
+        new VirtualNode('textarea', VirtualNode.extend(attributes, this.getAriaAttributes()), [GeoUtils.format(this.points)])
+    ];
+    for (var k in GeoShapeFormElement.Buttons)
+        children.push(new VirtualNode('button', {'type':'button', 'id':id + '-' + k, 'disabled':this.isReadonly()}, [GeoShapeFormElement.Buttons[k]]));
+    children.push(new VirtualNode('span', {'id':id + '-status', 'class':'status', 'role':'status'}));
+
+    return new VirtualNode('span', {'class':'geo ' + this.control.getDataType()}, children);
+}
+
+/**
+ * Return the points of a lexical geotrace or geoshape, leaving out the point closing a shape.
+ *
+ * @string value Lexical value.
+ * @return Array of points, which is empty for invalid values.
+ */
+GeoShapeFormElement.prototype.getPoints = function(value) {
+
+    try {
+        var points = GeoUtils.parse(value);
+    } catch (e) {
+        return [];
+    }
+
+    if (this.control.getDataType() == 'geoshape' && GeoUtils.isClosed(points))
+        points.pop();
+
+    return points;
+}
+
+/**
+ * Return the map's content: the line or shape through the points, and a dot for each point.
+ *
+ * @return Array of VirtualNode instances.
+ */
+GeoShapeFormElement.prototype.renderMap = function() {
+
+    var self = this;
+    var size = GeoShapeFormElement.Size;
+    var nodes = [new VirtualNode('rect', {'width':size, 'height':size, 'fill':'#f4f4f0'})];
+    if (this.points.length == 0)
+        return nodes;
+
+    if (this.view == null)
+        this.fit();
+
+    var pixels = this.points.map(function(point) {
+        return self.toPixels(point);
+    });
+
+    var shape = this.control.getDataType() == 'geoshape' ? 'polygon' : 'polyline';
+    nodes.push(new VirtualNode(shape, {'points':pixels.join(' '), 'fill':shape == 'polygon' ? '#cce0f5' : 'none', 'stroke':'#0066cc', 'stroke-width':2}));
+    for (var i = 0; i < pixels.length; i++)
+        nodes.push(new VirtualNode('circle', {'cx':pixels[i][0], 'cy':pixels[i][1], 'r':4, 'fill':'#0066cc'}));
+
+    return nodes;
+}
+
+/**
+ * Private method. Center the map on the points, zoomed out far enough to show all of them.
+ */
+GeoShapeFormElement.prototype.fit = function() {
+
+    var lats = this.points.map(function(point) { return point[0]; });
+    var lons = this.points.map(function(point) { return point[1]; });
+    var origin = [(Math.min.apply(Math, lats) + Math.max.apply(Math, lats)) / 2, (Math.min.apply(Math, lons) + Math.max.apply(Math, lons)) / 2, 0, 0];
+
+    var extent = 0;
+    for (var i = 0; i < this.points.length; i++) {
+        var xy = GeoUtils.project(this.points[i], origin);
+        extent = Math.max(extent, Math.abs(xy[0]), Math.abs(xy[1]));
+    }
+
+    // Meters per pixel, leaving a margin around the points
+    this.view = {'origin':origin, 'scale':Math.max(extent * 2 / (GeoShapeFormElement.Size * 0.8), 0.5)};
+}
+
+/**
+ * Private method. Convert a point to it's position on the map.
+ */
+GeoShapeFormElement.prototype.toPixels = function(point) {
+
+    var center = GeoShapeFormElement.Size / 2;
+    var xy = GeoUtils.project(point, this.view.origin);
+    return [Math.round((center + xy[0] / this.view.scale) * 10) / 10, Math.round((center - xy[1] / this.view.scale) * 10) / 10];
+}
+
+/**
+ * Private method. Convert a position on the map to a point.
+ */
+GeoShapeFormElement.prototype.fromPixels = function(x, y) {
+
+    var center = GeoShapeFormElement.Size / 2;
+    var point = GeoUtils.unproject([(x - center) * this.view.scale, (center - y) * this.view.scale], this.view.origin);
+    return [Math.round(point[0] * 1e7) / 1e7, Math.round(point[1] * 1e7) / 1e7, 0, 0];
+}
+
+GeoShapeFormElement.prototype.attach = function(doc) {
+
+    var self = this;
+    InputFormElement.prototype.attach.call(this, doc);
+    if (this.listener == undefined)
+        return;
+
+    var map = doc.getElementById(this.id + '-map');
+    this.map = map;
+    map.onclick = function(e) {
+        if (self.isReadonly())
+            return;
+        if (self.view == null) {
+            self.showStatus('Add the first point from your location, or type it in');
+            return;
+        }
+        var rect = map.getBoundingClientRect();
+        var size = GeoShapeFormElement.Size;
+        self.addPoint(self.fromPixels((e.clientX - rect.left) * size / rect.width, (e.clientY - rect.top) * size / rect.height));
+    }
+
+    var actions = {
+        'locate': function() {
+            self.locate(function(point) {
+                self.addPoint(point);
+            });
+        },
+        'undo': function() {
+            self.points.pop();
+            self.store();
+        },
+        'zoomin': function() {
+            self.zoom(0.5);
+        },
+        'zoomout': function() {
+            self.zoom(2);
+        }
+    };
+    for (var k in actions) {
+        var button = doc.getElementById(this.id + '-' + k);
+        if (button != null)
+            button.onclick = actions[k];
+    }
+}
+
+/**
+ * Add a point at the end of the line or shape.
+ *
+ * @object point Point Array of lat, lon, alt and acc numbers.
+ * @return Nothing.
+ */
+GeoShapeFormElement.prototype.addPoint = function(point) {
+
+    // Points outside of the map move the map, so every point stays in view
+    this.points.push(point);
+    if (this.view != null) {
+        var xy = this.toPixels(point);
+        if (xy[0] < 0 || xy[1] < 0 || xy[0] > GeoShapeFormElement.Size || xy[1] > GeoShapeFormElement.Size)
+            this.view = null;
+    }
+
+    this.store();
+}
+
+/**
+ * Private method. Store the points as the answer once there are enough of them for a line or a shape.
+ */
+GeoShapeFormElement.prototype.store = function() {
+
+    var minimum = this.control.getDataType() == 'geoshape' ? 3 : 2;
+    var value = this.points.length >= minimum ? this.points : '';
+
+    this.stored = XFormTypes.normalize(this.control.getDataType(), value);
+    this.getState().setValue(this.ref, value);
+    this.redraw();
+}
+
+/**
+ * Private method. Zoom the map in or out, keeping it's center.
+ */
+GeoShapeFormElement.prototype.zoom = function(factor) {
+
+    if (this.view != null) {
+        this.view.scale *= factor;
+        this.redraw();
+    }
+}
+
+/**
+ * Private method. Draw the map and list the points again.
+ */
+GeoShapeFormElement.prototype.redraw = function() {
+
+    if (this.points.length == 0)
+        this.view = null;
+
+    VirtualNode.replaceChildren(this.map, this.renderMap());
+    this.input.value = GeoUtils.format(this.points);
+}
+
+GeoShapeFormElement.prototype.setInputValue = function(value) {
+
+    // Points which don't make an answer yet are only kept by the widget
+    if (this.map == undefined || value == this.stored)
+        return;
+
+    this.stored = value;
+    this.points = this.getPoints(value);
+    this.view = null;
+    this.redraw();
+}
+
+GeoShapeFormElement.prototype.commit = function() {
+
+    // Typed points replace the ones picked on the map
+    this.points = this.getPoints(this.input.value);
+    this.stored = null;
+    this.view = null;
+    VirtualNode.replaceChildren(this.map, this.renderMap());
+    InputFormElement.prototype.commit.call(this);
+}
+
+GeoShapeFormElement.prototype.update = function() {
+
+    InputFormElement.prototype.update.call(this);
+    if (this.doc == null || this.input == null)
+        return;
+
+    for (var k in GeoShapeFormElement.Buttons) {
+        var button = this.doc.getElementById(this.id + '-' + k);
+        if (button != null)
+            button.disabled = this.isReadonly();
+    }
+}
+
+GeoShapeFormElement.prototype.detach = function() {
+
+    if (this.map != undefined)
+        this.map.onclick = null;
+
+    this.map = undefined;
+    InputFormElement.prototype.detach.call(this);
+}
+
+GeoShapeFormElement.prototype.locate = GeopointFormElement.prototype.locate;
+GeoShapeFormElement.prototype.showStatus = GeopointFormElement.prototype.showStatus;
+
+
+/****************************** NoteFormElement ******************************/
+
+
+/**
+ * Constructor. Define a widget for notes, which show their label and hint, and any calculated value as text.
+ */
+function NoteFormElement(parser, control, mapRef) {
+
+    GenericFormElement.call(this, parser, control, mapRef);
+}
+NoteFormElement.prototype = new GenericFormElement();
+NoteFormElement.prototype.constructor = NoteFormElement;
+
+
+NoteFormElement.prototype.render = function(lang) {
+
+    var id = this.id = this.getElementId();
+    this.lang = lang;
+
+    return new VirtualNode('div', VirtualNode.extend(this.getContainerAttributes(), {'class':'note'}), [
+        new VirtualNode('p', {}, [this.renderLabel(lang)]),
+        new VirtualNode('p', {'id':id, 'class':'value'}, [this.formatValue(this.getValue())]),
+        this.renderHint(lang)
+    ]);
+}
+
+NoteFormElement.prototype.update = function() {
+
+    if (this.container == null)
+        return;
+
+    this.container.style.display = this.isVisible() ? '' : 'none';
+    if (this.input != null)
+        this.input.textContent = this.formatValue(this.getValue());
+}
+
+
+/****************************** TriggerFormElement ******************************/
+
+
+/**
+ * Constructor. Define a widget for triggers, which the user acknowledges by checking 'OK'.
+ */
+function TriggerFormElement(parser, control, mapRef) {
+
+    InputFormElement.call(this, parser, control, mapRef);
+}
+TriggerFormElement.prototype = new InputFormElement();
+TriggerFormElement.prototype.constructor = TriggerFormElement;
+
+
+TriggerFormElement.prototype.renderInput = function(id) {
+
+    var attributes = {'id':id, 'type':'checkbox', 'name':this.getElementName(), 'value':'OK', 'checked':this.getValue() == 'OK', 'disabled':this.isReadonly()};
+    var input = new VirtualNode('input', VirtualNode.extend(attributes, this.getAriaAttributes()));
+    return new VirtualNode('span', {'class':'trigger'}, [input, ' OK']);
+}
+
+TriggerFormElement.prototype.getInputValue = function() {
+
+    return this.input.checked ? 'OK' : '';
+}
+
+TriggerFormElement.prototype.setInputValue = function(value) {
+
+    this.input.checked = value == 'OK';
+}
+
+
+/****************************** UploadFormElement ******************************/
+
+
+/**
+ * Constructor. Define a widget for upload controls, picking a file of the control's media type.
+ * The file is stored as an attachment of the form state, and images, recordings and videos are previewed.
+ */
+function UploadFormElement(parser, control, mapRef) {
+
+    InputFormElement.call(this, parser, control, mapRef);
+    this.previewURL = null;
+}
+UploadFormElement.prototype = new InputFormElement();
+UploadFormElement.prototype.constructor = UploadFormElement;
+
+/**
+ * Tags used for previewing each kind of media.
+ */
+UploadFormElement.Previews = {'image':'img', 'audio':'audio', 'video':'video'};
+
+
+UploadFormElement.prototype.renderInput = function(id) {
+
+    var value = this.getValue();
+    var attributes = {'id':id, 'type':'file', 'name':this.getElementName(), 'accept':this.control.mediatype, 'disabled':this.isReadonly()};
+
+    // Cameras and microphones are used directly for new captures, rather than picking an existing file
+    if (this.control.hasAppearance('new') || this.control.hasAppearance('selfie'))
+        attributes.capture = this.control.hasAppearance('selfie') ? 'user' : 'environment';
+
+    var children = [new VirtualNode('input', VirtualNode.extend(attributes, this.getAriaAttributes()))];
+    var kind = this.getMediaKind();
+    if (kind != null)
+        children.push(new VirtualNode(UploadFormElement.Previews[kind], {'id':id + '-preview', 'class':'preview', 'controls':kind != 'image', 'alt':kind == 'image' ? value : null, 'style':'display:none'}));
+    children.push(new VirtualNode('span', {'id':id + '-file', 'class':'file'}, [value]));
+    children.push(new VirtualNode('button', {'type':'button', 'id':id + '-remove', 'style':value != '' && !this.isReadonly() ? null : 'display:none'}, ['Remove']));
+
+    return new VirtualNode('span', {'class':'upload'}, children);
+}
+
+/**
+ * Return the kind of media the control accepts.
+ *
+ * @return 'image', 'audio', 'video' or null for any other file.
+ */
+UploadFormElement.prototype.getMediaKind = function() {
+
+    var kind = (this.control.mediatype || '').split('/')[0];
+    return UploadFormElement.Previews[kind] != undefined ? kind : null;
+}
+
+UploadFormElement.prototype.attach = function(doc) {
+
+    var self = this;
+    InputFormElement.prototype.attach.call(this, doc);
+    if (this.listener == undefined)
+        return;
+
+    var remove = doc.getElementById(this.id + '-remove');
+    if (remove != null) {
+        remove.onclick = function() {
+            self.getState().removeAttachment(self.ref);
+        }
+    }
+}
+
+UploadFormElement.prototype.commit = function() {
+
+    var files = this.input.files;
+    if (files != null && files.length > 0)
+        this.getState().setAttachment(this.ref, files[0].name, files[0]);
+}
+
+UploadFormElement.prototype.setInputValue = function(value) {
+
+    if (this.doc == null)
+        return;
+
+    var file = this.doc.getElementById(this.id + '-file');
+    if (file != null)
+        file.textContent = value;
+
+    var remove = this.doc.getElementById(this.id + '-remove');
+    if (remove != null)
+        remove.style.display = value != '' && !this.isReadonly() ? '' : 'none';
+
+    // A file input can only be cleared, not set
+    if (value == '' && this.input.value != '')
+        this.input.value = '';
+
+    this.showPreview(value);
+}
+
+/**
+ * Private method. Show the stored file in the preview element, if the Browser can display it.
+ */
+UploadFormElement.prototype.showPreview = function(value) {
+
+    var preview = this.doc.getElementById(this.id + '-preview');
+    var attachment = this.getState().getAttachment(value);
+    if (preview == null || (attachment != null && attachment.data == this.previewData))
+        return;
+
+    if (this.previewURL != null)
+        URL.revokeObjectURL(this.previewURL);
+    this.previewURL = null;
+    this.previewData = attachment != null ? attachment.data : null;
+
+    if (attachment != null && typeof URL != 'undefined' && URL.createObjectURL != undefined && typeof Blob != 'undefined' && attachment.data instanceof Blob)
+        this.previewURL = URL.createObjectURL(attachment.data);
+
+    if (preview.tagName.toLowerCase() == 'img')
+        preview.setAttribute('alt', value);
+    if (this.previewURL != null)
+        preview.setAttribute('src', this.previewURL);
+    else
+        preview.removeAttribute('src');
+    preview.style.display = this.previewURL != null ? '' : 'none';
+}
+
+UploadFormElement.prototype.detach = function() {
+
+    if (this.previewURL != null)
+        URL.revokeObjectURL(this.previewURL);
+
+    this.previewURL = null;
+    this.previewData = null;
+    InputFormElement.prototype.detach.call(this);
+}
+
+
+/****************************** DrawFormElement ******************************/
+
+
+/**
+ * Constructor. Define a canvas widget for upload controls with the 'signature', 'draw' or 'annotate'
+ * appearance. Every stroke is saved as a PNG attachment, and 'annotate' draws over a picked image.
+ */
+function DrawFormElement(parser, control, mapRef) {
+
+    InputFormElement.call(this, parser, control, mapRef);
+    this.context = null;
+    this.shown = null;
+}
+DrawFormElement.prototype = new InputFormElement();
+DrawFormElement.prototype.constructor = DrawFormElement;
+
+/**
+ * Appearances handled by the widget, with the size of their canvas.
+ */
+DrawFormElement.Appearances = {'signature':[400, 150], 'draw':[400, 300], 'annotate':[400, 300]};
+
+
+DrawFormElement.prototype.renderInput = function(id) {
+
+    var appearance = this.getAppearance();
+    var size = DrawFormElement.Appearances[appearance];
+    var attributes = {'id':id, 'width':size[0], 'height':size[1], 'role':'img', 'aria-labelledby':id + '-label', 'style':'touch-action:none'};
+
+    var children = [new VirtualNode('canvas', VirtualNode.extend(attributes, this.getAriaAttributes()))];
+    if (appearance == 'annotate')
+        children.push(new VirtualNode('input', {'id':id + '-image', 'type':'file', 'accept':'image/*', 'aria-label':'Image', 'disabled':this.isReadonly()}));
+    children.push(new VirtualNode('button', {'type':'button', 'id':id + '-clear', 'disabled':this.isReadonly()}, ['Clear']));
+
+    return new VirtualNode('span', {'class':'draw ' + appearance}, children);
+}
+
+/**
+ * Return the drawing appearance of the control.
+ *
+ * @return 'signature', 'draw' or 'annotate'.
+ */
+DrawFormElement.prototype.getAppearance = function() {
+
+    for (var appearance in DrawFormElement.Appearances)
+        if (this.control.hasAppearance(appearance))
+            return appearance;
+
+    return 'draw';
+}
+
+DrawFormElement.prototype.attach = function(doc) {
+
+    var self = this;
+    InputFormElement.prototype.attach.call(this, doc);
+    if (this.listener == undefined || this.input == null)
+        return;
+
+    // Canvas support is optional, e.g. when rendering without a Browser
+    this.context = this.input.getContext != undefined ? this.input.getContext('2d') : null;
+    if (this.context == null)
+        return;
+
+    var drawing = false;
+    var position = function(e) {
+        var rect = self.input.getBoundingClientRect();
+        return [(e.clientX - rect.left) * self.input.width / rect.width, (e.clientY - rect.top) * self.input.height / rect.height];
+    }
+
+    this.input.onpointerdown = function(e) {
+        if (self.isReadonly())
+            return;
+        var p = position(e);
+        drawing = true;
+        self.context.lineWidth = 2;
+        self.context.lineCap = 'round';
+        self.context.strokeStyle = '#000';
+        self.context.beginPath();
+        self.context.moveTo(p[0], p[1]);
+    }
+    this.input.onpointermove = function(e) {
+        if (!drawing)
+            return;
+        var p = position(e);
+        self.context.lineTo(p[0], p[1]);
+        self.context.stroke();
+    }
+    this.input.onpointerup = this.input.onpointerleave = function() {
+        if (drawing) {
+            drawing = false;
+            self.save();
+        }
+    }
+
+    var clear = doc.getElementById(this.id + '-clear');
+    if (clear != null) {
+        clear.onclick = function() {
+            self.getState().removeAttachment(self.ref);
+        }
+    }
+
+    var image = doc.getElementById(this.id + '-image');
+    if (image != null) {
+        image.onchange = function() {
+            if (image.files != null && image.files.length > 0)
+                self.drawFile(image.files[0], true);
+        }
+    }
+
+    this.update();
+}
+
+/**
+ * Store the current drawing as a PNG attachment, keeping the file name of an earlier one.
+ *
+ * @return Nothing.
+ */
+DrawFormElement.prototype.save = function() {
+
+    var self = this;
+    var name = this.getValue() != '' ? this.getValue() : this.getAppearance() + '.png';
+    this.input.toBlob(function(blob) {
+        if (blob != null && self.listener != undefined) {
+            self.shown = blob;
+            self.getState().setAttachment(self.ref, name, blob, 'image/png');
+        }
+    }, 'image/png');
+}
+
+/**
+ * Private method. Draw an image file onto the canvas, scaled to fit, optionally saving the result.
+ */
+DrawFormElement.prototype.drawFile = function(file, save) {
+
+    var self = this;
+    if (typeof URL == 'undefined' || URL.createObjectURL == undefined)
+        return;
+
+    var url = URL.createObjectURL(file);
+    var image = new Image();
+    image.onload = function() {
+        var scale = Math.min(self.input.width / image.width, self.input.height / image.height, 1);
+        self.context.clearRect(0, 0, self.input.width, self.input.height);
+        self.context.drawImage(image, 0, 0, image.width * scale, image.height * scale);
+        URL.revokeObjectURL(url);
+        if (save)
+            self.save();
+    }
+    image.src = url;
+}
+
+DrawFormElement.prototype.setInputValue = function(value) {
+
+    // Only files stored from outside of the widget are drawn, e.g. a loaded draft
+    var attachment = this.getState().getAttachment(value);
+    var data = attachment != null ? attachment.data : null;
+    if (this.context == null || data == this.shown)
+        return;
+
+    this.shown = data;
+    this.context.clearRect(0, 0, this.input.width, this.input.height);
+    if (typeof Blob != 'undefined' && data instanceof Blob)
+        this.drawFile(data, false);
+}
+
+DrawFormElement.prototype.update = function() {
+
+    InputFormElement.prototype.update.call(this);
+    if (this.doc == null || this.input == null)
+        return;
+
+    var clear = this.doc.getElementById(this.id + '-clear');
+    var image = this.doc.getElementById(this.id + '-image');
+    if (clear != null)
+        clear.disabled = this.isReadonly();
+    if (image != null)
+        image.disabled = this.isReadonly();
+}
+
+DrawFormElement.prototype.detach = function() {
+
+    if (this.input != null)
+        this.input.onpointerdown = this.input.onpointermove = this.input.onpointerup = this.input.onpointerleave = null;
+
+    this.context = null;
+    this.shown = null;
+    InputFormElement.prototype.detach.call(this);
+}
+
+
+/****************************** SelectFormElement ******************************/
+
+
+/**
+ * Constructor. Define a widget for select and select1 controls.
+ * Choices are shown as radio buttons or checkboxes, or as a drop-down list for the 'minimal' appearance.
+ */
+function SelectFormElement(parser, control, mapRef) {
+
+    GenericFormElement.call(this, parser, control, mapRef);
+}
+SelectFormElement.prototype = new GenericFormElement();
+SelectFormElement.prototype.constructor = SelectFormElement;
+
+/**
+ * Appearances which change the layout of a choice list. Each is added to the list as a class name.
+ */
+SelectFormElement.Appearances = ['horizontal', 'horizontal-compact', 'compact', 'likert', 'label', 'list', 'list-nolabel', 'quick'];
+
+
+SelectFormElement.prototype.render = function(lang) {
+
+    var id = this.id = this.getElementId();
+    this.lang = lang;
+
+    var children = [];
+    if (this.isMinimal()) {
+
+        var attributes = {'id':id, 'name':this.getElementName(), 'multiple':this.control.multiple, 'disabled':this.isReadonly()};
+        children.push(new VirtualNode('label', {'for':id}, [this.renderLabel(lang), this.renderRequired()]));
+        children.push(new VirtualNode('select', VirtualNode.extend(attributes, this.getAriaAttributes()), this.renderChoices(lang)));
+    }
+    else {
+
+        var classes = ['select-list'];
+        for (var i = 0; i < SelectFormElement.Appearances.length; i++)
+            if (this.control.hasAppearance(SelectFormElement.Appearances[i]))
+                classes.push(SelectFormElement.Appearances[i]);
+
+        // The list of choices is labelled by the question, like a single input
+        var attributes = {'id':id, 'class':classes.join(' '), 'role':this.control.multiple ? 'group' : 'radiogroup', 'aria-labelledby':id + '-label'};
+        children.push(new VirtualNode('label', {}, [this.renderLabel(lang), this.renderRequired()]));
+        children.push(new VirtualNode('div', VirtualNode.extend(attributes, this.getAriaAttributes()), this.renderChoices(lang)));
+    }
+    children.push(this.renderHint(lang));
+    children.push(this.renderError());
+
+    return new VirtualNode('div', this.getContainerAttributes(), children);
+}
+
+/**
+ * Return a value indicating whether the choices are shown as a drop-down list.
+ *
+ * @return Boolean value.
+ */
+SelectFormElement.prototype.isMinimal = function() {
+
+    return this.control.hasAppearance('minimal');
+}
+
+/**
+ * Return the choices currently available, evaluating the control's itemset if it has one.
+ *
+ * @return Array of {'label', 'value'} objects.
+ */
+SelectFormElement.prototype.getChoices = function() {
+
+    var state = this.getState();
+    return state != null ? this.control.getChoices(state.evaluator, state.getNode(this.ref)) : this.control.getChoices(null, null);
+}
+
+/**
+ * Return the currently selected values.
+ *
+ * @return Array of value strings.
+ */
+SelectFormElement.prototype.getSelectedValues = function() {
+
+    var value = this.getValue().trim();
+    return value != '' ? value.split(/\s+/) : [];
+}
+
+/**
+ * Return the available choices, as options or as a list of inputs according to the appearance.
+ *
+ * @string lang Translation language to use. Leave undefined to use the default.
+ * @return Array of VirtualNode instances.
+ */
+SelectFormElement.prototype.renderChoices = function(lang) {
+
+    var choices = this.getChoices();
+    var selected = this.getSelectedValues();
+
+    var nodes = this.isMinimal() && !this.control.multiple ? [new VirtualNode('option', {'value':''})] : [];
+    for (var i = 0; i < choices.length; i++) {
+
+        var choice = choices[i];
+        var label = this.getText(choice.label, lang);
+        var checked = selected.indexOf(choice.value) != -1;
+
+        if (this.isMinimal())
+            nodes.push(new VirtualNode('option', {'value':choice.value, 'selected':checked}, [label]));
+        else if (this.control.hasAppearance('label'))
+            nodes.push(new VirtualNode('span', {'class':'choice'}, [label]));
+        else {
+
+            var attributes = {'id':this.id + '-' + i, 'type':this.control.multiple ? 'checkbox' : 'radio', 'name':this.getElementName(), 'value':choice.value, 'checked':checked, 'disabled':this.isReadonly()};
+            if (this.control.hasAppearance('list-nolabel'))
+                attributes['aria-label'] = label;
+
+            var input = new VirtualNode('input', attributes);
+            nodes.push(new VirtualNode('label', {'class':'choice'}, [input, attributes['aria-label'] == undefined ? label : null]));
+        }
+    }
+
+    return nodes;
+}
+
+/**
+ * Return the option or input elements of the rendered choices.
+ *
+ * @return Array of DOM elements.
+ */
+SelectFormElement.prototype.getChoiceElements = function() {
+
+    var list = this.input.getElementsByTagName(this.isMinimal() ? 'option' : 'input');
+    return Array.prototype.slice.call(list);
+}
+
+SelectFormElement.prototype.attach = function(doc) {
+
+    var self = this;
+    GenericFormElement.prototype.attach.call(this, doc);
+    if (this.listener == undefined)
+        return;
+
+    // Rebuild the choices whenever an answer the itemset filters on changes
+    var refs = this.control.getChoiceReferences();
+    if (refs.length > 0) {
+        this.choicesListener = function(node, property) {
+            if (property == 'value' && node != self.node && refs.indexOf(node.getPath()) != -1)
+                self.refreshChoices();
+        }
+        this.getState().on('change', this.choicesListener);
+    }
+}
+
+SelectFormElement.prototype.detach = function() {
+
+    var state = this.getState();
+    if (state != null && this.choicesListener != undefined)
+        state.off('change', this.choicesListener);
+
+    this.choicesListener = undefined;
+    GenericFormElement.prototype.detach.call(this);
+}
+
+/**
+ * Rebuild the rendered choices from the current itemset results.
+ * Selected values which are no longer available are removed from the answer.
+ *
+ * @return Nothing.
+ */
+SelectFormElement.prototype.refreshChoices = function() {
+
+    if (this.input == null)
+        return;
+
+    VirtualNode.replaceChildren(this.input, this.renderChoices(this.lang));
+
+    var choices = this.getChoices();
+    var available = [];
+    for (var i = 0; i < choices.length; i++)
+        available.push(choices[i].value);
+
+    var selected = this.getSelectedValues();
+    var values = selected.filter(function(value) {
+        return available.indexOf(value) != -1;
+    });
+    if (values.length != selected.length)
+        this.getState().setValue(this.ref, values.join(' '));
+}
+
+SelectFormElement.prototype.commit = function() {
+
+    GenericFormElement.prototype.commit.call(this);
+
+    // Quick appearance moves on as soon as a single choice is made
+    if (this.control.hasAppearance('quick') && !this.control.multiple && this.getValue() != '')
+        this.getState().trigger('advance', this.node);
+}
+
+SelectFormElement.prototype.getInputValue = function() {
+
+    var values = [];
+    var elements = this.getChoiceElements();
+    for (var i = 0; i < elements.length; i++)
+        if ((this.isMinimal() ? elements[i].selected : elements[i].checked) && elements[i].value != '')
+            values.push(elements[i].value);
+
+    return values.join(' ');
+}
+
+SelectFormElement.prototype.setInputValue = function(value) {
+
+    var values = value.trim() != '' ? value.trim().split(/\s+/) : [];
+    var elements = this.getChoiceElements();
+    for (var i = 0; i < elements.length; i++) {
+
+        var checked = values.indexOf(elements[i].value) != -1 || (values.length == 0 && elements[i].value == '');
+        if (this.isMinimal())
+            elements[i].selected = checked;
+        else
+            elements[i].checked = checked;
+    }
+}
+
+SelectFormElement.prototype.relabel = function(lang) {
+
+    GenericFormElement.prototype.relabel.call(this, lang);
+    this.refreshChoices();
+}
+
+SelectFormElement.prototype.update = function() {
+
+    GenericFormElement.prototype.update.call(this);
+    if (this.input == null || this.isMinimal())
+        return;
+
+    var elements = this.getChoiceElements();
+    for (var i = 0; i < elements.length; i++)
+        elements[i].disabled = this.isReadonly();
+}
+
+
+/****************************** RankFormElement ******************************/
+
+
+/**
+ * Constructor. Define a widget for odk:rank controls, listing the choices in the order given by the user.
+ * The answer holds every choice value, in that order.
+ */
+function RankFormElement(parser, control, mapRef) {
+
+    SelectFormElement.call(this, parser, control, mapRef);
+    this.focus = null;
+}
+RankFormElement.prototype = new SelectFormElement();
+RankFormElement.prototype.constructor = RankFormElement;
+
+
+RankFormElement.prototype.render = function(lang) {
+
+    var id = this.id = this.getElementId();
+    this.lang = lang;
+
+    var attributes = {'id':id, 'class':'rank', 'aria-labelledby':id + '-label'};
+    return new VirtualNode('div', this.getContainerAttributes(), [
+        new VirtualNode('label', {}, [this.renderLabel(lang), this.renderRequired()]),
+        new VirtualNode('ol', VirtualNode.extend(attributes, this.getAriaAttributes()), this.renderChoices(lang)),
+        this.renderHint(lang),
+        this.renderError()
+    ]);
+}
+
+/**
+ * Return the choice values in their current order. Until the user orders them, they're in the order of the form.
+ *
+ * @return Array of value strings.
+ */
+RankFormElement.prototype.getOrder = function() {
+
+    var choices = this.getChoices();
+    var values = this.getSelectedValues();
+    if (this.control.checkValue(values.join(' '), choices) && values.length > 0)
+        return values;
+
+    return choices.map(function(choice) {
+        return choice.value;
+    });
+}
+
+/**
+ * Return the ranked choices, each with buttons for moving it up and down.
+ *
+ * @string lang Translation language to use. Leave undefined to use the default.
+ * @return Array of VirtualNode instances.
+ */
+RankFormElement.prototype.renderChoices = function(lang) {
+
+    var labels = {};
+    var choices = this.getChoices();
+    for (var i = 0; i < choices.length; i++)
+        labels[choices[i].value] = this.getText(choices[i].label, lang);
+
+    var order = this.getOrder();
+    var nodes = [];
+    for (var i = 0; i < order.length; i++) {
+
+        var label = labels[order[i]];
+        var up = {'type':'button', 'data-value':order[i], 'data-move':-1, 'aria-label':'Move ' + label + ' up', 'disabled':i == 0 || this.isReadonly()};
+        var down = {'type':'button', 'data-value':order[i], 'data-move':1, 'aria-label':'Move ' + label + ' down', 'disabled':i == order.length - 1 || this.isReadonly()};
+        nodes.push(new VirtualNode('li', {'class':'choice'}, [
+            new VirtualNode('span', {}, [label]),
+            new VirtualNode('button', up, ['Up']),
+            new VirtualNode('button', down, ['Down'])
+        ]));
+    }
+
+    return nodes;
+}
+
+RankFormElement.prototype.attach = function(doc) {
+
+    var self = this;
+    SelectFormElement.prototype.attach.call(this, doc);
+    if (this.listener == undefined || this.input == null)
+        return;
+
+    // The list is rendered again after every move, so clicks are handled by the list itself
+    this.input.onclick = function(e) {
+        var button = e.target;
+        if (button.getAttribute('data-move') != null && !button.disabled)
+            self.move(button.getAttribute('data-value'), parseInt(button.getAttribute('data-move'), 10));
+    }
+}
+
+/**
+ * Move a choice up or down the ranking.
+ *
+ * @string value Choice value.
+ * @number offset -1 to move the choice up, or 1 to move it down.
+ * @return Nothing.
+ */
+RankFormElement.prototype.move = function(value, offset) {
+
+    var order = this.getOrder();
+    var index = order.indexOf(value);
+    if (index == -1 || index + offset < 0 || index + offset >= order.length)
+        return;
+
+    order.splice(index, 1);
+    order.splice(index + offset, 0, value);
+
+    // Keep the keyboard focus on the moved choice
+    this.focus = {'value':value, 'move':offset};
+    this.getState().setValue(this.ref, order);
+}
+
+RankFormElement.prototype.setInputValue = function(value) {
+
+    VirtualNode.replaceChildren(this.input, this.renderChoices(this.lang));
+    if (this.focus == null)
+        return;
+
+    var buttons = this.input.getElementsByTagName('button');
+    for (var i = 0; i < buttons.length; i++) {
+        var button = buttons[i];
+        if (button.getAttribute('data-value') == this.focus.value && button.getAttribute('data-move') == String(this.focus.move))
+            button.focus();
+    }
+    this.focus = null;
+}
+
+RankFormElement.prototype.refreshChoices = function() {
+
+    if (this.input == null)
+        return;
+
+    // A ranking which no longer covers the available choices is started over
+    if (!this.control.checkValue(this.getValue(), this.getChoices()))
+        this.getState().setValue(this.ref, '');
+    else
+        this.setInputValue(this.getValue());
+}
+
+RankFormElement.prototype.getInputValue = function() {
+
+    return this.getValue();
+}
+
+/****************************** GroupFormElement ******************************/
+
+
+function GroupFormElement(parser, control, mapRef) {
+
+    GenericFormElement.call(this, parser, control, mapRef);
+    this.questions = [];
+    this.instances = [];
+    if (!control.repeat)
+        this.questions = this.buildQuestions(this.getChildMapper(control.ref, this.ref));
+}
+GroupFormElement.prototype = new GenericFormElement();
+GroupFormElement.prototype.constructor = GroupFormElement;
+
+/**
+ * Build the elements for all of the group's controls.
+ *
+ * @function mapRef Function mapping the controls' paths to the instance they are rendered for.
+ * @return Array of elements.
+ */
+GroupFormElement.prototype.buildQuestions = function(mapRef) {
+
+    var questions = [];
+    for (var i = 0; i < this.control.list.length; i++) {
+
+        var elem = this.parser.factory.GetElementFromControl(this.control.list[i], mapRef);
+        if (elem != null)
+            questions.push(elem);
+    }
+
+    return questions;
+}
+
+/**
+ * Return a function mapping paths below a generic path to the same paths below an indexed one.
+ * Paths outside of the generic path are passed on to the element's own mapping.
+ *
+ * @string generic Path without position predicates, e.g. '/data/kids'.
+ * @string indexed The same path with position predicates, e.g. '/data/kids[2]'.
+ * @return Mapping function.
+ */
+GroupFormElement.prototype.getChildMapper = function(generic, indexed) {
+
+    var mapRef = this.mapRef;
+    return function(ref) {
+        if (generic != null && (ref == generic || ref.indexOf(generic + '/') == 0))
+            return indexed + ref.substr(generic.length);
+        return mapRef != undefined ? mapRef(ref) : ref;
+    }
+}
+
+/**
+ * Return the path of the repeated node, mapped to the instance the group is rendered for. This is the
+ * group's own path, unless the repeat is wrapped in a group, e.g. <group ref="/data/g"><repeat nodeset="/data/g/kids">.
+ *
+ * @return Path of the repeated node.
+ */
+GroupFormElement.prototype.getNodeset = function() {
+
+    return this.mapRef != undefined ? this.mapRef(this.control.nodeset) : this.control.nodeset;
+}
+
+/**
+ * Build the elements for every instance of a repeat group.
+ *
+ * @return Nothing.
+ */
+GroupFormElement.prototype.buildInstances = function() {
+
+    var state = this.getState();
+    var nodes = state != null ? state.getRepeatInstances(this.getNodeset()) : [];
+
+    this.instances = [];
+    for (var i = 0; i < nodes.length; i++) {
+
+        var ref = state.getIndexedPath(nodes[i]);
+        this.instances.push({'ref':ref, 'questions':this.buildQuestions(this.getChildMapper(this.control.nodeset, ref))});
+    }
+}
+
+GroupFormElement.prototype.render = function(lang) {
+
+    var id = this.id = this.getElementId();
+    this.lang = lang;
+
+    var children = [new VirtualNode('legend', {}, [this.renderLabel(lang)])];
+    if (this.control.repeat) {
+        children.push(new VirtualNode('div', {'id':id + '-instances'}, this.renderInstances(lang)));
+        if (this.canAddRemove())
+            children.push(new VirtualNode('button', {'type':'button', 'id':id + '-add'}, ['Add More']));
+    } else {
+        for (var i = 0; i < this.questions.length; i++)
+            children.push(this.questions[i].render(lang));
+    }
+
+    return new VirtualNode('fieldset', this.getContainerAttributes(), children);
+}
+
+/**
+ * Return all instances of a repeat group.
+ *
+ * @string lang Translation language to use. Leave undefined to use the default.
+ * @return Array of VirtualNode instances.
+ */
+GroupFormElement.prototype.renderInstances = function(lang) {
+
+    this.buildInstances();
+
+    var nodes = [];
+    for (var i = 0; i < this.instances.length; i++) {
+
+        var prefix = this.id + "-instance-" + i;
+        var label = new VirtualNode('span', {'id':prefix + '-label'}, [this.getText(this.control.label, lang, this.instances[i].ref)]);
+        var children = [new VirtualNode('h4', {}, [label, ' ' + (i + 1)])];
+        for (var j = 0; j < this.instances[i].questions.length; j++)
+            children.push(this.instances[i].questions[j].render(lang));
+        if (this.canAddRemove()) {
+            if (i > 0)
+                children.push(new VirtualNode('button', {'type':'button', 'id':prefix + '-up'}, ['Move Up']));
+            children.push(new VirtualNode('button', {'type':'button', 'id':prefix + '-remove'}, ['Remove']));
+        }
+        nodes.push(new VirtualNode('div', {'class':'repeat-instance', 'id':prefix}, children));
+    }
+
+    return nodes;
+}
+
+/**
+ * Return a value indicating whether the user may add and remove instances of a repeat group.
+ *
+ * @return Boolean value.
+ */
+GroupFormElement.prototype.canAddRemove = function() {
+
+    var state = this.getState();
+    return this.control.repeat && state != null && state.canAddRemove(this.control.nodeset);
+}
+
+/**
+ * Bind the group and all of it's questions to the form state.
+ *
+ * @object doc Document containing the rendered HTML.
+ * @return Nothing.
+ */
+GroupFormElement.prototype.attach = function(doc) {
+
+    var self = this;
+    GenericFormElement.prototype.attach.call(this, doc);
+    for (var i = 0; i < this.questions.length; i++)
+        this.questions[i].attach(doc);
+
+    var state = this.getState();
+    if (!this.control.repeat || state == null)
+        return;
+
+    // Repeat instances are rendered again whenever they are added, removed or moved
+    var nodeset = this.getNodeset();
+    this.parentNode = state.getNode(nodeset.substr(0, nodeset.lastIndexOf('/')));
+    this.repeatListener = function(node, property) {
+        if (property == 'repeat' && node == self.parentNode)
+            self.refresh();
+    }
+    state.on('change', this.repeatListener);
+
+    var add = doc.getElementById(this.id + '-add');
+    if (add != null) {
+        add.onclick = function() {
+            state.addRepeat(self.getNodeset());
+        }
+    }
+
+    this.attachInstances();
+}
+
+/**
+ * Private method. Bind all repeat instances and their buttons to the form state.
+ */
+GroupFormElement.prototype.attachInstances = function() {
+
+    var self = this;
+    var state = this.getState();
+    var bindButton = function(button, fn) {
+        if (button != null)
+            button.onclick = fn;
+    }
+
+    for (var i = 0; i < this.instances.length; i++) {
+
+        var instance = this.instances[i];
+        for (var j = 0; j < instance.questions.length; j++)
+            instance.questions[j].attach(this.doc);
+
+        var prefix = this.id + "-instance-" + i;
+        bindButton(this.doc.getElementById(prefix + '-remove'), (function(ref) {
+            return function() { state.removeRepeat(ref); }
+        })(instance.ref));
+        bindButton(this.doc.getElementById(prefix + '-up'), (function(ref, position) {
+            return function() { state.moveRepeat(ref, position); }
+        })(instance.ref, i));
+    }
+}
+
+/**
+ * Render the repeat instances again, after instances were added, removed or moved.
+ *
+ * @return Nothing.
+ */
+GroupFormElement.prototype.refresh = function() {
+
+    var container = this.doc.getElementById(this.id + '-instances');
+    if (container == null)
+        return;
+
+    for (var i = 0; i < this.instances.length; i++)
+        for (var j = 0; j < this.instances[i].questions.length; j++)
+            this.instances[i].questions[j].detach();
+
+    VirtualNode.replaceChildren(container, this.renderInstances(this.lang));
+    this.attachInstances();
+}
+
+GroupFormElement.prototype.relabel = function(lang) {
+
+    GenericFormElement.prototype.relabel.call(this, lang);
+    if (this.doc == null)
+        return;
+
+    for (var i = 0; i < this.instances.length; i++) {
+        var label = this.doc.getElementById(this.id + "-instance-" + i + '-label');
+        if (label != null)
+            label.textContent = this.getText(this.control.label, lang, this.instances[i].ref);
+    }
+}
+
+/**
+ * Stop updating the group's HTML from the form state.
+ *
+ * @return Nothing.
+ */
+GroupFormElement.prototype.detach = function() {
+
+    var state = this.getState();
+    if (state != null && this.repeatListener != undefined)
+        state.off('change', this.repeatListener);
+
+    for (var i = 0; i < this.questions.length; i++)
+        this.questions[i].detach();
+    for (var i = 0; i < this.instances.length; i++)
+        for (var j = 0; j < this.instances[i].questions.length; j++)
+            this.instances[i].questions[j].detach();
+
+    GenericFormElement.prototype.detach.call(this);
+}
 
-    html = "<fieldset id=\"" + id + "\">";
-    html += "<legend>" + this.control.getLabel(lang) + "</legend>";
-    for (var i = 0; i < this.questions.length; i++)
-        html += this.questions[i].getAsHTML(lang);
-    if (this.control.repeat)
-        html += "<button type=\"button\">Add More</button>";
-    html += "</fieldset>";
 
-    return html;
+if (typeof module != 'undefined' && module.exports) {
+    module.exports.HTMLRenderer = HTMLRenderer;
+    module.exports.VirtualNode = VirtualNode;
+    module.exports.HTMLFormElementFactory = HTMLFormElementFactory;
+    module.exports.GenericFormElement = GenericFormElement;
+    module.exports.InputFormElement = InputFormElement;
+    module.exports.NumberFormElement = NumberFormElement;
+    module.exports.RangeFormElement = RangeFormElement;
+    module.exports.DateTimeFormElement = DateTimeFormElement;
+    module.exports.TextAreaFormElement = TextAreaFormElement;
+    module.exports.GeopointFormElement = GeopointFormElement;
+    module.exports.GeoShapeFormElement = GeoShapeFormElement;
+    module.exports.UploadFormElement = UploadFormElement;
+    module.exports.DrawFormElement = DrawFormElement;
+    module.exports.NoteFormElement = NoteFormElement;
+    module.exports.TriggerFormElement = TriggerFormElement;
+    module.exports.SelectFormElement = SelectFormElement;
+    module.exports.RankFormElement = RankFormElement;
+    module.exports.GroupFormElement = GroupFormElement;
 }
@@ -0,0 +1,225 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+if (typeof module != 'undefined' && module.exports)
+    var GeoUtils = require('./geo').GeoUtils;
+
+
+/****************************** XFormTypes ******************************/
+
+/**
+ * Singleton converter between JavaScript values and the XForms lexical form of each bind type.
+ */
+var XFormTypes = new function() {
+
+    var pad = function(n, len) {
+
+        n = String(Math.abs(n));
+        while (n.length < (len || 2))
+            n = '0' + n;
+        return n;
+    }
+
+    var formatOffset = function(date) {
+
+        var offset = -date.getTimezoneOffset();
+        return (offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60)) + ':' + pad(Math.abs(offset) % 60);
+    }
+
+    /**
+     * Return the bind type without any namespace prefix, e.g. 'int' for 'xsd:int'.
+     *
+     * @string type Bind type attribute value.
+     * @return Type name, defaulting to 'string'.
+     */
+    this.getType = function(type) {
+
+        return type != undefined && type != null && type != '' ? type.replace(/^.*:/, '') : 'string';
+    }
+
+    /**
+     * Return a value indicating whether a bind type holds integers.
+     *
+     * @string type Bind type attribute value.
+     * @return Boolean value.
+     */
+    this.isInteger = function(type) {
+
+        return ['int', 'integer', 'long', 'short'].indexOf(this.getType(type)) != -1;
+    }
+
+    /**
+     * Format a Date as an XML Schema date.
+     *
+     * @object date Date instance.
+     * @return Date string, e.g. '2014-05-04'.
+     */
+    this.formatDate = function(date) {
+
+        return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+    }
+
+    /**
+     * Format a Date's time of day as an XML Schema time, including the local time zone offset.
+     *
+     * @object date Date instance.
+     * @return Time string, e.g. '14:30:00.000+03:00'.
+     */
+    this.formatTime = function(date) {
+
+        return pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds()) + '.' + pad(date.getMilliseconds(), 3) + formatOffset(date);
+    }
+
+    /**
+     * Format a Date as an XML Schema dateTime, including the local time zone offset.
+     *
+     * @object date Date instance.
+     * @return DateTime string, e.g. '2014-05-04T14:30:00.000+03:00'.
+     */
+    this.formatDateTime = function(date) {
+
+        return this.formatDate(date) + 'T' + this.formatTime(date);
+    }
+
+    /**
+     * Parse a date, time or dateTime string into a Date.
+     * Times without a date are taken as being on the current day, and values without a time zone as local.
+     *
+     * @string value Value to parse. Both the XML Schema and the HTML input forms are accepted.
+     * @return Date or null if the value couldn't be parsed.
+     */
+    this.parseDate = function(value) {
+
+        value = String(value).trim();
+
+        var temp = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (temp != null)
+            return new Date(parseInt(temp[1], 10), parseInt(temp[2], 10) - 1, parseInt(temp[3], 10));
+
+        temp = /^((\d{4})-(\d{2})-(\d{2})[T ])?(\d{2}):(\d{2})(:(\d{2})(\.(\d+))?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(value);
+        if (temp == null)
+            return null;
+
+        var now = new Date();
+        var date = new Date(
+            temp[1] != undefined ? parseInt(temp[2], 10) : now.getFullYear(),
+            temp[1] != undefined ? parseInt(temp[3], 10) - 1 : now.getMonth(),
+            temp[1] != undefined ? parseInt(temp[4], 10) : now.getDate(),
+            parseInt(temp[5], 10), parseInt(temp[6], 10),
+            temp[8] != undefined ? parseInt(temp[8], 10) : 0,
+            temp[10] != undefined ? parseInt((temp[10] + '00').substr(0, 3), 10) : 0);
+
+        // Shift values given in another time zone to local time
+        if (temp[11] != undefined) {
+            var offset = 0;
+            if (temp[11] != 'Z') {
+                var tz = temp[11].replace(':', '');
+                offset = (tz[0] == '-' ? -1 : 1) * (parseInt(tz.substr(1, 2), 10) * 60 + parseInt(tz.substr(3, 2), 10));
+            }
+            date.setTime(date.getTime() - (offset + date.getTimezoneOffset()) * 60000);
+        }
+
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Convert a value to the lexical form of a bind type.
+     *
+     * @string type Bind type, with or without a namespace prefix.
+     * @object value Value to convert. Dates, numbers, booleans and Arrays (for geo values and ranks) are accepted as well as strings.
+     * @return Lexical value string. Empty values are returned as an empty string.
+     */
+    this.normalize = function(type, value) {
+
+        if (value == null || (typeof value == 'string' && value.trim() == ''))
+            return '';
+
+        switch (this.getType(type)) {
+
+            case 'int':
+            case 'integer':
+            case 'long':
+            case 'short':
+                var n = typeof value == 'number' ? value : Number(String(value).trim());
+                if (isNaN(n) || !isFinite(n) || n != Math.floor(n))
+                    throw 'Invalid integer value "' + value + '"';
+                return String(n);
+
+            case 'decimal':
+            case 'double':
+            case 'float':
+                var n = typeof value == 'number' ? value : Number(String(value).trim());
+                if (isNaN(n) || !isFinite(n))
+                    throw 'Invalid decimal value "' + value + '"';
+                return String(n);
+
+            case 'date':
+                var date = value instanceof Date ? value : this.parseDate(value);
+                if (date == null)
+                    throw 'Invalid date value "' + value + '"';
+                return this.formatDate(date);
+
+            case 'time':
+                var date = value instanceof Date ? value : this.parseDate(value);
+                if (date == null)
+                    throw 'Invalid time value "' + value + '"';
+                return this.formatTime(date);
+
+            case 'dateTime':
+                var date = value instanceof Date ? value : this.parseDate(value);
+                if (date == null)
+                    throw 'Invalid dateTime value "' + value + '"';
+                return this.formatDateTime(date);
+
+            case 'boolean':
+                if (typeof value == 'boolean')
+                    return value ? 'true' : 'false';
+                value = String(value).trim();
+                if (value != 'true' && value != 'false' && value != '1' && value != '0')
+                    throw 'Invalid boolean value "' + value + '"';
+                return value == 'true' || value == '1' ? 'true' : 'false';
+
+            case 'geopoint':
+                return GeoUtils.parsePoint(value).join(' ');
+
+            case 'geotrace':
+                var points = GeoUtils.parse(value);
+                if (points.length < 2)
+                    throw 'Invalid geotrace value "' + value + '" - at least 2 points are required';
+                return GeoUtils.format(points);
+
+            case 'geoshape':
+                // Shapes are closed by repeating the first point at the end
+                var points = GeoUtils.parse(value);
+                if (points.length > 0 && !GeoUtils.isClosed(points))
+                    points.push(points[0]);
+                if (points.length < 4)
+                    throw 'Invalid geoshape value "' + value + '" - at least 3 points are required';
+                return GeoUtils.format(points);
+
+            case 'rank':
+                var values = value instanceof Array ? value : String(value).trim().split(/\s+/);
+                return values.join(' ');
+        }
+
+        return String(value);
+    }
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.XFormTypes = XFormTypes;
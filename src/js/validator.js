@@ -0,0 +1,226 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+
+/****************************** FormValidator ******************************/
+
+
+/**
+ * Constructor. Initialize a new FormValidator, which checks the answers of a form's questions against
+ * their required and constraint binds.
+ *
+ * Each question is checked as soon as it's answer changes, and the whole form may be checked before
+ * it's submitted. Non-relevant and readonly questions are never checked. The problems found are kept
+ * in a map of indexed paths to errors, and a 'validate' event is triggered on the form state as
+ * fn(path, error) whenever a question's error changes, with a null error once it's fixed.
+ *
+ * @object parser ODKParser instance with a loaded form.
+ */
+function FormValidator(parser) {
+
+    var self = this;
+    this.parser = parser;
+    this.state = parser.getState();
+    this.errors = {};
+    this.checked = {};
+
+    // Only questions shown in the form's body are checked
+    this.controls = {};
+    var recursiveHelper = function(list) {
+        for (var i = 0; i < list.length; i++) {
+            if (list[i].getControlType() == 'group')
+                recursiveHelper(list[i].list);
+            else
+                self.controls[list[i].ref] = list[i];
+        }
+    }
+    recursiveHelper(parser.controls);
+
+    // Questions are checked once answered, and again whenever their relevance, requirement or validity changes
+    this.changeListener = function(node, property) {
+        var path = self.state.getIndexedPath(node);
+        if (property == 'repeat')
+            self._revalidate(path);
+        else if (property == 'value' || self.checked[path])
+            self.validateField(path);
+    }
+    this.state.on('change', this.changeListener);
+
+    // Messages are translated again when the language changes
+    this.languageListener = function(lang) {
+        for (var path in self.errors) {
+            var node = self.state.getNode(path);
+            self.errors[path].message = self.getMessage(self.errors[path].type, node);
+            self.state.trigger('validate', path, self.errors[path]);
+        }
+    }
+    this.state.on('language', this.languageListener);
+}
+
+/**
+ * Message shown for required questions which weren't answered, when the form doesn't define one.
+ */
+FormValidator.RequiredMessage = 'Sorry, this response is required!';
+
+/**
+ * Message shown for answers which don't satisfy their constraint, when the form doesn't define one.
+ */
+FormValidator.ConstraintMessage = 'Sorry, this response is invalid!';
+
+/**
+ * Check a single question.
+ *
+ * @string path Indexed path of the question, e.g. '/data/kids[2]/age'.
+ * @return Error object with type ('required' or 'constraint'), message and ref, or null if the answer is acceptable.
+ */
+FormValidator.prototype.validateField = function(path) {
+
+    var node = this.state.getNode(path);
+    var error = null;
+    this.checked[path] = true;
+    var control = node != null ? this.controls[node.getPath()] : undefined;
+    if (control != undefined && node.relevant && !node.readonly) {
+
+        // Answers must also suit their control, e.g. a range answer must be within it's bounds
+        var choices = control.getControlType() == 'rank' ? control.getChoices(this.state.evaluator, node) : [];
+        if (node.required && node.value == '')
+            error = {'type':'required', 'ref':path, 'message':this.getMessage('required', node)};
+        else if (!node.valid || !control.checkValue(node.value, choices))
+            error = {'type':'constraint', 'ref':path, 'message':this.getMessage('constraint', node)};
+    }
+
+    var previous = this.errors[path];
+    if (error != null)
+        this.errors[path] = error;
+    else
+        delete this.errors[path];
+
+    if (error != null ? previous == undefined || previous.message != error.message : previous != undefined)
+        this.state.trigger('validate', path, error);
+
+    return error;
+}
+
+/**
+ * Check every question of the form, e.g. before it's submitted.
+ *
+ * @return Boolean value indicating whether all answers are acceptable. Problems are available from getErrors().
+ */
+FormValidator.prototype.validate = function() {
+
+    var self = this;
+    var valid = true;
+
+    // Errors of questions which no longer exist, e.g. in removed repeat instances, are dropped
+    for (var path in this.errors) {
+        if (this.state.getNode(path) == null) {
+            delete this.errors[path];
+            this.state.trigger('validate', path, null);
+        }
+    }
+
+    var recursiveHelper = function(node) {
+        if (self.validateField(self.state.getIndexedPath(node)) != null)
+            valid = false;
+        for (var i = 0; i < node.children.length; i++)
+            recursiveHelper(node.children[i]);
+    }
+    recursiveHelper(this.state.root.children[0]);
+
+    return valid;
+}
+
+/**
+ * Return the translated message for a problem with a question's answer.
+ *
+ * @string type Problem type, 'required' or 'constraint'.
+ * @object node The question's InstanceNode.
+ * @string lang Translation language to use. Leave undefined to use the current language.
+ * @return Message string.
+ */
+FormValidator.prototype.getMessage = function(type, node, lang) {
+
+    var control = this.controls[node.getPath()];
+    if (type == 'required') {
+        var message = control.getRequiredMessage(lang, this.state.evaluator, node);
+        return message != '' ? message : FormValidator.RequiredMessage;
+    }
+
+    var message = control.getConstraintMessage(lang, this.state.evaluator, node);
+    return message != '' ? message : FormValidator.ConstraintMessage;
+}
+
+/**
+ * Return the problems found so far.
+ *
+ * @return Object mapping indexed paths to error objects, see validateField().
+ */
+FormValidator.prototype.getErrors = function() {
+
+    var errors = {};
+    for (var path in this.errors)
+        errors[path] = this.errors[path];
+
+    return errors;
+}
+
+/**
+ * Return the problem found with a question's answer.
+ *
+ * @string path Indexed path of the question.
+ * @return Error object or null if no problem was found.
+ */
+FormValidator.prototype.getError = function(path) {
+
+    return this.errors[path] || null;
+}
+
+/**
+ * Return a value indicating whether problems were found.
+ *
+ * @return Boolean value.
+ */
+FormValidator.prototype.hasErrors = function() {
+
+    return Object.keys(this.errors).length > 0;
+}
+
+/**
+ * Private method. Check the questions with errors below a node again, after repeat instances were added, removed or moved.
+ * Errors are kept by indexed path, so they may no longer refer to the same instance.
+ */
+FormValidator.prototype._revalidate = function(path) {
+
+    for (var ref in this.errors)
+        if (ref.indexOf(path + '/') == 0)
+            this.validateField(ref);
+}
+
+/**
+ * Stop checking answers as they change.
+ *
+ * @return Nothing.
+ */
+FormValidator.prototype.detach = function() {
+
+    this.state.off('change', this.changeListener);
+    this.state.off('language', this.languageListener);
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.FormValidator = FormValidator;
@@ -0,0 +1,1063 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+
+if (typeof module != 'undefined' && module.exports) {
+    var XMLUtils = require('./xmlutils').XMLUtils;
+    var Diagnostic = require('./diagnostics').Diagnostic;
+    var InstanceResolver = require('./instances').InstanceResolver;
+}
+
+
+/****************************** XLSFormConverter ******************************/
+
+
+/**
+ * Constructor. Initialize a new converter from XLSForm, the spreadsheet format forms are usually designed in,
+ * to XForm XML.
+ *
+ * Workbooks are Objects mapping sheet names ('survey', 'choices' and 'settings') to Arrays of rows, each an Object
+ * mapping column names to cell values. The first row of a sheet holds the column names, so the Array's first
+ * entry is row 2. Empty rows are skipped, and may be left in to keep the row numbers of problems right.
+ * readCSV() and readXLSX() build workbooks out of files.
+ *
+ * Problems are reported as Diagnostic instances, located by the sheet name in their element property and the
+ * row number in their line property.
+ */
+function XLSFormConverter() {
+
+    this.diagnostics = [];
+}
+
+/**
+ * Bind types and body elements of the question types, along with any fixed bind attributes.
+ */
+XLSFormConverter.Types = {
+    'text':             {'type':'string', 'control':'input'},
+    'integer':          {'type':'int', 'control':'input'},
+    'decimal':          {'type':'decimal', 'control':'input'},
+    'date':             {'type':'date', 'control':'input'},
+    'time':             {'type':'time', 'control':'input'},
+    'datetime':         {'type':'dateTime', 'control':'input'},
+    'geopoint':         {'type':'geopoint', 'control':'input'},
+    'geotrace':         {'type':'geotrace', 'control':'input'},
+    'geoshape':         {'type':'geoshape', 'control':'input'},
+    'barcode':          {'type':'barcode', 'control':'input'},
+    'note':             {'type':'string', 'control':'input', 'readonly':'true()'},
+    'acknowledge':      {'type':'string', 'control':'trigger'},
+    'range':            {'type':'int', 'control':'range'},
+    'image':            {'type':'binary', 'control':'upload', 'mediatype':'image/*'},
+    'audio':            {'type':'binary', 'control':'upload', 'mediatype':'audio/*'},
+    'video':            {'type':'binary', 'control':'upload', 'mediatype':'video/*'},
+    'file':             {'type':'binary', 'control':'upload', 'mediatype':'application/*'},
+    'select_one':       {'type':'string', 'control':'select1', 'list':true},
+    'select_multiple':  {'type':'string', 'control':'select', 'list':true},
+    'rank':             {'type':'odk:rank', 'control':'odk:rank', 'list':true},
+    'select_one_from_file':       {'type':'string', 'control':'select1', 'file':true},
+    'select_multiple_from_file':  {'type':'string', 'control':'select', 'file':true},
+    'calculate':        {'type':'string', 'control':null},
+    'hidden':           {'type':'string', 'control':null},
+    'start':            {'type':'dateTime', 'control':null, 'jr:preload':'timestamp', 'jr:preloadParams':'start'},
+    'end':              {'type':'dateTime', 'control':null, 'jr:preload':'timestamp', 'jr:preloadParams':'end'},
+    'today':            {'type':'date', 'control':null, 'jr:preload':'date', 'jr:preloadParams':'today'},
+    'deviceid':         {'type':'string', 'control':null, 'jr:preload':'property', 'jr:preloadParams':'deviceid'},
+    'username':         {'type':'string', 'control':null, 'jr:preload':'property', 'jr:preloadParams':'username'},
+    'phonenumber':      {'type':'string', 'control':null, 'jr:preload':'property', 'jr:preloadParams':'phonenumber'},
+    'email':            {'type':'string', 'control':null, 'jr:preload':'property', 'jr:preloadParams':'email'}
+};
+
+/**
+ * Survey columns holding expressions, mapped to the bind attributes they become.
+ */
+XLSFormConverter.Expressions = {'relevant':'relevant', 'constraint':'constraint', 'calculation':'calculate', 'required':'required', 'readonly':'readonly'};
+
+/**
+ * Translatable columns, mapped to the itext form or id suffix they become.
+ */
+XLSFormConverter.Texts = {'label':'label', 'hint':'hint', 'constraint_message':'constraintMsg', 'required_message':'requiredMsg', 'image':'image', 'audio':'audio', 'video':'video'};
+
+/**
+ * Convert a workbook to XForm XML.
+ *
+ * @object workbook Workbook Object.
+ * @return XML string, or null if the workbook has errors. Problems are available from getDiagnostics().
+ */
+XLSFormConverter.prototype.convert = function(workbook) {
+
+    this.diagnostics = [];
+    this.names = {};
+    this.lists = {};
+    this.files = [];
+
+    if (workbook.survey == undefined) {
+        this._report('XLSFORM_MISSING_SHEET', 'Missing survey sheet', null, null);
+        return null;
+    }
+
+    var settings = this._getRows(workbook, 'settings');
+    this.settings = settings.length > 0 ? settings[0].row : {};
+
+    var root = this.settings.form_id || 'data';
+    if (!this._isName(root)) {
+        this._report('XLSFORM_INVALID_NAME', 'Invalid form_id "' + root + '"', 'settings', settings[0].number);
+        root = 'data';
+    }
+
+    // Texts are translated once any column names a language, or holds media
+    this.languages = this._getLanguages(workbook);
+    this._loadChoices(workbook);
+    var tree = this._buildTree(workbook);
+    this._setPaths(tree, '/' + root);
+
+    var itext = {};
+    for (var i = 0; i < this.languages.length; i++)
+        itext[this.languages[i]] = [];
+    this.itext = itext;
+
+    var body = this._writeBody(tree.children);
+    var instance = this._writeInstance(tree);
+    var binds = this._writeBinds(tree);
+    var secondary = this._writeChoices();
+
+    if (this.diagnostics.some(function(d) { return d.isError(); }))
+        return null;
+
+    var title = this.settings.form_title || this.settings.form_id || 'Untitled Form';
+    var xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<h:html xmlns="http://www.w3.org/2002/xforms" xmlns:h="http://www.w3.org/1999/xhtml" xmlns:ev="http://www.w3.org/2001/xml-events" ' +
+        'xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:jr="http://openrosa.org/javarosa" xmlns:odk="http://www.opendatakit.org/xforms" ' +
+        'xmlns:orx="http://openrosa.org/xforms">\n' +
+        '  <h:head>\n' +
+        '    <h:title>' + XLSFormConverter.escape(title) + '</h:title>\n' +
+        '    <model>\n' + this._writeItext() + instance + secondary + binds +
+        '    </model>\n' +
+        '  </h:head>\n' +
+        '  <h:body>\n' + body + '  </h:body>\n' +
+        '</h:html>\n';
+
+    return xml;
+}
+
+/**
+ * Convert a workbook and load the resulting XForm into a parser.
+ *
+ * @object workbook Workbook Object.
+ * @object parser ODKParser instance. Forms using select_one_from_file need it's resolver set beforehand.
+ * @return Boolean value indicating whether the form was converted and loaded. Conversion problems are available
+ *         from getDiagnostics(), and loading problems from the parser.
+ */
+XLSFormConverter.prototype.load = function(workbook, parser) {
+
+    var xml = this.convert(workbook);
+    return xml != null && parser.loads(xml);
+}
+
+/**
+ * Return the problems found by the last conversion.
+ *
+ * @return Array of Diagnostic instances.
+ */
+XLSFormConverter.prototype.getDiagnostics = function() {
+
+    return this.diagnostics.slice();
+}
+
+/**
+ * Escape a text for use in XML content or in a quoted attribute value.
+ *
+ * @string text Text to escape.
+ * @return Escaped string.
+ */
+XLSFormConverter.escape = function(text) {
+
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a workbook out of CSV files, one per sheet.
+ *
+ * @object sheets Object mapping sheet names to CSV content, e.g. {'survey':'type,name,label\n...'}.
+ * @return Workbook Object.
+ */
+XLSFormConverter.readCSV = function(sheets) {
+
+    var workbook = {};
+    for (var name in sheets)
+        workbook[name.toLowerCase()] = XLSFormConverter.toRows(InstanceResolver.parseCSV(sheets[name], true));
+
+    return workbook;
+}
+
+/**
+ * Turn a sheet's cells into rows, using it's first row as column names.
+ *
+ * @object cells Array of rows, each an Array of cell strings.
+ * @return Array of row Objects. Empty rows are kept as empty Objects.
+ */
+XLSFormConverter.toRows = function(cells) {
+
+    var header = (cells[0] || []).map(function(name) {
+        return String(name).trim();
+    });
+
+    var rows = [];
+    for (var i = 1; i < cells.length; i++) {
+        var row = {};
+        for (var j = 0; j < header.length; j++)
+            if (header[j] != '' && cells[i][j] != undefined && String(cells[i][j]).trim() != '')
+                row[header[j]] = String(cells[i][j]).trim();
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Build a workbook out of an .xlsx file. Decompressing uses Node's zlib module, or DecompressionStream in Browsers.
+ *
+ * @object data File content, as an ArrayBuffer, typed array or Node Buffer.
+ * @function callback Function called with an error message, or null, and the workbook.
+ * @return Nothing.
+ */
+XLSFormConverter.readXLSX = function(data, callback) {
+
+    var bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    try {
+        var entries = XLSFormConverter._readZip(bytes);
+    } catch (e) {
+        callback('Invalid .xlsx file: ' + e, null);
+        return;
+    }
+
+    var names = Object.keys(entries);
+    var files = {};
+    var next = function(i) {
+
+        if (i == names.length) {
+            try {
+                callback(null, XLSFormConverter._readWorkbook(files));
+            } catch (e) {
+                callback('Invalid .xlsx file: ' + Diagnostic.from(e).message, null);
+            }
+            return;
+        }
+
+        XLSFormConverter._inflate(entries[names[i]], function(error, text) {
+            if (error != null) {
+                callback('Invalid .xlsx file: ' + error, null);
+                return;
+            }
+            files[names[i]] = text;
+            next(i + 1);
+        });
+    }
+    next(0);
+}
+
+/**
+ * Private method. Find the XML files of a zip archive.
+ *
+ * @return Object mapping file names to Objects with the compression method and the compressed bytes.
+ */
+XLSFormConverter._readZip = function(bytes) {
+
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var end = -1;
+    for (var i = bytes.length - 22; i >= 0 && end == -1; i--)
+        if (view.getUint32(i, true) == 0x06054b50)
+            end = i;
+    if (end == -1)
+        throw 'not a zip archive';
+
+    var entries = {};
+    var count = view.getUint16(end + 10, true);
+    var offset = view.getUint32(end + 16, true);
+    for (var i = 0; i < count; i++) {
+
+        if (view.getUint32(offset, true) != 0x02014b50)
+            throw 'corrupt central directory';
+
+        var method = view.getUint16(offset + 10, true);
+        var size = view.getUint32(offset + 20, true);
+        var nameLength = view.getUint16(offset + 28, true);
+        var extraLength = view.getUint16(offset + 30, true);
+        var commentLength = view.getUint16(offset + 32, true);
+        var local = view.getUint32(offset + 42, true);
+        var name = XLSFormConverter._decodeUTF8(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        // The local header repeats the name, followed by it's own extra field
+        var start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        if (/\.(xml|rels)$/.test(name))
+            entries[name] = {'method':method, 'data':bytes.subarray(start, start + size)};
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Private method. Decompress a zip entry into text.
+ */
+XLSFormConverter._inflate = function(entry, callback) {
+
+    if (entry.method == 0) {
+        callback(null, XLSFormConverter._decodeUTF8(entry.data));
+        return;
+    }
+    if (entry.method != 8) {
+        callback('unsupported compression method ' + entry.method, null);
+        return;
+    }
+
+    if (typeof DecompressionStream == 'undefined') {
+        try {
+            var zlib = require('zlib');
+            callback(null, XLSFormConverter._decodeUTF8(zlib.inflateRawSync(entry.data)));
+        } catch (e) {
+            callback(String(e.message || e), null);
+        }
+        return;
+    }
+
+    var stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    new Response(stream).text().then(function(text) {
+        callback(null, text);
+    }, function(e) {
+        callback(String(e.message || e), null);
+    });
+}
+
+/**
+ * Private method. Decode UTF-8 bytes.
+ */
+XLSFormConverter._decodeUTF8 = function(bytes) {
+
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Private method. Read the sheets of an unzipped .xlsx file into a workbook.
+ */
+XLSFormConverter._readWorkbook = function(files) {
+
+    var elements = function(xml, name) {
+        return xml != undefined ? Array.prototype.slice.call(XMLUtils.parse(xml).getElementsByTagName(name)) : [];
+    }
+
+    // Shared strings may consist of several formatted runs
+    var strings = elements(files['xl/sharedStrings.xml'], 'si').map(function(si) {
+        return Array.prototype.slice.call(si.getElementsByTagName('t')).map(XMLUtils.getText).join('');
+    });
+
+    var targets = {};
+    elements(files['xl/_rels/workbook.xml.rels'], 'Relationship').forEach(function(rel) {
+        var target = rel.getAttribute('Target');
+        targets[rel.getAttribute('Id')] = target.charAt(0) == '/' ? target.substr(1) : 'xl/' + target;
+    });
+
+    var workbook = {};
+    elements(files['xl/workbook.xml'], 'sheet').forEach(function(sheet) {
+
+        var id = sheet.getAttribute('r:id');
+        var xml = files[targets[id]];
+        if (xml == undefined)
+            throw 'Missing sheet "' + sheet.getAttribute('name') + '"';
+
+        var cells = [];
+        elements(xml, 'row').forEach(function(row) {
+
+            var values = [];
+            var cs = row.getElementsByTagName('c');
+            for (var i = 0; i < cs.length; i++) {
+
+                // Cells without a value may be left out, so their column is taken from their reference, e.g. 'C12'
+                var ref = /^([A-Z]+)/.exec(cs[i].getAttribute('r') || '');
+                var column = values.length;
+                if (ref != null) {
+                    column = 0;
+                    for (var j = 0; j < ref[1].length; j++)
+                        column = column * 26 + ref[1].charCodeAt(j) - 64;
+                    column--;
+                }
+
+                var type = cs[i].getAttribute('t');
+                var v = cs[i].getElementsByTagName('v');
+                var value = v.length > 0 ? XMLUtils.getText(v[0]) : '';
+                if (type == 's')
+                    value = strings[parseInt(value, 10)] || '';
+                else if (type == 'inlineStr')
+                    value = Array.prototype.slice.call(cs[i].getElementsByTagName('t')).map(XMLUtils.getText).join('');
+                else if (type == 'b')
+                    value = value == '1' ? 'TRUE' : 'FALSE';
+
+                while (values.length < column)
+                    values.push('');
+                values[column] = value;
+            }
+
+            var index = parseInt(row.getAttribute('r'), 10) - 1;
+            while (cells.length < index)
+                cells.push([]);
+            cells[isNaN(index) ? cells.length : index] = values;
+        });
+
+        workbook[sheet.getAttribute('name').toLowerCase()] = XLSFormConverter.toRows(cells);
+    });
+
+    return workbook;
+}
+
+/**
+ * Private method. Record a problem, located by sheet and row.
+ */
+XLSFormConverter.prototype._report = function(code, message, sheet, row, path) {
+
+    this.diagnostics.push(new Diagnostic(code, Diagnostic.Codes[code] || Diagnostic.ERROR, message, {'element':sheet, 'line':row, 'path':path}));
+}
+
+/**
+ * Private method. Return the non-empty rows of a sheet, with their row numbers and column names split
+ * from any language, e.g. 'label::English (en)'.
+ */
+XLSFormConverter.prototype._getRows = function(workbook, sheet) {
+
+    var list = workbook[sheet] || [];
+    var rows = [];
+    for (var i = 0; i < list.length; i++) {
+
+        var row = {};
+        var empty = true;
+        for (var column in list[i]) {
+
+            var value = list[i][column];
+            if (value == null || String(value).trim() == '')
+                continue;
+
+            // Columns are matched without regard to case and the media:: prefix, while languages are kept as they are
+            var parts = column.split('::');
+            var name = parts[0].trim().toLowerCase().replace(/^media:/, '').replace(/ /g, '_');
+            if (name == 'media' && parts.length > 2)
+                name = parts.splice(1, 1)[0].trim().toLowerCase();
+            if (parts.length > 1)
+                name += '::' + parts.slice(1).join('::').trim();
+
+            row[name] = String(value).trim();
+            empty = false;
+        }
+
+        if (!empty)
+            rows.push({'row':row, 'number':i + 2});
+    }
+
+    return rows;
+}
+
+/**
+ * Private method. Return the languages named by translatable columns. Forms without any get a single
+ * 'default' language when they have media, and none otherwise.
+ */
+XLSFormConverter.prototype._getLanguages = function(workbook) {
+
+    var languages = [];
+    var media = false;
+    var sheets = ['survey', 'choices'];
+    for (var s = 0; s < sheets.length; s++) {
+
+        var rows = this._getRows(workbook, sheets[s]);
+        for (var i = 0; i < rows.length; i++) {
+            for (var column in rows[i].row) {
+
+                var parts = column.split('::');
+                if (XLSFormConverter.Texts[parts[0]] == undefined)
+                    continue;
+                if (parts.length > 1 && languages.indexOf(parts[1]) == -1)
+                    languages.push(parts[1]);
+                if (['image', 'audio', 'video'].indexOf(parts[0]) != -1)
+                    media = true;
+            }
+        }
+    }
+
+    // Untranslated columns belong to the default language
+    var fallback = this.settings.default_language || 'default';
+    if (languages.length == 0 && media)
+        languages.push(fallback);
+
+    var defaultLanguage = languages.indexOf(fallback) != -1 ? fallback : languages[0];
+    if (defaultLanguage != undefined) {
+        languages.splice(languages.indexOf(defaultLanguage), 1);
+        languages.unshift(defaultLanguage);
+    }
+
+    return languages;
+}
+
+/**
+ * Private method. Return a row's texts for a column, by language. Untranslated texts are taken as the default language's.
+ */
+XLSFormConverter.prototype._getTexts = function(row, column) {
+
+    var texts = {};
+    for (var key in row) {
+        var parts = key.split('::');
+        if (parts[0] == column)
+            texts[parts.length > 1 ? parts[1] : ''] = row[key];
+    }
+
+    if (texts[''] != undefined && this.languages.length > 0) {
+        if (texts[this.languages[0]] == undefined)
+            texts[this.languages[0]] = texts[''];
+        delete texts[''];
+    }
+
+    return texts;
+}
+
+/**
+ * Private method. Return a value indicating whether a string is a valid XML element name.
+ */
+XLSFormConverter.prototype._isName = function(name) {
+
+    return /^[A-Za-z_][A-Za-z0-9._-]*$/.test(name);
+}
+
+/**
+ * Private method. Load the choice lists.
+ */
+XLSFormConverter.prototype._loadChoices = function(workbook) {
+
+    var rows = this._getRows(workbook, 'choices');
+    for (var i = 0; i < rows.length; i++) {
+
+        var row = rows[i].row;
+        var list = row.list_name;
+        var name = row.name != undefined ? row.name : row.value;
+        if (list == undefined || name == undefined) {
+            this._report('XLSFORM_INVALID_CHOICE', 'Choices need a list_name and a name', 'choices', rows[i].number);
+            continue;
+        }
+
+        if (this.lists[list] == undefined)
+            this.lists[list] = {'choices':[], 'used':false, 'columns':[]};
+
+        var choices = this.lists[list].choices;
+        for (var j = 0; j < choices.length; j++)
+            if (choices[j].name == name)
+                this._report('XLSFORM_INVALID_CHOICE', 'Duplicate choice "' + name + '" in list "' + list + '"', 'choices', rows[i].number);
+
+        choices.push({'name':name, 'row':row, 'number':rows[i].number});
+
+        // Other columns are kept on the items, for choice filters
+        for (var column in row)
+            if (column != 'list_name' && column != 'name' && XLSFormConverter.Texts[column.split('::')[0]] == undefined && this._isName(column) && this.lists[list].columns.indexOf(column) == -1)
+                this.lists[list].columns.push(column);
+    }
+}
+
+/**
+ * Private method. Build the tree of groups, repeats and questions out of the survey sheet.
+ */
+XLSFormConverter.prototype._buildTree = function(workbook) {
+
+    var root = {'kind':'group', 'name':null, 'children':[], 'number':null};
+    var stack = [root];
+    var rows = this._getRows(workbook, 'survey');
+
+    for (var i = 0; i < rows.length; i++) {
+
+        var row = rows[i].row;
+        var number = rows[i].number;
+        var type = (row.type || '').replace(/\s+/g, ' ').trim();
+        var parts = type.split(' ');
+        var keyword = parts[0].toLowerCase();
+
+        // Both 'begin group' and 'begin_group' are used
+        var match = /^(begin|end)[ _](group|repeat)$/i.exec(parts.slice(0, 2).join(' ')) || /^(begin|end)_(group|repeat)$/i.exec(keyword);
+        if (match != null) {
+
+            var kind = match[2].toLowerCase();
+            if (match[1].toLowerCase() == 'end') {
+                if (stack.length == 1 || stack[stack.length - 1].kind != kind)
+                    this._report('XLSFORM_UNMATCHED_GROUP', 'Unmatched "end ' + kind + '"', 'survey', number);
+                else
+                    stack.pop();
+                continue;
+            }
+
+            var group = {'kind':kind, 'name':row.name, 'row':row, 'number':number, 'children':[]};
+            if (this._addNode(stack[stack.length - 1], group))
+                stack.push(group);
+            continue;
+        }
+
+        if (keyword == '') {
+            this._report('XLSFORM_INVALID_TYPE', 'Missing question type', 'survey', number);
+            continue;
+        }
+
+        var definition = XLSFormConverter.Types[keyword];
+        if (definition == undefined) {
+            this._report('XLSFORM_INVALID_TYPE', 'Unknown question type "' + type + '"', 'survey', number);
+            continue;
+        }
+
+        var question = {'kind':'question', 'type':keyword, 'definition':definition, 'name':row.name, 'row':row, 'number':number, 'children':[]};
+        if (definition.list || definition.file) {
+
+            question.list = parts[1];
+            if (question.list == undefined)
+                this._report('XLSFORM_INVALID_TYPE', 'Question type "' + keyword + '" needs a list name', 'survey', number);
+            else if (definition.list && this.lists[question.list] == undefined)
+                this._report('XLSFORM_UNKNOWN_LIST', 'Unknown choice list "' + question.list + '"', 'survey', number);
+            else if (definition.list)
+                this.lists[question.list].used = true;
+            else if (this.files.indexOf(question.list) == -1)
+                this.files.push(question.list);
+        }
+
+        if (definition.control != null && Object.keys(this._getTexts(row, 'label')).length == 0 && !/no-label/.test(row.appearance || ''))
+            this._report('XLSFORM_MISSING_LABEL', 'Question "' + row.name + '" has no label', 'survey', number);
+
+        this._addNode(stack[stack.length - 1], question);
+    }
+
+    for (var i = stack.length - 1; i > 0; i--)
+        this._report('XLSFORM_UNMATCHED_GROUP', 'Missing "end ' + stack[i].kind + '" for "begin ' + stack[i].kind + '"', 'survey', stack[i].number);
+
+    return root;
+}
+
+/**
+ * Private method. Add a group, repeat or question to it's parent, checking it's name.
+ *
+ * @return Boolean value indicating whether the node was added.
+ */
+XLSFormConverter.prototype._addNode = function(parent, node) {
+
+    if (node.name == undefined || !this._isName(node.name)) {
+        this._report('XLSFORM_INVALID_NAME', node.name == undefined ? 'Missing name' : 'Invalid name "' + node.name + '"', 'survey', node.number);
+        return false;
+    }
+
+    // ${name} references need every name to be unique, and meta holds the instanceID
+    if (this.names[node.name] != undefined || node.name == 'meta') {
+        this._report('XLSFORM_DUPLICATE_NAME', node.name == 'meta' ? 'Name "meta" is reserved' : 'Duplicate name "' + node.name + '"', 'survey', node.number);
+        return false;
+    }
+
+    this.names[node.name] = node;
+    node.parent = parent;
+    parent.children.push(node);
+    return true;
+}
+
+/**
+ * Private method. Work out the instance path of every node.
+ */
+XLSFormConverter.prototype._setPaths = function(node, path) {
+
+    node.path = path;
+    for (var i = 0; i < node.children.length; i++)
+        this._setPaths(node.children[i], path + '/' + node.children[i].name);
+}
+
+/**
+ * Private method. Expand the ${name} references of an expression into paths. References to nodes sharing a repeat
+ * with the context node become relative, so they refer to the same repeat instance.
+ *
+ * @string expr Expression.
+ * @object context Node the expression is evaluated for.
+ * @string column Column name, for reporting unknown references.
+ * @string prefix Prefix of relative paths, e.g. 'current()/' for choice filters.
+ * @return Expanded expression.
+ */
+XLSFormConverter.prototype._expand = function(expr, context, column, prefix) {
+
+    var self = this;
+    return String(expr).replace(/\$\{([^}]*)\}/g, function(all, name) {
+
+        var target = self.names[name.trim()];
+        if (target == undefined) {
+            self._report('XLSFORM_UNKNOWN_REFERENCE', 'Unknown reference "${' + name + '}" in ' + column, 'survey', context.number, context.path);
+            return all;
+        }
+
+        var repeat = null;
+        for (var node = context.parent; node != null && repeat == null; node = node.parent)
+            if (node.kind == 'repeat' && target.path.indexOf(node.path + '/') == 0)
+                repeat = node;
+
+        if (repeat == null)
+            return target.path;
+
+        // Go up to the deepest common ancestor, and down to the target
+        var from = context.path.split('/');
+        var to = target.path.split('/');
+        var common = 0;
+        while (common < from.length && common < to.length && from[common] == to[common])
+            common++;
+
+        var steps = [];
+        for (var i = common; i < from.length; i++)
+            steps.push('..');
+        return (prefix || '') + steps.concat(to.slice(common)).join('/');
+    });
+}
+
+/**
+ * Private method. Return a text with it's ${name} references turned into output elements.
+ */
+XLSFormConverter.prototype._writeText = function(text, node, column) {
+
+    var self = this;
+    var parts = String(text).split(/(\$\{[^}]*\})/);
+    return parts.map(function(part, i) {
+        return i % 2 == 1 ? '<output value="' + XLSFormConverter.escape(self._expand(part, node, column)) + '"/>' : XLSFormConverter.escape(part);
+    }).join('');
+}
+
+/**
+ * Private method. Return the element for a translatable text of a node, either inline or referring to a
+ * translation. Translations are collected for _writeItext().
+ *
+ * @return XML string, or an empty string if the node has no such text.
+ */
+XLSFormConverter.prototype._writeLabel = function(tag, row, node, column, id) {
+
+    var texts = this._getTexts(row, column);
+    if (this.languages.length == 0)
+        return texts[''] != undefined ? '<' + tag + '>' + this._writeText(texts[''], node, column) + '</' + tag + '>' : '';
+
+    // Media are added to the label's translation
+    var media = column == 'label' ? this._getMedia(row) : {};
+    if (Object.keys(texts).length == 0 && Object.keys(media).length == 0)
+        return '';
+
+    this._addTranslation(id, texts, media, node, column);
+    return '<' + tag + ' ref="jr:itext(\'' + id + '\')"/>';
+}
+
+/**
+ * Private method. Return the image, audio and video files of a row, by form and language.
+ */
+XLSFormConverter.prototype._getMedia = function(row) {
+
+    var media = {};
+    var forms = ['image', 'audio', 'video'];
+    for (var i = 0; i < forms.length; i++) {
+        var files = this._getTexts(row, forms[i]);
+        if (Object.keys(files).length > 0)
+            media[forms[i]] = files;
+    }
+
+    return media;
+}
+
+/**
+ * Private method. Add a translated text to every language, falling back on the default language's text.
+ */
+XLSFormConverter.prototype._addTranslation = function(id, texts, media, node, column) {
+
+    for (var i = 0; i < this.languages.length; i++) {
+
+        var lang = this.languages[i];
+        var text = texts[lang] != undefined ? texts[lang] : texts[this.languages[0]];
+        for (var k in texts)
+            if (text == undefined)
+                text = texts[k];
+
+        var values = text != undefined ? '<value>' + this._writeText(text, node, column) + '</value>' : '';
+        for (var form in media) {
+            var file = media[form][lang] != undefined ? media[form][lang] : media[form][this.languages[0]];
+            for (var k in media[form])
+                if (file == undefined)
+                    file = media[form][k];
+            values += '<value form="' + form + '">jr://' + form + 's/' + XLSFormConverter.escape(file) + '</value>';
+        }
+
+        this.itext[lang].push('          <text id="' + XLSFormConverter.escape(id) + '">' + values + '</text>\n');
+    }
+}
+
+/**
+ * Private method. Return the itext element holding all translations.
+ */
+XLSFormConverter.prototype._writeItext = function() {
+
+    if (this.languages.length == 0)
+        return '';
+
+    var xml = '      <itext>\n';
+    for (var i = 0; i < this.languages.length; i++)
+        xml += '        <translation lang="' + XLSFormConverter.escape(this.languages[i]) + '"' + (i == 0 ? ' default="true()"' : '') + '>\n' +
+            this.itext[this.languages[i]].join('') + '        </translation>\n';
+
+    return xml + '      </itext>\n';
+}
+
+/**
+ * Private method. Return the primary instance.
+ */
+XLSFormConverter.prototype._writeInstance = function(tree) {
+
+    var version = this.settings.version != undefined ? ' version="' + XLSFormConverter.escape(this.settings.version) + '"' : '';
+    var root = tree.path.substr(1);
+    var recursiveHelper = function(list, indent) {
+
+        var xml = '';
+        for (var i = 0; i < list.length; i++) {
+
+            var node = list[i];
+            if (node.kind == 'question') {
+                var value = node.row['default'];
+                xml += indent + (value != undefined ? '<' + node.name + '>' + XLSFormConverter.escape(value) + '</' + node.name + '>' : '<' + node.name + '/>') + '\n';
+                continue;
+            }
+
+            // Repeats have a template for new instances, followed by the first instance
+            var content = recursiveHelper(node.children, indent + '  ');
+            if (node.kind == 'repeat')
+                xml += indent + '<' + node.name + ' jr:template="">\n' + content + indent + '</' + node.name + '>\n';
+            xml += indent + '<' + node.name + '>\n' + content + indent + '</' + node.name + '>\n';
+        }
+
+        return xml;
+    }
+
+    return '      <instance>\n' +
+        '        <' + root + ' id="' + XLSFormConverter.escape(root) + '"' + version + '>\n' +
+        recursiveHelper(tree.children, '          ') +
+        '          <meta>\n            <instanceID/>\n          </meta>\n' +
+        '        </' + root + '>\n' +
+        '      </instance>\n';
+}
+
+/**
+ * Private method. Return the secondary instances holding the choice lists, and those read from files.
+ */
+XLSFormConverter.prototype._writeChoices = function() {
+
+    var xml = '';
+    for (var name in this.lists) {
+
+        var list = this.lists[name];
+        if (!list.used)
+            continue;
+
+        xml += '      <instance id="' + XLSFormConverter.escape(name) + '">\n        <root>\n';
+        for (var i = 0; i < list.choices.length; i++) {
+
+            var choice = list.choices[i];
+            var item = '<name>' + XLSFormConverter.escape(choice.name) + '</name>';
+            var texts = this._getTexts(choice.row, 'label');
+            if (this.languages.length > 0) {
+                var id = name + '-' + i;
+                if (Object.keys(texts).length == 0)
+                    texts[this.languages[0]] = choice.name;
+                this._addTranslation(id, texts, this._getMedia(choice.row), {'number':choice.number, 'path':null, 'parent':null}, 'label');
+                item += '<itextId>' + XLSFormConverter.escape(id) + '</itextId>';
+            } else {
+                item += '<label>' + XLSFormConverter.escape(texts[''] != undefined ? texts[''] : choice.name) + '</label>';
+            }
+
+            for (var j = 0; j < list.columns.length; j++) {
+                var value = choice.row[list.columns[j]];
+                item += '<' + list.columns[j] + '>' + XLSFormConverter.escape(value != undefined ? value : '') + '</' + list.columns[j] + '>';
+            }
+
+            xml += '          <item>' + item + '</item>\n';
+        }
+        xml += '        </root>\n      </instance>\n';
+    }
+
+    for (var i = 0; i < this.files.length; i++) {
+        var file = this.files[i];
+        var src = (/\.csv$/i.test(file) ? 'jr://file-csv/' : 'jr://file/') + file;
+        xml += '      <instance id="' + XLSFormConverter.escape(file.replace(/\.[^.]*$/, '')) + '" src="' + XLSFormConverter.escape(src) + '"/>\n';
+    }
+
+    return xml;
+}
+
+/**
+ * Private method. Return the binds of all nodes.
+ */
+XLSFormConverter.prototype._writeBinds = function(tree) {
+
+    var self = this;
+    var xml = '';
+    var recursiveHelper = function(list) {
+
+        for (var i = 0; i < list.length; i++) {
+
+            var node = list[i];
+            var row = node.row;
+            var attributes = {};
+            if (node.kind == 'question') {
+
+                for (var k in node.definition)
+                    if (k == 'type' || k == 'readonly' || k.indexOf('jr:') == 0)
+                        attributes[k] = node.definition[k];
+
+                // Ranges with fractional steps hold decimals
+                if (node.type == 'range' && /\./.test(self._getParameters(node).step || ''))
+                    attributes.type = 'decimal';
+            }
+
+            for (var column in XLSFormConverter.Expressions) {
+
+                var value = row[column];
+                if (value == undefined)
+                    continue;
+
+                // Flags may be given as yes or true
+                if ((column == 'required' || column == 'readonly') && /^(yes|true|true\(\))$/i.test(value))
+                    value = 'true()';
+                else if ((column == 'required' || column == 'readonly') && /^(no|false|false\(\))$/i.test(value))
+                    continue;
+
+                attributes[XLSFormConverter.Expressions[column]] = self._expand(value, node, column);
+            }
+
+            var constraintMsg = self._writeMessage(row, node, 'constraint_message');
+            if (constraintMsg != null)
+                attributes['jr:constraintMsg'] = constraintMsg;
+            var requiredMsg = self._writeMessage(row, node, 'required_message');
+            if (requiredMsg != null)
+                attributes['jr:requiredMsg'] = requiredMsg;
+
+            if (Object.keys(attributes).length > 0) {
+                xml += '      <bind nodeset="' + node.path + '"';
+                for (var k in attributes)
+                    xml += ' ' + k + '="' + XLSFormConverter.escape(attributes[k]) + '"';
+                xml += '/>\n';
+            }
+
+            recursiveHelper(node.children);
+        }
+    }
+    recursiveHelper(tree.children);
+
+    return xml + '      <bind nodeset="' + tree.path + '/meta/instanceID" type="string" readonly="true()" calculate="concat(\'uuid:\', uuid())"/>\n';
+}
+
+/**
+ * Private method. Return the value of a constraint or required message attribute, which refers to a translation
+ * when the form is translated.
+ */
+XLSFormConverter.prototype._writeMessage = function(row, node, column) {
+
+    var texts = this._getTexts(row, column);
+    if (Object.keys(texts).length == 0)
+        return null;
+
+    if (this.languages.length == 0)
+        return texts[''];
+
+    var id = node.path + ':' + XLSFormConverter.Texts[column];
+    this._addTranslation(id, texts, {}, node, column);
+    return 'jr:itext(\'' + id + '\')';
+}
+
+/**
+ * Private method. Return the parameters column of a node, e.g. 'start=1 end=5 step=1', as an Object.
+ */
+XLSFormConverter.prototype._getParameters = function(node) {
+
+    var parameters = {};
+    var temp = String(node.row.parameters || '').split(/[\s;,]+/);
+    for (var i = 0; i < temp.length; i++) {
+        var pair = temp[i].split('=');
+        if (pair.length == 2)
+            parameters[pair[0].trim().toLowerCase()] = pair[1].trim();
+    }
+
+    return parameters;
+}
+
+/**
+ * Private method. Return the body elements of a list of nodes.
+ */
+XLSFormConverter.prototype._writeBody = function(list, indent) {
+
+    indent = indent || '    ';
+    var xml = '';
+    for (var i = 0; i < list.length; i++) {
+
+        var node = list[i];
+        var row = node.row;
+        var appearance = row.appearance != undefined ? ' appearance="' + XLSFormConverter.escape(row.appearance) + '"' : '';
+        var label = this._writeLabel('label', row, node, 'label', node.path + ':label');
+        var hint = this._writeLabel('hint', row, node, 'hint', node.path + ':hint');
+
+        if (node.kind == 'group') {
+            xml += indent + '<group ref="' + node.path + '"' + appearance + '>' + label + '\n' +
+                this._writeBody(node.children, indent + '  ') + indent + '</group>\n';
+            continue;
+        }
+
+        if (node.kind == 'repeat') {
+            var count = row.repeat_count != undefined ? ' jr:count="' + XLSFormConverter.escape(this._expand(row.repeat_count, node, 'repeat_count')) + '"' : '';
+            xml += indent + '<group ref="' + node.path + '">' + label + '\n' +
+                indent + '  <repeat nodeset="' + node.path + '"' + count + appearance + '>\n' +
+                this._writeBody(node.children, indent + '    ') + indent + '  </repeat>\n' + indent + '</group>\n';
+            continue;
+        }
+
+        var definition = node.definition;
+        if (definition.control == null)
+            continue;
+
+        var attributes = '';
+        if (definition.mediatype != undefined)
+            attributes += ' mediatype="' + definition.mediatype + '"';
+        if (node.type == 'range') {
+            var parameters = this._getParameters(node);
+            attributes += ' start="' + XLSFormConverter.escape(parameters.start || '1') + '" end="' + XLSFormConverter.escape(parameters.end || '10') + '" step="' + XLSFormConverter.escape(parameters.step || '1') + '"';
+        }
+
+        xml += indent + '<' + definition.control + ' ref="' + node.path + '"' + appearance + attributes + '>' + label + hint;
+        if (definition.list || definition.file)
+            xml += this._writeItemset(node);
+        xml += '</' + definition.control + '>\n';
+    }
+
+    return xml;
+}
+
+/**
+ * Private method. Return the itemset of a select question, filtered by it's choice_filter.
+ */
+XLSFormConverter.prototype._writeItemset = function(node) {
+
+    if (node.list == undefined)
+        return '';
+
+    var filter = node.row.choice_filter != undefined ? '[' + this._expand(node.row.choice_filter, node, 'choice_filter', 'current()/') + ']' : '';
+    if (node.definition.file) {
+        var id = node.list.replace(/\.[^.]*$/, '');
+        return '<itemset nodeset="' + XLSFormConverter.escape('instance(\'' + id + '\')/root/item' + filter) + '"><value ref="name"/><label ref="label"/></itemset>';
+    }
+
+    var label = this.languages.length > 0 ? 'jr:itext(itextId)' : 'label';
+    return '<itemset nodeset="' + XLSFormConverter.escape('instance(\'' + node.list + '\')/root/item' + filter) + '"><value ref="name"/><label ref="' + label + '"/></itemset>';
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.XLSFormConverter = XLSFormConverter;
@@ -0,0 +1,159 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+if (typeof module != 'undefined' && module.exports)
+    var Diagnostic = require('./diagnostics').Diagnostic;
+
+
+/****************************** XMLUtils ******************************/
+
+/**
+ * Singleton wrapping the XML backend, so the library only relies on the DOM Level 2 Core features
+ * every backend provides: the Browser's own DOMParser, or e.g. @xmldom/xmldom under Node.js.
+ */
+var XMLUtils = new function() {
+
+    this.DOMParser = typeof DOMParser != 'undefined' ? DOMParser : null;
+
+    /**
+     * Set the DOMParser implementation used for parsing XML.
+     *
+     * @function impl DOMParser constructor, e.g. require('@xmldom/xmldom').DOMParser.
+     * @return Nothing.
+     */
+    this.setDOMParser = function(impl) {
+
+        this.DOMParser = impl;
+    }
+
+    /**
+     * Parse an XML string into a DOM document.
+     *
+     * @string xml XML string.
+     * @return DOM document. Syntax errors are thrown as an XML_SYNTAX Diagnostic.
+     */
+    this.parse = function(xml) {
+
+        if (this.DOMParser == null)
+            throw Diagnostic.create('XML_BACKEND', 'No XML parser available - use XMLUtils.setDOMParser()');
+
+        // Backends such as xmldom report errors through a callback, while Browsers add a parsererror element
+        var errors = [];
+        var location = {};
+        var parser = new this.DOMParser({'onError': function(level, message) {
+            if (level != 'warning')
+                errors.push(String(message).trim());
+        }});
+
+        var dom;
+        try {
+            dom = parser.parseFromString(xml.trim(), 'text/xml');
+        } catch (e) {
+            if (errors.length == 0)
+                errors.push(String(e.message || e));
+            if (e.locator != undefined)
+                location = {'line':e.locator.lineNumber, 'column':e.locator.columnNumber};
+        }
+
+        if (errors.length == 0) {
+            var temp = dom.getElementsByTagName('parsererror');
+            if (temp.length > 0) {
+                var divs = temp[0].getElementsByTagName('div');
+                for (var i = 0; i < divs.length; i++)
+                    errors.push(this.getText(divs[i]).trim());
+                if (errors.length == 0)
+                    errors.push(this.getText(temp[0]).trim());
+            }
+        }
+
+        if (errors.length > 0) {
+
+            // Browsers report the position as part of the message, e.g. '1:10: unexpected close tag.'
+            var position = /(^|line:?\s*)(\d+):(\d+)/.exec(errors[0]);
+            if (location.line == undefined && position != null)
+                location = {'line':parseInt(position[2], 10), 'column':parseInt(position[3], 10)};
+
+            throw new Diagnostic('XML_SYNTAX', Diagnostic.ERROR, errors.join(', '), location);
+        }
+
+        return dom;
+    }
+
+    /**
+     * Read the version and encoding from an XML declaration.
+     * Browsers no longer expose these on the parsed document, so they're read from the source.
+     *
+     * @string xml XML string.
+     * @return Object with version and encoding strings, either of which is null if not declared.
+     */
+    this.getDeclaration = function(xml) {
+
+        var result = {'version':null, 'encoding':null};
+        var temp = /^\s*<\?xml\s+([^?]*)\?>/.exec(xml);
+        if (temp != null) {
+            var version = /version\s*=\s*["']([^"']*)["']/.exec(temp[1]);
+            var encoding = /encoding\s*=\s*["']([^"']*)["']/.exec(temp[1]);
+            result.version = version != null ? version[1] : null;
+            result.encoding = encoding != null ? encoding[1] : null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Return the child elements of a node, skipping text, comment and other nodes.
+     *
+     * @object node DOM node.
+     * @return Array of DOM elements.
+     */
+    this.getChildElements = function(node) {
+
+        var list = [];
+        for (var child = node.firstChild; child != null; child = child.nextSibling)
+            if (child.nodeType == 1)
+                list.push(child);
+
+        return list;
+    }
+
+    /**
+     * Return the text content of a node.
+     *
+     * @object node DOM node.
+     * @return Text string.
+     */
+    this.getText = function(node) {
+
+        return node.textContent != null ? node.textContent : '';
+    }
+
+    /**
+     * Remove a node from it's parent.
+     *
+     * @object node DOM node.
+     * @return Nothing.
+     */
+    this.removeNode = function(node) {
+
+        if (node.parentNode != null)
+            node.parentNode.removeChild(node);
+    }
+}
+
+
+if (typeof module != 'undefined' && module.exports)
+    module.exports.XMLUtils = XMLUtils;
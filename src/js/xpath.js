@@ -0,0 +1,689 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+/****************************** XPathTokenizer ******************************/
+
+
+/**
+ * Constructor. Initialize a new tokenizer for the XPath 1.0 subset used by ODK XForms.
+ *
+ * @string expr XPath expression string to tokenize.
+ */
+function XPathTokenizer(expr) {
+
+    this.expr = expr;
+    this.pos = 0;
+    this.tokens = [];
+}
+
+/**
+ * Names which act as operators when they follow an operand.
+ */
+XPathTokenizer.OperatorNames = ['and', 'or', 'div', 'mod'];
+
+/**
+ * Node type tests which look like function calls but are not.
+ */
+XPathTokenizer.NodeTypes = ['node', 'text', 'comment', 'processing-instruction'];
+
+/**
+ * Split the expression into a list of tokens.
+ * Each token is an object with a type, a value and the position it was found at.
+ *
+ * @return Array of tokens, terminated by an 'eof' token.
+ */
+XPathTokenizer.prototype.tokenize = function() {
+
+    var expr = this.expr;
+    this.pos = 0;
+    this.tokens = [];
+
+    while (this.pos < expr.length) {
+
+        var c = expr[this.pos];
+        var start = this.pos;
+
+        // Skip whitespace
+        if (/\s/.test(c)) {
+            this.pos++;
+            continue;
+        }
+
+        // String literals
+        if (c == '"' || c == "'") {
+            var end = expr.indexOf(c, this.pos + 1);
+            if (end == -1)
+                throw 'Unterminated string literal at position ' + start;
+            this._push('literal', expr.substring(this.pos + 1, end), start);
+            this.pos = end + 1;
+            continue;
+        }
+
+        // Numbers
+        var temp = /^(\d+(\.\d*)?|\.\d+)/.exec(expr.substr(this.pos));
+        if (temp != null) {
+            this._push('number', parseFloat(temp[1]), start);
+            this.pos += temp[1].length;
+            continue;
+        }
+
+        // Two character punctuation and operators
+        var two = expr.substr(this.pos, 2);
+        if (two == '..' || two == '::') {
+            this._push(two, two, start);
+            this.pos += 2;
+            continue;
+        }
+        if (two == '//' || two == '!=' || two == '<=' || two == '>=') {
+            this._push('operator', two, start);
+            this.pos += 2;
+            continue;
+        }
+
+        // Single character punctuation
+        if ('()[],@.'.indexOf(c) != -1) {
+            this._push(c, c, start);
+            this.pos++;
+            continue;
+        }
+
+        // Star is either a multiplication or a name test
+        if (c == '*') {
+            this._push(this._precedesOperator() ? 'operator' : 'name', '*', start);
+            this.pos++;
+            continue;
+        }
+
+        // Single character operators
+        if ('/|+-=<>'.indexOf(c) != -1) {
+            this._push('operator', c, start);
+            this.pos++;
+            continue;
+        }
+
+        // Variable references
+        if (c == '$') {
+            temp = /^\$([A-Za-z_][\w.\-]*(:[A-Za-z_][\w.\-]*)?)/.exec(expr.substr(this.pos));
+            if (temp == null)
+                throw 'Invalid variable reference at position ' + start;
+            this._push('variable', temp[1], start);
+            this.pos += temp[0].length;
+            continue;
+        }
+
+        // Names, which may be operators, axes, node types or function names
+        temp = /^[A-Za-z_][\w.\-]*(:([A-Za-z_][\w.\-]*|\*))?/.exec(expr.substr(this.pos));
+        if (temp != null) {
+            var name = temp[0];
+            this.pos += name.length;
+
+            if (this._precedesOperator() && XPathTokenizer.OperatorNames.indexOf(name) != -1) {
+                this._push('operator', name, start);
+            } else {
+                var next = this._peekChar();
+                if (next == '(' && XPathTokenizer.NodeTypes.indexOf(name) != -1)
+                    this._push('nodetype', name, start);
+                else if (next == '(')
+                    this._push('function', name, start);
+                else if (expr.substr(this._skipSpaces(), 2) == '::')
+                    this._push('axis', name, start);
+                else
+                    this._push('name', name, start);
+            }
+            continue;
+        }
+
+        throw 'Unexpected character "' + c + '" at position ' + start;
+    }
+
+    this._push('eof', null, this.pos);
+    return this.tokens;
+}
+
+/**
+ * Private method. Append a token to the token list.
+ */
+XPathTokenizer.prototype._push = function(type, value, pos) {
+
+    this.tokens.push({'type':type, 'value':value, 'pos':pos});
+}
+
+/**
+ * Private method. Return a value indicating whether the next token should be read as an operator.
+ * Per the XPath 1.0 specification, this is the case when there is a preceding token which is not
+ * one of @, ::, (, [, ',' or an operator.
+ */
+XPathTokenizer.prototype._precedesOperator = function() {
+
+    if (this.tokens.length == 0)
+        return false;
+
+    var prev = this.tokens[this.tokens.length - 1];
+    return ['@', '::', '(', '[', ',', 'operator'].indexOf(prev.type) == -1;
+}
+
+/**
+ * Private method. Return the position of the next non-whitespace character.
+ */
+XPathTokenizer.prototype._skipSpaces = function() {
+
+    var pos = this.pos;
+    while (pos < this.expr.length && /\s/.test(this.expr[pos]))
+        pos++;
+
+    return pos;
+}
+
+/**
+ * Private method. Return the next non-whitespace character.
+ */
+XPathTokenizer.prototype._peekChar = function() {
+
+    return this.expr[this._skipSpaces()];
+}
+
+
+/****************************** XPathParser ******************************/
+
+
+/**
+ * Constructor. Initialize a new recursive descent parser producing an AST for an XPath 1.0 expression.
+ *
+ * AST nodes are plain objects identified by their 'type' key:
+ *   literal  - {'value'}                      string literal
+ *   number   - {'value'}                      numeric literal
+ *   variable - {'name'}                       $variable reference
+ *   function - {'name', 'args'}               function call
+ *   binary   - {'op', 'left', 'right'}        any binary operator, including '|'
+ *   negate   - {'expr'}                       unary minus
+ *   filter   - {'expr', 'predicates'}         primary expression followed by predicates
+ *   path     - {'absolute', 'filter', 'steps'} location path, optionally starting from a filter expression
+ *
+ * Path steps are objects of the form {'axis', 'name', 'nodeType', 'predicates'}.
+ *
+ * @string expr XPath expression string to parse.
+ */
+function XPathParser(expr) {
+
+    this.expr = expr;
+    this.tokens = new XPathTokenizer(expr).tokenize();
+    this.index = 0;
+}
+
+/**
+ * Supported axis names.
+ */
+XPathParser.Axes = [
+    'ancestor', 'ancestor-or-self', 'attribute', 'child', 'descendant', 'descendant-or-self',
+    'following', 'following-sibling', 'namespace', 'parent', 'preceding', 'preceding-sibling', 'self'
+];
+
+/**
+ * Parse the expression.
+ *
+ * @return Root AST node.
+ */
+XPathParser.prototype.parse = function() {
+
+    var ast = this._parseOr();
+    if (this._peek().type != 'eof')
+        this._error('Unexpected token "' + this._peek().value + '"');
+
+    return ast;
+}
+
+/**
+ * Private method. Return the current token without consuming it.
+ */
+XPathParser.prototype._peek = function() {
+
+    return this.tokens[this.index];
+}
+
+/**
+ * Private method. Consume and return the current token.
+ */
+XPathParser.prototype._next = function() {
+
+    return this.tokens[this.index++];
+}
+
+/**
+ * Private method. Consume the current token if it matches the given type and, optionally, value.
+ *
+ * @return The consumed token or null if it didn't match.
+ */
+XPathParser.prototype._accept = function(type, value) {
+
+    var token = this._peek();
+    if (token.type == type && (value == undefined || token.value == value))
+        return this._next();
+
+    return null;
+}
+
+/**
+ * Private method. Consume the current token, which must match the given type and, optionally, value.
+ */
+XPathParser.prototype._expect = function(type, value) {
+
+    var token = this._accept(type, value);
+    if (token == null)
+        this._error('Expected "' + (value || type) + '"');
+
+    return token;
+}
+
+/**
+ * Private method. Throw a syntax error at the current token.
+ */
+XPathParser.prototype._error = function(msg) {
+
+    var token = this._peek();
+    throw msg + (token.type == 'eof' ? ' at end of expression' : ' at position ' + token.pos) + ' in "' + this.expr + '"';
+}
+
+/**
+ * Private method. Parse a left associative chain of binary operators.
+ */
+XPathParser.prototype._parseBinary = function(operators, operand) {
+
+    var left = operand.call(this);
+    while (this._peek().type == 'operator' && operators.indexOf(this._peek().value) != -1) {
+        var op = this._next().value;
+        left = {'type':'binary', 'op':op, 'left':left, 'right':operand.call(this)};
+    }
+
+    return left;
+}
+
+XPathParser.prototype._parseOr = function() {
+
+    return this._parseBinary(['or'], this._parseAnd);
+}
+
+XPathParser.prototype._parseAnd = function() {
+
+    return this._parseBinary(['and'], this._parseEquality);
+}
+
+XPathParser.prototype._parseEquality = function() {
+
+    return this._parseBinary(['=', '!='], this._parseRelational);
+}
+
+XPathParser.prototype._parseRelational = function() {
+
+    return this._parseBinary(['<', '>', '<=', '>='], this._parseAdditive);
+}
+
+XPathParser.prototype._parseAdditive = function() {
+
+    return this._parseBinary(['+', '-'], this._parseMultiplicative);
+}
+
+XPathParser.prototype._parseMultiplicative = function() {
+
+    return this._parseBinary(['*', 'div', 'mod'], this._parseUnary);
+}
+
+XPathParser.prototype._parseUnary = function() {
+
+    if (this._accept('operator', '-'))
+        return {'type':'negate', 'expr':this._parseUnary()};
+
+    return this._parseUnion();
+}
+
+XPathParser.prototype._parseUnion = function() {
+
+    return this._parseBinary(['|'], this._parsePath);
+}
+
+/**
+ * Private method. Parse either a location path or a filter expression optionally followed by a relative path.
+ */
+XPathParser.prototype._parsePath = function() {
+
+    var token = this._peek();
+    var isPrimary = ['literal', 'number', 'variable', 'function', '('].indexOf(token.type) != -1;
+
+    if (!isPrimary)
+        return this._parseLocationPath();
+
+    var expr = this._parsePrimary();
+    var predicates = this._parsePredicates();
+    if (predicates.length > 0)
+        expr = {'type':'filter', 'expr':expr, 'predicates':predicates};
+
+    token = this._peek();
+    if (token.type == 'operator' && (token.value == '/' || token.value == '//')) {
+        var path = {'type':'path', 'absolute':false, 'filter':expr, 'steps':[]};
+        this._parseRelativePath(path.steps);
+        return path;
+    }
+
+    return expr;
+}
+
+/**
+ * Private method. Parse a primary expression.
+ */
+XPathParser.prototype._parsePrimary = function() {
+
+    var token = this._next();
+    switch (token.type) {
+
+        case 'literal':
+            return {'type':'literal', 'value':token.value};
+
+        case 'number':
+            return {'type':'number', 'value':token.value};
+
+        case 'variable':
+            return {'type':'variable', 'name':token.value};
+
+        case '(':
+            var expr = this._parseOr();
+            this._expect(')');
+            return expr;
+
+        case 'function':
+            var args = [];
+            this._expect('(');
+            if (!this._accept(')')) {
+                do {
+                    args.push(this._parseOr());
+                } while (this._accept(','));
+                this._expect(')');
+            }
+            return {'type':'function', 'name':token.value, 'args':args};
+    }
+
+    this.index--;
+    this._error('Unexpected token "' + token.value + '"');
+}
+
+/**
+ * Private method. Parse any number of [predicate] expressions.
+ */
+XPathParser.prototype._parsePredicates = function() {
+
+    var predicates = [];
+    while (this._accept('[')) {
+        predicates.push(this._parseOr());
+        this._expect(']');
+    }
+
+    return predicates;
+}
+
+/**
+ * Private method. Parse an absolute or relative location path.
+ */
+XPathParser.prototype._parseLocationPath = function() {
+
+    var path = {'type':'path', 'absolute':false, 'filter':null, 'steps':[]};
+    var token = this._peek();
+
+    if (token.type == 'operator' && token.value == '/') {
+
+        this._next();
+        path.absolute = true;
+
+        // A lone slash selects the document root
+        if (!this._isStepStart())
+            return path;
+    } else if (token.type == 'operator' && token.value == '//') {
+
+        this._next();
+        path.absolute = true;
+        path.steps.push(this._descendantStep());
+    }
+
+    path.steps.push(this._parseStep());
+    this._parseRelativePath(path.steps);
+    return path;
+}
+
+/**
+ * Private method. Parse any number of '/step' or '//step' sequences.
+ */
+XPathParser.prototype._parseRelativePath = function(steps) {
+
+    var token = this._peek();
+    while (token.type == 'operator' && (token.value == '/' || token.value == '//')) {
+
+        this._next();
+        if (token.value == '//')
+            steps.push(this._descendantStep());
+        steps.push(this._parseStep());
+        token = this._peek();
+    }
+}
+
+/**
+ * Private method. Return a value indicating whether the current token may start a location step.
+ */
+XPathParser.prototype._isStepStart = function() {
+
+    return ['name', 'axis', 'nodetype', '@', '.', '..'].indexOf(this._peek().type) != -1;
+}
+
+/**
+ * Private method. Return the step an abbreviated '//' stands for.
+ */
+XPathParser.prototype._descendantStep = function() {
+
+    return {'axis':'descendant-or-self', 'name':null, 'nodeType':'node', 'predicates':[]};
+}
+
+/**
+ * Private method. Parse a single location step.
+ */
+XPathParser.prototype._parseStep = function() {
+
+    if (this._accept('.'))
+        return {'axis':'self', 'name':null, 'nodeType':'node', 'predicates':[]};
+    if (this._accept('..'))
+        return {'axis':'parent', 'name':null, 'nodeType':'node', 'predicates':[]};
+
+    var step = {'axis':'child', 'name':null, 'nodeType':null, 'predicates':[]};
+
+    var axis = this._accept('axis');
+    if (axis != null) {
+        if (XPathParser.Axes.indexOf(axis.value) == -1) {
+            this.index--;
+            this._error('Unknown axis "' + axis.value + '"');
+        }
+        step.axis = axis.value;
+        this._expect('::');
+    } else if (this._accept('@')) {
+        step.axis = 'attribute';
+    }
+
+    var token = this._next();
+    if (token.type == 'name') {
+        step.name = token.value;
+    } else if (token.type == 'nodetype') {
+        step.nodeType = token.value;
+        this._expect('(');
+        this._accept('literal');
+        this._expect(')');
+    } else {
+        this.index--;
+        this._error('Expected a node test');
+    }
+
+    step.predicates = this._parsePredicates();
+    return step;
+}
+
+
+/****************************** XPathExpression ******************************/
+
+
+/**
+ * Constructor. Initialize a new parsed XPath expression.
+ *
+ * @string source XPath expression string.
+ * @object ast Syntax tree previously parsed from the source, e.g. by toJSON(). Leave undefined to parse the source.
+ */
+function XPathExpression(source, ast) {
+
+    this.source = source.trim();
+    this.ast = ast != undefined ? ast : new XPathParser(this.source).parse();
+}
+
+/**
+ * Rebuild an expression returned by toJSON(), without parsing it again.
+ *
+ * @object json Object with source and ast.
+ * @return XPathExpression instance.
+ */
+XPathExpression.fromJSON = function(json) {
+
+    return new XPathExpression(json.source, json.ast);
+}
+
+/**
+ * Return the original expression string.
+ *
+ * @return Expression string.
+ */
+XPathExpression.prototype.toString = function() {
+
+    return this.source;
+}
+
+/**
+ * Return a plain object, suitable for JSON serialization. The syntax tree consists of plain objects only.
+ *
+ * @return Object with source and ast.
+ */
+XPathExpression.prototype.toJSON = function() {
+
+    return {'source':this.source, 'ast':this.ast};
+}
+
+/**
+ * Return the list of instance paths referenced by the expression, resolved against a context path.
+ * Paths into secondary instances are not included, and position predicates are dropped,
+ * so the result lists plain paths such as '/data/kids/age'.
+ *
+ * @string contextPath Path of the context node the expression is evaluated against.
+ * @return Array of unique path strings.
+ */
+XPathExpression.prototype.getReferences = function(contextPath) {
+
+    var refs = [];
+
+    var addRef = function(path) {
+        if (path != null && path != '' && refs.indexOf(path) == -1)
+            refs.push(path);
+    }
+
+    var recursiveHelper = function(ast, path) {
+
+        switch (ast.type) {
+
+            case 'negate':
+                recursiveHelper(ast.expr, path);
+                break;
+
+            case 'binary':
+                recursiveHelper(ast.left, path);
+                recursiveHelper(ast.right, path);
+                break;
+
+            case 'function':
+                for (var i = 0; i < ast.args.length; i++)
+                    recursiveHelper(ast.args[i], path);
+                break;
+
+            case 'filter':
+                recursiveHelper(ast.expr, path);
+                for (var i = 0; i < ast.predicates.length; i++)
+                    recursiveHelper(ast.predicates[i], path);
+                break;
+
+            case 'path':
+                var current = ast.absolute ? '' : path;
+                if (ast.filter != null) {
+                    // Only current() leads back into the primary instance
+                    if (ast.filter.type == 'function' && ast.filter.name == 'current') {
+                        current = contextPath;
+                    } else {
+                        recursiveHelper(ast.filter, path);
+                        current = null;
+                    }
+                }
+
+                for (var i = 0; i < ast.steps.length; i++) {
+
+                    var step = ast.steps[i];
+                    if (current != null) {
+                        if (step.axis == 'parent')
+                            current = current.substr(0, current.lastIndexOf('/'));
+                        else if (step.axis == 'child' && step.name != '*' && step.nodeType == null)
+                            current = current + '/' + step.name;
+                        else if (step.axis == 'attribute' && step.name != '*')
+                            current = current + '/@' + step.name;
+                        else if (step.axis != 'self')
+                            // Stop at axes which can't be resolved statically and depend on the closest known node
+                            break;
+                    }
+
+                    // Within secondary instances, relative predicate paths don't refer to the primary instance
+                    for (var j = 0; j < step.predicates.length; j++)
+                        recursiveHelper(step.predicates[j], current);
+                }
+
+                if (current != null)
+                    addRef(current);
+                break;
+        }
+    }
+
+    recursiveHelper(this.ast, contextPath);
+    return refs;
+}
+
+/**
+ * Return a value indicating whether any of the references returned by getReferences() reads the value of a
+ * node, i.e. refers to the node itself or to a node below it. References to ancestors such as position(..)
+ * don't count, so calculations in the same repeat don't depend on each other.
+ *
+ * @object refs Array of referenced paths.
+ * @string path Path of the node.
+ * @return Boolean value.
+ */
+XPathExpression.refersTo = function(refs, path) {
+
+    for (var i = 0; i < refs.length; i++)
+        if (refs[i] == path || refs[i].indexOf(path + '/') == 0)
+            return true;
+
+    return false;
+}
+
+
+if (typeof module != 'undefined' && module.exports) {
+    module.exports.XPathTokenizer = XPathTokenizer;
+    module.exports.XPathParser = XPathParser;
+    module.exports.XPathExpression = XPathExpression;
+}
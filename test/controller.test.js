@@ -0,0 +1,171 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+/**
+ * Return a controller for a form.
+ */
+var load = function(xml) {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(xml), String(parser.getDiagnostics()));
+    return new odk.FormController(parser);
+}
+
+/**
+ * Return the types and refs of the screens a controller goes through.
+ */
+var describe = function(controller) {
+
+    return controller.getScreens().map(function(screen) {
+        return screen.type + ' ' + screen.ref;
+    });
+}
+
+/**
+ * Return a form asking for a contact on a single field-list screen, followed by a note.
+ * The phone is required, but only asked for once a last name was given.
+ */
+var contact = function() {
+
+    return forms.build('Contact',
+        '<instance><data id="contact"><person><first/><last/><phone/></person><note/></data></instance>' +
+        '<bind nodeset="/data/person/first" type="string" required="true()"/>' +
+        '<bind nodeset="/data/person/last" type="string"/>' +
+        '<bind nodeset="/data/person/phone" type="string" required="true()" relevant="/data/person/last != \'\'"/>' +
+        '<bind nodeset="/data/note" type="string"/>',
+
+        '<group ref="/data/person" appearance="field-list"><label>Person</label>' +
+        '<input ref="/data/person/first"><label>First</label></input>' +
+        '<input ref="/data/person/last"><label>Last</label></input>' +
+        '<input ref="/data/person/phone"><label>Phone</label></input>' +
+        '</group>' +
+        '<input ref="/data/note"><label>Note</label></input>');
+}
+
+/**
+ * Return the paths of the questions with problems found by a controller.
+ */
+var errorRefs = function(controller) {
+
+    return controller.getErrors().map(function(error) {
+        return error.ref;
+    });
+}
+
+test('field-list groups are shown on a single screen, which is checked as a whole', function() {
+
+    var controller = load(contact());
+    assert.deepStrictEqual(describe(controller), ['group /data/person', 'question /data/note', 'end null']);
+
+    var screen = controller.getCurrentScreen();
+    assert.strictEqual(screen.controls.length, 1);
+    assert.deepStrictEqual(screen.refs, ['/data/person/first', '/data/person/last', '/data/person/phone']);
+
+    // The phone isn't relevant yet, so only the first name is missing
+    assert.strictEqual(controller.next(), false);
+    assert.deepStrictEqual(errorRefs(controller), ['/data/person/first']);
+
+    controller.state.setValue('/data/person/first', 'Jo');
+    controller.state.setValue('/data/person/last', 'Doe');
+    assert.strictEqual(controller.next(), false);
+    assert.deepStrictEqual(errorRefs(controller), ['/data/person/phone']);
+
+    controller.state.setValue('/data/person/phone', '555');
+    assert.strictEqual(controller.next(), true);
+    assert.strictEqual(controller.getCurrentScreen().ref, '/data/note');
+    assert.deepStrictEqual(controller.getErrors(), []);
+});
+
+test('non-relevant questions are skipped', function() {
+
+    var controller = load(forms.household());
+    assert.deepStrictEqual(describe(controller), ['question /data/name', 'question /data/age', 'repeat /data/kids', 'end null']);
+
+    controller.state.setValue('/data/name', 'Ann');
+    controller.state.setValue('/data/age', '10');
+    assert.strictEqual(controller.next(), true);
+    assert.strictEqual(controller.next(), true);
+    assert.strictEqual(controller.getCurrentScreen().type, 'repeat');
+
+    // Becoming relevant again brings the spouse back between the age and the kids
+    controller.state.setValue('/data/age', '40');
+    assert.strictEqual(controller.previous(), true);
+    assert.strictEqual(controller.getCurrentScreen().ref, '/data/spouse');
+    assert.strictEqual(controller.previous(), true);
+    assert.strictEqual(controller.getCurrentScreen().ref, '/data/age');
+});
+
+test('next stays on questions which are required or fail their constraint', function() {
+
+    var controller = load(forms.household().replace('constraint=". &gt;= 0 and . &lt; 120"',
+        'constraint=". &gt;= 0 and . &lt; 120" jr:constraintMsg="Age must be below 120"'));
+
+    assert.strictEqual(controller.next(), false);
+    assert.strictEqual(controller.getCurrentScreen().ref, '/data/name');
+    assert.deepStrictEqual(controller.getErrors(), [{'type':'required', 'ref':'/data/name', 'message':odk.FormValidator.RequiredMessage}]);
+
+    controller.state.setValue('/data/name', 'Ann');
+    assert.strictEqual(controller.next(), true);
+
+    controller.state.setValue('/data/age', '150');
+    assert.strictEqual(controller.next(), false);
+    assert.strictEqual(controller.getCurrentScreen().ref, '/data/age');
+    assert.deepStrictEqual(controller.getErrors(), [{'type':'constraint', 'ref':'/data/age', 'message':'Age must be below 120'}]);
+
+    // Moving back isn't blocked, and forgets the problems
+    assert.strictEqual(controller.previous(), true);
+    assert.deepStrictEqual(controller.getErrors(), []);
+
+    controller.state.setValue('/data/age', '15');
+    assert.strictEqual(controller.next(), true);
+    assert.strictEqual(controller.next(), true);
+    assert.strictEqual(controller.getCurrentScreen().type, 'repeat');
+});
+
+test('jumpTo moves to the screen showing a path without checking answers', function() {
+
+    var controller = load(forms.household());
+    controller.state.addRepeat('/data/kids');
+    controller.state.addRepeat('/data/kids');
+
+    assert.strictEqual(controller.jumpTo('/data/age'), true);
+    assert.strictEqual(controller.getCurrentScreen().ref, '/data/age');
+
+    assert.strictEqual(controller.jumpTo('/data/kids[2]/kname'), true);
+    assert.strictEqual(controller.getCurrentScreen().ref, '/data/kids[2]/kname');
+
+    // Repeat instances are found by their own path, and groups by their questions
+    assert.strictEqual(controller.jumpTo('/data/kids[1]'), true);
+    assert.strictEqual(controller.getCurrentScreen().ref, '/data/kids[1]/kname');
+
+    var fieldList = load(contact());
+    fieldList.next();
+    assert.strictEqual(fieldList.jumpTo('/data/person/last'), true);
+    assert.strictEqual(fieldList.getCurrentScreen().ref, '/data/person');
+
+    // Questions which aren't shown can't be jumped to, and the controller stays put
+    assert.strictEqual(controller.jumpTo('/data/spouse'), false);
+    assert.strictEqual(controller.jumpTo('/data/kids[3]/kname'), false);
+    assert.strictEqual(controller.getCurrentScreen().ref, '/data/kids[1]/kname');
+    assert.deepStrictEqual(controller.getErrors(), []);
+});
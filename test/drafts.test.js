@@ -0,0 +1,149 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+/**
+ * Return a parser with the given version of the household survey loaded.
+ */
+var load = function(version) {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.household(version)), String(parser.getDiagnostics()));
+    return parser;
+}
+
+/**
+ * Save a draft of the household survey in the given storage, and return it's key.
+ */
+var saveDraft = function(storage, version) {
+
+    var parser = load(version);
+    parser.getState().setValue('/data/name', 'Ann');
+    parser.getState().setValue('/data/age', '40');
+    parser.getState().addRepeat('/data/kids');
+    parser.getState().setValue('/data/kids[1]/kname', 'Cy');
+
+    var drafts = new odk.DraftManager(parser, storage);
+    var saved = null;
+    drafts.save(function(error, draft) {
+        assert.strictEqual(error, null);
+        saved = draft;
+    });
+
+    assert.strictEqual(saved.formID, 'household');
+    assert.strictEqual(saved.version, version);
+    return saved.key;
+}
+
+test('drafts of the same version are resumed', function() {
+
+    var storage = new odk.MemoryDraftStorage();
+    var key = saveDraft(storage, '1');
+
+    var drafts = new odk.DraftManager(load('1'), storage);
+    drafts.list(function(error, list) {
+        assert.strictEqual(error, null);
+        assert.strictEqual(list.length, 1);
+        assert.strictEqual(drafts.isStale(list[0]), false);
+    });
+
+    drafts.resume(key, function(error, draft) {
+        assert.strictEqual(error, null);
+        assert.strictEqual(draft.key, key);
+    });
+    assert.strictEqual(drafts.parser.getState().getValue('/data/kids[1]/kname'), 'Cy');
+    assert.strictEqual(drafts.getKey(), key);
+});
+
+test('drafts of another version are stale, and only resumed when forced', function() {
+
+    var storage = new odk.MemoryDraftStorage();
+    var key = saveDraft(storage, '1');
+
+    var parser = load('2');
+    var drafts = new odk.DraftManager(parser, storage);
+    drafts.list(function(error, list) {
+        assert.strictEqual(list.length, 1);
+        assert.strictEqual(drafts.isStale(list[0]), true);
+    });
+
+    drafts.resume(key, function(error, draft) {
+        assert.match(error, /was saved with version "1" of the form, not "2"/);
+        assert.strictEqual(draft, null);
+    });
+    assert.strictEqual(parser.getState().getValue('/data/name'), '');
+
+    drafts.resume(key, function(error, draft) {
+        assert.strictEqual(error, null);
+    }, true);
+    assert.strictEqual(parser.getState().getValue('/data/name'), 'Ann');
+});
+
+test('unknown drafts and drafts of other forms are refused', function() {
+
+    var storage = new odk.MemoryDraftStorage();
+    var key = saveDraft(storage, '1');
+    storage.drafts[key].formID = 'other';
+
+    var drafts = new odk.DraftManager(load('1'), storage);
+    drafts.list(function(error, list) {
+        assert.strictEqual(list.length, 0);
+    });
+    drafts.resume(key, function(error) {
+        assert.match(error, /belongs to form "other"/);
+    });
+    drafts.resume('uuid:missing', function(error) {
+        assert.match(error, /Unknown draft/);
+    });
+});
+
+test('discard removes the draft of the current answers', function() {
+
+    var storage = new odk.MemoryDraftStorage();
+    var key = saveDraft(storage, '1');
+
+    var drafts = new odk.DraftManager(load('1'), storage);
+    drafts.resume(key);
+    drafts.discard();
+    assert.deepStrictEqual(storage.drafts, {});
+});
+
+test('autosave saves once the answers stop changing', function(t, done) {
+
+    var storage = new odk.MemoryDraftStorage();
+    var parser = load('1');
+    var drafts = new odk.DraftManager(parser, storage);
+    var saves = 0;
+
+    drafts.autosave(10, function(error, draft) {
+        saves++;
+        assert.strictEqual(draft.answers['/data/name'], 'Ann B');
+        setTimeout(function() {
+            drafts.stopAutosave();
+            assert.strictEqual(saves, 1);
+            done();
+        }, 30);
+    });
+
+    parser.getState().setValue('/data/name', 'Ann');
+    parser.getState().setValue('/data/name', 'Ann B');
+});
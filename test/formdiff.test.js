@@ -0,0 +1,86 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+/**
+ * Return parsers for two versions of the household survey. The second renames the age to years, and turns
+ * the spouse into a number.
+ */
+var load = function() {
+
+    var next = forms.household('2').replace(/\/data\/age/g, '/data/years').replace('<age/>', '<years/>')
+        .replace('type="string" relevant', 'type="int" relevant');
+
+    var parsers = [new odk.ODKParser(), new odk.ODKParser()];
+    assert.ok(parsers[0].loads(forms.household('1')));
+    assert.ok(parsers[1].loads(next));
+
+    var state = parsers[0].getState();
+    state.setValue('/data/name', 'Ann');
+    state.setValue('/data/age', '40');
+    state.setValue('/data/spouse', 'Bob');
+
+    return parsers;
+}
+
+var find = function(decisions, oldPath) {
+
+    return decisions.filter(function(decision) {
+        return decision.oldPath == oldPath;
+    })[0];
+}
+
+test('renamed and retyped questions are listed', function() {
+
+    var parsers = load();
+    var changes = new odk.FormDiff(parsers[0], parsers[1]).getChanges().map(function(change) {
+        return [change.type, change.oldPath, change.path];
+    });
+
+    assert.deepStrictEqual(changes, [['renamed', '/data/age', '/data/years'], ['retyped', '/data/spouse', '/data/spouse']]);
+});
+
+test('answers follow renamed questions, and are dropped when they can\'t be converted', function() {
+
+    var parsers = load();
+    var result = new odk.FormDiff(parsers[0], parsers[1]).migrate(parsers[0].getState().getSnapshot());
+
+    assert.strictEqual(find(result.decisions, '/data/age').action, 'moved');
+    assert.strictEqual(find(result.decisions, '/data/spouse').action, 'dropped');
+    assert.strictEqual(find(result.decisions, '/data/meta/instanceID').action, 'kept');
+    assert.strictEqual(parsers[1].getState().getValue('/data/years'), '40');
+});
+
+test('migrated submissions replace their instanceID', function() {
+
+    var parsers = load();
+    var instanceID = parsers[0].getState().getInstanceID();
+    var result = new odk.FormDiff(parsers[0], parsers[1]).migrate(parsers[0].getState().serialize());
+
+    var decision = find(result.decisions, '/data/meta/instanceID');
+    assert.strictEqual(decision.action, 'replaced');
+    assert.match(decision.message, /keeping the old one as the deprecatedID/);
+
+    var xml = parsers[1].getState().serialize();
+    assert.match(xml, new RegExp('<deprecatedID>' + instanceID + '</deprecatedID>'));
+    assert.doesNotMatch(xml, new RegExp('<instanceID>' + instanceID + '</instanceID>'));
+});
@@ -0,0 +1,109 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+/**
+ * Forms shared by the tests.
+ */
+
+/**
+ * Return a household survey: a required name, an age with a constraint, a calculated adult flag which makes
+ * the spouse question relevant, and a repeat of kids which is counted.
+ *
+ * @string version Form version. Defaults to '1'.
+ * @return XML string.
+ */
+exports.household = function(version) {
+
+    return exports.build('Household',
+        '<instance><data id="household" version="' + (version || '1') + '">' +
+        '<name/><age/><adult/><spouse/><kids jr:template=""><kname/></kids><total/><meta><instanceID/></meta>' +
+        '</data></instance>' +
+        '<bind nodeset="/data/name" type="string" required="true()"/>' +
+        '<bind nodeset="/data/age" type="int" constraint=". &gt;= 0 and . &lt; 120"/>' +
+        '<bind nodeset="/data/adult" type="string" calculate="if(/data/age &gt;= 18, \'yes\', \'no\')"/>' +
+        '<bind nodeset="/data/spouse" type="string" relevant="/data/adult = \'yes\'"/>' +
+        '<bind nodeset="/data/kids/kname" type="string"/>' +
+        '<bind nodeset="/data/total" type="int" calculate="count(/data/kids)"/>' +
+        '<bind nodeset="/data/meta/instanceID" type="string" readonly="true()" calculate="concat(\'uuid:\', uuid())"/>',
+
+        '<input ref="/data/name"><label>Name</label></input>' +
+        '<input ref="/data/age"><label>Age</label></input>' +
+        '<input ref="/data/spouse"><label>Spouse</label></input>' +
+        '<group ref="/data/kids"><label>Kids</label><repeat nodeset="/data/kids">' +
+        '<input ref="/data/kids/kname"><label>Kid</label></input>' +
+        '</repeat></group>');
+}
+
+/**
+ * Return a roster: a repeat of people, each with a name and two calculations using their position.
+ *
+ * @string attributes Additional attributes of the repeat, e.g. 'jr:count="/data/n"'.
+ * @return XML string.
+ */
+exports.roster = function(attributes) {
+
+    return exports.build('Roster',
+        '<instance><data id="roster" version="1">' +
+        '<n/><person jr:template=""><pname/><pos/><tag/></person><meta><instanceID/></meta>' +
+        '</data></instance>' +
+        '<bind nodeset="/data/n" type="int"/>' +
+        '<bind nodeset="/data/person/pname" type="string"/>' +
+        '<bind nodeset="/data/person/pos" type="int" calculate="position(..)"/>' +
+        '<bind nodeset="/data/person/tag" type="string" calculate="concat(\'x\', position(..))"/>' +
+        '<bind nodeset="/data/meta/instanceID" type="string" readonly="true()" calculate="concat(\'uuid:\', uuid())"/>',
+
+        '<input ref="/data/n"><label>People</label></input>' +
+        '<group ref="/data/person"><label>Person</label><repeat nodeset="/data/person" ' + (attributes || '') + '>' +
+        '<input ref="/data/person/pname"><label>Name</label></input>' +
+        '</repeat></group>');
+}
+
+/**
+ * Return a media form: a photo, a signature and a voice recording, which is only asked for once there's a photo.
+ *
+ * @return XML string.
+ */
+exports.media = function() {
+
+    return exports.build('Media',
+        '<instance><data id="media"><photo/><sign/><voice/><meta><instanceID/></meta></data></instance>' +
+        '<bind nodeset="/data/photo" type="binary"/>' +
+        '<bind nodeset="/data/sign" type="binary"/>' +
+        '<bind nodeset="/data/voice" type="binary" relevant="/data/photo != \'\'"/>' +
+        '<bind nodeset="/data/meta/instanceID" type="string" readonly="true()" calculate="concat(\'uuid:\', uuid())"/>',
+
+        '<upload ref="/data/photo" mediatype="image/*"><label>Photo</label></upload>' +
+        '<upload ref="/data/sign" mediatype="image/*" appearance="signature"><label>Signature</label></upload>' +
+        '<upload ref="/data/voice" mediatype="audio/*"><label>Voice</label></upload>');
+}
+
+/**
+ * Return a form out of the contents of it's model and body, declaring the namespaces forms use.
+ *
+ * @string title Form title.
+ * @string model XML of the model's instances, binds and translations.
+ * @string body XML of the body's controls.
+ * @return XML string.
+ */
+exports.build = function(title, model, body) {
+
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<h:html xmlns="http://www.w3.org/2002/xforms" xmlns:h="http://www.w3.org/1999/xhtml" xmlns:ev="http://www.w3.org/2001/xml-events" ' +
+        'xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:jr="http://openrosa.org/javarosa" xmlns:odk="http://www.opendatakit.org/xforms">' +
+        '<h:head><h:title>' + title + '</h:title><model>' + model + '</model></h:head>' +
+        '<h:body>' + body + '</h:body></h:html>';
+}
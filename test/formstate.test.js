@@ -0,0 +1,253 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+/**
+ * Return the state of a freshly loaded household survey.
+ */
+var load = function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.household()), String(parser.getDiagnostics()));
+    return parser.getState();
+}
+
+/**
+ * Answer the household survey for a married adult with two kids.
+ */
+var answer = function(state) {
+
+    state.setValue('/data/name', 'Ann');
+    state.setValue('/data/age', '40');
+    state.setValue('/data/spouse', 'Bob');
+    state.addRepeat('/data/kids');
+    state.addRepeat('/data/kids');
+    state.setValue('/data/kids[1]/kname', 'Cy');
+    state.setValue('/data/kids[2]/kname', 'Di');
+}
+
+test('serialize leaves out repeat templates and non-relevant answers', function() {
+
+    var state = load();
+    answer(state);
+
+    var xml = state.serialize();
+    assert.match(xml, /<adult>yes<\/adult><spouse>Bob<\/spouse><kids><kname>Cy<\/kname><\/kids><kids><kname>Di<\/kname><\/kids><total>2<\/total>/);
+    assert.match(xml, /<instanceID>uuid:[0-9a-f-]+<\/instanceID>/);
+
+    // The spouse is kept while it isn't relevant, but not submitted
+    state.setValue('/data/age', '10');
+    assert.doesNotMatch(state.serialize(), /spouse/);
+    assert.strictEqual(state.getValue('/data/spouse'), 'Bob');
+});
+
+test('answers are checked against their type and constraint', function() {
+
+    var state = load();
+    assert.throws(function() { state.setValue('/data/age', 'abc'); }, /Invalid integer/);
+
+    state.setValue('/data/age', '200');
+    assert.strictEqual(state.isValid('/data/age'), false);
+    state.setValue('/data/age', '20');
+    assert.strictEqual(state.isValid('/data/age'), true);
+});
+
+test('calculations in the same repeat don\'t depend on each other through position(..)', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.roster()), String(parser.getDiagnostics()));
+
+    var state = parser.getState();
+    state.addRepeat('/data/person');
+    state.addRepeat('/data/person');
+    assert.strictEqual(state.getValue('/data/person[2]/pos'), '2');
+    assert.strictEqual(state.getValue('/data/person[2]/tag'), 'x2');
+});
+
+test('integer answers with a fraction are rejected', function() {
+
+    var state = load();
+    assert.throws(function() { state.setValue('/data/age', '3.9'); }, /Invalid integer/);
+    state.setValue('/data/age', '4.0');
+    assert.strictEqual(state.getValue('/data/age'), '4');
+});
+
+test('calculated integers are truncated', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.household().replace('count(/data/kids)', '/data/age div 3')));
+
+    var state = parser.getState();
+    state.setValue('/data/age', '10');
+    assert.strictEqual(state.getValue('/data/total'), '3');
+    state.setValue('/data/age', '-10');
+    assert.strictEqual(state.getValue('/data/total'), '-3');
+});
+
+test('load restores the answers and repeats of a saved instance', function() {
+
+    var state = load();
+    answer(state);
+    var xml = state.serialize();
+    var instanceID = state.getInstanceID();
+
+    var copy = load();
+    copy.load(odk.XMLUtils.parse(xml).documentElement);
+    assert.strictEqual(copy.getRepeatInstances('/data/kids').length, 2);
+    assert.strictEqual(copy.getValue('/data/kids[2]/kname'), 'Di');
+    assert.strictEqual(copy.getValue('/data/total'), '2');
+    assert.strictEqual(copy.getInstanceID(), instanceID);
+
+    // The edited copy is a new submission replacing the loaded one
+    var edited = copy.serialize();
+    assert.match(edited, new RegExp('<deprecatedID>' + instanceID + '</deprecatedID>'));
+    assert.notStrictEqual(copy.getInstanceID(), instanceID);
+    assert.strictEqual(edited.replace(/<meta>.*<\/meta>/, ''), xml.replace(/<meta>.*<\/meta>/, ''));
+});
+
+test('load rejects instances of other forms', function() {
+
+    var state = load();
+    assert.throws(function() { state.load(odk.XMLUtils.parse('<other/>').documentElement); }, /does not match the form root/);
+    assert.throws(function() { state.load(odk.XMLUtils.parse('<data id="x"/>').documentElement); }, /belongs to form "x"/);
+});
+
+test('restore puts back a snapshot, including non-relevant answers', function() {
+
+    var state = load();
+    answer(state);
+    state.setValue('/data/age', '10');
+
+    var snapshot = JSON.parse(JSON.stringify(state.getSnapshot()));
+    assert.deepStrictEqual(snapshot.repeats, {'/data/kids':2});
+
+    var copy = load();
+    copy.restore(snapshot);
+    assert.strictEqual(copy.serialize(), state.serialize());
+    assert.strictEqual(copy.getValue('/data/spouse'), 'Bob');
+});
+
+test('outputs which fail to evaluate are reported', function() {
+
+    var xml = forms.household().replace('<label>Name</label>', '<label>Name <output value="nope(/data/age)"/> of <output value="/data/age"/></label>');
+    var parser = new odk.ODKParser(odk.HTMLRenderer.getFactory());
+    assert.ok(parser.loads(xml));
+
+    var errors = [];
+    parser.getState().on('error', function(node, attr, error) {
+        errors.push([node.getPath(), attr, error]);
+    });
+    parser.getState().setValue('/data/age', '5');
+
+    assert.match(parser.getFormElements()[0].getAsHTML(), /Name  of 5</);
+    assert.deepStrictEqual(errors, [['/data/name', 'output', 'Unknown function "nope()"']]);
+});
+
+test('jr:count adds and removes repeat instances, without recalculating the rest of the form', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.roster('jr:count="/data/n"')), String(parser.getDiagnostics()));
+
+    var state = parser.getState();
+    var instanceID = state.getValue('/data/meta/instanceID');
+    assert.strictEqual(state.getRepeatInstances('/data/person').length, 0);
+
+    state.setValue('/data/n', '3');
+    assert.strictEqual(state.getRepeatInstances('/data/person').length, 3);
+    assert.strictEqual(state.getValue('/data/person[3]/tag'), 'x3');
+
+    state.setValue('/data/person[1]/pname', 'Ann');
+    state.setValue('/data/n', '2');
+    assert.strictEqual(state.getRepeatInstances('/data/person').length, 2);
+    assert.strictEqual(state.getValue('/data/person[1]/pname'), 'Ann');
+
+    assert.strictEqual(state.getValue('/data/meta/instanceID'), instanceID);
+    assert.strictEqual(state.canAddRemove('/data/person'), false);
+    assert.throws(function() { state.addRepeat('/data/person'); }, /can not be added or removed/);
+});
+
+test('jr:noAddRemove keeps the instances of a repeat', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.roster('jr:noAddRemove="true()"').replace(' jr:template=""', '')), String(parser.getDiagnostics()));
+
+    var state = parser.getState();
+    assert.strictEqual(state.getRepeatInstances('/data/person').length, 1);
+    assert.strictEqual(state.canAddRemove('/data/person'), false);
+    assert.throws(function() { state.addRepeat('/data/person'); }, /can not be added or removed/);
+    assert.throws(function() { state.removeRepeat('/data/person[1]'); }, /can not be added or removed/);
+});
+
+test('positions follow removed and moved repeat instances', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.roster()), String(parser.getDiagnostics()));
+
+    var state = parser.getState();
+    ['Ann', 'Bob', 'Cy'].forEach(function(name, i) {
+        state.addRepeat('/data/person');
+        state.setValue('/data/person[' + (i + 1) + ']/pname', name);
+    });
+
+    state.removeRepeat('/data/person[1]');
+    assert.strictEqual(state.getValue('/data/person[1]/pname'), 'Bob');
+    assert.strictEqual(state.getValue('/data/person[1]/pos'), '1');
+
+    state.moveRepeat('/data/person[2]', 1);
+    assert.strictEqual(state.getValue('/data/person[1]/pname'), 'Cy');
+    assert.strictEqual(state.getValue('/data/person[1]/tag'), 'x1');
+    assert.strictEqual(state.getValue('/data/person[2]/tag'), 'x2');
+});
+
+test('attachments are submitted as multipart parts after the instance', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.media()), String(parser.getDiagnostics()));
+
+    // File names are made unique and safe for the part headers
+    var state = parser.getState();
+    assert.strictEqual(state.setAttachment('/data/photo', 'pic.jpg', new Uint8Array([1, 2, 255]), 'image/jpeg'), 'pic.jpg');
+    assert.strictEqual(state.setAttachment('/data/sign', 'pic.jpg', '<svg/>', 'image/svg+xml'), 'pic-1.jpg');
+    assert.strictEqual(state.setAttachment('/data/voice', 'say "hi".m4a', 'audio'), 'say _hi_.m4a');
+
+    var result = parser.submitMultipart('BOUNDARY');
+    assert.strictEqual(result.contentType, 'multipart/form-data; boundary=BOUNDARY');
+
+    return result.body.arrayBuffer().then(function(buffer) {
+
+        var body = Buffer.from(buffer);
+        var parts = body.toString('latin1').split('--BOUNDARY');
+        assert.strictEqual(parts.length, 6);
+        assert.strictEqual(parts[5], '--\r\n');
+
+        assert.match(parts[1], /^\r\nContent-Disposition: form-data; name="xml_submission_file"; filename="submission.xml"\r\nContent-Type: text\/xml\r\n\r\n/);
+        assert.match(parts[1], /<photo>pic.jpg<\/photo><sign>pic-1.jpg<\/sign><voice>say _hi_.m4a<\/voice>/);
+        assert.strictEqual(parts[2], '\r\nContent-Disposition: form-data; name="pic.jpg"; filename="pic.jpg"\r\nContent-Type: image/jpeg\r\n\r\n\x01\x02\xff\r\n');
+        assert.strictEqual(parts[3], '\r\nContent-Disposition: form-data; name="pic-1.jpg"; filename="pic-1.jpg"\r\nContent-Type: image/svg+xml\r\n\r\n<svg/>\r\n');
+        assert.strictEqual(parts[4], '\r\nContent-Disposition: form-data; name="say _hi_.m4a"; filename="say _hi_.m4a"\r\nContent-Type: application/octet-stream\r\n\r\naudio\r\n');
+
+        // Files of questions which are no longer relevant aren't submitted
+        state.removeAttachment('/data/photo');
+        assert.strictEqual(state.getAttachment('pic.jpg'), null);
+        assert.deepStrictEqual(state.getAttachments().map(function(file) { return file.name; }), ['pic-1.jpg']);
+    });
+});
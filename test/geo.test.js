@@ -0,0 +1,124 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+// Length of one degree along the equator
+var Degree = Math.PI / 180 * odk.GeoUtils.EarthRadius;
+
+/**
+ * Return a square shape at the equator, starting at 0 0.
+ *
+ * @number size Length of the sides in degrees.
+ * @return Shape value string.
+ */
+var square = function(size) {
+
+    return ['0 0', '0 ' + size, size + ' ' + size, size + ' 0', '0 0'].join(';');
+}
+
+/**
+ * Assert that a number is within a relative tolerance of the expected one.
+ */
+var near = function(actual, expected, tolerance) {
+
+    assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * (tolerance || 1e-6), actual + ' is not near ' + expected);
+}
+
+test('points are parsed with default altitude and accuracy, and checked against their ranges', function() {
+
+    assert.deepStrictEqual(odk.GeoUtils.parsePoint('-33.9 18.4'), [-33.9, 18.4, 0, 0]);
+    assert.deepStrictEqual(odk.GeoUtils.parsePoint('-33.9 18.4 12 5'), [-33.9, 18.4, 12, 5]);
+    assert.deepStrictEqual(odk.GeoUtils.parse('1 2;3 4 5 6;'), [[1, 2, 0, 0], [3, 4, 5, 6]]);
+    assert.strictEqual(odk.GeoUtils.format([[1, 2, 0, 0], [3, 4, 5, 6]]), '1 2 0 0;3 4 5 6');
+
+    ['91 0', '0 181', '0 0 0 -1', '1', 'a b', '1 2 3 4 5'].forEach(function(value) {
+        assert.throws(function() { odk.GeoUtils.parsePoint(value); }, /geopoint/i, value);
+    });
+});
+
+test('distance follows the points along a great circle', function() {
+
+    near(odk.GeoUtils.distance(odk.GeoUtils.parse('0 0;0 1')), Degree);
+    near(odk.GeoUtils.distance(odk.GeoUtils.parse('0 0;0 1;1 1')), 2 * Degree, 1e-3);
+    near(odk.GeoUtils.distance(odk.GeoUtils.parse('0 0;90 0')), 90 * Degree);
+    assert.strictEqual(odk.GeoUtils.distance(odk.GeoUtils.parse('10 10')), 0);
+});
+
+test('area is the same whether or not the shape is closed', function() {
+
+    // A square of 0.001 degrees at the equator is almost flat
+    var shape = odk.GeoUtils.parse(square(0.001));
+    near(odk.GeoUtils.area(shape), Math.pow(0.001 * Degree, 2), 1e-6);
+    assert.strictEqual(odk.GeoUtils.area(shape.slice(0, 4)), odk.GeoUtils.area(shape));
+    assert.strictEqual(odk.GeoUtils.area(shape.slice().reverse()), odk.GeoUtils.area(shape));
+
+    // The earth's curvature shows on a 1 degree square
+    near(odk.GeoUtils.area(odk.GeoUtils.parse(square(1))), Math.pow(Degree, 2), 1e-3);
+    assert.strictEqual(odk.GeoUtils.area(odk.GeoUtils.parse('0 0;0 1')), 0);
+});
+
+test('geofence checks whether a point lies within a shape', function() {
+
+    var shape = odk.GeoUtils.parse(square(0.001));
+    assert.strictEqual(odk.GeoUtils.contains(shape, [0.0005, 0.0005]), true);
+    assert.strictEqual(odk.GeoUtils.contains(shape, [0.002, 0.0005]), false);
+    assert.strictEqual(odk.GeoUtils.contains(shape, [-0.0001, 0.0005]), false);
+
+    // An L shape leaves out it's inner corner
+    var l = odk.GeoUtils.parse('0 0;0 2;1 2;1 1;2 1;2 0');
+    assert.strictEqual(odk.GeoUtils.contains(l, [0.5, 1.5]), true);
+    assert.strictEqual(odk.GeoUtils.contains(l, [1.5, 1.5]), false);
+});
+
+test('constraints and calculations use area(), distance() and geofence()', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.build('Plot',
+        '<instance><data id="plot"><plot/><home/><walk/><length/></data></instance>' +
+        '<bind nodeset="/data/plot" type="geoshape" constraint="area(.) &gt; 100"/>' +
+        '<bind nodeset="/data/home" type="geopoint" constraint="geofence(., /data/plot)"/>' +
+        '<bind nodeset="/data/walk" type="geotrace"/>' +
+        '<bind nodeset="/data/length" type="decimal" calculate="round(distance(/data/walk), 0)"/>',
+
+        '<input ref="/data/plot"><label>Plot</label></input>' +
+        '<input ref="/data/home"><label>Home</label></input>' +
+        '<input ref="/data/walk"><label>Walk</label></input>')), String(parser.getDiagnostics()));
+
+    var state = parser.getState();
+    var validator = parser.getValidator();
+
+    // About 31 m² is too small, while about 12392 m² will do
+    state.setValue('/data/plot', square(0.00005));
+    assert.strictEqual(state.getValue('/data/plot'), '0 0 0 0;0 0.00005 0 0;0.00005 0.00005 0 0;0.00005 0 0 0;0 0 0 0');
+    assert.strictEqual(validator.getError('/data/plot').type, 'constraint');
+    state.setValue('/data/plot', square(0.001));
+    assert.strictEqual(validator.getError('/data/plot'), null);
+
+    state.setValue('/data/home', '0.0005 0.0005');
+    assert.strictEqual(validator.getError('/data/home'), null);
+    state.setValue('/data/home', '0.002 0.0005');
+    assert.strictEqual(validator.getError('/data/home').type, 'constraint');
+
+    state.setValue('/data/walk', [[0, 0], [0, 1]]);
+    assert.strictEqual(state.getValue('/data/walk'), '0 0 0 0;0 1 0 0');
+    assert.strictEqual(state.getValue('/data/length'), String(Math.round(Degree)));
+});
@@ -0,0 +1,112 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+/**
+ * Return a form looking up the population and dialing code of a city in an external CSV and XML instance,
+ * with the cities offered from the CSV and an inline list of answers.
+ */
+var cities = function() {
+
+    return forms.build('Cities',
+        '<instance><data id="cities"><city/><pop/><code/></data></instance>' +
+        '<instance id="cities" src="jr://file-csv/cities.csv"/>' +
+        '<instance id="codes" src="jr://file/codes.xml"/>' +
+        '<instance id="yn"><root><item><name>yes</name></item><item><name>no</name></item></root></instance>' +
+        '<bind nodeset="/data/city" type="string"/>' +
+        '<bind nodeset="/data/pop" type="int" calculate="instance(\'cities\')/root/item[name = /data/city]/population"/>' +
+        '<bind nodeset="/data/code" type="string" calculate="instance(\'codes\')/codes/code[@city = /data/city]"/>',
+
+        '<select1 ref="/data/city"><label>City</label>' +
+        '<itemset nodeset="instance(\'cities\')/root/item"><value ref="name"/><label ref="label"/></itemset></select1>');
+}
+
+var CitiesCSV = 'name,label,population\ncpt,"Cape Town, WC",4600000\njhb,Johannesburg,5600000\n';
+var CodesXML = '<codes><code city="cpt">021</code><code city="jhb">011</code></codes>';
+
+test('CSV cells follow RFC 4180 quoting', function() {
+
+    assert.deepStrictEqual(odk.InstanceResolver.parseCSV('\ufeffa,"b ""c"", d"\r\n\r\n1,2'), [['a', 'b "c", d'], ['1', '2']]);
+    assert.deepStrictEqual(odk.InstanceResolver.parseCSV('a\n\nb', true), [['a'], [], ['b']]);
+});
+
+test('external CSV and XML instances are looked up by their src', function() {
+
+    var resolver = new odk.InstanceResolver();
+    resolver.register('jr://file-csv/cities.csv', CitiesCSV);
+    resolver.register('jr://file/codes.xml', CodesXML);
+
+    var parser = new odk.ODKParser();
+    parser.setResolver(resolver);
+    assert.ok(parser.loads(cities()), String(parser.getDiagnostics()));
+
+    var state = parser.getState();
+    state.setValue('/data/city', 'cpt');
+    assert.strictEqual(state.getValue('/data/pop'), '4600000');
+    assert.strictEqual(state.getValue('/data/code'), '021');
+    assert.strictEqual(state.evaluate("count(instance('yn')/root/item)"), 2);
+
+    var choices = parser.controls[0].getChoices(parser.evaluator, state.getNode('/data/city'));
+    assert.deepStrictEqual(choices, [{'label':'Cape Town, WC', 'value':'cpt'}, {'label':'Johannesburg', 'value':'jhb'}]);
+});
+
+test('external instances which can\'t be resolved are reported', function() {
+
+    var parser = new odk.ODKParser();
+    assert.strictEqual(parser.loads(cities()), false);
+    assert.strictEqual(parser.getDiagnostics()[0].code, 'UNRESOLVED_INSTANCE');
+
+    parser = new odk.ODKParser();
+    parser.setResolver(new odk.InstanceResolver());
+    assert.strictEqual(parser.loads(cities()), false);
+    assert.match(parser.getDiagnostics()[0].message, /External instance "cities" could not be loaded: Unable to resolve external instance "jr:\/\/file-csv\/cities.csv"/);
+});
+
+test('the file loader reads media files, but nothing outside of their directory', function() {
+
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'odk-'));
+    try {
+        fs.mkdirSync(path.join(dir, 'media'));
+        fs.writeFileSync(path.join(dir, 'media', 'cities.csv'), CitiesCSV);
+        fs.writeFileSync(path.join(dir, 'media', 'codes.xml'), CodesXML);
+        fs.writeFileSync(path.join(dir, 'secret.xml'), '<secret/>');
+
+        var loader = odk.InstanceResolver.FileLoader(path.join(dir, 'media'));
+        assert.strictEqual(loader('jr://file-csv/cities.csv'), CitiesCSV);
+        assert.strictEqual(loader('jr://file/missing.xml'), null);
+        assert.strictEqual(loader('http://server/codes.xml'), null);
+        assert.strictEqual(loader('jr://file/../secret.xml'), null);
+        assert.strictEqual(loader('jr://file/' + path.join(dir, 'secret.xml')), null);
+        assert.strictEqual(loader('jr://file/../media-other/codes.xml'), null);
+
+        var resolver = new odk.InstanceResolver();
+        resolver.addLoader(loader);
+        var parser = new odk.ODKParser();
+        parser.setResolver(resolver);
+        assert.ok(parser.loads(cities()), String(parser.getDiagnostics()));
+    } finally {
+        fs.rmSync(dir, {'recursive':true});
+    }
+});
@@ -0,0 +1,186 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+/**
+ * Lint a form and return the codes of it's diagnostics.
+ */
+var codes = function(xml) {
+
+    return odk.XFormLinter.lint(xml).map(function(diagnostic) {
+        return diagnostic.code;
+    });
+}
+
+/**
+ * Return the household survey with some of it's text replaced, as [search, replacement] pairs.
+ */
+var household = function() {
+
+    var xml = forms.household();
+    for (var i = 0; i < arguments.length; i++)
+        xml = xml.replace(arguments[i][0], arguments[i][1]);
+    return xml;
+}
+
+/**
+ * Run xform-lint with the given forms, written to a temporary directory, and return it's exit code and output.
+ *
+ * @object files Map of file names to XML strings.
+ * @object args Array of arguments, where file names are replaced by their temporary path.
+ */
+var run = function(files, args) {
+
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'odk-'));
+    try {
+        for (var name in files)
+            fs.writeFileSync(path.join(dir, name), files[name]);
+
+        var result = childProcess.spawnSync(process.execPath, [path.join(__dirname, '..', 'src', 'bin', 'xform-lint.js')].concat(args), {'cwd':dir, 'encoding':'utf8'});
+        return {'status':result.status, 'stdout':result.stdout, 'stderr':result.stderr};
+    } finally {
+        fs.rmSync(dir, {'recursive':true});
+    }
+}
+
+var Duplicate = household(['<input ref="/data/age">', '<input ref="/data/name">']);
+var Broken = household(['relevant="/data/adult = \'yes\'"', 'relevant="/data/missing = 1"']);
+
+test('valid forms have no diagnostics', function() {
+
+    assert.deepStrictEqual(codes(forms.household()), []);
+    assert.deepStrictEqual(codes(forms.roster('jr:count="/data/n"')), []);
+});
+
+test('body references to missing nodes are reported', function() {
+
+    var diagnostics = odk.XFormLinter.lint(household(['<input ref="/data/spouse">', '<input ref="/data/nope">']));
+    assert.strictEqual(diagnostics.length, 1);
+    assert.strictEqual(diagnostics[0].code, 'BODY_REF_MISSING');
+    assert.strictEqual(diagnostics[0].path, '/data/nope');
+    assert.match(diagnostics[0].message, /The input refers to "\/data\/nope", which is not defined in the instance/);
+});
+
+test('controls may refer to their bind, and are reported once when it doesn\'t exist', function() {
+
+    assert.deepStrictEqual(codes(household(['<bind nodeset="/data/name"', '<bind id="name" nodeset="/data/name"'], ['<input ref="/data/name">', '<input bind="name">'])), []);
+    assert.deepStrictEqual(codes(household(['<input ref="/data/name">', '<input bind="nope">'])), ['BODY_REF_MISSING']);
+    assert.deepStrictEqual(codes(household(['<input ref="/data/name">', '<input>'])), ['BODY_REF_MISSING']);
+});
+
+test('expressions referring to missing nodes are reported', function() {
+
+    var diagnostics = odk.XFormLinter.lint(Broken);
+    assert.deepStrictEqual(diagnostics.map(function(d) { return d.code; }), ['UNKNOWN_PATH']);
+    assert.match(diagnostics[0].message, /The relevant expression for "\/data\/spouse" refers to "\/data\/missing"/);
+});
+
+test('questions sharing a reference are reported', function() {
+
+    var diagnostics = odk.XFormLinter.lint(Duplicate);
+    assert.deepStrictEqual(diagnostics.map(function(d) { return d.code; }), ['DUPLICATE_REF']);
+    assert.strictEqual(diagnostics[0].isError(), false);
+});
+
+test('selects without choices are reported', function() {
+
+    assert.deepStrictEqual(codes(household(['<input ref="/data/spouse"><label>Spouse</label></input>', '<select1 ref="/data/spouse"><label>Spouse</label></select1>'])), ['EMPTY_SELECT']);
+});
+
+test('repeats without an instance node are reported', function() {
+
+    var xml = household(['</repeat></group>', '</repeat></group><group ref="/data/pets"><label>Pets</label>' +
+        '<repeat nodeset="/data/pets"><input ref="/data/pets/pname"><label>Pet</label></input></repeat></group>']);
+    assert.deepStrictEqual(codes(xml), ['REPEAT_TEMPLATE_MISSING', 'BODY_REF_MISSING']);
+});
+
+test('texts missing from a language are reported', function() {
+
+    var xml = household(['<bind nodeset="/data/name"', '<itext>' +
+            '<translation lang="English"><text id="name"><value>Name</value></text><text id="age"><value>Age</value></text></translation>' +
+            '<translation lang="French"><text id="name"><value>Nom</value></text></translation>' +
+            '</itext><bind nodeset="/data/name"'],
+        ['<label>Name</label>', '<label ref="jr:itext(\'name\')"/>'], ['<label>Age</label>', '<label ref="jr:itext(\'age\')"/>']);
+
+    var diagnostics = odk.XFormLinter.lint(xml);
+    assert.deepStrictEqual(diagnostics.map(function(d) { return d.code; }), ['MISSING_TRANSLATION']);
+    assert.match(diagnostics[0].message, /Text "age" is missing from language "French"/);
+});
+
+test('calculations in the same repeat using position(..) aren\'t circular', function() {
+
+    assert.deepStrictEqual(codes(forms.roster()), []);
+});
+
+test('calculations depending on each other are circular', function() {
+
+    var xml = forms.roster().replace("concat('x', position(..))", "concat('x', ../pos)").replace('calculate="position(..)"', 'calculate="../tag + 1"');
+    assert.deepStrictEqual(codes(xml), ['CIRCULAR_DEPENDENCY']);
+});
+
+test('the command exits with 0 for valid forms, and 1 for forms with errors', function() {
+
+    var valid = run({'valid.xml':forms.household()}, ['valid.xml']);
+    assert.strictEqual(valid.status, 0);
+    assert.strictEqual(valid.stdout, '');
+
+    var broken = run({'valid.xml':forms.household(), 'broken.xml':Broken}, ['valid.xml', 'broken.xml']);
+    assert.strictEqual(broken.status, 1);
+    assert.match(broken.stdout, /^broken\.xml:1:\d+: error: The relevant expression for "\/data\/spouse" refers to "\/data\/missing", which is not defined in the instance \[UNKNOWN_PATH\]\n$/);
+});
+
+test('the command fails on warnings with --strict only', function() {
+
+    var result = run({'form.xml':Duplicate}, ['form.xml']);
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /warning: More than one input refers to "\/data\/name" \[DUPLICATE_REF\]/);
+
+    assert.strictEqual(run({'form.xml':Duplicate}, ['--strict', 'form.xml']).status, 1);
+});
+
+test('the command prints JSON with --json', function() {
+
+    var result = run({'valid.xml':forms.household(), 'broken.xml':Broken}, ['--json', 'valid.xml', 'broken.xml']);
+    assert.strictEqual(result.status, 1);
+
+    var json = JSON.parse(result.stdout);
+    assert.deepStrictEqual(json.map(function(entry) { return entry.file; }), ['valid.xml', 'broken.xml']);
+    assert.deepStrictEqual(json[0].diagnostics, []);
+    assert.strictEqual(json[1].diagnostics[0].code, 'UNKNOWN_PATH');
+    assert.strictEqual(json[1].diagnostics[0].severity, 'error');
+    assert.strictEqual(json[1].diagnostics[0].path, '/data/spouse');
+    assert.strictEqual(json[1].diagnostics[0].line, 1);
+});
+
+test('the command exits with 2 on invalid usage and unreadable files', function() {
+
+    assert.strictEqual(run({}, []).status, 2);
+    assert.strictEqual(run({'form.xml':forms.household()}, ['--bogus', 'form.xml']).status, 2);
+
+    var missing = run({}, ['missing.xml']);
+    assert.strictEqual(missing.status, 2);
+    assert.match(missing.stderr, /Unable to read missing\.xml/);
+});
@@ -0,0 +1,268 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var http = require('http');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+var FormList = '<xforms xmlns="http://openrosa.org/xforms/xformsList">' +
+    '<xform><formID>household</formID><name>Household</name><version>1</version><hash>md5:1</hash>' +
+    '<downloadUrl>http://server/forms/household.xml</downloadUrl></xform></xforms>';
+
+var Response = function(message) {
+
+    return '<OpenRosaResponse xmlns="http://openrosa.org/http/response"><message nature="">' + message + '</message></OpenRosaResponse>';
+}
+
+/**
+ * Return a transport standing in for a server, which answers every request with the status set in the returned
+ * server Object, and records the requests. Bodies are read before answering, as a real server does.
+ */
+var createServer = function() {
+
+    var server = {'head':204, 'post':201, 'offline':false, 'accept':null, 'requests':[]};
+    server.transport = function(request, callback) {
+
+        var respond = function(body) {
+
+            server.requests.push({'method':request.method, 'url':request.url, 'headers':request.headers, 'body':body});
+            if (server.offline) {
+                callback('Could not reach "' + request.url + '"');
+                return;
+            }
+
+            if (request.method == 'HEAD')
+                callback(null, {'status':server.head, 'headers':server.accept != null ? {'x-openrosa-accept-content-length':String(server.accept)} : {}, 'body':''});
+            else if (request.method == 'POST')
+                callback(null, {'status':server.post, 'headers':{}, 'body':Response(server.post < 300 ? 'Thanks' : 'Nope')});
+            else
+                callback(null, {'status':200, 'headers':{}, 'body':FormList});
+        }
+
+        if (request.body != null)
+            request.body.text().then(respond);
+        else
+            setImmediate(respond, null);
+    }
+
+    server.count = function(method) {
+        return server.requests.filter(function(request) {
+            return request.method == method;
+        }).length;
+    }
+
+    return server;
+}
+
+/**
+ * Return a parser with an answered household survey.
+ */
+var answered = function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.household()), String(parser.getDiagnostics()));
+    parser.getState().setValue('/data/name', 'Ann');
+    return parser;
+}
+
+/**
+ * Call an asynchronous client method and resolve with it's error and result.
+ */
+var call = function(fn) {
+
+    return new Promise(function(resolve) {
+        fn(function(error, result) {
+            resolve({'error':error, 'result':result});
+        });
+    });
+}
+
+test('the form list is parsed, and it\'s callback called once', async function() {
+
+    var server = createServer();
+    var client = new odk.OpenRosaClient('http://server/', {'transport':server.transport});
+
+    var list = await call(function(cb) { client.getFormList(cb); });
+    assert.strictEqual(list.error, null);
+    assert.strictEqual(list.result[0].formID, 'household');
+    assert.strictEqual(list.result[0].downloadUrl, 'http://server/forms/household.xml');
+    assert.strictEqual(server.requests[0].url, 'http://server/formList');
+    assert.strictEqual(server.requests[0].headers['X-OpenRosa-Version'], '1.0');
+
+    // Errors thrown by the callback aren't taken for an invalid form list
+    var transport = function(request, callback) {
+        callback(null, {'status':200, 'headers':{}, 'body':FormList});
+    }
+    var calls = 0;
+    assert.throws(function() {
+        new odk.OpenRosaClient('http://server', {'transport':transport}).getFormList(function() {
+            calls++;
+            throw 'thrown';
+        });
+    }, /thrown/);
+    assert.strictEqual(calls, 1);
+});
+
+test('submissions are preceded by a single HEAD request', async function() {
+
+    var server = createServer();
+    var client = new odk.OpenRosaClient('http://server', {'transport':server.transport, 'username':'u', 'password':'p'});
+    var parser = answered();
+
+    var first = await call(function(cb) { client.submit(parser, cb); });
+    assert.strictEqual(first.error, null);
+    assert.deepStrictEqual(first.result, {'status':201, 'message':'Thanks', 'queued':false});
+
+    server.post = 202;
+    var second = await call(function(cb) { client.submit(parser, cb); });
+    assert.strictEqual(second.result.status, 202);
+
+    assert.deepStrictEqual(server.requests.map(function(request) { return request.method; }), ['HEAD', 'POST', 'POST']);
+    var post = server.requests[1];
+    assert.strictEqual(post.url, 'http://server/submission');
+    assert.strictEqual(post.headers['Authorization'], 'Basic dTpw');
+    assert.match(post.headers['Content-Type'], /^multipart\/form-data; boundary=/);
+    assert.match(post.body, /name="xml_submission_file"; filename="submission.xml"/);
+    assert.match(post.body, /<name>Ann<\/name>/);
+});
+
+test('files beyond the accepted size are split over several requests', async function() {
+
+    var server = createServer();
+    server.accept = 2000;
+    var client = new odk.OpenRosaClient('http://server', {'transport':server.transport});
+    var parser = answered();
+    var submission = {'key':'uuid:1', 'formID':'household', 'xml':parser.getState().serialize(), 'queued':null, 'error':null,
+        'attachments':[{'name':'a.jpg', 'type':'image/jpeg', 'data':new Blob([new Uint8Array(1000)])},
+                       {'name':'b.jpg', 'type':'image/jpeg', 'data':new Blob([new Uint8Array(1000)])}]};
+
+    var result = await call(function(cb) { client.send(submission, cb); });
+    assert.strictEqual(result.error, null);
+
+    var posts = server.requests.filter(function(request) { return request.method == 'POST'; });
+    assert.strictEqual(posts.length, 2);
+    assert.match(posts[0].body, /filename="a.jpg"/);
+    assert.match(posts[0].body, /\*isIncomplete\*/);
+    assert.match(posts[1].body, /filename="b.jpg"/);
+    assert.doesNotMatch(posts[1].body, /\*isIncomplete\*/);
+});
+
+test('server errors and network failures queue the submission, while rejections don\'t', async function() {
+
+    var server = createServer();
+    var client = new odk.OpenRosaClient('http://server', {'transport':server.transport});
+    var parser = answered();
+
+    server.post = 400;
+    var rejected = await call(function(cb) { client.submit(parser, cb); });
+    assert.match(rejected.error, /failed with HTTP status 400: Nope/);
+
+    server.post = 503;
+    var failed = await call(function(cb) { client.submit(parser, cb); });
+    assert.strictEqual(failed.error, null);
+    assert.strictEqual(failed.result.queued, true);
+    assert.match(failed.result.message, /HTTP status 503/);
+
+    server.offline = true;
+    var offline = await call(function(cb) { client.submit(answered(), cb); });
+    assert.strictEqual(offline.result.queued, true);
+
+    var queue = await call(function(cb) { client.getQueue(cb); });
+    assert.strictEqual(queue.result.length, 2);
+});
+
+test('retry sends the queue, and stops while the server can\'t be reached', async function() {
+
+    var server = createServer();
+    var client = new odk.OpenRosaClient('http://server', {'transport':server.transport});
+
+    server.post = 500;
+    await call(function(cb) { client.submit(answered(), cb); });
+    await call(function(cb) { client.submit(answered(), cb); });
+
+    server.offline = true;
+    var offline = await call(function(cb) { client.retry(cb); });
+    assert.deepStrictEqual(offline.result, {'sent':0, 'rejected':[], 'queued':2});
+
+    server.offline = false;
+    server.post = 201;
+    var sent = await call(function(cb) { client.retry(cb); });
+    assert.deepStrictEqual(sent.result, {'sent':2, 'rejected':[], 'queued':0});
+
+    var queue = await call(function(cb) { client.getQueue(cb); });
+    assert.strictEqual(queue.result.length, 0);
+});
+
+test('overlapping retries send every submission once', async function() {
+
+    var server = createServer();
+    var client = new odk.OpenRosaClient('http://server', {'transport':server.transport});
+
+    server.post = 500;
+    await call(function(cb) { client.submit(answered(), cb); });
+    var posts = server.count('POST');
+
+    server.post = 201;
+    var results = await Promise.all([
+        call(function(cb) { client.retry(cb); }),
+        call(function(cb) { client.retry(cb); })
+    ]);
+
+    assert.strictEqual(server.count('POST') - posts, 1);
+    assert.deepStrictEqual(results[0].result, {'sent':1, 'rejected':[], 'queued':0});
+    assert.deepStrictEqual(results[1].result, results[0].result);
+});
+
+test('the fetch transport talks to a HTTP server', async function() {
+
+    var requests = [];
+    var server = http.createServer(function(req, res) {
+
+        var body = '';
+        req.on('data', function(chunk) { body += chunk; });
+        req.on('end', function() {
+            requests.push(req.method + ' ' + req.url + ' ' + req.headers['x-openrosa-version']);
+            if (req.method == 'HEAD') {
+                res.writeHead(204, {'X-OpenRosa-Accept-Content-Length':'100000'});
+                res.end();
+            } else if (req.url == '/p/submission') {
+                res.writeHead(/<name>Ann<\/name>/.test(body) ? 201 : 400, {'Content-Type':'text/xml'});
+                res.end(Response('Thanks'));
+            } else {
+                res.writeHead(200, {'Content-Type':'text/xml'});
+                res.end(FormList);
+            }
+        });
+    });
+
+    await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+    try {
+        var client = new odk.OpenRosaClient('http://127.0.0.1:' + server.address().port + '/p', {'transport':odk.OpenRosaClient.FetchTransport});
+
+        var list = await call(function(cb) { client.getFormList(cb); });
+        assert.strictEqual(list.result[0].name, 'Household');
+
+        var result = await call(function(cb) { client.submit(answered(), cb); });
+        assert.deepStrictEqual(result.result, {'status':201, 'message':'Thanks', 'queued':false});
+        assert.deepStrictEqual(requests, ['GET /p/formList 1.0', 'HEAD /p/submission 1.0', 'POST /p/submission 1.0']);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,232 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+test('bind ids are standard attributes, and controls may refer to their bind', function() {
+
+    var xml = forms.household().replace('<bind nodeset="/data/name"', '<bind id="name" nodeset="/data/name"')
+        .replace('<input ref="/data/name">', '<input bind="name">');
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(xml), String(parser.getDiagnostics()));
+
+    assert.deepStrictEqual(parser.getDiagnostics(), []);
+    assert.strictEqual(parser.controls[0].ref, '/data/name');
+});
+
+test('controls without a reference are reported with a location', function() {
+
+    [['<input bind="nope">', /refers to bind "nope", which is not defined/], ['<input>', /has no ref attribute/]].forEach(function(entry) {
+
+        var parser = new odk.ODKParser();
+        assert.strictEqual(parser.loads(forms.household().replace('<input ref="/data/name">', entry[0])), false);
+
+        var diagnostic = parser.getDiagnostics()[0];
+        assert.strictEqual(diagnostic.code, 'BODY_REF_MISSING');
+        assert.match(diagnostic.message, entry[1]);
+        assert.strictEqual(typeof diagnostic.line, 'number');
+    });
+});
+
+/**
+ * Return the household survey translated into English and French, where French is marked as the default.
+ * English holds the other forms of the name's label, and the age's hint, while the spouse is only in French.
+ *
+ * @object noDefault Boolean value indicating whether to leave out the default language instead.
+ */
+var translated = function(noDefault) {
+
+    var itext = '<itext>' +
+        '<translation lang="English"><text id="name"><value>Name</value><value form="short">N</value><value form="guidance">Full name</value>' +
+        '<value form="image">jr://images/name.png</value><value form="audio">jr://audio/name.mp3</value></text>' +
+        '<text id="age"><value>Age</value></text><text id="age-hint"><value>In years</value><value form="guidance">Round down</value></text></translation>' +
+        '<translation lang="French"' + (noDefault ? '' : ' default="true()"') + '>' +
+        '<text id="name"><value>Nom</value></text><text id="spouse"><value>Conjoint</value></text></translation>' +
+        '</itext>';
+
+    return forms.household().replace('<bind nodeset="/data/name"', itext + '<bind nodeset="/data/name"')
+        .replace('<label>Name</label>', '<label ref="jr:itext(\'name\')"/>')
+        .replace('<label>Age</label>', '<label ref="jr:itext(\'age\')"/><hint ref="jr:itext(\'age-hint\')"/>')
+        .replace('<label>Spouse</label>', '<label ref="jr:itext(\'spouse\')"/>');
+}
+
+test('forms start in the language marked as default, or else in the first one', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(translated()), String(parser.getDiagnostics()));
+    assert.deepStrictEqual(parser.getLanguages(), ['English', 'French']);
+    assert.strictEqual(parser.getLanguage(), 'French');
+
+    parser = new odk.ODKParser();
+    assert.ok(parser.loads(translated(true)), String(parser.getDiagnostics()));
+    assert.strictEqual(parser.getLanguage(), 'English');
+    assert.strictEqual(parser.controls[0].getLabel(), 'Name');
+});
+
+test('missing texts are taken from the default language, and then from any other one', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(translated()), String(parser.getDiagnostics()));
+
+    assert.strictEqual(parser.getText('name'), 'Nom');
+    assert.strictEqual(parser.getText('age'), 'Age');
+    assert.strictEqual(parser.getText('nope'), null);
+
+    var languages = [];
+    parser.getState().on('language', function(lang) {
+        languages.push(lang);
+    });
+    parser.setLanguage('English');
+    assert.deepStrictEqual(languages, ['English']);
+    assert.strictEqual(parser.getText('name'), 'Name');
+    assert.strictEqual(parser.getText('spouse'), 'Conjoint');
+    assert.throws(function() { parser.setLanguage('German'); }, /Unknown language "German"/);
+});
+
+test('short, guidance and media forms are available besides the label', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(translated()), String(parser.getDiagnostics()));
+    var name = parser.controls[0];
+    var age = parser.controls[1];
+
+    assert.strictEqual(name.getLabel('English', 'short'), 'N');
+    assert.strictEqual(name.getLabel('French', 'short'), 'Nom');
+    assert.strictEqual(name.getLabel('English', 'guidance'), 'Full name');
+    assert.deepStrictEqual(name.getLabelMedia('English'), {'image':'jr://images/name.png', 'audio':'jr://audio/name.mp3'});
+    assert.deepStrictEqual(age.getLabelMedia('English'), {});
+
+    assert.strictEqual(age.getHint('English'), 'In years');
+    assert.strictEqual(age.getGuidance('English'), 'Round down');
+    assert.strictEqual(name.getGuidance('English'), '');
+});
+
+test('rendered forms re-label themselves when the language changes', function() {
+
+    var parser = new odk.ODKParser(odk.HTMLRenderer.getFactory());
+    assert.ok(parser.loads(translated()), String(parser.getDiagnostics()));
+
+    var elem = parser.getFormElements()[0];
+    assert.match(elem.getAsHTML(), /<span id="odk_data_name-label">Nom<\/span>/);
+    parser.setLanguage('English');
+    assert.match(elem.getAsHTML(), /<span id="odk_data_name-label">Name<\/span>/);
+});
+
+/**
+ * Return the translated household survey with a constraint message, a select with static choices
+ * and a select with choices from a secondary instance, filtered by the first one.
+ */
+var complete = function() {
+
+    return translated()
+        .replace('<kids jr:template="">', '<color/><pet/><kids jr:template="">')
+        .replace('</data></instance>', '</data></instance><instance id="pets"><root>' +
+            '<item><name>cat</name><label>Cat</label><color>red</color></item>' +
+            '<item><name>dog</name><label>Dog</label><color>blue</color></item>' +
+            '<item><name>fox</name><label>Fox</label><color>red</color></item></root></instance>')
+        .replace('constraint=". &gt;= 0 and . &lt; 120"', 'constraint=". &gt;= 0 and . &lt; 120" jr:constraintMsg="jr:itext(\'age\')"')
+        .replace('<bind nodeset="/data/kids/kname"', '<bind nodeset="/data/color" type="string" required="true()"/>' +
+            '<bind nodeset="/data/pet" type="string"/><bind nodeset="/data/kids/kname"')
+        .replace('<group ref="/data/kids">', '<select1 ref="/data/color" appearance="minimal"><label>Color</label>' +
+            '<item><label ref="jr:itext(\'name\')"/><value>red</value></item><item><label>Blue</label><value>blue</value></item></select1>' +
+            '<select1 ref="/data/pet"><label>Pet</label><itemset nodeset="instance(\'pets\')/root/item[color = current()/../color]">' +
+            '<value ref="name"/><label ref="label"/></itemset></select1><group ref="/data/kids">');
+}
+
+test('forms restored from JSON are the same as loaded ones', function() {
+
+    var loaded = new odk.ODKParser();
+    assert.ok(loaded.loads(complete()), String(loaded.getDiagnostics()));
+    var restored = odk.ODKParser.fromJSON(JSON.stringify(loaded.toJSON()));
+
+    assert.strictEqual(restored.getTitle(), 'Household');
+    assert.deepStrictEqual(restored.toJSON(), loaded.toJSON());
+
+    // Fields keep their attributes, and bind expressions their source and syntax tree
+    assert.deepStrictEqual(Object.keys(restored.fields), Object.keys(loaded.fields));
+    for (var path in loaded.fields) {
+        var field = loaded.fields[path];
+        assert.deepStrictEqual(Object.keys(restored.fields[path]).sort(), Object.keys(field).sort(), path);
+        for (var k in field) {
+            var expected = k == 'constraint' ? field[k].cond : field[k];
+            var actual = k == 'constraint' ? restored.fields[path][k].cond : restored.fields[path][k];
+            if (expected instanceof odk.XPathExpression) {
+                assert.ok(actual instanceof odk.XPathExpression, path + ' ' + k);
+                assert.strictEqual(actual.source, expected.source, path + ' ' + k);
+                assert.deepStrictEqual(actual.ast, expected.ast, path + ' ' + k);
+            } else
+                assert.deepStrictEqual(actual, expected, path + ' ' + k);
+        }
+    }
+    assert.strictEqual(restored.fields['/data/age'].constraint.msg, 'jr:itext(\'age\')');
+
+    // Controls keep their texts in every language, and their choices
+    var controls = function(parser) {
+        return parser.controls.map(function(control) {
+            return control.getControlType() + ' ' + control.ref + ' ' + control.appearance + ' ' +
+                parser.getLanguages().map(function(lang) { return control.getLabel(lang); }).join('/');
+        });
+    }
+    assert.deepStrictEqual(controls(restored), controls(loaded));
+    assert.deepStrictEqual(restored.getLanguages(), ['English', 'French']);
+    assert.strictEqual(restored.getLanguage(), 'French');
+    assert.strictEqual(restored.controls[3].getText(restored.controls[3].children[0].label, 'English'), 'Name');
+    assert.strictEqual(restored.controls[1].getConstraintMessage('English', restored.getState().evaluator,
+        restored.getState().getNode('/data/age')), 'Age');
+
+    var choices = function(parser) {
+        var state = parser.getState();
+        state.setValue('/data/color', 'red');
+        return parser.controls[4].getChoices(state.evaluator, state.getNode('/data/pet')).map(function(choice) {
+            return choice.value + ':' + parser.controls[4].getText(choice.label);
+        });
+    }
+    assert.deepStrictEqual(choices(restored), ['cat:Cat', 'fox:Fox']);
+    assert.deepStrictEqual(choices(restored), choices(loaded));
+
+    // The restored form is live, with it's calculations, relevance and validation
+    var state = restored.getState();
+    state.setValue('/data/age', '150');
+    assert.strictEqual(state.getValue('/data/adult'), 'yes');
+    assert.strictEqual(state.isRelevant('/data/spouse'), true);
+    assert.strictEqual(restored.getValidator().getError('/data/age').message, 'Age');
+    assert.strictEqual(restored.submit(), null);
+});
+
+test('JSON of another schema or a newer version is rejected', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.household()), String(parser.getDiagnostics()));
+    var json = parser.toJSON();
+
+    json.version = odk.ODKParser.SchemaVersion + 1;
+    assert.throws(function() { odk.ODKParser.fromJSON(json); }, function(e) {
+        return e.code == 'UNSUPPORTED_SCHEMA' && e.message == 'Unsupported form schema "odk-form" version ' + json.version;
+    });
+
+    json.version = odk.ODKParser.SchemaVersion;
+    json.schema = 'other';
+    assert.throws(function() { odk.ODKParser.fromJSON(json); }, function(e) { return e.code == 'UNSUPPORTED_SCHEMA'; });
+    assert.throws(function() { odk.ODKParser.fromJSON('null'); }, function(e) { return e.code == 'UNSUPPORTED_SCHEMA'; });
+    assert.throws(function() { odk.ODKParser.fromJSON({'schema':'odk-form'}); }, function(e) { return e.code == 'UNSUPPORTED_SCHEMA'; });
+
+    assert.strictEqual(new odk.ODKParser().toJSON(), null);
+});
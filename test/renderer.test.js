@@ -0,0 +1,172 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+/**
+ * Return a parser with a form loaded, rendering with the default widgets.
+ */
+var load = function(xml) {
+
+    var parser = new odk.ODKParser(odk.HTMLRenderer.getFactory());
+    assert.ok(parser.loads(xml), String(parser.getDiagnostics()));
+    return parser;
+}
+
+test('every numeric bind type gets a number input', function() {
+
+    ['int', 'integer', 'long', 'short', 'decimal', 'double', 'xsd:float'].forEach(function(type) {
+
+        var parser = load(forms.household().replace('<bind nodeset="/data/age" type="int"', '<bind nodeset="/data/age" type="' + type + '"'));
+        var html = parser.getFormElements()[1].getAsHTML();
+        assert.match(html, /<input id="odk_data_age" type="number"/, type);
+        assert.match(html, odk.XFormTypes.isInteger(type) ? / step="1"/ : / step="any"/, type);
+    });
+});
+
+test('virtual nodes escape texts and attribute values', function() {
+
+    var node = new odk.VirtualNode('p', {'title':'a "b" & <c>', 'hidden':true, 'disabled':false, 'data-x':null}, ['1 < 2 & "3"', null, '',
+        new odk.VirtualNode('input', {'value':'</p>'})]);
+
+    assert.strictEqual(node.toHTML(), '<p title="a &quot;b&quot; &amp; &lt;c&gt;" hidden="hidden">1 &lt; 2 &amp; &quot;3&quot;<input value="&lt;/p&gt;" /></p>');
+    assert.deepStrictEqual(node.toJSON(), {'tag':'p', 'attributes':{'title':'a "b" & <c>', 'hidden':true}, 'children':['1 < 2 & "3"',
+        {'tag':'input', 'attributes':{'value':'</p>'}, 'children':[]}]});
+
+    // Labels from the form are texts, never markup
+    var parser = load(forms.household().replace('<label>Name</label>', '<label>Name &lt;b&gt; &amp; "quoted"</label>'));
+    assert.match(parser.getFormElements()[0].getAsHTML(), /<span id="odk_data_name-label">Name &lt;b&gt; &amp; &quot;quoted&quot;<\/span>/);
+});
+
+test('inputs describe their hint, error, requirement and validity to assistive technologies', function() {
+
+    var parser = load(forms.household());
+    var html = parser.getFormElements()[0].getAsHTML();
+    assert.match(html, /<input id="odk_data_name" [^>]*aria-describedby="odk_data_name-hint odk_data_name-error" aria-required="true" aria-invalid="false"/);
+
+    parser.getState().setValue('/data/age', '200');
+    html = parser.getFormElements()[1].getAsHTML();
+    assert.match(html, /<input id="odk_data_age" [^>]*aria-required="false" aria-invalid="true"/);
+    assert.match(html, /<span id="odk_data_age-error" class="error" role="alert">Sorry, this response is invalid!<\/span>/);
+
+    // IDs only depend on the paths, so rendering again gives the same markup
+    assert.strictEqual(parser.getFormElements()[1].getAsHTML(), html);
+});
+
+test('the same elements render to JSON trees and registered targets', function() {
+
+    var parser = load(forms.household());
+    var element = parser.getFormElements()[0];
+
+    var tree = odk.HTMLRenderer.render(element, 'json');
+    assert.deepStrictEqual(tree.attributes, {'id':'odk_data_name-container', 'data-ref':'/data/name'});
+    assert.deepStrictEqual(tree.children[0].children[0], {'tag':'span', 'attributes':{'id':'odk_data_name-label'}, 'children':['Name']});
+    assert.strictEqual(tree.children[1].attributes['aria-required'], 'true');
+    assert.strictEqual(odk.HTMLRenderer.render(element, 'html'), element.getAsHTML());
+
+    odk.HTMLRenderer.registerTarget('tags', function(node) {
+        var tags = [];
+        var recursiveHelper = function(node) {
+            tags.push(node.tag);
+            node.children.forEach(function(child) {
+                if (child instanceof odk.VirtualNode)
+                    recursiveHelper(child);
+            });
+        }
+        recursiveHelper(node);
+        return tags.join(' ');
+    });
+    assert.strictEqual(odk.HTMLRenderer.render(element, 'tags'), 'div label span span input span span');
+    assert.throws(function() { odk.HTMLRenderer.render(element, 'pdf'); }, /Unknown render target "pdf"/);
+});
+
+test('widgets registered for an appearance take precedence over the defaults', function() {
+
+    var Stars = function(parser, control, mapRef) {
+        odk.GenericFormElement.call(this, parser, control, mapRef);
+    }
+    Stars.prototype = new odk.GenericFormElement();
+    Stars.prototype.render = function(lang) {
+        this.id = this.getElementId();
+        return new odk.VirtualNode('div', {'id':this.id, 'class':'stars'}, [this.getValue()]);
+    }
+
+    var factory = new odk.HTMLFormElementFactory();
+    factory.register('input', Stars, {'appearance':'stars'});
+
+    var parser = new odk.ODKParser(factory);
+    assert.ok(parser.loads(forms.household().replace('<input ref="/data/age">', '<input ref="/data/age" appearance="stars">')));
+    parser.getState().setValue('/data/age', '4');
+
+    var elements = parser.getFormElements();
+    assert.match(elements[0].getAsHTML(), /^<div id="odk_data_name-container"/);
+    assert.strictEqual(elements[1].getAsHTML(), '<div id="odk_data_age" class="stars">4</div>');
+});
+
+test('uploads get a file input for their media type, and drawings a canvas', function() {
+
+    var elements = load(forms.media()).getFormElements();
+    assert.match(elements[0].getAsHTML(), /<input id="odk_data_photo" type="file" name="_data_photo" accept="image\/\*"/);
+    assert.match(elements[0].getAsHTML(), /<img id="odk_data_photo-preview"/);
+    assert.match(elements[1].getAsHTML(), /<span class="draw signature"><canvas id="odk_data_sign" /);
+    assert.match(elements[2].getAsHTML(), /<input id="odk_data_voice" type="file" name="_data_voice" accept="audio\/\*"/);
+    assert.match(elements[2].getAsHTML(), /<audio id="odk_data_voice-preview"/);
+});
+
+test('rankings hold every choice value once, in the order the user gives', function() {
+
+    var parser = load(forms.build('Rank',
+        '<instance><data id="rank"><fruit/></data></instance>' +
+        '<bind nodeset="/data/fruit" type="odk:rank"/>',
+
+        '<odk:rank ref="/data/fruit"><label>Fruit</label>' +
+        '<item><label>Apple</label><value>a</value></item>' +
+        '<item><label>Banana</label><value>b</value></item>' +
+        '<item><label>Cherry</label><value>c</value></item>' +
+        '</odk:rank>'));
+
+    var state = parser.getState();
+    var element = parser.getFormElements()[0];
+    assert.ok(element instanceof odk.RankFormElement);
+
+    // Until the user orders the choices, they're listed as in the form and nothing is answered
+    assert.deepStrictEqual(element.getOrder(), ['a', 'b', 'c']);
+    assert.strictEqual(state.getValue('/data/fruit'), '');
+    assert.match(element.getAsHTML(), /aria-label="Move Apple up" disabled="disabled">Up<\/button>/);
+
+    element.move('c', -1);
+    assert.strictEqual(state.getValue('/data/fruit'), 'a c b');
+    element.move('c', -1);
+    element.move('c', -1);
+    assert.strictEqual(state.getValue('/data/fruit'), 'c a b');
+    element.move('b', 1);
+    assert.strictEqual(state.getValue('/data/fruit'), 'c a b');
+    assert.match(element.getAsHTML(), /<li class="choice"><span>Cherry<\/span>.*<li class="choice"><span>Apple<\/span>.*<li class="choice"><span>Banana<\/span>/);
+
+    // Rankings which repeat or leave out choices are rejected
+    var validator = parser.getValidator();
+    ['a a b', 'b a', 'a b c d'].forEach(function(value) {
+        state.setValue('/data/fruit', value);
+        assert.strictEqual(validator.getError('/data/fruit').type, 'constraint', value);
+    });
+    state.setValue('/data/fruit', 'b c a');
+    assert.strictEqual(validator.getError('/data/fruit'), null);
+});
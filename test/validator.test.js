@@ -0,0 +1,116 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var odk = require('../src/js/index.js');
+var forms = require('./forms');
+
+
+/**
+ * Return a parser for a form with translated validation messages, whose constraint message
+ * shows the answer, a readonly code which is required and fails it's constraint, and a pet question
+ * which is required only while relevant.
+ */
+var load = function() {
+
+    var xml = forms.build('Messages',
+        '<instance><data id="messages"><name/><age/><code/><pets/><pet/></data></instance>' +
+        '<itext>' +
+        '<translation lang="English" default="true()">' +
+        '<text id="/data/name:requiredMsg"><value>Please give a name</value></text>' +
+        '<text id="/data/age:constraintMsg"><value><output value="/data/age"/> is too old</value></text>' +
+        '</translation>' +
+        '<translation lang="French">' +
+        '<text id="/data/name:requiredMsg"><value>Veuillez donner un nom</value></text>' +
+        '<text id="/data/age:constraintMsg"><value><output value="/data/age"/> est trop vieux</value></text>' +
+        '</translation>' +
+        '</itext>' +
+        '<bind nodeset="/data/name" type="string" required="true()" jr:requiredMsg="jr:itext(\'/data/name:requiredMsg\')"/>' +
+        '<bind nodeset="/data/age" type="int" constraint=". &lt; 120" jr:constraintMsg="jr:itext(\'/data/age:constraintMsg\')"/>' +
+        '<bind nodeset="/data/code" type="string" readonly="true()" required="true()" constraint="false()"/>' +
+        '<bind nodeset="/data/pets" type="string"/>' +
+        '<bind nodeset="/data/pet" type="string" required="true()" constraint=". != \'rock\'" relevant="/data/pets = \'yes\'"/>',
+
+        '<input ref="/data/name"><label>Name</label></input>' +
+        '<input ref="/data/age"><label>Age</label></input>' +
+        '<input ref="/data/code"><label>Code</label></input>' +
+        '<input ref="/data/pets"><label>Pets?</label></input>' +
+        '<input ref="/data/pet"><label>Pet</label></input>');
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(xml), String(parser.getDiagnostics()));
+    return parser;
+}
+
+test('required and constraint messages are translated from jr:itext references', function() {
+
+    var parser = load();
+    var validator = parser.getValidator();
+
+    assert.deepStrictEqual(validator.validateField('/data/name'), {'type':'required', 'ref':'/data/name', 'message':'Please give a name'});
+
+    parser.getState().setValue('/data/age', '130');
+    assert.deepStrictEqual(validator.getError('/data/age'), {'type':'constraint', 'ref':'/data/age', 'message':'130 is too old'});
+
+    // Messages follow the current language, and 'validate' events announce them again
+    var events = [];
+    parser.getState().on('validate', function(path, error) {
+        events.push(path + ': ' + (error != null ? error.message : null));
+    });
+    parser.setLanguage('French');
+    assert.deepStrictEqual(events, ['/data/name: Veuillez donner un nom', '/data/age: 130 est trop vieux']);
+    assert.strictEqual(validator.getMessage('required', parser.getState().getNode('/data/name'), 'English'), 'Please give a name');
+
+    parser.getState().setValue('/data/name', 'Ann');
+    parser.getState().setValue('/data/age', '30');
+    assert.deepStrictEqual(events.slice(2), ['/data/name: null', '/data/age: null']);
+    assert.strictEqual(validator.hasErrors(), false);
+});
+
+test('forms without messages get the default ones', function() {
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(forms.household()), String(parser.getDiagnostics()));
+    var validator = parser.getValidator();
+
+    assert.strictEqual(validator.validateField('/data/name').message, odk.FormValidator.RequiredMessage);
+    parser.getState().setValue('/data/age', '-1');
+    assert.strictEqual(validator.getError('/data/age').message, odk.FormValidator.ConstraintMessage);
+});
+
+test('non-relevant and readonly questions are never checked', function() {
+
+    var parser = load();
+    var state = parser.getState();
+    var validator = parser.getValidator();
+
+    state.setValue('/data/name', 'Ann');
+    state.setValue('/data/pet', 'rock');
+    assert.strictEqual(validator.validate(), true);
+    assert.strictEqual(validator.getError('/data/code'), null);
+    assert.strictEqual(validator.getError('/data/pet'), null);
+
+    // The pet is checked once it becomes relevant, and dropped again when it no longer is
+    state.setValue('/data/pets', 'yes');
+    assert.strictEqual(validator.getError('/data/pet').type, 'constraint');
+    state.setValue('/data/pet', '');
+    assert.strictEqual(validator.getError('/data/pet').type, 'required');
+    state.setValue('/data/pets', 'no');
+    assert.strictEqual(validator.getError('/data/pet'), null);
+    assert.strictEqual(validator.validate(), true);
+});
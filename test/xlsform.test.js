@@ -0,0 +1,247 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var zlib = require('zlib');
+var odk = require('../src/js/index.js');
+
+
+/**
+ * Return a workbook with translated cities, filtered by country, and a repeat of kids whose questions refer
+ * to each other from within a group.
+ */
+var cities = function() {
+
+    return odk.XLSFormConverter.readCSV({
+        'survey':
+            'type,name,label::English (en),label::French (fr),relevant,choice_filter,calculation\n' +
+            'select_one country,country,Country,Pays,,,\n' +
+            'select_one city,city,City,Ville,,country = ${country},\n' +
+            'begin repeat,kids,Kids,Enfants,,,\n' +
+            'text,kname,Name,Nom,,,\n' +
+            'begin group,details,Details,Détails,,,\n' +
+            'integer,kage,Age of ${kname},Âge de ${kname},${kname} != \'\',,\n' +
+            'calculate,kcity,,,,,"concat(${kname}, \' in \', ${city})"\n' +
+            'end group,,,,,,\n' +
+            'end repeat,,,,,,\n',
+        'choices':
+            'list_name,name,label::English (en),label::French (fr),country\n' +
+            'country,za,South Africa,Afrique du Sud,\n' +
+            'country,fr,France,France,\n' +
+            'city,cpt,Cape Town,Le Cap,za\n' +
+            'city,jnb,Johannesburg,Johannesburg,za\n' +
+            'city,par,Paris,Paris,fr\n',
+        'settings':
+            'form_title,form_id,default_language\n' +
+            'Cities,cities,English (en)\n'
+    });
+}
+
+/**
+ * Return the code, row and message of each problem found by a converter.
+ */
+var problems = function(converter) {
+
+    return converter.getDiagnostics().map(function(d) {
+        return d.code + ' ' + d.element + ':' + d.line + ' ' + d.message;
+    });
+}
+
+/**
+ * Build a zip archive. Entries are stored, unless their name is listed as deflated.
+ * CRCs are left at 0, as readers of .xlsx files needn't check them.
+ *
+ * @object files Object mapping file names to their text content.
+ * @object deflated Array of file names to compress.
+ * @return Node Buffer.
+ */
+var zip = function(files, deflated) {
+
+    var locals = [];
+    var central = [];
+    var offset = 0;
+    for (var name in files) {
+
+        var method = (deflated || []).indexOf(name) != -1 ? 8 : 0;
+        var content = Buffer.from(files[name], 'utf8');
+        var data = method == 8 ? zlib.deflateRawSync(content) : content;
+        var fileName = Buffer.from(name, 'utf8');
+
+        var local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        locals.push(local, fileName, data);
+
+        var header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(method, 10);
+        header.writeUInt32LE(data.length, 20);
+        header.writeUInt32LE(content.length, 24);
+        header.writeUInt16LE(fileName.length, 28);
+        header.writeUInt32LE(offset, 42);
+        central.push(header, fileName);
+
+        offset += local.length + fileName.length + data.length;
+    }
+
+    var directory = Buffer.concat(central);
+    var end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length / 2, 8);
+    end.writeUInt16LE(central.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(locals.concat([directory, end]));
+}
+
+test('row problems are reported with their sheet and row number', function() {
+
+    var converter = new odk.XLSFormConverter();
+    var xml = converter.convert(odk.XLSFormConverter.readCSV({'survey':
+        'type,name,label\n' +
+        'text,a,A\n' +
+        'foo,b,B\n' +
+        '\n' +
+        'text,a,Again\n' +
+        'end group,,\n' +
+        'select_one colors,c,C\n' +
+        'begin group,g,G\n'}));
+
+    assert.strictEqual(xml, null);
+    assert.deepStrictEqual(problems(converter), [
+        'XLSFORM_INVALID_TYPE survey:3 Unknown question type "foo"',
+        'XLSFORM_DUPLICATE_NAME survey:5 Duplicate name "a"',
+        'XLSFORM_UNMATCHED_GROUP survey:6 Unmatched "end group"',
+        'XLSFORM_UNKNOWN_LIST survey:7 Unknown choice list "colors"',
+        'XLSFORM_UNMATCHED_GROUP survey:8 Missing "end group" for "begin group"'
+    ]);
+
+    assert.strictEqual(converter.convert({}), null);
+    assert.deepStrictEqual(problems(converter), ['XLSFORM_MISSING_SHEET null:null Missing survey sheet']);
+});
+
+test('references within a repeat are relative to the repeat instance', function() {
+
+    var converter = new odk.XLSFormConverter();
+    var xml = converter.convert(cities());
+    assert.deepStrictEqual(problems(converter), []);
+
+    assert.match(xml, /<bind nodeset="\/cities\/kids\/details\/kage" type="int" relevant="..\/..\/kname != ''"\/>/);
+    assert.match(xml, /<bind nodeset="\/cities\/kids\/details\/kcity" type="string" calculate="concat\(..\/..\/kname, ' in ', \/cities\/city\)"\/>/);
+    assert.match(xml, /<text id="\/cities\/kids\/details\/kage:label"><value>Age of <output value="..\/..\/kname"\/><\/value><\/text>/);
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(xml), String(parser.getDiagnostics()));
+
+    var state = parser.getState();
+    state.setValue('/cities/city', 'cpt');
+    state.addRepeat('/cities/kids');
+    state.setValue('/cities/kids[1]/kname', 'Ann');
+    state.setValue('/cities/kids[2]/kname', 'Bob');
+    assert.strictEqual(state.getValue('/cities/kids[1]/details/kcity'), 'Ann in cpt');
+    assert.strictEqual(state.getValue('/cities/kids[2]/details/kcity'), 'Bob in cpt');
+
+    state.setValue('/cities/kids[2]/kname', '');
+    assert.strictEqual(state.isRelevant('/cities/kids[1]/details/kage'), true);
+    assert.strictEqual(state.isRelevant('/cities/kids[2]/details/kage'), false);
+});
+
+test('choice filters and label translations', function() {
+
+    var converter = new odk.XLSFormConverter();
+    var xml = converter.convert(cities());
+    assert.match(xml, /<itemset nodeset="instance\('city'\)\/root\/item\[country = \/cities\/country\]"><value ref="name"\/><label ref="jr:itext\(itextId\)"\/><\/itemset>/);
+    assert.match(xml, /<item><name>cpt<\/name><itextId>city-0<\/itextId><country>za<\/country><\/item>/);
+
+    var parser = new odk.ODKParser();
+    assert.ok(parser.loads(xml), String(parser.getDiagnostics()));
+    assert.deepStrictEqual(parser.getLanguages(), ['English (en)', 'French (fr)']);
+
+    var state = parser.getState();
+    var city = parser.controls[1];
+    var labels = function(lang) {
+        return city.getChoices(state.evaluator, state.getNode('/cities/city')).map(function(choice) {
+            return choice.value + ':' + city.getText(choice.label, lang);
+        });
+    }
+
+    assert.deepStrictEqual(labels(), []);
+    state.setValue('/cities/country', 'za');
+    assert.deepStrictEqual(labels(), ['cpt:Cape Town', 'jnb:Johannesburg']);
+    assert.deepStrictEqual(labels('French (fr)'), ['cpt:Le Cap', 'jnb:Johannesburg']);
+    state.setValue('/cities/country', 'fr');
+    assert.deepStrictEqual(labels('French (fr)'), ['par:Paris']);
+    assert.strictEqual(parser.controls[0].getLabel('French (fr)'), 'Pays');
+});
+
+test('readXLSX reads the sheets of a workbook', function(t, done) {
+
+    var sheet = function(rows) {
+        return '<?xml version="1.0" encoding="UTF-8"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+            rows + '</sheetData></worksheet>';
+    }
+
+    var data = zip({
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+            '<sheet name="survey" sheetId="1" r:id="rId1"/><sheet name="Settings" sheetId="2" r:id="rId2"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>',
+        'xl/sharedStrings.xml': '<?xml version="1.0" encoding="UTF-8"?><sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<si><t>type</t></si><si><t>name</t></si><si><t>label</t></si><si><t>integer</t></si><si><r><t>Your </t></r><r><t>age</t></r></si></sst>',
+        // The row of the age is the third, and the required cell of the name is left out
+        'xl/worksheets/sheet1.xml': sheet(
+            '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="inlineStr"><is><t>required</t></is></c></row>' +
+            '<row r="2"><c r="A2" t="inlineStr"><is><t>text</t></is></c><c r="B2" t="inlineStr"><is><t>name</t></is></c><c r="C2" t="inlineStr"><is><t>Name</t></is></c></row>' +
+            '<row r="4"><c r="A4" t="s"><v>3</v></c><c r="B4" t="inlineStr"><is><t>age</t></is></c><c r="C4" t="s"><v>4</v></c><c r="D4" t="b"><v>1</v></c></row>'),
+        'xl/worksheets/sheet2.xml': sheet(
+            '<row r="1"><c r="A1" t="inlineStr"><is><t>form_id</t></is></c><c r="B1" t="inlineStr"><is><t>version</t></is></c></row>' +
+            '<row r="2"><c r="A2" t="inlineStr"><is><t>person</t></is></c><c r="B2"><v>2024010101</v></c></row>'),
+        'docProps/thumbnail.jpeg': 'not read'
+    }, ['xl/worksheets/sheet2.xml']);
+
+    odk.XLSFormConverter.readXLSX(data, function(error, workbook) {
+
+        assert.strictEqual(error, null);
+        assert.deepStrictEqual(workbook, {
+            'survey': [{'type':'text', 'name':'name', 'label':'Name'}, {}, {'type':'integer', 'name':'age', 'label':'Your age', 'required':'TRUE'}],
+            'settings': [{'form_id':'person', 'version':'2024010101'}]
+        });
+
+        var converter = new odk.XLSFormConverter();
+        var xml = converter.convert(workbook);
+        assert.deepStrictEqual(problems(converter), []);
+        assert.match(xml, /<person id="person" version="2024010101">/);
+        assert.match(xml, /<bind nodeset="\/person\/age" type="int" required="true\(\)"\/>/);
+
+        odk.XLSFormConverter.readXLSX(Buffer.from('not a zip'), function(error, workbook) {
+            assert.strictEqual(error, 'Invalid .xlsx file: not a zip archive');
+            assert.strictEqual(workbook, null);
+            done();
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/*
+Copyright 2014 Roi Avidan
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+var test = require('node:test');
+var assert = require('assert');
+var odk = require('../src/js/index.js');
+
+
+/**
+ * Return the data element of a small instance, along with an evaluator with fixed uuid(), now() and random().
+ */
+var setUp = function() {
+
+    var doc = new odk.InstanceNode('#document');
+    odk.InstanceNode.fromDOM(odk.XMLUtils.parse('<data><a>3</a><b>4.5</b><c>x y z</c><d/>' +
+        '<items><item id="1">10</item><item id="2">20</item><item id="3">30</item></items><when>2024-02-28</when></data>').documentElement, doc);
+
+    var evaluator = new odk.XPathEvaluator({
+        'now': function() { return new Date(2024, 0, 1); },
+        'uuid': function() { return 'uuid:fixed'; },
+        'random': function() { return 0.5; }
+    });
+
+    return {'data':doc.children[0], 'evaluator':evaluator};
+}
+
+var values = function(nodes) {
+
+    return nodes.map(function(node) {
+        return node.value;
+    });
+}
+
+test('tokenizer splits paths, predicates and operators', function() {
+
+    var tokens = new odk.XPathTokenizer('/data/a[1] >= 2').tokenize().map(function(token) {
+        return token.type + ':' + token.value;
+    });
+    assert.deepStrictEqual(tokens, ['operator:/', 'name:data', 'operator:/', 'name:a', '[:[', 'number:1', ']:]', 'operator:>=', 'number:2', 'eof:null']);
+});
+
+test('parser rejects incomplete expressions', function() {
+
+    ['1 +', '/data/a[', "concat('a'", '1 ++ 2', '@'].forEach(function(source) {
+        assert.throws(function() { new odk.XPathExpression(source); }, /Expected/, source);
+    });
+});
+
+test('references are resolved against the context path', function() {
+
+    var expr = new odk.XPathExpression("/data/a + ../b + instance('x')/root/y");
+    assert.deepStrictEqual(expr.getReferences('/data/c'), ['/data/a', '/data/b']);
+});
+
+test('arithmetic and comparisons follow XPath 1.0', function() {
+
+    var t = setUp();
+    assert.strictEqual(t.evaluator.evaluate('/data/a + /data/b', t.data), 7.5);
+    assert.strictEqual(t.evaluator.evaluate('/data/a * 2 - 1 div 4', t.data), 5.75);
+    assert.strictEqual(t.evaluator.evaluate('7 mod 3', t.data), 1);
+    assert.strictEqual(t.evaluator.evaluate('-/data/a', t.data), -3);
+    assert.strictEqual(t.evaluator.evaluate('/data/a > /data/b', t.data), false);
+    assert.strictEqual(t.evaluator.evaluate('1 = 1 and 2 != 2 or true()', t.data), true);
+    assert.strictEqual(t.evaluator.evaluateString('1 div 0', t.data), 'Infinity');
+    assert.strictEqual(t.evaluator.evaluateString("number('x')", t.data), 'NaN');
+});
+
+test('paths select nodes by predicate, position and axis', function() {
+
+    var t = setUp();
+    assert.deepStrictEqual(values(t.evaluator.evaluateNodes('/data/items/item[@id = 2]', t.data)), ['20']);
+    assert.deepStrictEqual(values(t.evaluator.evaluateNodes('/data/items/item[last()]', t.data)), ['30']);
+    assert.deepStrictEqual(values(t.evaluator.evaluateNodes('/data/items/item[position() = 2]/@id', t.data)), ['2']);
+    assert.deepStrictEqual(values(t.evaluator.evaluateNodes('/data/items/item[1]/following-sibling::item', t.data)), ['20', '30']);
+    assert.deepStrictEqual(values(t.evaluator.evaluateNodes('../b', t.data.children[0])), ['4.5']);
+    assert.deepStrictEqual(values(t.evaluator.evaluateNodes('/data/b | /data/a', t.data)), ['3', '4.5']);
+    assert.strictEqual(t.evaluator.evaluate('count(/data/items/item[. > 10])', t.data), 2);
+    assert.throws(function() { t.evaluator.evaluateNodes('1 + 1', t.data); }, /node-set/);
+});
+
+test('core and ODK functions', function() {
+
+    var t = setUp();
+    var check = function(expr, expected) {
+        assert.strictEqual(t.evaluator.evaluateString(expr, t.data), expected, expr);
+    }
+
+    check("concat('a', /data/a, 'b')", 'a3b');
+    check('sum(/data/items/item)', '60');
+    check('max(/data/items/item)', '30');
+    check("join(',', /data/items/item)", '10,20,30');
+    check("selected(/data/c, 'y')", 'true');
+    check('count-selected(/data/c)', '3');
+    check('selected-at(/data/c, 2)', 'z');
+    check("if(/data/d = '', 'empty', 'set')", 'empty');
+    check('coalesce(/data/d, /data/a)', '3');
+    check("substr('abcdef', 1, 3)", 'bc');
+    check("translate('abc', 'ab', 'AB')", 'ABc');
+    check("normalize-space('  a   b ')", 'a b');
+    check("regex('abc123', '^[a-z]+[0-9]+$')", 'true');
+    check('round(2.567, 2)', '2.57');
+    check('int(-3.7)', '-3');
+    check("format-date(date(/data/when) + 2, '%Y-%m-%d')", '2024-03-01');
+    check('today()', '2024-01-01');
+    check('uuid()', 'uuid:fixed');
+});
+
+test('unknown functions are reported, and may be added', function() {
+
+    var t = setUp();
+    assert.throws(function() { t.evaluator.evaluate('twice(2)', t.data); }, /Unknown function/);
+
+    t.evaluator.addFunction('twice', function(ctx, value) {
+        return t.evaluator.toNumber(value) * 2;
+    });
+    assert.strictEqual(t.evaluator.evaluate('twice(/data/a)', t.data), 6);
+});